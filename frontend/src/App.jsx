@@ -2,8 +2,34 @@ import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import CodeMirror from '@uiw/react-codemirror';
 import { oneDark } from '@codemirror/theme-one-dark';
 import { supercollider } from './sc-language.js';
+import { evalResults, evalSent, evalDone, evalRunning } from './eval-results.js';
+import { scCompletion, setEnvironmentNames } from './completion.js';
+import { scDocs, lookUpAt } from './docs.js';
+import HelpSearch from './HelpSearch.jsx';
+import ServerStatus from './ServerStatus.jsx';
+import Lifecycle from './Lifecycle.jsx';
+import Busy from './Busy.jsx';
+import ServerSettings from './ServerSettings.jsx';
+import StreamChannels from './StreamChannels.jsx';
+import Monitor from './Monitor.jsx';
+import LiveAudio from './LiveAudio.jsx';
+import Recorder from './Recorder.jsx';
+import NodeTree from './NodeTree.jsx';
+import Samples from './Samples.jsx';
+import Proxies from './Proxies.jsx';
+import Controls from './Controls.jsx';
+import Midi from './Midi.jsx';
+import Osc from './Osc.jsx';
+import Post from './Post.jsx';
+import { sharedDocument, applyRemoteUpdates, remoteCursor, remoteLeave } from './collab.js';
+import { listFiles, readFile, writeFile, renameFile, deleteFile, toScdPath, filePaths } from './workspace.js';
+import FileTree from './FileTree.jsx';
+import TabBar from './TabBar.jsx';
+import Snapshot from './Snapshot.jsx';
+import { createSnapshot, snapshotUrl, snapshotFromLocation } from './snapshots.js';
+import { newTab, tabTitle, isDirty, loadTabs, saveTabs, stateFields } from './tabs.js';
 import { Decoration, EditorView, keymap } from '@codemirror/view';
-import { StateEffect, StateField } from '@codemirror/state';
+import { Prec, StateEffect, StateField } from '@codemirror/state';
 
 // ── SuperCollider example shown on first load ────────────────────────────────
 const INITIAL_CODE = `// SC Web — SuperCollider Browser IDE
@@ -34,6 +60,13 @@ const INITIAL_CODE = `// SC Web — SuperCollider Browser IDE
 // If cursor is inside a block: stack[0] is the outermost enclosing (.
 // If cursor is between blocks: scan forward from cursor for the next (.
 // Falls back to the current line only when there is no ( anywhere near.
+// codeFrom is where the trimmed code starts, so error positions can be mapped back.
+function trimmedCode(text, from, to) {
+  const raw  = text.slice(from, to);
+  const code = raw.trim();
+  return { code, codeFrom: from + (raw.length - raw.trimStart().length) };
+}
+
 function findBlockToEval(text, pos) {
   const stack = [];
   for (let i = 0; i < pos; i++) {
@@ -48,7 +81,7 @@ function findBlockToEval(text, pos) {
     const lineStart = text.lastIndexOf('\n', pos - 1) + 1;
     const lineEnd   = text.indexOf('\n', pos);
     const to        = lineEnd === -1 ? text.length : lineEnd;
-    return { code: text.slice(lineStart, to).trim(), from: lineStart, to };
+    return { ...trimmedCode(text, lineStart, to), from: lineStart, to };
   }
 
   let depth = 0;
@@ -56,11 +89,11 @@ function findBlockToEval(text, pos) {
     if      (text[i] === '(') depth++;
     else if (text[i] === ')') {
       if (--depth === 0) {
-        return { code: text.slice(start + 1, i).trim(), from: start, to: i + 1 };
+        return { ...trimmedCode(text, start + 1, i), from: start, to: i + 1 };
       }
     }
   }
-  return { code: text.slice(start + 1).trim(), from: start, to: text.length };
+  return { ...trimmedCode(text, start + 1, text.length), from: start, to: text.length };
 }
 
 // ── Eval flash ────────────────────────────────────────────────────────────────
@@ -84,6 +117,60 @@ const flashTheme = EditorView.baseTheme({
   '.cm-eval-flash': { backgroundColor: 'rgba(78, 204, 163, 0.2)' },
 });
 
+function flash(view, from, to) {
+  const len = view.state.doc.length;
+  view.dispatch({ effects: flashEffect.of({ from: Math.min(from, len), to: Math.min(to, len) }) });
+  setTimeout(() => view.dispatch({ effects: flashEffect.of(null) }), 300);
+}
+
+// ── Client identity ───────────────────────────────────────────────────────────
+// A stable per-browser key lets the bridge put a reconnecting tab back into
+// the same sclang session. (crypto.randomUUID needs a secure context, which
+// plain-http LAN access isn't.)
+function clientKey() {
+  let key = localStorage.getItem('sc-web-client');
+  if (!key) {
+    key = Math.random().toString(36).slice(2) + Date.now().toString(36);
+    localStorage.setItem('sc-web-client', key);
+  }
+  return key;
+}
+
+// ── Post history ──────────────────────────────────────────────────────────────
+// The line between the history the bridge replays on connect and live
+// output, saying what came before it.
+function replayMarker({ entries, resumed, dropped }) {
+  if (!entries.length && !dropped) return [];
+  const count = (n) => `${n} ${n === 1 ? 'entry' : 'entries'}`;
+  let what = resumed
+    ? `${count(entries.length)} missed while disconnected`
+    : `${count(entries.length)} from before you joined`;
+  if (dropped) what += `, ${dropped} older no longer kept`;
+  return [{ time: Date.now(), kind: 'marker', text: `── ${what} · live output resumes here ──` }];
+}
+
+// Name shown on this browser's cursor in shared-document mode.
+function userName() {
+  let name = localStorage.getItem('sc-web-name');
+  if (!name) {
+    name = (window.prompt('Your name for shared editing:') || '').trim() || 'anonymous';
+    localStorage.setItem('sc-web-name', name);
+  }
+  return name;
+}
+
+// ── Tabs ──────────────────────────────────────────────────────────────────────
+// Id of the pseudo-tab showing the session's shared document. It isn't in the
+// `tabs` list: the bridge owns its contents, so it's neither saved nor restored.
+const SHARED_TAB = 'shared';
+
+function restoreTabs() {
+  const saved = loadTabs();
+  if (saved) return saved;
+  const tab = newTab({ text: INITIAL_CODE, savedText: INITIAL_CODE });
+  return { tabs: [tab], active: tab.id };
+}
+
 // ── Mobile detection ──────────────────────────────────────────────────────────
 function useMobile() {
   const [mobile, setMobile] = useState(() => window.innerWidth <= 768);
@@ -111,7 +198,6 @@ const S = {
     flexWrap: 'wrap',
   },
   title: { fontWeight: 700, color: '#4ecca3', letterSpacing: '0.05em' },
-  dot: (ok) => ({ color: ok ? '#4ecca3' : '#e94560', fontSize: 12 }),
   btn: (color, disabled) => ({
     background: 'transparent',
     border: `1px solid ${disabled ? '#444' : color}`,
@@ -133,9 +219,25 @@ const S = {
     fontSize: 12,
     fontFamily: 'inherit',
   }),
+  select: {
+    background: '#0d0d1a',
+    border: '1px solid #444',
+    color: '#b0b8d0',
+    padding: '2px 4px',
+    borderRadius: 3,
+    fontSize: 12,
+    fontFamily: 'inherit',
+  },
   audio: { marginLeft: 'auto', height: 28 },
+  user: { color: '#888', fontSize: 12 },
   body: { display: 'flex', flex: 1, overflow: 'hidden' },
   editor: { flex: 1, overflow: 'auto', minWidth: 0 },
+  editorPane: { flex: 1, minHeight: 0 },
+  filesPanel: {
+    width: 220,
+    borderRight: '1px solid #2a2a4a',
+    flexShrink: 0,
+  },
   postPanel: {
     width: 340,
     display: 'flex',
@@ -143,6 +245,14 @@ const S = {
     borderLeft: '1px solid #2a2a4a',
     flexShrink: 0,
   },
+  // Nodes, Controls, OSC, Proxies, Samples and Scope all share one column style
+  sidePanel: {
+    width: 300,
+    display: 'flex',
+    flexDirection: 'column',
+    borderLeft: '1px solid #2a2a4a',
+    flexShrink: 0,
+  },
   helpPanel: {
     width: 680,
     display: 'flex',
@@ -150,17 +260,6 @@ const S = {
     borderLeft: '1px solid #2a2a4a',
     flexShrink: 0,
   },
-  post: {
-    flex: 1, padding: '6px 8px',
-    overflowY: 'auto',
-    background: '#090914',
-    fontSize: 11.5,
-    lineHeight: 1.55,
-    whiteSpace: 'pre-wrap',
-    wordBreak: 'break-word',
-    color: '#b0b8d0',
-    minHeight: 0,
-  },
   helpFrame: {
     flex: 1,
     border: 'none',
@@ -246,27 +345,72 @@ const HELP_INJECT_CSS = `
 `;
 
 // ── Component ─────────────────────────────────────────────────────────────────
-export default function App() {
-  const [code, setCode]           = useState(INITIAL_CODE);
-  const [output, setOutput]       = useState('Connecting to bridge…\n');
+// `user` is { name, role } from the AuthGate. Listeners get the post window and
+// audio only; admins additionally get the reboot / recompile / restart menu.
+export default function App({ user, onLogout, onAuthLost }) {
+  const [restored]                = useState(restoreTabs);
+  const [tabs, setTabs]           = useState(restored.tabs);
+  const [activeTab, setActiveTab] = useState(restored.active);
   const [connected, setConnected] = useState(false);
+  const [lifecycle, setLifecycle] = useState(null); // sclang's state from the bridge's status messages
+  const [busy, setBusy]           = useState(null); // busy message while sclang is stuck or slow
+  const [serverStatus, setServerStatus] = useState(null);
+  const [recording, setRecording] = useState(null); // { recording, maxChannels } from the bridge
+  const [serverOptions, setServerOptions] = useState(null); // the bridge's serverOptions message
+  const [showSettings, setShowSettings] = useState(false);
+  const [snapshotView, setSnapshotView] = useState(() => { // { id, notice? } of the snapshot dialog
+    const id = snapshotFromLocation();
+    return id ? { id } : null;
+  });
+  const [session, setSession]     = useState(null);
+  const [sessions, setSessions]   = useState([]);
+  const [shared, setShared]       = useState(false);
+  const [sharedDoc, setSharedDoc] = useState(null); // bridge's doc message while in shared mode
+  const [files, setFiles]         = useState([]);
+  const [filesError, setFilesError] = useState(null);
+  const [showFiles, setShowFiles] = useState(true);
   const [showPost, setShowPost]   = useState(true);
   const [showHelp, setShowHelp]   = useState(false);
+  const [showMonitor, setShowMonitor] = useState(false);
+  const [showNodes, setShowNodes] = useState(false);
+  const [nodeTree, setNodeTree]   = useState(null); // scsynth's node tree while the panel is open
+  const [showSamples, setShowSamples] = useState(false);
+  const [buffers, setBuffers]     = useState(null); // allocated buffers while the samples panel is open
+  const [showProxies, setShowProxies] = useState(false);
+  const [proxies, setProxies]     = useState(null); // Ndef/ProxySpace state while the mixer is open
+  const [showControls, setShowControls] = useState(false);
+  const [controls, setControls]   = useState([]); // WebControls declared from sclang
+  const [showOsc, setShowOsc]     = useState(false);
+  const [helpQuery, setHelpQuery] = useState('');
   const [mobileTab, setMobileTab] = useState('editor');
   const mobile     = useMobile();
+  const canPerform = user.role !== 'listener';
+  const isAdmin    = user.role === 'admin';
+  // Evals sent while sclang is on its way up wait for it on the bridge
+  const canEval    = connected || Boolean(lifecycle?.queueing);
   const wsRef      = useRef(null);
-  const postRef    = useRef(null);
   const iframeRef  = useRef(null);
-  const editorRef  = useRef(null);
+  const monitorSink = useRef(null); // Monitor's handler for meters/scope messages
+  const liveSink    = useRef(null); // LiveAudio's handler for PCM frames and liveAudio messages
+  const controlsSink = useRef(null); // Controls' handler for controlValue messages
+  const midiSink    = useRef(null); // Midi's handler for midiOut messages
+  const oscSink     = useRef(null); // Osc's handler for osc messages
+  const postSink    = useRef(null); // Post's handler for post entries
+  const postClear   = useRef(null); // empties the post window
+  const postCursor  = useRef(null); // { history, seq } of the last post entry seen, to resume from
+  const editors    = useRef(new Map()); // tab id → EditorView
   const audioRef   = useRef(null);
   const reconnect  = useRef(true);
+  const evalSeq    = useRef(0);
+  const sharedRef  = useRef(false); // shared mode, readable from the WebSocket handlers
+  const tabsRef    = useRef(tabs);
+  const activeRef  = useRef(activeTab);
+  const lastLocal  = useRef(activeTab); // tab to go back to when leaving shared mode
+  tabsRef.current   = tabs;
+  activeRef.current = activeTab;
 
-  // Auto-scroll post window
-  useEffect(() => {
-    if (postRef.current) {
-      postRef.current.scrollTop = postRef.current.scrollHeight;
-    }
-  }, [output]);
+  const activeView = () => editors.current.get(activeRef.current);
+  const sharedView = () => editors.current.get(SHARED_TAB);
 
   // ── Live-edge nudge ──────────────────────────────────────────────────────────
   useEffect(() => {
@@ -291,29 +435,96 @@ export default function App() {
   useEffect(() => {
     function connect() {
       if (!reconnect.current) return;
-      const url = `ws://${window.location.host}/ws`;
+      const cursor = postCursor.current;
+      const resume = cursor ? `&resume=${cursor.history}:${cursor.seq}` : '';
+      const url = `ws://${window.location.host}/ws?client=${encodeURIComponent(clientKey())}${resume}`;
       const ws  = new WebSocket(url);
+      ws.binaryType = 'arraybuffer'; // binary frames are live-monitor PCM
       wsRef.current = ws;
       ws.onopen  = () => { setConnected(true);  append('Bridge connected.\n'); };
       ws.onclose = () => {
         setConnected(false);
+        setLifecycle(null);
+        setBusy(null);
+        setServerStatus(null);
+        setRecording(null);
+        setServerOptions(null);
+        setControls([]);
         append('\n[disconnected — retrying in 3 s…]\n');
+        onAuthLost(); // the upgrade is refused once the login expires
         setTimeout(connect, 3000);
       };
       ws.onerror   = () => { append('[ws error]\n'); };
       ws.onmessage = (e) => {
+        if (e.data instanceof ArrayBuffer) { liveSink.current?.(e.data); return; }
         try {
           const msg = JSON.parse(e.data);
-          if (msg.type === 'post')   append(msg.text);
-          if (msg.type === 'status') setConnected(msg.connected);
+          if (msg.type === 'post') {
+            postSink.current?.(msg.entries);
+            // Only the session's own entries are numbered; notes to this client aren't
+            if (msg.history) postCursor.current = { history: msg.history, seq: msg.entries.at(-1).seq };
+          }
+          if (msg.type === 'postHistory') {
+            // A different session, or too long away: start over with its history
+            if (!msg.resumed) postClear.current?.();
+            postSink.current?.([...msg.entries, ...replayMarker(msg)]);
+            postCursor.current = { history: msg.history, seq: msg.seq };
+          }
+          if (msg.type === 'status') {
+            setConnected(msg.connected);
+            setLifecycle({ state: msg.state, detail: msg.detail, queueing: msg.queueing });
+          }
+          if (msg.type === 'busy') {
+            setBusy(msg.busy ? { ...msg, receivedAt: Date.now() } : null);
+            if (msg.id) for (const view of editors.current.values()) view.dispatch({ effects: evalRunning.of(msg.id) });
+          }
+          if (msg.type === 'serverStatus') setServerStatus(msg);
+          if (msg.type === 'meters' || msg.type === 'scope') monitorSink.current?.(msg);
+          if (msg.type === 'liveAudio') liveSink.current?.(msg);
+          if (msg.type === 'nodeTree') setNodeTree(msg.root);
+          if (msg.type === 'buffers') setBuffers(msg.buffers);
+          if (msg.type === 'proxies') setProxies(msg.proxies);
+          if (msg.type === 'controls') setControls(msg.controls);
+          if (msg.type === 'controlValue') controlsSink.current?.(msg);
+          if (msg.type === 'midiOut') midiSink.current?.(msg);
+          if (msg.type === 'osc') oscSink.current?.(msg);
+          if (msg.type === 'recording') {
+            setRecording(msg);
+            if (msg.saved) append(`[recording saved: ${msg.saved}]\n`);
+          }
+          if (msg.type === 'serverOptions') setServerOptions(msg);
+          if (msg.type === 'sessions') setSessions(msg.sessions);
+          if (msg.type === 'environment') setEnvironmentNames(msg.names);
+          if (msg.type === 'session') {
+            setSession(msg);
+            append(`[session ${msg.id}]\n`);
+            // Each session has its own shared document — (re)join it
+            if (sharedRef.current) joinSharedDoc();
+          }
+          if (msg.type === 'doc' && sharedRef.current) setSharedDoc({ ...msg, key: Date.now() });
+          if (msg.type === 'docUpdates' && sharedRef.current && sharedView()) {
+            if (!applyRemoteUpdates(sharedView(), msg)) joinSharedDoc();
+          }
+          if (msg.type === 'docCursor') sharedView()?.dispatch({ effects: remoteCursor.of(msg) });
+          if (msg.type === 'docLeave')  sharedView()?.dispatch({ effects: remoteLeave.of(msg.user) });
+          if (msg.type === 'docFlash' && sharedView()) flash(sharedView(), msg.from, msg.to);
+          if (msg.type === 'evalResult' || msg.type === 'evalError') {
+            // Eval ids are unique across tabs; only the tab that sent it reacts
+            for (const view of editors.current.values()) view.dispatch({ effects: evalDone.of(msg) });
+          }
         } catch { /* ignore */ }
       };
     }
+    append('Connecting to bridge…');
     connect();
     return () => { reconnect.current = false; wsRef.current?.close(); };
   }, []);
 
-  const append = (text) => setOutput((prev) => prev + text);
+  // The page's own messages go in the post window as bridge entries
+  const append = (text) => {
+    const time = Date.now();
+    postSink.current?.(text.split('\n').filter((l) => l.trim()).map((l) => ({ time, kind: 'bridge', text: l })));
+  };
 
   const send = useCallback((type, payload = {}) => {
     if (wsRef.current?.readyState === WebSocket.OPEN) {
@@ -321,26 +532,280 @@ export default function App() {
     }
   }, []);
 
+  // ── Tabs ──────────────────────────────────────────────────────────────────────
+  // One CodeMirror per tab, inactive ones hidden, so each keeps its own undo
+  // history, cursor and eval marks.
+  const updateTab = useCallback((id, props) => {
+    setTabs((prev) => prev.map((t) => (t.id === id ? { ...t, ...props } : t)));
+  }, []);
+
+  // Stable per-tab onChange handlers, so editors aren't reconfigured on every keystroke
+  const changeHandlers = useRef(new Map());
+  const onTabChange = (id) => {
+    if (!changeHandlers.current.has(id)) {
+      changeHandlers.current.set(id, (text) => updateTab(id, { text }));
+    }
+    return changeHandlers.current.get(id);
+  };
+
+  const selectTab = (id) => {
+    setActiveTab(id);
+    if (id !== SHARED_TAB) lastLocal.current = id;
+  };
+
+  const addTab = (props) => {
+    const tab = newTab(props);
+    setTabs((prev) => [...prev, tab]);
+    selectTab(tab.id);
+  };
+
+  const closeTab = (id) => {
+    if (id === SHARED_TAB) { toggleShared(); return; }
+    const tab = tabs.find((t) => t.id === id);
+    if (!tab) return;
+    if (isDirty(tab) && !window.confirm(`${tabTitle(tab)} has unsaved changes. Close it anyway?`)) return;
+    const i    = tabs.indexOf(tab);
+    let rest   = tabs.filter((t) => t !== tab);
+    if (rest.length === 0) rest = [newTab()];
+    editors.current.delete(id);
+    changeHandlers.current.delete(id);
+    setTabs(rest);
+    if (activeTab === id || lastLocal.current === id) {
+      const next = rest[Math.min(i, rest.length - 1)].id;
+      lastLocal.current = next;
+      if (activeTab === id) setActiveTab(next);
+    }
+  };
+
+  const moveTab = (fromId, toId) => {
+    setTabs((prev) => {
+      const from = prev.findIndex((t) => t.id === fromId);
+      const to   = prev.findIndex((t) => t.id === toId);
+      if (from === -1 || to === -1) return prev;
+      const next = [...prev];
+      next.splice(to, 0, ...next.splice(from, 1));
+      return next;
+    });
+  };
+
+  // Autosave to browser storage shortly after edits, and on the way out
+  useEffect(() => {
+    const id = setTimeout(() => saveTabs(tabs, lastLocal.current, editors.current), 1000);
+    return () => clearTimeout(id);
+  }, [tabs, activeTab]);
+
+  useEffect(() => {
+    const flush = () => saveTabs(tabsRef.current, lastLocal.current, editors.current);
+    const onHide = () => { if (document.visibilityState === 'hidden') flush(); };
+    window.addEventListener('beforeunload', flush);
+    document.addEventListener('visibilitychange', onHide);
+    return () => {
+      window.removeEventListener('beforeunload', flush);
+      document.removeEventListener('visibilitychange', onHide);
+    };
+  }, []);
+
+  // Replace the active tab's contents as one undoable edit (syncs in shared mode)
+  const loadIntoEditor = (text) => {
+    const view = activeView();
+    if (view) view.dispatch({ changes: { from: 0, to: view.state.doc.length, insert: text } });
+  };
+
+  // ── Shared document ───────────────────────────────────────────────────────────
+  // Shared mode adds a tab showing the session's document held by the bridge;
+  // the local tabs are kept untouched.
+  const joinSharedDoc = () => {
+    const seed = (sharedView() ?? activeView())?.state.doc.toString() ?? '';
+    send('docJoin', { name: user.name || userName(), seed });
+  };
+
+  const toggleShared = () => {
+    const next = !sharedRef.current;
+    sharedRef.current = next;
+    setShared(next);
+    if (next) {
+      joinSharedDoc();
+      setActiveTab(SHARED_TAB);
+    } else {
+      send('docLeave');
+      setSharedDoc(null);
+      editors.current.delete(SHARED_TAB);
+      setActiveTab(lastLocal.current);
+    }
+  };
+
+  // ── Workspace files ───────────────────────────────────────────────────────────
+  const currentTab = tabs.find((t) => t.id === activeTab) ?? null; // null on the shared tab
+  const dirtyPaths = new Set(tabs.filter((t) => t.path && isDirty(t)).map((t) => t.path));
+
+  const refreshFiles = useCallback(async () => {
+    try {
+      setFiles(await listFiles());
+      setFilesError(null);
+    } catch (e) {
+      setFilesError(e.message);
+    }
+  }, []);
+
+  useEffect(() => { refreshFiles(); }, [refreshFiles]);
+
+  // Open a file in its own tab, or switch to the tab it's already open in
+  const openFile = async (p) => {
+    const open = tabs.find((t) => t.path === p);
+    if (open) { selectTab(open.id); return; }
+    try {
+      const text = await readFile(p);
+      addTab({ path: p, text, savedText: text });
+    } catch (e) {
+      append(`[open failed: ${e.message}]\n`);
+    }
+  };
+
+  // The shared tab has no file of its own — saving it writes a copy
+  const handleSave = useCallback(async () => {
+    const view = activeView();
+    if (!view || !canPerform) return;
+    const tab = tabsRef.current.find((t) => t.id === activeRef.current);
+    const p = tab?.path
+      || toScdPath(window.prompt(tab ? 'Save as (e.g. synths/pad.scd):' : 'Save a copy of the shared document as:') || '');
+    if (!p) return;
+    const text = view.state.doc.toString();
+    try {
+      await writeFile(p, text);
+      if (tab) updateTab(tab.id, { path: p, savedText: text });
+      append(`[saved ${p}]\n`);
+      refreshFiles();
+    } catch (e) {
+      append(`[save failed: ${e.message}]\n`);
+    }
+  }, [canPerform, refreshFiles, updateTab]);
+
+  const handleNewFile = async (dir) => {
+    const p = toScdPath(window.prompt('New file name:', dir) || '');
+    if (!p) return;
+    if (filePaths(files).includes(p)) { window.alert(`${p} already exists`); return; }
+    try {
+      await writeFile(p, '');
+      addTab({ path: p });
+      refreshFiles();
+    } catch (e) {
+      append(`[create failed: ${e.message}]\n`);
+    }
+  };
+
+  const handleRename = async (p) => {
+    const input = window.prompt('Rename to:', p);
+    if (!input || input === p) return;
+    const to = p.endsWith('.scd') ? toScdPath(input) : input.trim().replace(/^\/+|\/+$/g, '');
+    if (!to) return;
+    try {
+      await renameFile(p, to);
+      setTabs((prev) => prev.map((t) => {
+        if (t.path === p) return { ...t, path: to };
+        if (t.path?.startsWith(p + '/')) return { ...t, path: to + t.path.slice(p.length) };
+        return t;
+      }));
+      refreshFiles();
+    } catch (e) {
+      append(`[rename failed: ${e.message}]\n`);
+    }
+  };
+
+  const handleDelete = async (p) => {
+    if (!window.confirm(`Delete ${p}?`)) return;
+    try {
+      await deleteFile(p);
+      // Tabs on the deleted file stay open as untitled, unsaved buffers
+      setTabs((prev) => prev.map((t) => (t.path === p ? { ...t, path: null, savedText: null } : t)));
+      refreshFiles();
+    } catch (e) {
+      append(`[delete failed: ${e.message}]\n`);
+    }
+  };
+
+  // ── Snapshots ─────────────────────────────────────────────────────────────────
+  // Share saves the buffer as an immutable snapshot on the bridge and shows
+  // its /s/<id> link; a tab remembers the snapshot it came from, so sharing
+  // it again saves the next version of it.
+  const handleShare = async () => {
+    const view = activeView();
+    if (!view || !canPerform) return;
+    const tab = currentTab;
+    try {
+      const snap = await createSnapshot({
+        code: view.state.doc.toString(),
+        parent: tab?.snapshot ?? null,
+        title: tab?.path ? tabTitle(tab) : '',
+      });
+      if (tab) updateTab(tab.id, { snapshot: snap.id });
+      const url = snapshotUrl(snap.id);
+      let copied = true;
+      await navigator.clipboard.writeText(url).catch(() => { copied = false; });
+      append(`[shared v${snap.version}: ${url}]\n`);
+      setSnapshotView({ id: snap.id, notice: copied ? 'Shared — the link is copied to the clipboard.' : 'Shared.' });
+    } catch (e) {
+      append(`[share failed: ${e.message}]\n`);
+    }
+  };
+
+  const closeSnapshot = useCallback(() => {
+    setSnapshotView(null);
+    if (snapshotFromLocation()) window.history.replaceState(null, '', '/');
+  }, []);
+
+  // Loading into the current tab is one undoable edit, like opening an example
+  const replaceFromSnapshot = (snap) => {
+    loadIntoEditor(snap.code);
+    if (currentTab) updateTab(currentTab.id, { snapshot: snap.id });
+    closeSnapshot();
+  };
+
+  const openSnapshotTab = (snap) => {
+    addTab({ text: snap.code, savedText: snap.code, snapshot: snap.id });
+    closeSnapshot();
+  };
+
+  // Ctrl+S anywhere on the page, not only with the editor focused. Inside the
+  // editor the Mod-s binding has already saved and prevented the default.
+  const saveRef = useRef(handleSave);
+  saveRef.current = handleSave;
+  useEffect(() => {
+    const onKey = (e) => {
+      if (e.defaultPrevented) return;
+      if ((e.ctrlKey || e.metaKey) && e.key === 's') {
+        e.preventDefault();
+        saveRef.current();
+      }
+    };
+    window.addEventListener('keydown', onKey);
+    return () => window.removeEventListener('keydown', onKey);
+  }, []);
+
+
   // ── Eval ──────────────────────────────────────────────────────────────────────
   const handleEval = useCallback(() => {
-    const view = editorRef.current;
-    if (!view) return;
+    const view = activeView();
+    if (!view || !canPerform) return;
     const sel = view.state.selection.main;
-    let from, to, code;
+    let from, to, code, codeFrom;
     if (sel.empty) {
-      ({ from, to, code } = findBlockToEval(view.state.doc.toString(), sel.head));
+      ({ from, to, code, codeFrom } = findBlockToEval(view.state.doc.toString(), sel.head));
     } else {
-      from = sel.from; to = sel.to;
+      from = sel.from; to = sel.to; codeFrom = from;
       code = view.state.doc.sliceString(from, to);
     }
     if (!code.trim()) return;
-    send('eval', { code });
-    view.dispatch({ effects: flashEffect.of({ from, to }) });
-    setTimeout(() => view.dispatch({ effects: flashEffect.of(null) }), 300);
-  }, [send]);
+    const id = String(++evalSeq.current);
+    const path = tabsRef.current.find((t) => t.id === activeRef.current)?.path ?? null;
+    send('eval', { id, code, path });
+    view.dispatch({ effects: evalSent.of({ id, from, to, codeFrom, code }) });
+    flash(view, from, to);
+    if (sharedRef.current) send('docFlash', { from, to });
+  }, [send, canPerform]);
 
   const handleStop  = useCallback(() => send('stop'), [send]);
-  const handleClear = () => setOutput('');
+  const handleJoin  = (e) => send('join', { session: e.target.value });
+  const handleClear = () => postClear.current?.();
 
   // On mobile, tapping Eval switches to the Post tab so output is visible
   const handleMobileEval = useCallback(() => {
@@ -348,11 +813,55 @@ export default function App() {
     setMobileTab('post');
   }, [handleEval]);
 
-  const scExecKeymap = useMemo(() => keymap.of([
+  // Navigate the help iframe to `url` (if given) and bring it into view —
+  // used by the hover docs' "Open help" link, the search box and Ctrl+D.
+  const openHelp = useRef(null);
+  openHelp.current = (url) => {
+    if (url) {
+      try {
+        iframeRef.current.contentWindow.location.assign(url);
+      } catch (_) {
+        iframeRef.current.src = url;
+      }
+    }
+    if (mobile) setMobileTab('help');
+    else setShowHelp(true);
+  };
+
+  // Ctrl+D — help for the class or method under the cursor, as in SC-IDE
+  const handleLookup = useCallback(async () => {
+    const view = activeView();
+    if (!view) return;
+    const found = await lookUpAt(view.state, view.state.selection.main.head);
+    if (!found) return;
+    if (found.search) setHelpQuery(found.search);
+    openHelp.current(found.url);
+  }, []);
+
+  // Highest precedence so these win over basicSetup's Mod-Enter / Mod-d bindings
+  const scExecKeymap = useMemo(() => Prec.highest(keymap.of([
     { key: 'Ctrl-Enter', run: () => { handleEval(); return true; }, preventDefault: true },
     { key: 'Ctrl-e',     run: () => { handleEval(); return true; }, preventDefault: true },
     { key: 'Ctrl-.',     run: () => { handleStop(); return true; }, preventDefault: true },
-  ]), [handleEval, handleStop]);
+    { key: 'Mod-s',      run: () => { handleSave(); return true; }, preventDefault: true },
+    { key: 'Ctrl-d',     run: () => { handleLookup(); return true; }, preventDefault: true },
+  ])), [handleEval, handleStop, handleSave, handleLookup]);
+
+  const editorExtensions = useMemo(
+    () => [
+      supercollider, scCompletion, scDocs((url) => openHelp.current(url)),
+      scExecKeymap, flashField, flashTheme, evalResults,
+    ],
+    [scExecKeymap],
+  );
+  const collabExtensions = useMemo(
+    () => (sharedDoc ? sharedDocument(sharedDoc.version, send) : []),
+    [sharedDoc, send],
+  );
+  const sharedExtensions = useMemo(
+    () => [...editorExtensions, collabExtensions],
+    [editorExtensions, collabExtensions],
+  );
 
   // ── Help iframe injection ─────────────────────────────────────────────────────
   // We need to inject click handlers whenever the iframe's document is accessible.
@@ -363,7 +872,7 @@ export default function App() {
   // value without needing to be re-attached when it changes.
   const onHelpCodeClick = useRef(null);
   onHelpCodeClick.current = (code) => {
-    setCode(code);
+    loadIntoEditor(code);
     if (mobile) setMobileTab('editor');
   };
 
@@ -400,8 +909,67 @@ export default function App() {
 
   // ── Derived visibility ────────────────────────────────────────────────────────
   const editorVisible = !mobile || mobileTab === 'editor';
+  const filesVisible  = mobile ? mobileTab === 'files' : showFiles;
   const postVisible   = mobile ? mobileTab === 'post' : showPost;
   const helpVisible   = mobile ? mobileTab === 'help' : showHelp;
+  const monitorVisible = mobile ? mobileTab === 'monitor' : showMonitor;
+  const nodesVisible   = mobile ? mobileTab === 'nodes' : showNodes;
+  const samplesVisible = mobile ? mobileTab === 'samples' : showSamples;
+  const proxiesVisible = mobile ? mobileTab === 'proxies' : showProxies;
+  const controlsVisible = mobile ? mobileTab === 'controls' : showControls;
+  const oscVisible     = mobile ? mobileTab === 'osc' : showOsc;
+
+  // The bridge only streams meter and scope data while the panel is open.
+  // Subscriptions are per session, so renew it on every (re)join.
+  useEffect(() => {
+    if (session) send('monitor', { on: monitorVisible });
+  }, [monitorVisible, session, send]);
+
+  useEffect(() => {
+    if (session) send('nodeTree', { on: nodesVisible });
+    if (!nodesVisible) setNodeTree(null);
+  }, [nodesVisible, session, send]);
+
+  const handleNodeAction = useCallback((action, id, extra = {}) => {
+    send('nodeAction', { action, id, ...extra });
+  }, [send]);
+
+  useEffect(() => {
+    if (session) send('buffers', { on: samplesVisible });
+    if (!samplesVisible) setBuffers(null);
+  }, [samplesVisible, session, send]);
+
+  const handleLoadSample = useCallback((name, variable) => {
+    send('loadSample', { name, variable });
+  }, [send]);
+
+  useEffect(() => {
+    if (session) send('proxies', { on: proxiesVisible });
+    if (!proxiesVisible) setProxies(null);
+  }, [proxiesVisible, session, send]);
+
+  const handleProxyAction = useCallback((space, name, action, extra = {}) => {
+    send('proxyAction', { space, name, action, ...extra });
+  }, [send]);
+
+  useEffect(() => {
+    if (session) send('osc', { on: oscVisible });
+  }, [oscVisible, session, send]);
+
+  const handleOscSend = useCallback((address, args) => {
+    send('oscSend', { address, args });
+  }, [send]);
+
+  // Code that declares the first control expects to see it
+  const hadControls = useRef(false);
+  useEffect(() => {
+    if (controls.length && !hadControls.current && !mobile) setShowControls(true);
+    hadControls.current = controls.length > 0;
+  }, [controls, mobile]);
+
+  const handleControlSet = useCallback((key, value) => {
+    send('controlSet', { key, value });
+  }, [send]);
 
   useEffect(() => {
     if (helpVisible) injectHelpHandlers();
@@ -413,15 +981,15 @@ export default function App() {
       {/* ── Toolbar ── */}
       <div style={S.toolbar}>
         <span style={S.title}>SC Web</span>
-        <span style={S.dot(connected)}>
-          {connected ? '● connected' : '○ disconnected'}
-        </span>
+        <Lifecycle status={lifecycle} isAdmin={isAdmin} send={send} onSettings={() => setShowSettings(true)} />
+        <Busy busy={busy} canInterrupt={canPerform} send={send} />
+        <ServerStatus status={serverStatus} />
 
-        {/* Eval / Stop — desktop only; mobile uses the bottom bar */}
-        {!mobile && <>
+        {/* Eval / Stop — desktop performers only; mobile uses the bottom bar */}
+        {!mobile && canPerform && <>
           <button
-            style={S.btn('#4ecca3', !connected)}
-            disabled={!connected}
+            style={S.btn('#4ecca3', !canEval)}
+            disabled={!canEval}
             onClick={handleEval}
             title="Ctrl+Enter — eval current block or selection"
           >Eval</button>
@@ -434,51 +1002,235 @@ export default function App() {
         </>}
 
         <button style={S.btn('#888', false)} onClick={handleClear}>Clear post</button>
+        {canPerform && (
+          <button style={S.btn('#888', false)} onClick={handleShare} title="Save this buffer as a snapshot and copy a link to it">
+            Share
+          </button>
+        )}
+        {currentTab?.snapshot && (
+          <button
+            style={S.btn('#888', false)}
+            onClick={() => setSnapshotView({ id: currentTab.snapshot })}
+            title="Versions of the snapshot this tab was loaded from or shared as"
+          >History</button>
+        )}
+
+        {/* Session picker — join someone else's session or start a fresh one */}
+        {(session || sessions.length > 0) && (
+          <select style={S.select} value={session?.id ?? ''} onChange={handleJoin} title="sclang/scsynth session">
+            {!session && <option value="" disabled>Pick a session…</option>}
+            {sessions.map((s) => (
+              <option key={s.id} value={s.id}>
+                Session {s.id} · {s.clients} {s.clients === 1 ? 'user' : 'users'}{s.state && s.state !== 'ready' ? ` · ${s.state}` : ''}
+              </option>
+            ))}
+            {canPerform && <option value="new">New session…</option>}
+          </select>
+        )}
 
-        {/* Post / Help toggles — desktop only */}
+        {/* Files / Post / Help / Controls / Proxies / Samples / Nodes / OSC / Scope toggles — desktop only */}
         {!mobile && <>
+          <button style={S.btnToggle(showFiles)} onClick={() => setShowFiles(v => !v)}>Files</button>
           <button style={S.btnToggle(showPost)} onClick={() => setShowPost(v => !v)}>Post</button>
           <button style={S.btnToggle(showHelp)} onClick={() => setShowHelp(v => !v)}>Help</button>
+          <button
+            style={S.btnToggle(showControls)}
+            onClick={() => setShowControls(v => !v)}
+            title="Sliders, knobs and buttons declared with WebControl"
+          >Controls</button>
+          <button
+            style={S.btnToggle(showProxies)}
+            onClick={() => setShowProxies(v => !v)}
+            title="Ndef / ProxySpace mixer"
+          >Proxies</button>
+          <button
+            style={S.btnToggle(showSamples)}
+            onClick={() => setShowSamples(v => !v)}
+            title="Upload samples, load them into buffers, see what's allocated"
+          >Samples</button>
+          <button style={S.btnToggle(showNodes)} onClick={() => setShowNodes(v => !v)} title="scsynth node tree">
+            Nodes
+          </button>
+          <button
+            style={S.btnToggle(showOsc)}
+            onClick={() => setShowOsc(v => !v)}
+            title="OSC in and out of sclang, from TouchOSC and other machines"
+          >OSC</button>
+          <button
+            style={S.btnToggle(showMonitor)}
+            onClick={() => setShowMonitor(v => !v)}
+            title="Output levels, oscilloscope and spectrum, straight from scsynth"
+          >Scope</button>
         </>}
 
+        <button
+          style={S.btnToggle(shared)}
+          onClick={toggleShared}
+          title="Edit this session's shared document together with everyone else in it"
+        >Shared</button>
+
+        <Recorder
+          recording={recording?.recording ?? null}
+          maxChannels={recording?.maxChannels}
+          canRecord={canPerform}
+          connected={connected}
+          send={send}
+        />
+        {canPerform && <Midi send={send} sinkRef={midiSink} session={session} />}
+        <LiveAudio send={send} sinkRef={liveSink} session={session} streamRef={audioRef} />
         <audio
           ref={audioRef}
           controls
-          src="/stream"
+          src={session?.stream}
           style={S.audio}
-          title="Live stream from scsynth"
+          title="Live stream from this session's scsynth"
         />
+        <StreamChannels settings={serverOptions} canChange={canPerform} send={send} />
+
+        {/* Anonymous (no auth configured) users have no name and nothing to log out of */}
+        {user.name && <>
+          <span style={S.user} title={`Logged in as ${user.role}`}>{user.name} · {user.role}</span>
+          <button style={S.btn('#888', false)} onClick={onLogout}>Log out</button>
+        </>}
       </div>
 
       {/* ── Body ── */}
       <div style={S.body}>
 
+        {/* Workspace file tree */}
+        <FileTree
+          style={{ ...(mobile ? S.mobilePanel : S.filesPanel), display: filesVisible ? 'flex' : 'none' }}
+          files={files}
+          error={filesError}
+          activePath={currentTab?.path}
+          dirtyPaths={dirtyPaths}
+          canEdit={canPerform}
+          onOpen={(p) => { openFile(p); if (mobile) setMobileTab('editor'); }}
+          onNew={handleNewFile}
+          onRename={handleRename}
+          onDelete={handleDelete}
+          onRefresh={refreshFiles}
+        />
+
         {/* Editor */}
         <div style={{ ...S.editor, display: editorVisible ? 'flex' : 'none', flexDirection: 'column' }}>
-          <CodeMirror
-            value={code}
-            theme={oneDark}
-            height="100%"
-            style={{ height: '100%' }}
-            extensions={[supercollider, scExecKeymap, flashField, flashTheme]}
-            onCreateEditor={(view) => { editorRef.current = view; }}
-            onChange={setCode}
+          <TabBar
+            tabs={[
+              ...tabs.map((t) => ({
+                id: t.id, title: tabTitle(t), tooltip: t.path || 'Not saved to the workspace', dirty: isDirty(t),
+              })),
+              ...(shared ? [{ id: SHARED_TAB, title: `⇄ session ${session?.id ?? ''}`, tooltip: 'Shared document', fixed: true }] : []),
+            ]}
+            active={activeTab}
+            onSelect={selectTab}
+            onClose={closeTab}
+            onMove={moveTab}
+            onNew={() => addTab()}
           />
+          {tabs.map((t) => (
+            <div key={t.id} style={{ ...S.editorPane, display: t.id === activeTab ? 'block' : 'none' }}>
+              <CodeMirror
+                value={t.text}
+                initialState={t.state ? { json: t.state, fields: stateFields } : undefined}
+                theme={oneDark}
+                height="100%"
+                style={{ height: '100%' }}
+                extensions={editorExtensions}
+                readOnly={!canPerform}
+                onCreateEditor={(view) => { editors.current.set(t.id, view); }}
+                onChange={onTabChange(t.id)}
+              />
+            </div>
+          ))}
+          {sharedDoc && (
+            <div style={{ ...S.editorPane, display: activeTab === SHARED_TAB ? 'block' : 'none' }}>
+              <CodeMirror
+                key={`shared-${sharedDoc.key}`}
+                value={sharedDoc.text}
+                theme={oneDark}
+                height="100%"
+                style={{ height: '100%' }}
+                extensions={sharedExtensions}
+                readOnly={!canPerform}
+                onCreateEditor={(view) => { editors.current.set(SHARED_TAB, view); }}
+              />
+            </div>
+          )}
         </div>
 
         {/* Post panel */}
-        <div style={{
-          ...(mobile ? S.mobilePanel : S.postPanel),
-          display: postVisible ? 'flex' : 'none',
-        }}>
-          <div ref={postRef} style={S.post}>{output}</div>
-        </div>
+        <Post
+          style={{ ...(mobile ? S.mobilePanel : S.postPanel), display: postVisible ? 'flex' : 'none' }}
+          sinkRef={postSink}
+          clearRef={postClear}
+        />
+
+        {/* WebControls — always mounted so values set from code are kept */}
+        <Controls
+          style={{ ...(mobile ? S.mobilePanel : S.sidePanel), display: controlsVisible ? 'flex' : 'none' }}
+          controls={controls}
+          sinkRef={controlsSink}
+          canEdit={canPerform && connected}
+          onSet={handleControlSet}
+        />
+
+        {/* Ndef / ProxySpace mixer */}
+        {proxiesVisible && (
+          <Proxies
+            style={mobile ? S.mobilePanel : S.sidePanel}
+            proxies={proxies}
+            canEdit={canPerform && connected}
+            onAction={handleProxyAction}
+          />
+        )}
+
+        {/* Samples and buffers */}
+        {samplesVisible && (
+          <Samples
+            style={mobile ? S.mobilePanel : S.sidePanel}
+            buffers={buffers}
+            canEdit={canPerform}
+            connected={connected}
+            onLoad={handleLoadSample}
+          />
+        )}
+
+        {/* Node tree */}
+        {nodesVisible && (
+          <NodeTree
+            style={mobile ? S.mobilePanel : S.sidePanel}
+            root={nodeTree}
+            canEdit={canPerform}
+            onAction={handleNodeAction}
+          />
+        )}
+
+        {/* OSC gateway traffic */}
+        {oscVisible && (
+          <Osc
+            style={mobile ? S.mobilePanel : S.sidePanel}
+            port={session?.oscPort}
+            sinkRef={oscSink}
+            canSend={canPerform && connected}
+            onSend={handleOscSend}
+          />
+        )}
+
+        {/* Meters / scope / spectrum */}
+        {monitorVisible && (
+          <Monitor
+            style={mobile ? S.mobilePanel : S.sidePanel}
+            sinkRef={monitorSink}
+            running={serverStatus?.running}
+          />
+        )}
 
         {/* Help panel */}
         <div style={{
           ...(mobile ? S.mobilePanel : S.helpPanel),
           display: helpVisible ? 'flex' : 'none',
         }}>
+          <HelpSearch query={helpQuery} onQueryChange={setHelpQuery} onOpen={(url) => openHelp.current(url)} />
           <iframe
             ref={iframeRef}
             src="/help/"
@@ -493,6 +1245,9 @@ export default function App() {
       {/* ── Mobile bottom bar ── */}
       {mobile && (
         <div style={S.mobileBar}>
+          <button style={S.mobileNavBtn(mobileTab === 'files')} onClick={() => setMobileTab('files')}>
+            Files
+          </button>
           <button style={S.mobileNavBtn(mobileTab === 'editor')} onClick={() => setMobileTab('editor')}>
             Editor
           </button>
@@ -502,22 +1257,63 @@ export default function App() {
           <button style={S.mobileNavBtn(mobileTab === 'help')} onClick={() => setMobileTab('help')}>
             Help
           </button>
-          <button
-            style={S.mobileEval}
-            disabled={!connected}
-            onClick={handleMobileEval}
-          >
-            Eval ▶
+          <button style={S.mobileNavBtn(mobileTab === 'controls')} onClick={() => setMobileTab('controls')}>
+            Controls
           </button>
-          <button
-            style={S.mobileStop(!connected)}
-            disabled={!connected}
-            onClick={handleStop}
-          >
-            ■ Stop
+          <button style={S.mobileNavBtn(mobileTab === 'proxies')} onClick={() => setMobileTab('proxies')}>
+            Proxies
+          </button>
+          <button style={S.mobileNavBtn(mobileTab === 'samples')} onClick={() => setMobileTab('samples')}>
+            Samples
+          </button>
+          <button style={S.mobileNavBtn(mobileTab === 'nodes')} onClick={() => setMobileTab('nodes')}>
+            Nodes
           </button>
+          <button style={S.mobileNavBtn(mobileTab === 'osc')} onClick={() => setMobileTab('osc')}>
+            OSC
+          </button>
+          <button style={S.mobileNavBtn(mobileTab === 'monitor')} onClick={() => setMobileTab('monitor')}>
+            Scope
+          </button>
+          {canPerform && <>
+            <button
+              style={S.mobileEval}
+              disabled={!canEval}
+              onClick={handleMobileEval}
+            >
+              Eval ▶
+            </button>
+            <button
+              style={S.mobileStop(!connected)}
+              disabled={!connected}
+              onClick={handleStop}
+            >
+              ■ Stop
+            </button>
+          </>}
         </div>
       )}
+
+      {snapshotView && (
+        <Snapshot
+          id={snapshotView.id}
+          notice={snapshotView.notice}
+          current={currentTab ? currentTab.text : sharedView()?.state.doc.toString() ?? ''}
+          mine={currentTab?.snapshot}
+          onReplace={replaceFromSnapshot}
+          onOpenTab={openSnapshotTab}
+          onClose={closeSnapshot}
+        />
+      )}
+
+      {showSettings && serverOptions && (
+        <ServerSettings
+          settings={serverOptions}
+          serverReady={lifecycle?.state === 'ready'}
+          send={send}
+          onClose={() => setShowSettings(false)}
+        />
+      )}
     </div>
   );
 }
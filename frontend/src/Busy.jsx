@@ -0,0 +1,63 @@
+import { useState, useEffect } from 'react';
+
+// ── Styles ────────────────────────────────────────────────────────────────────
+const S = {
+  wrap: { display: 'flex', alignItems: 'center', gap: 6 },
+  label: {
+    color: '#e9a645', fontSize: 12, whiteSpace: 'nowrap',
+    maxWidth: 260, overflow: 'hidden', textOverflow: 'ellipsis',
+  },
+  btn: (disabled) => ({
+    background: 'transparent',
+    border: '1px solid #e94560',
+    color: '#e94560',
+    padding: '3px 8px',
+    borderRadius: 3,
+    cursor: disabled ? 'not-allowed' : 'pointer',
+    opacity: disabled ? 0.5 : 1,
+    fontSize: 12,
+    fontFamily: 'inherit',
+  }),
+};
+
+// ── Component ─────────────────────────────────────────────────────────────────
+// Shown while the bridge reports sclang as busy — an eval running past its
+// slow threshold, or an interpreter that stopped answering pings — with how
+// long for, whose eval it is, and for performers an Interrupt button.
+// Interrupt runs CmdPeriod; the bridge kills and restarts sclang if that
+// doesn't bring it back. The time counts on from the bridge's `elapsed` at
+// `receivedAt`, so a browser clock that's off doesn't skew it.
+export default function Busy({ busy, canInterrupt, send }) {
+  const [now, setNow] = useState(Date.now);
+
+  useEffect(() => {
+    if (!busy) return;
+    setNow(Date.now());
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [busy]);
+
+  if (!busy) return null;
+
+  const seconds = Math.max(0, Math.round((busy.elapsed + now - busy.receivedAt) / 1000));
+  const what = busy.by ? `${busy.by}'s eval` : 'not answering';
+  const title = busy.code
+    ? `Eval by ${busy.by}:\n${busy.code}`
+    : 'sclang has stopped answering — a routine or scheduled function may be looping';
+
+  return (
+    <span style={S.wrap}>
+      <span style={S.label} title={title}>
+        ⏳ {busy.interrupting ? 'interrupting…' : 'still running…'} {seconds}s · {what}
+      </span>
+      {canInterrupt && (
+        <button
+          style={S.btn(busy.interrupting)}
+          disabled={busy.interrupting}
+          onClick={() => send('interrupt')}
+          title="CmdPeriod, then kill and restart sclang if it still doesn't answer"
+        >Interrupt</button>
+      )}
+    </span>
+  );
+}
@@ -0,0 +1,254 @@
+import { useState, useEffect, useRef } from 'react';
+import { mapValue, unmapValue, quantize, formatValue, throttle } from './spec.js';
+
+// Changes are sent at most this often while dragging
+const SEND_INTERVAL_MS = 50;
+
+// Pixels of vertical drag for a knob's full range
+const KNOB_DRAG_RANGE = 150;
+
+// [min, max, warp, step, units] from WebControl.describe; infinite bounds
+// arrive as null.
+const fromUnit = (t, [min, max, warp, step]) => quantize(mapValue(t, min, max, warp), step);
+const toUnit = (v, [min, max, warp]) => unmapValue(v, min, max, warp);
+const bounded = ([min, max]) => min !== null && max !== null;
+
+const withUnits = (v, spec) => `${formatValue(v)}${spec[4] ? ` ${spec[4]}` : ''}`;
+
+// ── Styles ────────────────────────────────────────────────────────────────────
+const S = {
+  panel: {
+    display: 'flex', flexDirection: 'column',
+    background: '#0b0b18',
+    minHeight: 0,
+    fontSize: 12,
+  },
+  header: {
+    display: 'flex', alignItems: 'center', gap: 6,
+    padding: '6px 8px',
+    borderBottom: '1px solid #2a2a4a',
+    color: '#888',
+    flexShrink: 0,
+  },
+  headerTitle: { flex: 1, letterSpacing: '0.05em' },
+  grid: {
+    flex: 1, overflowY: 'auto', minHeight: 0,
+    display: 'flex', flexWrap: 'wrap', alignContent: 'flex-start', gap: 8,
+    padding: 8,
+  },
+  cell: (wide) => ({
+    display: 'flex', flexDirection: 'column', alignItems: 'center', gap: 4,
+    width: wide ? '100%' : 80,
+    padding: 6,
+    background: '#10101f', border: '1px solid #1d1d35', borderRadius: 4,
+  }),
+  label: { color: '#888', fontFamily: 'monospace', maxWidth: '100%', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' },
+  value: { color: '#eee', fontFamily: 'monospace', fontVariantNumeric: 'tabular-nums' },
+  slider: { width: '100%', accentColor: '#4ecca3' },
+  knob: (disabled) => ({ width: 48, height: 48, cursor: disabled ? 'default' : 'ns-resize', touchAction: 'none' }),
+  pad: (disabled) => ({
+    width: 160, height: 160, background: '#090914', border: '1px solid #2a2a4a',
+    cursor: disabled ? 'default' : 'crosshair', touchAction: 'none',
+  }),
+  button: (on, disabled) => ({
+    minWidth: 60, padding: '4px 8px',
+    background: on ? '#4ecca3' : 'transparent',
+    border: '1px solid #4ecca3', borderRadius: 3,
+    color: on ? '#0b0b18' : '#4ecca3',
+    fontFamily: 'inherit', fontSize: 12,
+    cursor: disabled ? 'not-allowed' : 'pointer', opacity: disabled ? 0.5 : 1,
+  }),
+  number: {
+    width: 70, background: '#090914', border: '1px solid #2a2a4a', color: '#eee',
+    fontFamily: 'monospace', fontSize: 12, padding: '1px 4px', textAlign: 'right',
+  },
+  empty: { padding: '8px 10px', color: '#555', lineHeight: 1.6 },
+};
+
+// ── Widgets ───────────────────────────────────────────────────────────────────
+// Each gets the control, its current value and `set(value)`.
+
+function Slider({ control, value, disabled, set }) {
+  const spec = control.specs[0];
+  return (
+    <>
+      <input
+        type="range"
+        style={S.slider}
+        min={0} max={1} step={0.001}
+        disabled={disabled || !bounded(spec)}
+        value={toUnit(value, spec)}
+        onChange={(e) => set(fromUnit(Number(e.target.value), spec))}
+      />
+      <span style={S.value}>{withUnits(value, spec)}</span>
+    </>
+  );
+}
+
+// Drag up/down to turn; the arc runs from 7 to 5 o'clock.
+function Knob({ control, value, disabled, set }) {
+  const spec = control.specs[0];
+  const drag = useRef(null);
+  const t = toUnit(value, spec);
+  // 0…1 → 225° … -45°, counting anticlockwise from 3 o'clock
+  const angle = (a) => (225 - a * 270) * Math.PI / 180;
+  const point = (a, r) => `${24 + r * Math.cos(angle(a))} ${24 - r * Math.sin(angle(a))}`;
+  const arc = (from, to) => `M ${point(from, 18)} A 18 18 0 ${to - from > 2 / 3 ? 1 : 0} 1 ${point(to, 18)}`;
+  return (
+    <>
+      <svg
+        style={S.knob(disabled)}
+        viewBox="0 0 48 48"
+        onPointerDown={(e) => {
+          if (disabled) return;
+          e.currentTarget.setPointerCapture(e.pointerId);
+          drag.current = { y: e.clientY, t };
+        }}
+        onPointerMove={(e) => {
+          if (!drag.current) return;
+          const next = Math.min(1, Math.max(0, drag.current.t + (drag.current.y - e.clientY) / KNOB_DRAG_RANGE));
+          set(fromUnit(next, spec));
+        }}
+        onPointerUp={() => { drag.current = null; }}
+      >
+        <path d={arc(0, 1)} fill="none" stroke="#2a2a4a" strokeWidth="4" strokeLinecap="round" />
+        {t > 0.001 && <path d={arc(0, t)} fill="none" stroke="#4ecca3" strokeWidth="4" strokeLinecap="round" />}
+        <line x1="24" y1="24" x2={24 + 12 * Math.cos(angle(t))} y2={24 - 12 * Math.sin(angle(t))}
+          stroke="#eee" strokeWidth="2" strokeLinecap="round" />
+      </svg>
+      <span style={S.value}>{withUnits(value, spec)}</span>
+    </>
+  );
+}
+
+function Button({ control, value, disabled, set }) {
+  const states = control.states || ['Off', 'On'];
+  return (
+    <button
+      style={S.button(value > 0, disabled)}
+      disabled={disabled}
+      onClick={() => set((value + 1) % states.length)}
+    >{states[value] ?? value}</button>
+  );
+}
+
+function XYPad({ control, value, disabled, set }) {
+  const [specX, specY] = control.specs;
+  const [x, y] = [toUnit(value[0], specX), toUnit(value[1], specY)];
+  const move = (e) => {
+    const r = e.currentTarget.getBoundingClientRect();
+    const tx = Math.min(1, Math.max(0, (e.clientX - r.left) / r.width));
+    const ty = Math.min(1, Math.max(0, 1 - (e.clientY - r.top) / r.height));
+    set([fromUnit(tx, specX), fromUnit(ty, specY)]);
+  };
+  return (
+    <>
+      <svg
+        style={S.pad(disabled)}
+        viewBox="0 0 100 100"
+        preserveAspectRatio="none"
+        onPointerDown={(e) => {
+          if (disabled) return;
+          e.currentTarget.setPointerCapture(e.pointerId);
+          move(e);
+        }}
+        onPointerMove={(e) => { if (e.currentTarget.hasPointerCapture(e.pointerId)) move(e); }}
+      >
+        <line x1={x * 100} y1="0" x2={x * 100} y2="100" stroke="#2a2a4a" strokeWidth="0.5" />
+        <line x1="0" y1={100 - y * 100} x2="100" y2={100 - y * 100} stroke="#2a2a4a" strokeWidth="0.5" />
+        <circle cx={x * 100} cy={100 - y * 100} r="4" fill="#4ecca3" />
+      </svg>
+      <span style={S.value}>{withUnits(value[0], specX)}, {withUnits(value[1], specY)}</span>
+    </>
+  );
+}
+
+function NumberBox({ control, value, disabled, set }) {
+  const [text, setText] = useState(null);
+  const [min, max, , step] = control.specs[0];
+  const commit = () => {
+    const n = Number(text);
+    if (text !== null && text.trim() !== '' && Number.isFinite(n)) {
+      set(quantize(Math.min(max ?? Infinity, Math.max(min ?? -Infinity, n)), step));
+    }
+    setText(null);
+  };
+  return (
+    <input
+      style={S.number}
+      disabled={disabled}
+      value={text ?? formatValue(value)}
+      onChange={(e) => setText(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => {
+        if (e.key === 'Enter') commit();
+        if (e.key === 'Escape') setText(null);
+        // Arrow keys step like a number box; shift for ten steps
+        if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+          e.preventDefault();
+          const delta = (step || 1) * (e.shiftKey ? 10 : 1) * (e.key === 'ArrowUp' ? 1 : -1);
+          set(quantize(Math.min(max ?? Infinity, Math.max(min ?? -Infinity, value + delta)), step));
+          setText(null);
+        }
+      }}
+    />
+  );
+}
+
+const WIDGETS = { slider: Slider, knob: Knob, button: Button, xy: XYPad, number: NumberBox };
+
+// ── Component ─────────────────────────────────────────────────────────────────
+// Controls declared from sclang with WebControl. `controls` is the bridge's
+// list (declarations with their values at the time); value changes made from
+// code arrive through `sinkRef` as controlValue messages, so dragging doesn't
+// re-render the rest of the app. `onSet(key, value)` runs the control's
+// action in sclang.
+export default function Controls({ style, controls, sinkRef, canEdit, onSet }) {
+  const [values, setValues] = useState(() => new Map());
+  const senders = useRef(new Map()); // key → throttle
+
+  useEffect(() => {
+    setValues(new Map(controls.map((c) => [c.key, c.value])));
+  }, [controls]);
+
+  useEffect(() => {
+    sinkRef.current = (msg) => setValues((prev) => new Map(prev).set(msg.key, msg.value));
+    return () => { sinkRef.current = null; };
+  }, [sinkRef]);
+
+  useEffect(() => () => { for (const t of senders.current.values()) t.cancel(); }, []);
+
+  const set = (key, value) => {
+    setValues((prev) => new Map(prev).set(key, value));
+    if (!senders.current.has(key)) senders.current.set(key, throttle(SEND_INTERVAL_MS));
+    senders.current.get(key)(() => onSet(key, value));
+  };
+
+  return (
+    <div style={{ ...S.panel, ...style }}>
+      <div style={S.header}>
+        <span style={S.headerTitle}>CONTROLS</span>
+        {controls.length > 0 && <span>{controls.length}</span>}
+      </div>
+      <div style={S.grid}>
+        {controls.length === 0 && (
+          <div style={S.empty}>
+            No controls yet. sclang can't open GUI windows here; declare controls with
+            e.g. <code>WebControl.slider(\freq, \freq, 440, {'{ |v| x.set(\\freq, v) }'})</code> —
+            also <code>.knob</code>, <code>.button</code>, <code>.xy</code> and <code>.number</code>.
+          </div>
+        )}
+        {controls.map((c) => {
+          const Widget = WIDGETS[c.kind];
+          if (!Widget) return null;
+          return (
+            <div key={c.key} style={S.cell(c.kind === 'slider' || c.kind === 'xy')}>
+              <span style={S.label} title={c.label}>{c.label}</span>
+              <Widget control={c} value={values.get(c.key) ?? c.value} disabled={!canEdit} set={(v) => set(c.key, v)} />
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
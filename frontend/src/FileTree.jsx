@@ -0,0 +1,105 @@
+import { useState } from 'react';
+
+// ── Styles ────────────────────────────────────────────────────────────────────
+const S = {
+  panel: {
+    display: 'flex', flexDirection: 'column',
+    background: '#0b0b18',
+    minHeight: 0,
+    fontSize: 12,
+  },
+  header: {
+    display: 'flex', alignItems: 'center', gap: 6,
+    padding: '6px 8px',
+    borderBottom: '1px solid #2a2a4a',
+    color: '#888',
+    flexShrink: 0,
+  },
+  headerTitle: { flex: 1, letterSpacing: '0.05em' },
+  iconBtn: {
+    background: 'transparent', border: 'none',
+    color: '#888', cursor: 'pointer',
+    fontSize: 12, fontFamily: 'inherit', padding: '0 3px',
+  },
+  list: { flex: 1, overflowY: 'auto', padding: '4px 0' },
+  row: (active, depth) => ({
+    display: 'flex', alignItems: 'center', gap: 4,
+    padding: `2px 8px 2px ${8 + depth * 12}px`,
+    cursor: 'pointer',
+    color: active ? '#4ecca3' : '#b0b8d0',
+    background: active ? 'rgba(78,204,163,0.08)' : 'transparent',
+    whiteSpace: 'nowrap',
+  }),
+  name: { flex: 1, overflow: 'hidden', textOverflow: 'ellipsis' },
+  dirty: { color: '#e9a645' },
+  actions: { display: 'flex', opacity: 0.6 },
+  empty: { padding: '8px 10px', color: '#555' },
+  error: { padding: '4px 10px', color: '#e94560' },
+};
+
+// ── Tree rows ─────────────────────────────────────────────────────────────────
+function Entries({ entries, depth, props, collapsed, toggle }) {
+  return entries.map((e) => {
+    if (e.type === 'dir') {
+      const open = !collapsed.has(e.path);
+      return (
+        <div key={e.path}>
+          <div style={S.row(false, depth)} onClick={() => toggle(e.path)}>
+            <span>{open ? '▾' : '▸'}</span>
+            <span style={S.name}>{e.name}/</span>
+            {props.canEdit && (
+              <span style={S.actions} onClick={(ev) => ev.stopPropagation()}>
+                <button style={S.iconBtn} title="New file here" onClick={() => props.onNew(e.path + '/')}>+</button>
+                <button style={S.iconBtn} title="Rename" onClick={() => props.onRename(e.path)}>✎</button>
+                <button style={S.iconBtn} title="Delete (must be empty)" onClick={() => props.onDelete(e.path)}>✕</button>
+              </span>
+            )}
+          </div>
+          {open && <Entries entries={e.children} depth={depth + 1} props={props} collapsed={collapsed} toggle={toggle} />}
+        </div>
+      );
+    }
+    const active = e.path === props.activePath;
+    return (
+      <div key={e.path} style={S.row(active, depth)} onClick={() => props.onOpen(e.path)} title={e.path}>
+        <span style={S.name}>{e.name}</span>
+        {props.dirtyPaths.has(e.path) && <span style={S.dirty} title="Unsaved changes">●</span>}
+        {props.canEdit && (
+          <span style={S.actions} onClick={(ev) => ev.stopPropagation()}>
+            <button style={S.iconBtn} title="Rename" onClick={() => props.onRename(e.path)}>✎</button>
+            <button style={S.iconBtn} title="Delete" onClick={() => props.onDelete(e.path)}>✕</button>
+          </span>
+        )}
+      </div>
+    );
+  });
+}
+
+// ── Component ─────────────────────────────────────────────────────────────────
+// Workspace file browser. Owns only the expand/collapse state; files and all
+// actions come from the parent.
+export default function FileTree({ style, files, error, ...props }) {
+  const [collapsed, setCollapsed] = useState(() => new Set());
+
+  const toggle = (p) => setCollapsed((prev) => {
+    const next = new Set(prev);
+    if (next.has(p)) next.delete(p); else next.add(p);
+    return next;
+  });
+
+  return (
+    <div style={{ ...S.panel, ...style }}>
+      <div style={S.header}>
+        <span style={S.headerTitle}>WORKSPACE</span>
+        {props.canEdit && <button style={S.iconBtn} title="New file" onClick={() => props.onNew('')}>+ new</button>}
+        <button style={S.iconBtn} title="Refresh" onClick={props.onRefresh}>⟳</button>
+      </div>
+      {error && <div style={S.error}>{error}</div>}
+      <div style={S.list}>
+        {files.length === 0
+          ? <div style={S.empty}>No .scd files yet — Ctrl+S saves the editor here.</div>
+          : <Entries entries={files} depth={0} props={props} collapsed={collapsed} toggle={toggle} />}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,115 @@
+import { useState, useEffect, useRef } from 'react';
+
+// ── Styles ────────────────────────────────────────────────────────────────────
+const S = {
+  wrap: { position: 'relative', flexShrink: 0, background: '#16213e', borderBottom: '1px solid #2a2a4a' },
+  input: {
+    width: '100%', boxSizing: 'border-box',
+    background: '#090914',
+    border: 'none',
+    color: '#eee',
+    padding: '6px 10px',
+    fontSize: 12,
+    fontFamily: 'inherit',
+    outline: 'none',
+  },
+  list: {
+    position: 'absolute', top: '100%', left: 0, right: 0, zIndex: 10,
+    maxHeight: 360, overflowY: 'auto',
+    background: '#0b0b18',
+    border: '1px solid #2a2a4a',
+    boxShadow: '0 6px 16px rgba(0,0,0,0.5)',
+    fontSize: 12,
+  },
+  item: (selected) => ({
+    padding: '5px 10px',
+    cursor: 'pointer',
+    background: selected ? 'rgba(78,204,163,0.12)' : 'transparent',
+    borderBottom: '1px solid #16162a',
+  }),
+  title: { color: '#4ecca3' },
+  kind:  { color: '#666', marginLeft: 8, fontSize: 11 },
+  summary: { color: '#999', marginTop: 2, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' },
+  empty: { padding: '6px 10px', color: '#666' },
+};
+
+// ── Component ─────────────────────────────────────────────────────────────────
+// Search box above the help iframe. `query` is controlled by the parent so
+// Ctrl+D in the editor can fill it in; results come from the bridge's
+// /helpsearch index and `onOpen(url)` shows the chosen page.
+export default function HelpSearch({ query, onQueryChange, onOpen }) {
+  const [results, setResults]   = useState([]);
+  const [error, setError]       = useState(null);
+  const [open, setOpen]         = useState(false);
+  const [selected, setSelected] = useState(0);
+  const inputRef = useRef(null);
+
+  // Debounced search whenever the query changes, whoever changed it
+  useEffect(() => {
+    const q = query.trim();
+    if (!q) { setResults([]); setOpen(false); return; }
+    let cancelled = false;
+    const id = setTimeout(async () => {
+      try {
+        const res  = await fetch(`/helpsearch?q=${encodeURIComponent(q)}`);
+        const body = await res.json();
+        if (cancelled) return;
+        if (!res.ok) throw new Error(body.error || `HTTP ${res.status}`);
+        setResults(body.results);
+        setError(null);
+      } catch (e) {
+        if (!cancelled) { setResults([]); setError(e.message); }
+      }
+      if (!cancelled) { setSelected(0); setOpen(true); }
+    }, 200);
+    return () => { cancelled = true; clearTimeout(id); };
+  }, [query]);
+
+  const choose = (r) => {
+    setOpen(false);
+    inputRef.current?.blur();
+    onOpen(r.url);
+  };
+
+  const onKeyDown = (e) => {
+    if (e.key === 'ArrowDown') { e.preventDefault(); setOpen(true); setSelected((i) => Math.min(i + 1, results.length - 1)); }
+    if (e.key === 'ArrowUp')   { e.preventDefault(); setSelected((i) => Math.max(i - 1, 0)); }
+    if (e.key === 'Enter' && results[selected]) choose(results[selected]);
+    if (e.key === 'Escape') setOpen(false);
+  };
+
+  return (
+    <div style={S.wrap}>
+      <input
+        ref={inputRef}
+        style={S.input}
+        type="search"
+        placeholder="Search help…  (Ctrl+D in the editor looks up the word under the cursor)"
+        value={query}
+        onChange={(e) => onQueryChange(e.target.value)}
+        onFocus={() => { if (query.trim()) setOpen(true); }}
+        // Delay so a click on a result lands before the list disappears
+        onBlur={() => setTimeout(() => setOpen(false), 150)}
+        onKeyDown={onKeyDown}
+      />
+      {open && (
+        <div style={S.list}>
+          {error && <div style={S.empty}>{error}</div>}
+          {!error && results.length === 0 && <div style={S.empty}>No matches</div>}
+          {results.map((r, i) => (
+            <div
+              key={r.url}
+              style={S.item(i === selected)}
+              onMouseEnter={() => setSelected(i)}
+              onMouseDown={(e) => { e.preventDefault(); choose(r); }}
+            >
+              <span style={S.title}>{r.title}</span>
+              <span style={S.kind}>{r.kind}</span>
+              {r.summary && <div style={S.summary}>{r.summary}</div>}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
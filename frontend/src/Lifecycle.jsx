@@ -0,0 +1,114 @@
+import { useState, useEffect, useRef } from 'react';
+
+// How each of the bridge's sclang states reads in the toolbar
+const STATES = {
+  spawning:   { label: '◌ starting sclang…',  color: '#e9a645' },
+  compiling:  { label: '◌ compiling…',        color: '#e9a645' },
+  booting:    { label: '◌ booting server…',   color: '#e9a645' },
+  ready:      { label: '● ready',             color: '#4ecca3' },
+  crashed:    { label: '✖ crashed',           color: '#e94560' },
+  restarting: { label: '◌ restarting…',       color: '#e9a645' },
+  stopped:    { label: '○ stopped',           color: '#e94560' },
+};
+
+// Admin actions: the message sent, what the confirmation says, and which
+// states it makes sense in
+const ACTIONS = [
+  {
+    type: 'rebootServer', label: 'Reboot server',
+    confirm: 'Reboot scsynth for this session? Running synths and buffers are lost; ~variables are kept.',
+    enabled: (state) => state === 'ready',
+  },
+  {
+    type: 'recompile', label: 'Recompile class library',
+    confirm: 'Recompile the class library for this session? The server is rebooted and ~variables are lost.',
+    enabled: (state) => state === 'ready' || state === 'booting',
+  },
+  {
+    type: 'restart', label: 'Restart sclang',
+    confirm: 'Kill and restart sclang for this session? Running sound and ~variables are lost.',
+    enabled: (state) => state !== 'stopped',
+  },
+];
+
+// ── Styles ────────────────────────────────────────────────────────────────────
+const S = {
+  wrap: { position: 'relative', display: 'flex', alignItems: 'center', gap: 6 },
+  state: (color) => ({ color, fontSize: 12, whiteSpace: 'nowrap' }),
+  menuBtn: {
+    background: 'transparent',
+    border: '1px solid #e9a645',
+    color: '#e9a645',
+    padding: '3px 8px',
+    borderRadius: 3,
+    cursor: 'pointer',
+    fontSize: 12,
+    fontFamily: 'inherit',
+  },
+  popover: {
+    position: 'absolute', top: '100%', left: 0, zIndex: 20, marginTop: 4,
+    minWidth: 190,
+    background: '#0b0b18',
+    border: '1px solid #2a2a4a',
+    boxShadow: '0 6px 16px rgba(0,0,0,0.5)',
+    padding: '4px 0',
+  },
+  item: (disabled) => ({
+    display: 'block', width: '100%', textAlign: 'left',
+    background: 'transparent', border: 'none',
+    color: disabled ? '#555' : '#b0b8d0',
+    padding: '5px 12px',
+    cursor: disabled ? 'default' : 'pointer',
+    fontSize: 12, fontFamily: 'inherit',
+  }),
+};
+
+// ── Component ─────────────────────────────────────────────────────────────────
+// The session's sclang state from the bridge's status messages (null while
+// the WebSocket is down), and for admins a menu to reboot the server,
+// recompile or restart sclang, and to open the server settings.
+export default function Lifecycle({ status, isAdmin, send, onSettings }) {
+  const [open, setOpen] = useState(false);
+  const wrapRef = useRef(null);
+
+  useEffect(() => {
+    if (!open) return;
+    const onDown = (e) => { if (!wrapRef.current?.contains(e.target)) setOpen(false); };
+    document.addEventListener('mousedown', onDown);
+    return () => document.removeEventListener('mousedown', onDown);
+  }, [open]);
+
+  const shown = status ? STATES[status.state] : { label: '○ disconnected', color: '#e94560' };
+  const run = (action) => {
+    setOpen(false);
+    if (window.confirm(action.confirm)) send(action.type);
+  };
+
+  return (
+    <span style={S.wrap} ref={wrapRef}>
+      <span style={S.state(shown?.color ?? '#888')} title={status?.detail ?? undefined}>
+        {shown?.label ?? status?.state}
+      </span>
+      {isAdmin && status && (
+        <button style={S.menuBtn} onClick={() => setOpen((v) => !v)} title="Reboot the server, recompile or restart sclang, server settings">
+          Admin ▾
+        </button>
+      )}
+      {open && (
+        <div style={S.popover}>
+          {ACTIONS.map((action) => {
+            const disabled = !action.enabled(status?.state);
+            return (
+              <button key={action.type} style={S.item(disabled)} disabled={disabled} onClick={() => run(action)}>
+                {action.label}
+              </button>
+            );
+          })}
+          <button style={S.item(false)} onClick={() => { setOpen(false); onSettings(); }}>
+            Server settings…
+          </button>
+        </div>
+      )}
+    </span>
+  );
+}
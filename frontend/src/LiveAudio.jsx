@@ -0,0 +1,168 @@
+import { useState, useEffect, useRef } from 'react';
+import workletUrl from './pcm-player.worklet.js?url';
+
+// ── Latency targets ───────────────────────────────────────────────────────────
+// How much audio the jitter buffer aims to hold. Lower is snappier but drops
+// out sooner on a jittery network.
+const TARGETS_MS = [40, 80, 150, 300];
+const DEFAULT_TARGET_MS = 80;
+const TARGET_KEY = 'sc-web-live-latency';
+
+function savedTarget() {
+  const ms = Number(localStorage.getItem(TARGET_KEY));
+  return TARGETS_MS.includes(ms) ? ms : DEFAULT_TARGET_MS;
+}
+
+// ── Styles ────────────────────────────────────────────────────────────────────
+const S = {
+  wrap: { display: 'flex', alignItems: 'center', gap: 6 },
+  btn: (on) => ({
+    background: on ? 'rgba(78,204,163,0.15)' : 'transparent',
+    border: `1px solid ${on ? '#4ecca3' : '#2a2a4a'}`,
+    color: on ? '#4ecca3' : '#888',
+    padding: '4px 10px',
+    borderRadius: 3,
+    cursor: 'pointer',
+    fontSize: 12,
+    fontFamily: 'inherit',
+  }),
+  select: {
+    background: '#0d0d1a',
+    border: '1px solid #2a2a4a',
+    color: '#b0b8d0',
+    fontSize: 11,
+    padding: '2px 4px',
+    borderRadius: 3,
+  },
+  readout: (warn) => ({
+    fontSize: 11,
+    color: warn ? '#e9a645' : '#888',
+    fontVariantNumeric: 'tabular-nums',
+    whiteSpace: 'nowrap',
+  }),
+};
+
+// ── Component ─────────────────────────────────────────────────────────────────
+// Low-latency monitoring: asks the bridge for the session's output as raw
+// PCM over the WebSocket and plays it through pcm-player.worklet.js. App
+// passes the binary frames and `liveAudio` messages to `sinkRef.current`.
+// Switching it on pauses the Icecast <audio> player (`streamRef`) so the
+// two don't play over each other; that stream is still there to fall back to.
+export default function LiveAudio({ send, sinkRef, session, streamRef }) {
+  const [on, setOn]           = useState(false);
+  const [targetMs, setTarget] = useState(savedTarget);
+  const [stats, setStats]     = useState(null);
+  const [error, setError]     = useState(null);
+  const player = useRef(null); // { ctx, ready: Promise, node }
+
+  const stop = () => {
+    player.current?.ctx.close();
+    player.current = null;
+    setStats(null);
+  };
+
+  useEffect(() => {
+    sinkRef.current = (data) => {
+      const p = player.current;
+      if (!p) return;
+      if (data instanceof ArrayBuffer) {
+        p.node?.port.postMessage(data, [data]);
+        return;
+      }
+      if (data.off) {
+        setError(data.error || null);
+        setOn(false);
+        return;
+      }
+      // Format announcement: (re)build the worklet node to match it
+      p.ready.then(() => {
+        if (player.current !== p) return;
+        p.node?.disconnect();
+        p.node = new AudioWorkletNode(p.ctx, 'pcm-player', {
+          numberOfInputs: 0,
+          outputChannelCount: [Math.min(data.channels, p.ctx.destination.maxChannelCount || 2)],
+          processorOptions: { channels: data.channels, sourceRate: data.sampleRate, targetMs: p.targetMs },
+        });
+        p.node.port.onmessage = (e) => setStats(e.data);
+        p.node.connect(p.ctx.destination);
+      });
+    };
+    return () => { sinkRef.current = null; };
+  }, [sinkRef]);
+
+  // (Re)subscribe on every session (re)join; the bridge forgets listeners
+  // when they leave a session. Every way of turning off — the button, a
+  // worklet that fails to load, unmounting — unsubscribes here.
+  useEffect(() => {
+    if (!on || !session) return undefined;
+    send('liveAudio', { on: true });
+    return () => send('liveAudio', { on: false });
+  }, [on, session, send]);
+
+  useEffect(() => () => stop(), []);
+
+  const toggle = () => {
+    if (on) {
+      stop();
+      setOn(false);
+      return;
+    }
+    // The AudioContext has to be created inside the click to be allowed to play
+    const ctx = new AudioContext({ latencyHint: 'interactive' });
+    player.current = {
+      ctx,
+      targetMs,
+      node: null,
+      ready: ctx.audioWorklet.addModule(workletUrl).catch((e) => {
+        setError(`Audio worklet failed to load: ${e.message}`);
+        setOn(false);
+        stop();
+      }),
+    };
+    streamRef.current?.pause();
+    setError(null);
+    setOn(true);
+  };
+
+  // Turning off from a bridge message (session closed) also tears down locally
+  useEffect(() => {
+    if (!on && player.current) stop();
+  }, [on]);
+
+  const changeTarget = (ms) => {
+    setTarget(ms);
+    localStorage.setItem(TARGET_KEY, String(ms));
+    if (player.current) {
+      player.current.targetMs = ms;
+      player.current.node?.port.postMessage({ targetMs: ms });
+    }
+  };
+
+  const outputMs = player.current ? (player.current.ctx.baseLatency + (player.current.ctx.outputLatency || 0)) * 1000 : 0;
+  return (
+    <span style={S.wrap}>
+      <button
+        style={S.btn(on)}
+        onClick={toggle}
+        title={error || 'Low-latency monitor: the server output over the WebSocket instead of the delayed Icecast stream'}
+      >{on ? '■ Live' : '▶ Live'}</button>
+      {on && <>
+        <select
+          style={S.select}
+          value={targetMs}
+          onChange={(e) => changeTarget(Number(e.target.value))}
+          title="Jitter buffer target — lower is snappier, higher survives a worse network"
+        >
+          {TARGETS_MS.map((ms) => <option key={ms} value={ms}>{ms} ms</option>)}
+        </select>
+        <span
+          style={S.readout(stats?.buffering)}
+          title={stats ? `Buffered ${stats.bufferedMs.toFixed(0)} ms + output ${outputMs.toFixed(0)} ms, rate ×${stats.rate.toFixed(4)}, ${stats.underruns} underruns` : ''}
+        >
+          {!stats ? 'connecting…' : stats.buffering ? 'buffering…' : `≈ ${Math.round(stats.bufferedMs + outputMs)} ms`}
+        </span>
+      </>}
+      {!on && error && <span style={S.readout(true)}>{error}</span>}
+    </span>
+  );
+}
@@ -0,0 +1,132 @@
+import { useState, useEffect, useCallback } from 'react';
+
+// ── Styles ────────────────────────────────────────────────────────────────────
+const S = {
+  page: {
+    height: '100%',
+    display: 'flex', alignItems: 'center', justifyContent: 'center',
+    background: '#0d0d1a',
+  },
+  form: {
+    display: 'flex', flexDirection: 'column', gap: 10,
+    width: 300, padding: 24,
+    background: '#16213e',
+    border: '1px solid #2a2a4a',
+    borderRadius: 4,
+  },
+  title: { fontWeight: 700, color: '#4ecca3', letterSpacing: '0.05em', marginBottom: 4 },
+  input: {
+    background: '#090914',
+    border: '1px solid #2a2a4a',
+    color: '#eee',
+    padding: '6px 8px',
+    borderRadius: 3,
+    fontSize: 13,
+    fontFamily: 'inherit',
+  },
+  btn: {
+    background: 'rgba(78,204,163,0.15)',
+    border: '1px solid #4ecca3',
+    color: '#4ecca3',
+    padding: '6px 0',
+    borderRadius: 3,
+    cursor: 'pointer',
+    fontSize: 13,
+    fontFamily: 'inherit',
+  },
+  switch: {
+    background: 'transparent', border: 'none', color: '#888',
+    fontSize: 11, fontFamily: 'inherit', cursor: 'pointer', textAlign: 'left', padding: 0,
+  },
+  error: { color: '#e94560', fontSize: 12 },
+  muted: { color: '#666', fontSize: 12 },
+};
+
+// ── Login form ────────────────────────────────────────────────────────────────
+// Either a username/password from the bridge's users file, or a shared role
+// token plus a display name.
+function LoginForm({ onLogin }) {
+  const [useToken, setUseToken] = useState(false);
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [token, setToken]       = useState('');
+  const [name, setName]         = useState(() => localStorage.getItem('sc-web-name') || '');
+  const [error, setError]       = useState(null);
+  const [busy, setBusy]         = useState(false);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError(null);
+    try {
+      const creds = useToken ? { token, name } : { username, password };
+      const res = await fetch('/auth/login', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(creds),
+      });
+      const body = await res.json();
+      if (!res.ok) throw new Error(body.error || `HTTP ${res.status}`);
+      localStorage.setItem('sc-web-name', body.user.name);
+      onLogin(body.user);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div style={S.page}>
+      <form style={S.form} onSubmit={submit}>
+        <span style={S.title}>SC Web</span>
+        {useToken ? <>
+          <input style={S.input} type="password" placeholder="Access token" autoFocus
+                 value={token} onChange={(e) => setToken(e.target.value)} />
+          <input style={S.input} placeholder="Your name"
+                 value={name} onChange={(e) => setName(e.target.value)} />
+        </> : <>
+          <input style={S.input} placeholder="Username" autoFocus autoComplete="username"
+                 value={username} onChange={(e) => setUsername(e.target.value)} />
+          <input style={S.input} type="password" placeholder="Password" autoComplete="current-password"
+                 value={password} onChange={(e) => setPassword(e.target.value)} />
+        </>}
+        {error && <span style={S.error}>{error}</span>}
+        <button style={S.btn} type="submit" disabled={busy}>{busy ? 'Logging in…' : 'Log in'}</button>
+        <button style={S.switch} type="button" onClick={() => setUseToken((v) => !v)}>
+          {useToken ? 'Log in with username and password' : 'Log in with an access token'}
+        </button>
+      </form>
+    </div>
+  );
+}
+
+// ── Auth gate ─────────────────────────────────────────────────────────────────
+// Asks the bridge who we are; renders the login form until there is a user,
+// then `children(user, logout, recheck)`. `recheck` is for callers that
+// suspect the login expired (e.g. the WebSocket upgrade was refused).
+export default function AuthGate({ children }) {
+  const [state, setState] = useState({ loading: true, user: null });
+
+  const recheck = useCallback(async () => {
+    try {
+      const res  = await fetch('/auth/me');
+      const body = await res.json();
+      setState({ loading: false, user: res.ok ? body.user : null });
+    } catch {
+      // Bridge unreachable — keep whoever we had; the WebSocket retries anyway
+      setState((s) => ({ ...s, loading: false }));
+    }
+  }, []);
+
+  useEffect(() => { recheck(); }, [recheck]);
+
+  const logout = useCallback(async () => {
+    try { await fetch('/auth/logout', { method: 'POST' }); } catch { /* ignore */ }
+    setState({ loading: false, user: null });
+  }, []);
+
+  if (state.loading) return <div style={S.page}><span style={S.muted}>Connecting…</span></div>;
+  if (!state.user)   return <LoginForm onLogin={(user) => setState({ loading: false, user })} />;
+  return children(state.user, logout, recheck);
+}
@@ -0,0 +1,215 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+
+// Device names picked last time, so a reload reconnects the same controllers
+const DEVICES_KEY = 'sc-web-midi-devices';
+
+// Active sensing (every 300 ms from some devices) and sysex aren't forwarded
+const ACTIVE_SENSING = 0xFE;
+const SYSEX = 0xF0;
+
+function loadSelection() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(DEVICES_KEY));
+    return { inputs: new Set(saved?.inputs), outputs: new Set(saved?.outputs) };
+  } catch {
+    return { inputs: new Set(), outputs: new Set() };
+  }
+}
+
+function saveSelection(selection) {
+  localStorage.setItem(DEVICES_KEY, JSON.stringify({
+    inputs: [...selection.inputs], outputs: [...selection.outputs],
+  }));
+}
+
+// ── Styles ────────────────────────────────────────────────────────────────────
+const S = {
+  wrap: { position: 'relative', display: 'flex', alignItems: 'center' },
+  btn: (active) => ({
+    display: 'flex', alignItems: 'center', gap: 5,
+    background: 'transparent',
+    border: `1px solid ${active ? '#4ecca3' : '#2a2a4a'}`,
+    color: active ? '#4ecca3' : '#888',
+    padding: '4px 8px',
+    borderRadius: 3,
+    cursor: 'pointer',
+    fontSize: 12,
+    fontFamily: 'inherit',
+  }),
+  led: {
+    width: 6, height: 6, borderRadius: '50%',
+    background: '#4ecca3',
+    opacity: 0.15,
+    transition: 'opacity 0.15s',
+  },
+  popover: {
+    position: 'absolute', top: '100%', right: 0, zIndex: 20, marginTop: 4,
+    width: 280,
+    background: '#0b0b18',
+    border: '1px solid #2a2a4a',
+    boxShadow: '0 6px 16px rgba(0,0,0,0.5)',
+    fontSize: 12,
+    color: '#b0b8d0',
+    padding: '4px 0',
+  },
+  section: { padding: '6px 10px 2px', color: '#666', letterSpacing: '0.05em', fontSize: 11 },
+  device: { display: 'flex', alignItems: 'center', gap: 6, padding: '3px 10px', cursor: 'pointer' },
+  muted: { padding: '3px 10px', color: '#555' },
+  hint: { padding: '6px 10px', color: '#666', borderTop: '1px solid #16162a', marginTop: 4, lineHeight: 1.5 },
+  error: { padding: '6px 10px', color: '#e94560' },
+};
+
+// ── Component ─────────────────────────────────────────────────────────────────
+// MIDI ▾ in the toolbar: pick which of this computer's MIDI inputs are
+// forwarded into the session's sclang (MIDIdef / MIDIFunc see them as
+// ordinary sources) and which outputs MIDIOut can reach. `sinkRef` receives
+// the bridge's midiOut messages.
+export default function Midi({ send, sinkRef, session }) {
+  const [access, setAccess]       = useState(null);
+  const [error, setError]         = useState(null);
+  const [open, setOpen]           = useState(false);
+  const [selection, setSelection] = useState(loadSelection);
+  const [ports, setPorts]         = useState({ inputs: [], outputs: [] });
+  const wrapRef = useRef(null);
+  const ledRef  = useRef(null);
+  const ledTimer = useRef(null);
+
+  const supported = typeof navigator !== 'undefined' && 'requestMIDIAccess' in navigator;
+  const anySelected = selection.inputs.size > 0 || selection.outputs.size > 0;
+
+  const requestAccess = useCallback(async () => {
+    try {
+      const midi = await navigator.requestMIDIAccess();
+      setAccess(midi);
+      setError(null);
+    } catch (e) {
+      setError(`MIDI access refused: ${e.message}`);
+    }
+  }, []);
+
+  // Reconnect devices picked last time without waiting for the menu
+  useEffect(() => {
+    if (supported && anySelected && !access) requestAccess();
+  }, [supported, anySelected, access, requestAccess]);
+
+  // Track devices being plugged in and out
+  useEffect(() => {
+    if (!access) return;
+    const update = () => setPorts({
+      inputs:  [...access.inputs.values()].filter((p) => p.state === 'connected'),
+      outputs: [...access.outputs.values()].filter((p) => p.state === 'connected'),
+    });
+    update();
+    access.addEventListener('statechange', update);
+    return () => access.removeEventListener('statechange', update);
+  }, [access]);
+
+  const activeInputs  = ports.inputs.filter((p) => selection.inputs.has(p.name));
+  const activeOutputs = ports.outputs.filter((p) => selection.outputs.has(p.name));
+  const describe = (list) => list.map((p) => ({ id: p.id, name: p.name }));
+  const deviceKey = JSON.stringify([describe(activeInputs), describe(activeOutputs)]);
+  const activeRef = useRef(activeInputs); // a new array every render; deviceKey says when it changed
+  activeRef.current = activeInputs;
+
+  // Tell the bridge which devices this browser forwards; per session, so
+  // again on every (re)join
+  useEffect(() => {
+    if (!session) return;
+    const [inputs, outputs] = JSON.parse(deviceKey);
+    send('midiDevices', { inputs, outputs });
+  }, [deviceKey, session, send]);
+
+  // Forward the picked inputs
+  useEffect(() => {
+    const inputs = activeRef.current;
+    const blink = () => {
+      if (!ledRef.current) return;
+      ledRef.current.style.opacity = 1;
+      clearTimeout(ledTimer.current);
+      ledTimer.current = setTimeout(() => { if (ledRef.current) ledRef.current.style.opacity = 0.15; }, 80);
+    };
+    for (const input of inputs) {
+      input.onmidimessage = (e) => {
+        const status = e.data[0];
+        if (status === ACTIVE_SENSING || status === SYSEX) return;
+        send('midi', { device: input.id, data: Array.from(e.data) });
+        blink();
+      };
+    }
+    return () => { for (const input of inputs) input.onmidimessage = null; };
+  }, [deviceKey, send]);
+
+  // MIDIOut from sclang, played at the latency MIDIOut asked for
+  useEffect(() => {
+    sinkRef.current = (msg) => {
+      const output = access?.outputs.get(msg.device);
+      if (!output) return;
+      try {
+        output.send(msg.data, performance.now() + (msg.latency || 0) * 1000);
+      } catch (e) {
+        console.warn('MIDI out:', e.message);
+      }
+    };
+    return () => { sinkRef.current = null; };
+  }, [access, sinkRef]);
+
+  // Close on a click anywhere else
+  useEffect(() => {
+    if (!open) return;
+    const onDown = (e) => { if (!wrapRef.current?.contains(e.target)) setOpen(false); };
+    document.addEventListener('mousedown', onDown);
+    return () => document.removeEventListener('mousedown', onDown);
+  }, [open]);
+
+  const toggle = (kind, name) => {
+    const next = { ...selection, [kind]: new Set(selection[kind]) };
+    if (next[kind].has(name)) next[kind].delete(name); else next[kind].add(name);
+    setSelection(next);
+    saveSelection(next);
+  };
+
+  const openMenu = () => {
+    setOpen((v) => !v);
+    if (!access && supported) requestAccess();
+  };
+
+  const deviceList = (kind, list) => (
+    list.length === 0
+      ? <div style={S.muted}>None connected</div>
+      : list.map((p) => (
+        <label key={p.id} style={S.device}>
+          <input type="checkbox" checked={selection[kind].has(p.name)} onChange={() => toggle(kind, p.name)} />
+          {p.name}
+        </label>
+      ))
+  );
+
+  return (
+    <span style={S.wrap} ref={wrapRef}>
+      <button
+        style={S.btn(activeInputs.length + activeOutputs.length > 0)}
+        onClick={openMenu}
+        title="Forward this computer's MIDI devices to sclang"
+      >
+        <span ref={ledRef} style={S.led} />
+        MIDI ▾
+      </button>
+      {open && (
+        <div style={S.popover}>
+          {!supported && <div style={S.error}>This browser doesn't support Web MIDI (try Chrome, Edge or Firefox).</div>}
+          {error && <div style={S.error}>{error}</div>}
+          {access && <>
+            <div style={S.section}>INPUTS → MIDIdef / MIDIFunc</div>
+            {deviceList('inputs', ports.inputs)}
+            <div style={S.section}>OUTPUTS ← MIDIOut</div>
+            {deviceList('outputs', ports.outputs)}
+            <div style={S.hint}>
+              Picked devices are listed in <code>SCWeb.midiSources</code> and <code>SCWeb.midiDestinations</code>;
+              {' '}<code>MIDIOut(0)</code> plays on the first output.
+            </div>
+          </>}
+        </div>
+      )}
+    </span>
+  );
+}
@@ -0,0 +1,232 @@
+import { useEffect, useRef } from 'react';
+
+// ── Scales ────────────────────────────────────────────────────────────────────
+const METER_FLOOR_DB    = -60;
+const SPECTRUM_FLOOR_DB = -96;
+const SPECTRUM_MIN_HZ   = 20;
+const PEAK_HOLD_MS      = 1500;
+const CLIP_HOLD_MS      = 2000;
+// How much of the previous spectrum frame survives into the next one, so the
+// display reads as a curve rather than flicker
+const SPECTRUM_SMOOTHING = 0.6;
+
+const CHANNEL_COLORS = ['#4ecca3', '#6c8cff', '#e9a645', '#c678dd', '#56b6c2', '#e94560', '#98c379', '#d19a66'];
+
+// ── Styles ────────────────────────────────────────────────────────────────────
+const S = {
+  panel: { background: '#0d0d1a', overflowY: 'auto' },
+  section: { padding: '6px 10px', borderBottom: '1px solid #2a2a4a' },
+  label: { color: '#666', fontSize: 11, marginBottom: 4, display: 'flex', justifyContent: 'space-between' },
+  canvas: (height) => ({ width: '100%', height, display: 'block', background: '#090914', borderRadius: 2 }),
+  empty: { padding: '10px', color: '#666', fontSize: 12 },
+};
+
+const toDb = (x) => (x > 0 ? 20 * Math.log10(x) : -Infinity);
+
+// ── Spectrum ──────────────────────────────────────────────────────────────────
+
+// Magnitudes in dBFS of a power-of-two block: Hann window, in-place radix-2 FFT.
+function spectrum(samples) {
+  const n = samples.length;
+  const re = new Float64Array(n), im = new Float64Array(n);
+  let gain = 0;
+  for (let i = 0; i < n; i++) {
+    const w = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (n - 1));
+    re[i] = samples[i] * w;
+    gain += w;
+  }
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) { [re[i], re[j]] = [re[j], re[i]]; }
+  }
+  for (let size = 2; size <= n; size <<= 1) {
+    const step = (-2 * Math.PI) / size;
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < size / 2; k++) {
+        const wr = Math.cos(step * k), wi = Math.sin(step * k);
+        const a = start + k, b = a + size / 2;
+        const tr = re[b] * wr - im[b] * wi, ti = re[b] * wi + im[b] * wr;
+        re[b] = re[a] - tr; im[b] = im[a] - ti;
+        re[a] += tr;        im[a] += ti;
+      }
+    }
+  }
+  const out = new Float32Array(n / 2);
+  for (let k = 0; k < n / 2; k++) out[k] = toDb((2 * Math.hypot(re[k], im[k])) / gain);
+  return out;
+}
+
+// ── Drawing ───────────────────────────────────────────────────────────────────
+
+// Match the canvas's backing store to its CSS size; returns the 2D context.
+function fit(canvas) {
+  const dpr = window.devicePixelRatio || 1;
+  const w = Math.round(canvas.clientWidth * dpr), h = Math.round(canvas.clientHeight * dpr);
+  if (canvas.width !== w || canvas.height !== h) { canvas.width = w; canvas.height = h; }
+  const ctx = canvas.getContext('2d');
+  ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  ctx.clearRect(0, 0, canvas.clientWidth, canvas.clientHeight);
+  return ctx;
+}
+
+const dbToX = (db, width) => Math.max(0, Math.min(1, (db - METER_FLOOR_DB) / -METER_FLOOR_DB)) * width;
+
+// One horizontal bar per channel: RMS solid, peak translucent, a peak-hold
+// tick, and a red clip lamp while the channel has recently hit 0 dBFS.
+function drawMeters(canvas, m, now) {
+  const ctx = fit(canvas);
+  const W = canvas.clientWidth - 14, H = canvas.clientHeight;
+  const rowH = H / Math.max(1, m.peak.length);
+  ctx.font = '9px monospace';
+  for (const db of [-48, -36, -24, -12, -6, 0]) {
+    const x = dbToX(db, W);
+    ctx.fillStyle = '#1f1f38';
+    ctx.fillRect(x, 0, 1, H);
+  }
+  m.peak.forEach((peak, c) => {
+    const y = c * rowH + 2, h = rowH - 4;
+    const color = peak >= 1 ? '#e94560' : toDb(peak) > -6 ? '#e9a645' : '#4ecca3';
+    ctx.globalAlpha = 0.35;
+    ctx.fillStyle = color;
+    ctx.fillRect(0, y, dbToX(toDb(peak), W), h);
+    ctx.globalAlpha = 1;
+    ctx.fillRect(0, y, dbToX(toDb(m.rms[c]), W), h);
+    ctx.fillStyle = '#eee';
+    ctx.fillRect(Math.max(0, dbToX(toDb(m.hold[c]), W) - 1), y, 2, h);
+    ctx.fillStyle = m.clipUntil[c] > now ? '#e94560' : '#2a2a4a';
+    ctx.fillRect(W + 4, y, 10, h);
+  });
+}
+
+function drawScope(canvas, channels) {
+  const ctx = fit(canvas);
+  const W = canvas.clientWidth, H = canvas.clientHeight;
+  ctx.fillStyle = '#1f1f38';
+  ctx.fillRect(0, H / 2, W, 1);
+  channels.forEach((samples, c) => {
+    ctx.strokeStyle = CHANNEL_COLORS[c % CHANNEL_COLORS.length];
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    samples.forEach((v, i) => {
+      const x = (i / (samples.length - 1)) * W;
+      const y = (1 - Math.max(-1, Math.min(1, v))) * H / 2;
+      if (i) ctx.lineTo(x, y); else ctx.moveTo(x, y);
+    });
+    ctx.stroke();
+  });
+}
+
+// Log-frequency axis from SPECTRUM_MIN_HZ to Nyquist.
+function drawSpectrum(canvas, mags, sampleRate) {
+  const ctx = fit(canvas);
+  const W = canvas.clientWidth, H = canvas.clientHeight;
+  const nyquist = sampleRate / 2;
+  const fToX = (f) => (Math.log(f / SPECTRUM_MIN_HZ) / Math.log(nyquist / SPECTRUM_MIN_HZ)) * W;
+  const dbToY = (db) => Math.min(1, Math.max(0, db / SPECTRUM_FLOOR_DB)) * H;
+
+  ctx.font = '9px monospace';
+  for (const [f, text] of [[100, '100'], [1000, '1k'], [10000, '10k']]) {
+    if (f >= nyquist) continue;
+    const x = fToX(f);
+    ctx.fillStyle = '#1f1f38';
+    ctx.fillRect(x, 0, 1, H);
+    ctx.fillStyle = '#555';
+    ctx.fillText(text, x + 2, H - 3);
+  }
+
+  ctx.strokeStyle = '#4ecca3';
+  ctx.fillStyle = 'rgba(78,204,163,0.15)';
+  ctx.beginPath();
+  ctx.moveTo(0, H);
+  const binHz = nyquist / mags.length;
+  for (let k = 1; k < mags.length; k++) {
+    const f = k * binHz;
+    if (f < SPECTRUM_MIN_HZ) continue;
+    ctx.lineTo(fToX(f), dbToY(mags[k]));
+  }
+  ctx.lineTo(W, H);
+  ctx.fill();
+  ctx.stroke();
+}
+
+// ── Component ─────────────────────────────────────────────────────────────────
+// Output meters, oscilloscope and spectrum for the session's scsynth, from the
+// bridge's `meters` and `scope` messages. These arrive many times a second, so
+// App hands them to `sinkRef.current` instead of putting them in React state,
+// and the canvases are redrawn on animation frames.
+export default function Monitor({ style, sinkRef, running }) {
+  const metersRef   = useRef(null);
+  const scopeRef    = useRef(null);
+  const spectrumRef = useRef(null);
+  const latest      = useRef({ meters: null, scope: null, mags: null, dirty: false });
+
+  useEffect(() => {
+    const m = { peak: [], rms: [], hold: [], holdAt: [], clipUntil: [] };
+    sinkRef.current = (msg) => {
+      const now = performance.now();
+      const cur = latest.current;
+      if (msg.type === 'meters') {
+        m.peak = msg.peak;
+        m.rms  = msg.rms;
+        msg.peak.forEach((p, c) => {
+          if (!(m.hold[c] >= p) || now - m.holdAt[c] > PEAK_HOLD_MS) { m.hold[c] = p; m.holdAt[c] = now; }
+          if (p >= 1) m.clipUntil[c] = now + CLIP_HOLD_MS;
+        });
+        cur.meters = m;
+      } else if (msg.type === 'scope') {
+        cur.scope = msg;
+        const n = msg.channels[0]?.length ?? 0;
+        if (n && (n & (n - 1)) === 0) {
+          const mix = new Float32Array(n);
+          for (const ch of msg.channels) for (let i = 0; i < n; i++) mix[i] += ch[i] / msg.channels.length;
+          const mags = spectrum(mix);
+          if (cur.mags?.length === mags.length) {
+            for (let k = 0; k < mags.length; k++) {
+              mags[k] = Math.max(mags[k], cur.mags[k] * SPECTRUM_SMOOTHING + mags[k] * (1 - SPECTRUM_SMOOTHING));
+            }
+          }
+          cur.mags = mags;
+        }
+      }
+      cur.dirty = true;
+    };
+    return () => { sinkRef.current = null; };
+  }, [sinkRef]);
+
+  useEffect(() => {
+    let frame;
+    const draw = () => {
+      const cur = latest.current;
+      if (cur.dirty) {
+        cur.dirty = false;
+        if (cur.meters && metersRef.current) drawMeters(metersRef.current, cur.meters, performance.now());
+        if (cur.scope && scopeRef.current) drawScope(scopeRef.current, cur.scope.channels);
+        if (cur.mags && spectrumRef.current) drawSpectrum(spectrumRef.current, cur.mags, cur.scope.sampleRate || 44100);
+      }
+      frame = requestAnimationFrame(draw);
+    };
+    frame = requestAnimationFrame(draw);
+    return () => cancelAnimationFrame(frame);
+  }, []);
+
+  const channels = latest.current.meters?.peak.length || 2;
+  return (
+    <div style={{ ...S.panel, ...style }}>
+      {!running && <div style={S.empty}>Server not running.</div>}
+      <div style={S.section}>
+        <div style={S.label}><span>Levels</span><span>{METER_FLOOR_DB} … 0 dBFS</span></div>
+        <canvas ref={metersRef} style={S.canvas(Math.max(28, channels * 14))} />
+      </div>
+      <div style={S.section}>
+        <div style={S.label}><span>Scope</span><span>±1</span></div>
+        <canvas ref={scopeRef} style={S.canvas(120)} />
+      </div>
+      <div style={S.section}>
+        <div style={S.label}><span>Spectrum</span><span>{SPECTRUM_FLOOR_DB} … 0 dB</span></div>
+        <canvas ref={spectrumRef} style={S.canvas(140)} />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,179 @@
+import { useState } from 'react';
+
+// Bridge-internal synths (see SCWeb.sc); shown, but without actions
+const INTERNAL_DEFS = new Set(['scwebMonitor']);
+
+// ── Styles ────────────────────────────────────────────────────────────────────
+const S = {
+  panel: {
+    display: 'flex', flexDirection: 'column',
+    background: '#0b0b18',
+    minHeight: 0,
+    fontSize: 12,
+  },
+  header: {
+    display: 'flex', alignItems: 'center', gap: 6,
+    padding: '6px 8px',
+    borderBottom: '1px solid #2a2a4a',
+    color: '#888',
+    flexShrink: 0,
+  },
+  headerTitle: { flex: 1, letterSpacing: '0.05em' },
+  list: { flex: 1, overflowY: 'auto', padding: '4px 0', fontFamily: 'monospace' },
+  row: (depth, paused) => ({
+    display: 'flex', alignItems: 'center', gap: 6,
+    padding: `2px 8px 2px ${8 + depth * 14}px`,
+    color: paused ? '#666' : '#b0b8d0',
+    whiteSpace: 'nowrap',
+  }),
+  toggle: { width: 10, cursor: 'pointer', color: '#666' },
+  id: { color: '#666' },
+  def: (internal) => ({ color: internal ? '#555' : '#4ecca3', flex: 1, overflow: 'hidden', textOverflow: 'ellipsis' }),
+  groupName: { flex: 1, color: '#e9a645' },
+  actions: { display: 'flex', opacity: 0.7 },
+  iconBtn: {
+    background: 'transparent', border: 'none',
+    color: '#888', cursor: 'pointer',
+    fontSize: 12, fontFamily: 'inherit', padding: '0 3px',
+  },
+  control: (depth) => ({
+    display: 'flex', gap: 6,
+    padding: `1px 8px 1px ${30 + depth * 14}px`,
+    color: '#888',
+  }),
+  controlName: { minWidth: 70, overflow: 'hidden', textOverflow: 'ellipsis' },
+  value: (editable) => ({ color: '#eee', cursor: editable ? 'text' : 'default' }),
+  input: {
+    width: 90, background: '#090914', border: '1px solid #4ecca3', color: '#eee',
+    fontFamily: 'inherit', fontSize: 12, padding: '0 3px',
+  },
+  empty: { padding: '8px 10px', color: '#555' },
+};
+
+const groupLabel = (id) => (id === 0 ? 'root' : id === 1 ? 'default group' : 'group');
+
+// Control values are floats, or "c3"/"a10" when mapped to a bus
+const formatValue = (v) => (typeof v === 'number' ? String(Math.round(v * 1e4) / 1e4) : v);
+
+function countSynths(node) {
+  return node.group ? node.children.reduce((n, c) => n + countSynths(c), 0) : 1;
+}
+
+// ── Rows ──────────────────────────────────────────────────────────────────────
+function Control({ node, name, value, depth, canEdit, onAction }) {
+  const [editing, setEditing] = useState(null); // draft text while editing
+  const editable = canEdit && !INTERNAL_DEFS.has(node.def);
+
+  const commit = () => {
+    if (editing !== null && editing.trim() !== formatValue(value)) {
+      onAction('set', node.id, { control: name, value: editing.trim() });
+    }
+    setEditing(null);
+  };
+
+  return (
+    <div style={S.control(depth)}>
+      <span style={S.controlName} title={name}>{name}</span>
+      {editing !== null ? (
+        <input
+          style={S.input}
+          autoFocus
+          value={editing}
+          onChange={(e) => setEditing(e.target.value)}
+          onBlur={commit}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') commit();
+            if (e.key === 'Escape') setEditing(null);
+          }}
+        />
+      ) : (
+        <span
+          style={S.value(editable)}
+          title={editable ? 'Click to set' : undefined}
+          onClick={() => editable && setEditing(formatValue(value))}
+        >{formatValue(value)}</span>
+      )}
+    </div>
+  );
+}
+
+function Node({ node, depth, collapsed, toggle, canEdit, onAction }) {
+  const open = !collapsed.has(node.id);
+  const internal = INTERNAL_DEFS.has(node.def);
+  const actions = canEdit && !internal && (
+    <span style={S.actions}>
+      {node.id !== 0 && (
+        <button
+          style={S.iconBtn}
+          title={node.paused ? 'Resume (n_run 1)' : 'Pause (n_run 0)'}
+          onClick={() => onAction(node.paused ? 'resume' : 'pause', node.id)}
+        >{node.paused ? '▶' : '⏸'}</button>
+      )}
+      <button
+        style={S.iconBtn}
+        title={node.id <= 1 ? 'Free everything in this group' : 'Free'}
+        onClick={() => onAction('free', node.id)}
+      >✕</button>
+    </span>
+  );
+
+  if (node.group) {
+    return (
+      <>
+        <div style={S.row(depth, node.paused)}>
+          <span style={S.toggle} onClick={() => toggle(node.id)}>{open ? '▾' : '▸'}</span>
+          <span style={S.id}>{node.id}</span>
+          <span style={S.groupName}>{groupLabel(node.id)}{node.paused ? ' (paused)' : ''}</span>
+          {actions}
+        </div>
+        {open && node.children.map((c) => (
+          <Node key={c.id} node={c} depth={depth + 1} collapsed={collapsed} toggle={toggle} canEdit={canEdit} onAction={onAction} />
+        ))}
+      </>
+    );
+  }
+
+  return (
+    <>
+      <div style={S.row(depth, node.paused)}>
+        <span style={S.toggle} onClick={() => node.controls.length && toggle(node.id)}>
+          {node.controls.length ? (open ? '▾' : '▸') : ''}
+        </span>
+        <span style={S.id}>{node.id}</span>
+        <span style={S.def(internal)} title={internal ? 'Used by SC Web itself' : node.def}>
+          {node.def}{node.paused ? ' (paused)' : ''}
+        </span>
+        {actions}
+      </div>
+      {open && node.controls.map(([name, value], i) => (
+        <Control key={i} node={node} name={name} value={value} depth={depth} canEdit={canEdit} onAction={onAction} />
+      ))}
+    </>
+  );
+}
+
+// ── Component ─────────────────────────────────────────────────────────────────
+// The session's scsynth node tree as the bridge last saw it (`root` from its
+// nodeTree messages; null while the server is down). `onAction(action, id,
+// extra)` frees, pauses, resumes or sets a control on a node.
+export default function NodeTree({ style, root, canEdit, onAction }) {
+  const [collapsed, setCollapsed] = useState(() => new Set());
+  const toggle = (id) => setCollapsed((prev) => {
+    const next = new Set(prev);
+    if (next.has(id)) next.delete(id); else next.add(id);
+    return next;
+  });
+
+  return (
+    <div style={{ ...S.panel, ...style }}>
+      <div style={S.header}>
+        <span style={S.headerTitle}>NODES</span>
+        {root && <span>{countSynths(root)} synths</span>}
+      </div>
+      <div style={S.list}>
+        {!root && <div style={S.empty}>Server not running.</div>}
+        {root && <Node node={root} depth={0} collapsed={collapsed} toggle={toggle} canEdit={canEdit} onAction={onAction} />}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,185 @@
+import { useState, useEffect, useRef } from 'react';
+
+// Messages kept in the log; older ones scroll away
+const MAX_ENTRIES = 300;
+
+// "/address 1 0.5 hello "two words" true" → { address, args }. Integers are
+// sent as OSC ints and anything else numeric as floats (so 1.0 stays a
+// float); quote a string that would otherwise read as a number.
+function parseOscLine(line) {
+  const tokens = [...line.matchAll(/"([^"]*)"|(\S+)/g)];
+  if (!tokens.length) return null;
+  const [first, ...rest] = tokens;
+  const address = first[2];
+  if (!address?.startsWith('/')) return null;
+  const args = rest.map(([, quoted, bare]) => {
+    if (quoted !== undefined) return quoted;
+    if (/^-?\d+$/.test(bare)) return Number(bare);
+    if (bare.trim() !== '' && Number.isFinite(Number(bare))) return { type: 'f', value: Number(bare) };
+    if (bare === 'true' || bare === 'false') return bare === 'true';
+    return bare;
+  });
+  return { address, args };
+}
+
+function formatArg(arg) {
+  if (typeof arg === 'string') return JSON.stringify(arg);
+  if (Array.isArray(arg)) return `<blob ${arg.length}>`;
+  if (typeof arg === 'number' && !Number.isInteger(arg)) return String(Math.round(arg * 1e4) / 1e4);
+  return String(arg);
+}
+
+// ── Styles ────────────────────────────────────────────────────────────────────
+const S = {
+  panel: {
+    display: 'flex', flexDirection: 'column',
+    background: '#0b0b18',
+    minHeight: 0,
+    fontSize: 12,
+  },
+  header: {
+    display: 'flex', alignItems: 'center', gap: 6,
+    padding: '6px 8px',
+    borderBottom: '1px solid #2a2a4a',
+    color: '#888',
+    flexShrink: 0,
+  },
+  headerTitle: { flex: 1, letterSpacing: '0.05em' },
+  port: { fontFamily: 'monospace', color: '#b0b8d0' },
+  iconBtn: (active) => ({
+    background: 'transparent', border: 'none',
+    color: active ? '#e9a645' : '#888', cursor: 'pointer',
+    fontSize: 12, fontFamily: 'inherit', padding: '0 3px',
+  }),
+  filter: {
+    margin: 6, padding: '3px 6px',
+    background: '#090914', border: '1px solid #2a2a4a', color: '#eee',
+    fontFamily: 'monospace', fontSize: 12, flexShrink: 0,
+  },
+  log: { flex: 1, overflowY: 'auto', minHeight: 0, fontFamily: 'monospace', padding: '2px 0' },
+  entry: { display: 'flex', gap: 6, padding: '1px 8px', whiteSpace: 'nowrap' },
+  dir: (dir) => ({ color: dir === 'in' ? '#4ecca3' : '#e9a645', flexShrink: 0 }),
+  address: { color: '#eee', flexShrink: 0 },
+  args: { color: '#b0b8d0', overflow: 'hidden', textOverflow: 'ellipsis' },
+  from: { marginLeft: 'auto', color: '#555', flexShrink: 0, paddingLeft: 6 },
+  send: { display: 'flex', gap: 4, padding: 6, borderTop: '1px solid #2a2a4a', flexShrink: 0 },
+  sendInput: (bad) => ({
+    flex: 1, minWidth: 0, padding: '3px 6px',
+    background: '#090914', border: `1px solid ${bad ? '#e94560' : '#2a2a4a'}`, color: '#eee',
+    fontFamily: 'monospace', fontSize: 12,
+  }),
+  sendBtn: (disabled) => ({
+    background: 'transparent', border: '1px solid #4ecca3', color: '#4ecca3',
+    borderRadius: 3, padding: '2px 8px', fontSize: 12, fontFamily: 'inherit',
+    cursor: disabled ? 'not-allowed' : 'pointer', opacity: disabled ? 0.4 : 1,
+  }),
+  empty: { padding: '8px 10px', color: '#555', lineHeight: 1.6, fontFamily: 'inherit', whiteSpace: 'normal' },
+};
+
+// ── Component ─────────────────────────────────────────────────────────────────
+// The session's OSC gateway: every message going into sclang (from UDP or a
+// browser, →) and out of it (to SCWeb.oscOut, ←). Messages arrive through
+// `sinkRef` and are added once per frame, so a busy controller doesn't
+// re-render the app for every message. `onSend(address, args)` sends one
+// into sclang.
+export default function Osc({ style, port, sinkRef, canSend, onSend }) {
+  const [entries, setEntries] = useState([]);
+  const [paused, setPaused]   = useState(false);
+  const [filter, setFilter]   = useState('');
+  const [line, setLine]       = useState('');
+  const [bad, setBad]         = useState(false);
+  const logRef  = useRef(null);
+  const pending = useRef([]);
+  const frame   = useRef(null);
+  const nextId  = useRef(0);
+  const pausedRef = useRef(paused);
+  pausedRef.current = paused;
+
+  useEffect(() => {
+    sinkRef.current = (msg) => {
+      if (pausedRef.current) return;
+      pending.current.push({ ...msg, id: nextId.current++ });
+      if (frame.current) return;
+      frame.current = requestAnimationFrame(() => {
+        frame.current = null;
+        const added = pending.current;
+        pending.current = [];
+        setEntries((prev) => [...prev, ...added].slice(-MAX_ENTRIES));
+      });
+    };
+    return () => {
+      sinkRef.current = null;
+      cancelAnimationFrame(frame.current);
+      frame.current = null;
+    };
+  }, [sinkRef]);
+
+  // Follow the newest message unless scrolled up
+  const atBottom = useRef(true);
+  useEffect(() => {
+    const el = logRef.current;
+    if (el && atBottom.current) el.scrollTop = el.scrollHeight;
+  }, [entries]);
+
+  const send = () => {
+    const msg = parseOscLine(line);
+    if (!msg) { setBad(true); return; }
+    onSend(msg.address, msg.args);
+  };
+
+  const shown = filter ? entries.filter((e) => e.address.includes(filter)) : entries;
+
+  return (
+    <div style={{ ...S.panel, ...style }}>
+      <div style={S.header}>
+        <span style={S.headerTitle}>OSC</span>
+        {port && <span style={S.port} title="Send OSC from TouchOSC etc. to this UDP port on the server">UDP {port}</span>}
+        <button style={S.iconBtn(paused)} onClick={() => setPaused((v) => !v)} title={paused ? 'Resume' : 'Pause'}>
+          {paused ? '▶' : '❚❚'}
+        </button>
+        <button style={S.iconBtn(false)} onClick={() => setEntries([])} title="Clear">✕</button>
+      </div>
+      <input
+        style={S.filter}
+        placeholder="Filter by address"
+        value={filter}
+        onChange={(e) => setFilter(e.target.value)}
+      />
+      <div
+        ref={logRef}
+        style={S.log}
+        onScroll={(e) => {
+          const el = e.currentTarget;
+          atBottom.current = el.scrollHeight - el.scrollTop - el.clientHeight < 20;
+        }}
+      >
+        {entries.length === 0 && (
+          <div style={S.empty}>
+            Messages sent to UDP port {port ?? '…'} on the server go to sclang's <code>OSCdef</code>s
+            and show up here (→); so does what sclang sends to <code>SCWeb.oscOut</code> (←).
+          </div>
+        )}
+        {shown.map((e) => (
+          <div key={e.id} style={S.entry}>
+            <span style={S.dir(e.dir)}>{e.dir === 'in' ? '→' : '←'}</span>
+            <span style={S.address}>{e.address}</span>
+            <span style={S.args} title={e.args.map(formatArg).join(' ')}>{e.args.map(formatArg).join(' ')}</span>
+            <span style={S.from}>{e.from}</span>
+          </div>
+        ))}
+      </div>
+      {canSend && (
+        <div style={S.send}>
+          <input
+            style={S.sendInput(bad)}
+            placeholder='/address 1 0.5 "text"'
+            value={line}
+            onChange={(e) => { setLine(e.target.value); setBad(false); }}
+            onKeyDown={(e) => { if (e.key === 'Enter') send(); }}
+          />
+          <button style={S.sendBtn(!line.trim())} disabled={!line.trim()} onClick={send}>Send</button>
+        </div>
+      )}
+    </div>
+  );
+}
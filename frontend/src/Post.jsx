@@ -0,0 +1,296 @@
+import { useState, useEffect, useRef, useMemo } from 'react';
+
+// Entries kept; the oldest are dropped beyond this
+const MAX_ENTRIES = 5000;
+// Every row — an entry's first line or one line of its trace — is this tall,
+// so only the rows in view need rendering
+const ROW_HEIGHT = 18;
+const OVERSCAN = 20;
+// Traces up to this many lines start unfolded
+const OPEN_TRACE_LINES = 6;
+
+// Kinds the bridge sends (see sc-backend/bridge/post.js), in toggle order
+const KINDS = [
+  { kind: 'post',    label: 'post',     color: '#b0b8d0' },
+  { kind: 'result',  label: '->',       color: '#4ecca3' },
+  { kind: 'warning', label: 'warnings', color: '#e9a645' },
+  { kind: 'error',   label: 'errors',   color: '#e94560' },
+  { kind: 'bridge',  label: 'bridge',   color: '#7f8ab0' },
+];
+// Markers — where a replayed history meets live output — can't be hidden
+const COLORS = { ...Object.fromEntries(KINDS.map((k) => [k.kind, k.color])), marker: '#4ecca3' };
+
+// Kinds hidden last time
+const HIDDEN_KEY = 'sc-web-post-hidden';
+
+function loadHidden() {
+  try { return new Set(JSON.parse(localStorage.getItem(HIDDEN_KEY))); } catch { return new Set(); }
+}
+
+const clock = (time) => new Date(time).toLocaleTimeString([], { hour12: false });
+
+const entryText = (e) => (e.trace ? `${e.text}\n${e.trace}` : e.text);
+
+function copy(text) {
+  navigator.clipboard?.writeText(text).catch(() => {});
+}
+
+// `text` with every case-insensitive match of `query` highlighted
+function highlight(text, query) {
+  if (!query) return text;
+  const lower = text.toLowerCase();
+  const parts = [];
+  let at = 0;
+  for (let i = lower.indexOf(query); i !== -1; i = lower.indexOf(query, at)) {
+    if (i > at) parts.push(text.slice(at, i));
+    parts.push(<mark key={i} style={S.mark}>{text.slice(i, i + query.length)}</mark>);
+    at = i + query.length;
+  }
+  parts.push(text.slice(at));
+  return parts;
+}
+
+// ── Styles ────────────────────────────────────────────────────────────────────
+const S = {
+  panel: {
+    display: 'flex', flexDirection: 'column',
+    background: '#090914',
+    minHeight: 0,
+  },
+  header: {
+    display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: 4,
+    padding: '4px 8px',
+    borderBottom: '1px solid #2a2a4a',
+    color: '#888',
+    fontSize: 11,
+    flexShrink: 0,
+  },
+  kindBtn: (color, on) => ({
+    background: 'transparent',
+    border: `1px solid ${on ? color : '#2a2a4a'}`,
+    color: on ? color : '#555',
+    borderRadius: 3, padding: '0 5px',
+    cursor: 'pointer', fontSize: 11, fontFamily: 'inherit',
+  }),
+  iconBtn: (active) => ({
+    background: 'transparent', border: 'none',
+    color: active ? '#e9a645' : '#888', cursor: 'pointer',
+    fontSize: 12, fontFamily: 'inherit', padding: '0 3px',
+  }),
+  search: {
+    flex: 1, minWidth: 80, padding: '2px 6px',
+    background: '#0b0b18', border: '1px solid #2a2a4a', color: '#eee',
+    fontFamily: 'inherit', fontSize: 11,
+  },
+  count: { color: '#555', whiteSpace: 'nowrap' },
+  log: {
+    flex: 1, overflow: 'auto', minHeight: 0,
+    fontSize: 11.5,
+    color: '#b0b8d0',
+  },
+  row: (top, kind, first) => ({
+    position: 'absolute', top, left: 0, right: 0,
+    height: ROW_HEIGHT, lineHeight: `${ROW_HEIGHT}px`,
+    display: 'flex', alignItems: 'center',
+    padding: '0 8px',
+    whiteSpace: 'pre',
+    color: first ? COLORS[kind] : '#8890a8',
+    background: kind === 'error' ? 'rgba(233, 69, 96, 0.07)' : kind === 'warning' ? 'rgba(233, 166, 69, 0.05)' : 'transparent',
+  }),
+  time: { color: '#555', marginRight: 8, flexShrink: 0 },
+  fold: {
+    background: 'transparent', border: 'none', color: '#888',
+    cursor: 'pointer', fontSize: 10, fontFamily: 'inherit',
+    width: 14, padding: 0, flexShrink: 0,
+  },
+  indent: { width: 14, flexShrink: 0 },
+  text: { flexShrink: 0 },
+  traceInfo: { color: '#555', marginLeft: 8, flexShrink: 0 },
+  copyBtn: {
+    position: 'sticky', right: 0, marginLeft: 'auto',
+    background: '#16213e', border: '1px solid #2a2a4a', color: '#b0b8d0',
+    borderRadius: 3, padding: '0 5px', lineHeight: '14px',
+    cursor: 'pointer', fontSize: 10, fontFamily: 'inherit',
+  },
+  mark: { background: '#e9a645', color: '#090914' },
+};
+
+// ── Component ─────────────────────────────────────────────────────────────────
+// The post window: the bridge's post entries, newest at the bottom. Entries
+// arrive through `sinkRef` (an array at a time) and are added once per frame,
+// and only the rows in view are rendered, so a chatty Pbind can't bog the
+// page down. Kinds can be hidden, the log searched, and an error's receiver
+// and call stack folded away. The toolbar's Clear post empties it through
+// `clearRef`.
+export default function Post({ style, sinkRef, clearRef }) {
+  const [version, setVersion]   = useState(0);
+  const [hidden, setHidden]     = useState(loadHidden);
+  const [search, setSearch]     = useState('');
+  const [folds, setFolds]       = useState(() => new Map()); // entry id → unfolded, where toggled
+  const [showTime, setShowTime] = useState(false);
+  const [hover, setHover]       = useState(null);
+  const [view, setView]         = useState({ top: 0, height: 0 });
+  const entries  = useRef([]);
+  const nextId   = useRef(0);
+  const frame    = useRef(null);
+  const logRef   = useRef(null);
+  const atBottom = useRef(true);
+
+  useEffect(() => {
+    sinkRef.current = (added) => {
+      for (const e of added) {
+        const trace = e.trace ? e.trace.replace(/\t/g, '    ').split('\n') : null;
+        entries.current.push({ ...e, id: nextId.current++, traceLines: trace });
+      }
+      if (entries.current.length > MAX_ENTRIES) entries.current.splice(0, entries.current.length - MAX_ENTRIES);
+      if (frame.current) return;
+      frame.current = requestAnimationFrame(() => {
+        frame.current = null;
+        setVersion((v) => v + 1);
+      });
+    };
+    clearRef.current = () => {
+      entries.current = [];
+      setFolds(new Map());
+      setVersion((v) => v + 1);
+    };
+    return () => {
+      sinkRef.current = null;
+      clearRef.current = null;
+      cancelAnimationFrame(frame.current);
+      frame.current = null;
+    };
+  }, [sinkRef, clearRef]);
+
+  useEffect(() => {
+    localStorage.setItem(HIDDEN_KEY, JSON.stringify([...hidden]));
+  }, [hidden]);
+
+  // Follow the log's height as the panel is resized or shown, and catch up
+  // with what arrived while it was hidden
+  useEffect(() => {
+    const el = logRef.current;
+    const measure = () => {
+      if (atBottom.current) el.scrollTop = el.scrollHeight;
+      setView({ top: el.scrollTop, height: el.clientHeight });
+    };
+    const observer = new ResizeObserver(measure);
+    observer.observe(el);
+    return () => observer.disconnect();
+  }, []);
+
+  const query = search.trim().toLowerCase();
+
+  // The entries shown, flattened into rows: each entry's own line, then its
+  // trace lines when unfolded
+  const { rows, shown, counts, width } = useMemo(() => {
+    const rows = [], shown = [], counts = {};
+    let width = 0;
+    for (const e of entries.current) {
+      counts[e.kind] = (counts[e.kind] || 0) + 1;
+      if (hidden.has(e.kind)) continue;
+      if (query && !entryText(e).toLowerCase().includes(query)) continue;
+      shown.push(e);
+      rows.push({ entry: e, line: -1 });
+      width = Math.max(width, e.text.length);
+      const lines = e.traceLines;
+      const open = lines && (folds.get(e.id) ?? lines.length <= OPEN_TRACE_LINES);
+      if (!open) continue;
+      lines.forEach((text, line) => {
+        rows.push({ entry: e, line, text });
+        width = Math.max(width, text.length);
+      });
+    }
+    return { rows, shown, counts, width };
+  }, [version, hidden, query, folds]); // `version` stands in for the mutable entry list
+
+  // Stay at the newest entry unless scrolled up
+  useEffect(() => {
+    const el = logRef.current;
+    if (el && atBottom.current) el.scrollTop = el.scrollHeight;
+  }, [rows]);
+
+  const toggleKind = (kind) => setHidden((prev) => {
+    const next = new Set(prev);
+    if (next.has(kind)) next.delete(kind); else next.add(kind);
+    return next;
+  });
+
+  const toggleFold = (e) => setFolds((prev) => {
+    const next = new Map(prev);
+    next.set(e.id, !(prev.get(e.id) ?? e.traceLines.length <= OPEN_TRACE_LINES));
+    return next;
+  });
+
+  const copyShown = () => copy(shown.map((e) => (showTime ? `${clock(e.time)} ${entryText(e)}` : entryText(e))).join('\n'));
+
+  const first = Math.max(0, Math.floor(view.top / ROW_HEIGHT) - OVERSCAN);
+  const last  = Math.min(rows.length, Math.ceil((view.top + view.height) / ROW_HEIGHT) + OVERSCAN);
+
+  return (
+    <div style={{ ...S.panel, ...style }}>
+      <div style={S.header}>
+        {KINDS.map(({ kind, label, color }) => (
+          <button
+            key={kind}
+            style={S.kindBtn(color, !hidden.has(kind))}
+            onClick={() => toggleKind(kind)}
+            title={hidden.has(kind) ? `Show ${label}` : `Hide ${label}`}
+          >
+            {label}{counts[kind] && (kind === 'warning' || kind === 'error') ? ` ${counts[kind]}` : ''}
+          </button>
+        ))}
+        <input
+          style={S.search}
+          placeholder="Search"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          onKeyDown={(e) => { if (e.key === 'Escape') setSearch(''); }}
+        />
+        {query && <span style={S.count}>{shown.length} found</span>}
+        <button style={S.iconBtn(showTime)} onClick={() => setShowTime((v) => !v)} title="Show times">⏱</button>
+        <button style={S.iconBtn(false)} onClick={copyShown} title="Copy everything shown">⧉</button>
+      </div>
+      <div
+        ref={logRef}
+        style={S.log}
+        onScroll={(e) => {
+          const el = e.currentTarget;
+          atBottom.current = el.scrollHeight - el.scrollTop - el.clientHeight < ROW_HEIGHT;
+          setView({ top: el.scrollTop, height: el.clientHeight });
+        }}
+        onMouseLeave={() => setHover(null)}
+      >
+        <div style={{ position: 'relative', height: rows.length * ROW_HEIGHT, minWidth: `calc(${width + (showTime ? 9 : 0)}ch + 60px)` }}>
+          {rows.slice(first, last).map(({ entry: e, line, text }, i) => {
+            const top = (first + i) * ROW_HEIGHT;
+            if (line >= 0) {
+              return (
+                <div key={`${e.id}:${line}`} style={S.row(top, e.kind, false)} onMouseEnter={() => setHover(e.id)}>
+                  {showTime && <span style={{ ...S.time, visibility: 'hidden' }}>{clock(e.time)}</span>}
+                  <span style={S.indent} />
+                  <span style={S.text}>{highlight(text, query)}</span>
+                </div>
+              );
+            }
+            const lines = e.traceLines;
+            const open = lines && (folds.get(e.id) ?? lines.length <= OPEN_TRACE_LINES);
+            return (
+              <div key={e.id} style={S.row(top, e.kind, true)} title={clock(e.time)} onMouseEnter={() => setHover(e.id)}>
+                {showTime && <span style={S.time}>{clock(e.time)}</span>}
+                {lines
+                  ? <button style={S.fold} onClick={() => toggleFold(e)} title={open ? 'Fold' : 'Unfold'}>{open ? '▾' : '▸'}</button>
+                  : <span style={S.indent} />}
+                <span style={S.text}>{highlight(e.text, query)}</span>
+                {lines && !open && <span style={S.traceInfo}>… {lines.length} lines</span>}
+                {hover === e.id && (
+                  <button style={S.copyBtn} onClick={() => copy(entryText(e))} title="Copy this entry">copy</button>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,199 @@
+import { useState, useEffect, useRef } from 'react';
+import { mapValue, unmapValue, quantize, formatValue, throttle } from './spec.js';
+
+// Fader changes are sent at most this often while dragging
+const SEND_INTERVAL_MS = 50;
+
+const proxyLabel = (p) => (p.space === 'ndef' ? `Ndef(\\${p.name})` : `~${p.name}`);
+
+// ── Styles ────────────────────────────────────────────────────────────────────
+const S = {
+  panel: {
+    display: 'flex', flexDirection: 'column',
+    background: '#0b0b18',
+    minHeight: 0,
+    fontSize: 12,
+  },
+  header: {
+    display: 'flex', alignItems: 'center', gap: 6,
+    padding: '6px 8px',
+    borderBottom: '1px solid #2a2a4a',
+    color: '#888',
+    flexShrink: 0,
+  },
+  headerTitle: { flex: 1, letterSpacing: '0.05em' },
+  list: { flex: 1, overflowY: 'auto', minHeight: 0 },
+  proxy: { padding: '6px 8px', borderBottom: '1px solid #16162a' },
+  proxyHead: { display: 'flex', alignItems: 'center', gap: 6 },
+  name: (playing) => ({
+    flex: 1, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap',
+    fontFamily: 'monospace',
+    color: playing ? '#4ecca3' : '#b0b8d0',
+  }),
+  muted: { color: '#666', fontSize: 11 },
+  playBtn: (playing, disabled) => ({
+    background: playing ? '#4ecca3' : 'transparent',
+    border: '1px solid #4ecca3',
+    color: playing ? '#0b0b18' : '#4ecca3',
+    borderRadius: 3, padding: '0 6px', fontSize: 11, fontFamily: 'inherit',
+    cursor: disabled ? 'not-allowed' : 'pointer', opacity: disabled ? 0.4 : 1,
+  }),
+  iconBtn: {
+    background: 'transparent', border: 'none',
+    color: '#888', cursor: 'pointer',
+    fontSize: 12, fontFamily: 'inherit', padding: '0 3px',
+  },
+  row: { display: 'flex', alignItems: 'center', gap: 6, marginTop: 3 },
+  label: { width: 64, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap', color: '#888', fontFamily: 'monospace' },
+  slider: { flex: 1, minWidth: 0, accentColor: '#4ecca3' },
+  value: { width: 52, textAlign: 'right', color: '#eee', fontFamily: 'monospace', fontVariantNumeric: 'tabular-nums' },
+  mapped: { flex: 1, color: '#e9a645', fontFamily: 'monospace' },
+  number: {
+    width: 52, background: '#090914', border: '1px solid #2a2a4a', color: '#eee',
+    fontFamily: 'monospace', fontSize: 12, padding: '0 3px', textAlign: 'right',
+  },
+  source: {
+    margin: '4px 0 0', padding: '4px 6px',
+    background: '#090914', color: '#b0b8d0',
+    fontSize: 11, whiteSpace: 'pre-wrap', wordBreak: 'break-word',
+    maxHeight: 160, overflowY: 'auto',
+  },
+  empty: { padding: '8px 10px', color: '#555', lineHeight: 1.6 },
+};
+
+// ── Fader ─────────────────────────────────────────────────────────────────────
+// A range input over 0…1 mapped through the spec. While it's being dragged
+// the local value wins over what the interpreter reports, which lags behind
+// by up to half a second.
+function Fader({ label, value, min, max, warp, step, disabled, onChange }) {
+  const [draft, setDraft] = useState(null);
+  const dragging = useRef(false);
+  const send = useRef(null);
+  if (!send.current) send.current = throttle(SEND_INTERVAL_MS);
+
+  useEffect(() => { if (!dragging.current) setDraft(null); }, [value]);
+  useEffect(() => () => send.current.cancel(), []);
+
+  const shown = draft ?? value;
+  return (
+    <div style={S.row}>
+      <span style={S.label} title={label}>{label}</span>
+      <input
+        type="range"
+        style={S.slider}
+        min={0} max={1} step={0.001}
+        disabled={disabled}
+        value={unmapValue(shown, min, max, warp)}
+        onPointerDown={() => { dragging.current = true; }}
+        onPointerUp={() => { dragging.current = false; }}
+        onChange={(e) => {
+          const v = quantize(mapValue(Number(e.target.value), min, max, warp), step);
+          setDraft(v);
+          send.current(() => onChange(v));
+        }}
+      />
+      <span style={S.value}>{formatValue(shown)}</span>
+    </div>
+  );
+}
+
+// A number field that commits on Enter or blur
+function NumberField({ value, disabled, onCommit }) {
+  const [text, setText] = useState(null);
+  const commit = () => {
+    if (text !== null && text.trim() !== '' && Number(text) !== value) onCommit(Number(text));
+    setText(null);
+  };
+  return (
+    <input
+      style={S.number}
+      disabled={disabled}
+      value={text ?? formatValue(value)}
+      onChange={(e) => setText(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => {
+        if (e.key === 'Enter') commit();
+        if (e.key === 'Escape') setText(null);
+      }}
+    />
+  );
+}
+
+// ── Proxy ─────────────────────────────────────────────────────────────────────
+function Proxy({ proxy, canEdit, onAction }) {
+  const [showSource, setShowSource] = useState(false);
+  const act = (action, extra) => onAction(proxy.space, proxy.name, action, extra);
+  const audio = proxy.rate === 'audio';
+
+  return (
+    <div style={S.proxy}>
+      <div style={S.proxyHead}>
+        <button
+          style={S.playBtn(proxy.playing, !canEdit || !audio)}
+          disabled={!canEdit || !audio}
+          onClick={() => act(proxy.playing ? 'stop' : 'play')}
+          title={audio ? (proxy.playing ? 'Stop (fades out over fadeTime)' : 'Play') : `${proxy.rate ?? 'empty'} proxy`}
+        >{proxy.playing ? '■' : '▶'}</button>
+        <span style={S.name(proxy.playing)} title={proxyLabel(proxy)}>{proxyLabel(proxy)}</span>
+        <span style={S.muted}>{proxy.rate ? `${proxy.rate === 'audio' ? 'ar' : 'kr'} ${proxy.numChannels}` : 'empty'}</span>
+        {proxy.source && (
+          <button style={S.iconBtn} onClick={() => setShowSource((v) => !v)} title="Source code">
+            {showSource ? '▾' : '{ }'}
+          </button>
+        )}
+      </div>
+      {showSource && <pre style={S.source}>{proxy.source}</pre>}
+
+      {audio && (
+        <Fader label="vol" value={proxy.vol} min={0} max={1} warp="amp" step={0}
+          disabled={!canEdit} onChange={(v) => act('vol', { value: v })} />
+      )}
+      <div style={S.row}>
+        <span style={S.label}>fadeTime</span>
+        <span style={{ flex: 1 }} />
+        <NumberField value={proxy.fadeTime} disabled={!canEdit} onCommit={(v) => act('fadeTime', { value: v })} />
+      </div>
+
+      {proxy.controls.map(([name, value, min, max, warp, step]) => (
+        typeof value === 'number' ? (
+          <Fader key={name} label={name} value={value} min={min} max={max} warp={warp} step={step}
+            disabled={!canEdit} onChange={(v) => act('set', { control: name, value: v })} />
+        ) : (
+          <div key={name} style={S.row}>
+            <span style={S.label} title={name}>{name}</span>
+            <span style={S.mapped} title="Mapped">← {value}</span>
+          </div>
+        )
+      ))}
+    </div>
+  );
+}
+
+// ── Component ─────────────────────────────────────────────────────────────────
+// The session's Ndefs (and ~proxies, if currentEnvironment is a ProxySpace)
+// as sclang last reported them; null until the first report or while sclang
+// is down. `onAction(space, name, action, extra)` plays, stops, sets the
+// volume or fade time, or sets a control.
+export default function Proxies({ style, proxies, canEdit, onAction }) {
+  const playing = proxies?.filter((p) => p.playing).length ?? 0;
+  return (
+    <div style={{ ...S.panel, ...style }}>
+      <div style={S.header}>
+        <span style={S.headerTitle}>PROXIES</span>
+        {proxies && proxies.length > 0 && <span>{playing}/{proxies.length} playing</span>}
+      </div>
+      <div style={S.list}>
+        {!proxies && <div style={S.empty}>Waiting for sclang…</div>}
+        {proxies?.length === 0 && (
+          <div style={S.empty}>
+            No proxies yet. Define one with <code>Ndef(\a, {'{ SinOsc.ar(\\freq.kr(440)) * 0.1 }'})</code>,
+            or push a ProxySpace with <code>p = ProxySpace.push(s)</code>.
+          </div>
+        )}
+        {proxies?.map((p) => (
+          <Proxy key={`${p.space}:${p.name}`} proxy={p} canEdit={canEdit} onAction={onAction} />
+        ))}
+      </div>
+    </div>
+  );
+}
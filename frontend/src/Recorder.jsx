@@ -0,0 +1,208 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { listRecordings, deleteRecording, recordingUrl } from './recordings.js';
+
+// ── Options ───────────────────────────────────────────────────────────────────
+const FORMATS = ['wav', 'aiff', 'flac'];
+const BIT_DEPTHS = [16, 24, 32]; // 32 = float (not available as FLAC)
+const OPTIONS_KEY = 'sc-web-record-options';
+
+function loadOptions() {
+  try {
+    return { format: 'wav', bits: 24, channels: 2, ...JSON.parse(localStorage.getItem(OPTIONS_KEY)) };
+  } catch {
+    return { format: 'wav', bits: 24, channels: 2 };
+  }
+}
+
+const clock = (ms) => {
+  const s = Math.floor(ms / 1000);
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+};
+
+const megabytes = (bytes) => `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+
+// ── Styles ────────────────────────────────────────────────────────────────────
+const S = {
+  wrap: { position: 'relative', display: 'flex', alignItems: 'center' },
+  rec: (recording, disabled) => ({
+    background: recording ? '#e94560' : 'transparent',
+    border: '1px solid #e94560',
+    borderRight: 'none',
+    color: recording ? '#fff' : '#e94560',
+    padding: '4px 10px',
+    borderRadius: '3px 0 0 3px',
+    cursor: disabled ? 'not-allowed' : 'pointer',
+    opacity: disabled ? 0.4 : 1,
+    fontSize: 12,
+    fontFamily: 'inherit',
+    fontVariantNumeric: 'tabular-nums',
+  }),
+  menuBtn: (solo) => ({
+    background: 'transparent',
+    border: `1px solid ${solo ? '#2a2a4a' : '#e94560'}`,
+    color: solo ? '#888' : '#e94560',
+    padding: '4px 6px',
+    borderRadius: solo ? 3 : '0 3px 3px 0',
+    cursor: 'pointer',
+    fontSize: 12,
+    fontFamily: 'inherit',
+  }),
+  popover: {
+    position: 'absolute', top: '100%', right: 0, zIndex: 20, marginTop: 4,
+    width: 380,
+    background: '#0b0b18',
+    border: '1px solid #2a2a4a',
+    boxShadow: '0 6px 16px rgba(0,0,0,0.5)',
+    fontSize: 12,
+    color: '#b0b8d0',
+  },
+  options: { display: 'flex', gap: 8, alignItems: 'center', padding: '8px 10px', borderBottom: '1px solid #2a2a4a' },
+  select: {
+    background: '#0d0d1a', border: '1px solid #2a2a4a', color: '#b0b8d0',
+    fontSize: 11, padding: '2px 4px', borderRadius: 3,
+  },
+  list: { maxHeight: 360, overflowY: 'auto' },
+  item: { padding: '6px 10px', borderBottom: '1px solid #16162a' },
+  itemHead: { display: 'flex', alignItems: 'center', gap: 6 },
+  itemName: { flex: 1, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap', color: '#eee' },
+  muted: { color: '#666', fontSize: 11 },
+  link: { color: '#4ecca3', textDecoration: 'none', cursor: 'pointer', background: 'none', border: 'none', fontSize: 12, padding: 0 },
+  audio: { width: '100%', height: 28, marginTop: 4 },
+  empty: { padding: '8px 10px', color: '#666' },
+  error: { padding: '4px 10px', color: '#e94560' },
+};
+
+// ── Component ─────────────────────────────────────────────────────────────────
+// Toolbar record button plus a ▾ menu with the recording format and the list
+// of recordings (preview, download, delete). `recording` is the bridge's
+// current state for this session: null, or { name, startedAt, by, … }.
+export default function Recorder({ recording, maxChannels, canRecord, connected, send }) {
+  const [options, setOptions] = useState(loadOptions);
+  const [open, setOpen]       = useState(false);
+  const [files, setFiles]     = useState([]);
+  const [error, setError]     = useState(null);
+  const [preview, setPreview] = useState(null); // name of the recording whose player is shown
+  const [now, setNow]         = useState(Date.now());
+  const wrapRef = useRef(null);
+
+  const refresh = useCallback(async () => {
+    try {
+      setFiles(await listRecordings());
+      setError(null);
+    } catch (e) {
+      setError(e.message);
+    }
+  }, []);
+
+  // Refresh whenever the menu opens and whenever a recording starts or ends
+  useEffect(() => { if (open) refresh(); }, [open, recording, refresh]);
+
+  // Tick the elapsed time while recording
+  useEffect(() => {
+    if (!recording) return;
+    const id = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(id);
+  }, [recording]);
+
+  // Close on a click anywhere else
+  useEffect(() => {
+    if (!open) return;
+    const onDown = (e) => { if (!wrapRef.current?.contains(e.target)) setOpen(false); };
+    document.addEventListener('mousedown', onDown);
+    return () => document.removeEventListener('mousedown', onDown);
+  }, [open]);
+
+  const setOption = (key, value) => {
+    const next = { ...options, [key]: value };
+    if (next.format === 'flac' && next.bits === 32) next.bits = 24;
+    setOptions(next);
+    localStorage.setItem(OPTIONS_KEY, JSON.stringify(next));
+  };
+
+  const channels = Math.min(options.channels, maxChannels || 2);
+
+  const toggleRecording = () => {
+    if (recording) send('stopRecording');
+    else send('record', { format: options.format, bits: options.bits, channels });
+  };
+
+  const remove = async (name) => {
+    if (!window.confirm(`Delete ${name}?`)) return;
+    try {
+      await deleteRecording(name);
+      if (preview === name) setPreview(null);
+      refresh();
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  return (
+    <span style={S.wrap} ref={wrapRef}>
+      {canRecord && (
+        <button
+          style={S.rec(!!recording, !connected)}
+          disabled={!connected}
+          onClick={toggleRecording}
+          title={recording
+            ? `Recording ${recording.name}${recording.by ? ` (started by ${recording.by})` : ''} — click to stop`
+            : `Record the server output (${options.format}, ${options.bits === 32 ? '32-bit float' : `${options.bits}-bit`}, ${channels} ch)`}
+        >
+          {recording ? `■ ${clock(now - recording.startedAt)}` : '● Rec'}
+        </button>
+      )}
+      <button style={S.menuBtn(!canRecord)} onClick={() => setOpen((v) => !v)} title="Recording format and recordings">
+        {canRecord ? '▾' : 'Recordings ▾'}
+      </button>
+
+      {open && (
+        <div style={S.popover}>
+          {canRecord && (
+            <div style={S.options}>
+              <select style={S.select} value={options.format} disabled={!!recording}
+                onChange={(e) => setOption('format', e.target.value)}>
+                {FORMATS.map((f) => <option key={f} value={f}>{f.toUpperCase()}</option>)}
+              </select>
+              <select style={S.select} value={options.bits} disabled={!!recording}
+                onChange={(e) => setOption('bits', Number(e.target.value))}>
+                {BIT_DEPTHS.map((b) => (
+                  <option key={b} value={b} disabled={b === 32 && options.format === 'flac'}>
+                    {b === 32 ? '32-bit float' : `${b}-bit`}
+                  </option>
+                ))}
+              </select>
+              <select style={S.select} value={channels} disabled={!!recording}
+                onChange={(e) => setOption('channels', Number(e.target.value))}>
+                {Array.from({ length: maxChannels || 2 }, (_, i) => i + 1).map((n) => (
+                  <option key={n} value={n}>{n === 1 ? 'mono' : n === 2 ? 'stereo' : `${n} ch`}</option>
+                ))}
+              </select>
+            </div>
+          )}
+          {error && <div style={S.error}>{error}</div>}
+          <div style={S.list}>
+            {!error && files.length === 0 && <div style={S.empty}>No recordings yet</div>}
+            {files.map((f) => (
+              <div key={f.name} style={S.item}>
+                <div style={S.itemHead}>
+                  <span style={S.itemName} title={f.name}>{f.name}</span>
+                  <span style={S.muted}>{megabytes(f.size)}</span>
+                  <button style={S.link} onClick={() => setPreview(preview === f.name ? null : f.name)}>
+                    {preview === f.name ? 'hide' : '▶'}
+                  </button>
+                  <a style={S.link} href={recordingUrl(f.name, { download: true })} title="Download">⤓</a>
+                  {canRecord && recording?.name !== f.name && (
+                    <button style={{ ...S.link, color: '#e94560' }} onClick={() => remove(f.name)} title="Delete">✕</button>
+                  )}
+                </div>
+                {preview === f.name && (
+                  <audio style={S.audio} controls autoPlay preload="metadata" src={recordingUrl(f.name)} />
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </span>
+  );
+}
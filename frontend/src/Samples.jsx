@@ -0,0 +1,261 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { listSamples, uploadSample, deleteSample, sampleUrl } from './samples.js';
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+// "Kick 01.wav" → "kick_01": a name that works as ~name in sclang
+function variableFor(name) {
+  const base = name.replace(/\.[^.]+$/, '').toLowerCase().replace(/\W+/g, '_').replace(/^_+|_+$/g, '');
+  return /^[a-z]/.test(base) ? base : `s${base}`;
+}
+
+const duration = (seconds) => {
+  if (!(seconds > 0)) return '–';
+  if (seconds < 10) return `${seconds.toFixed(2)} s`;
+  const s = Math.round(seconds);
+  return s < 60 ? `${s} s` : `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+};
+
+const channelLabel = (n) => (n === 1 ? 'mono' : n === 2 ? 'stereo' : `${n} ch`);
+
+// Mirrored peak outline, drawn in a 0…points × -1…1 viewBox
+function waveformPath(peaks) {
+  const top = peaks.map((p, i) => `${i},${-p}`);
+  const bottom = peaks.map((p, i) => `${i},${p}`).reverse();
+  return `M${top.join('L')}L${bottom.join('L')}Z`;
+}
+
+// ── Styles ────────────────────────────────────────────────────────────────────
+const S = {
+  panel: (dragging) => ({
+    display: 'flex', flexDirection: 'column',
+    background: '#0b0b18',
+    minHeight: 0,
+    fontSize: 12,
+    outline: dragging ? '2px dashed #4ecca3' : 'none',
+    outlineOffset: -4,
+  }),
+  header: {
+    display: 'flex', alignItems: 'center', gap: 6,
+    padding: '6px 8px',
+    borderBottom: '1px solid #2a2a4a',
+    color: '#888',
+    flexShrink: 0,
+  },
+  headerTitle: { flex: 1, letterSpacing: '0.05em' },
+  iconBtn: {
+    background: 'transparent', border: 'none',
+    color: '#888', cursor: 'pointer',
+    fontSize: 12, fontFamily: 'inherit', padding: '0 3px',
+  },
+  list: { flex: 1, overflowY: 'auto', minHeight: 0 },
+  item: { padding: '6px 8px', borderBottom: '1px solid #16162a' },
+  itemHead: { display: 'flex', alignItems: 'center', gap: 6 },
+  itemName: { flex: 1, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap', color: '#eee' },
+  muted: { color: '#666', fontSize: 11 },
+  wave: { display: 'block', width: '100%', height: 28, margin: '4px 0' },
+  load: { display: 'flex', alignItems: 'center', gap: 4, fontFamily: 'monospace' },
+  input: {
+    flex: 1, minWidth: 0,
+    background: '#090914', border: '1px solid #2a2a4a', color: '#eee',
+    fontFamily: 'inherit', fontSize: 12, padding: '1px 4px',
+  },
+  loadBtn: (disabled) => ({
+    background: 'transparent', border: '1px solid #4ecca3', color: '#4ecca3',
+    borderRadius: 3, padding: '1px 8px', fontSize: 11, fontFamily: 'inherit',
+    cursor: disabled ? 'not-allowed' : 'pointer', opacity: disabled ? 0.4 : 1,
+  }),
+  audio: { width: '100%', height: 28, marginTop: 4 },
+  section: {
+    padding: '6px 8px',
+    borderTop: '1px solid #2a2a4a', borderBottom: '1px solid #2a2a4a',
+    color: '#888', letterSpacing: '0.05em',
+    flexShrink: 0,
+  },
+  buffers: { maxHeight: '35%', overflowY: 'auto', fontFamily: 'monospace', flexShrink: 0 },
+  buffer: (internal) => ({
+    display: 'flex', gap: 8, padding: '2px 8px',
+    color: internal ? '#555' : '#b0b8d0',
+    whiteSpace: 'nowrap',
+  }),
+  bufnum: { minWidth: 28, textAlign: 'right', color: '#666' },
+  bufName: { flex: 1, overflow: 'hidden', textOverflow: 'ellipsis', color: '#4ecca3' },
+  empty: { padding: '8px 10px', color: '#555' },
+  status: { padding: '4px 8px', color: '#888' },
+  error: { padding: '4px 8px', color: '#e94560' },
+};
+
+// ── Rows ──────────────────────────────────────────────────────────────────────
+function Sample({ sample, canEdit, connected, preview, onPreview, onLoad, onDelete }) {
+  const [variable, setVariable] = useState(() => variableFor(sample.name));
+  const valid = /^[a-z]\w*$/.test(variable);
+  const load = () => { if (valid && connected) onLoad(sample.name, variable); };
+
+  return (
+    <div style={S.item}>
+      <div style={S.itemHead}>
+        <span style={S.itemName} title={sample.name}>{sample.name}</span>
+        <span style={S.muted}>
+          {sample.error ? sample.error : `${duration(sample.duration)} · ${channelLabel(sample.channels)}`}
+        </span>
+        <button style={S.iconBtn} onClick={onPreview} title="Preview">{preview ? 'hide' : '▶'}</button>
+        {canEdit && (
+          <button style={{ ...S.iconBtn, color: '#e94560' }} onClick={onDelete} title="Delete">✕</button>
+        )}
+      </div>
+      {sample.peaks && (
+        <svg style={S.wave} viewBox={`0 -1 ${sample.peaks.length - 1} 2`} preserveAspectRatio="none">
+          <path d={waveformPath(sample.peaks)} fill="#4ecca3" opacity="0.6" />
+        </svg>
+      )}
+      {preview && <audio style={S.audio} controls autoPlay preload="metadata" src={sampleUrl(sample.name)} />}
+      {canEdit && !sample.error && (
+        <div style={S.load}>
+          <span style={S.muted}>~</span>
+          <input
+            style={{ ...S.input, borderColor: valid ? '#2a2a4a' : '#e94560' }}
+            value={variable}
+            onChange={(e) => setVariable(e.target.value)}
+            onKeyDown={(e) => { if (e.key === 'Enter') load(); }}
+            spellCheck={false}
+          />
+          <button
+            style={S.loadBtn(!valid || !connected)}
+            disabled={!valid || !connected}
+            onClick={load}
+            title={`~${variable} = Buffer.read(s, …) — frees the Buffer ~${variable} held before`}
+          >Load</button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function BufferList({ buffers }) {
+  if (!buffers) return <div style={S.empty}>Server not running.</div>;
+  if (buffers.length === 0) return <div style={S.empty}>No buffers allocated.</div>;
+  return buffers.map((b) => (
+    <div
+      key={b.bufnum}
+      style={S.buffer(b.internal)}
+      title={b.internal ? 'Used by SC Web itself' : b.file || undefined}
+    >
+      <span style={S.bufnum}>{b.bufnum}</span>
+      <span style={S.bufName}>{b.names.map((n) => `~${n}`).join(' ') || (b.internal ? 'scope' : '')}</span>
+      <span>{b.frames} × {b.channels}</span>
+      <span style={S.muted}>{b.sampleRate ? duration(b.frames / b.sampleRate) : ''}</span>
+    </div>
+  ));
+}
+
+// ── Component ─────────────────────────────────────────────────────────────────
+// The samples directory (drop files anywhere on the panel to upload) and the
+// buffers currently allocated on this session's server. `buffers` is the
+// bridge's latest list (null while the server is down); `onLoad(name,
+// variable)` reads a sample into ~variable.
+export default function Samples({ style, buffers, canEdit, connected, onLoad }) {
+  const [samples, setSamples]     = useState([]);
+  const [error, setError]         = useState(null);
+  const [uploading, setUploading] = useState(null); // name of the file being uploaded
+  const [dragging, setDragging]   = useState(false);
+  const [preview, setPreview]     = useState(null);
+  const inputRef = useRef(null);
+
+  const refresh = useCallback(async () => {
+    try {
+      setSamples(await listSamples());
+      setError(null);
+    } catch (e) {
+      setError(e.message);
+    }
+  }, []);
+
+  useEffect(() => { refresh(); }, [refresh]);
+
+  const upload = async (fileList) => {
+    for (const file of fileList) {
+      setUploading(file.name);
+      try {
+        try {
+          await uploadSample(file);
+        } catch (e) {
+          if (e.status !== 409 || !window.confirm(`Replace ${file.name}?`)) throw e;
+          await uploadSample(file, { replace: true });
+        }
+        setError(null);
+      } catch (e) {
+        setError(`${file.name}: ${e.message}`);
+      }
+    }
+    setUploading(null);
+    refresh();
+  };
+
+  const remove = async (name) => {
+    if (!window.confirm(`Delete ${name}?`)) return;
+    try {
+      await deleteSample(name);
+      if (preview === name) setPreview(null);
+      refresh();
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  const dropProps = canEdit ? {
+    onDragOver: (e) => {
+      if (!e.dataTransfer.types.includes('Files')) return;
+      e.preventDefault();
+      setDragging(true);
+    },
+    onDragLeave: (e) => { if (!e.currentTarget.contains(e.relatedTarget)) setDragging(false); },
+    onDrop: (e) => {
+      e.preventDefault();
+      setDragging(false);
+      if (e.dataTransfer.files.length) upload([...e.dataTransfer.files]);
+    },
+  } : {};
+
+  return (
+    <div style={{ ...S.panel(dragging), ...style }} {...dropProps}>
+      <div style={S.header}>
+        <span style={S.headerTitle}>SAMPLES</span>
+        {canEdit && (
+          <button style={S.iconBtn} onClick={() => inputRef.current?.click()} title="Upload sound files">+ Upload</button>
+        )}
+        <button style={S.iconBtn} onClick={refresh} title="Refresh">↻</button>
+        <input
+          ref={inputRef}
+          type="file"
+          multiple
+          accept=".wav,.aif,.aiff,.flac,.ogg"
+          style={{ display: 'none' }}
+          onChange={(e) => { upload([...e.target.files]); e.target.value = ''; }}
+        />
+      </div>
+      {uploading && <div style={S.status}>Uploading {uploading}…</div>}
+      {error && <div style={S.error}>{error}</div>}
+      <div style={S.list}>
+        {!error && samples.length === 0 && (
+          <div style={S.empty}>{canEdit ? 'No samples yet — drop sound files here.' : 'No samples yet.'}</div>
+        )}
+        {samples.map((s) => (
+          <Sample
+            key={`${s.name}:${s.mtime}`}
+            sample={s}
+            canEdit={canEdit}
+            connected={connected}
+            preview={preview === s.name}
+            onPreview={() => setPreview(preview === s.name ? null : s.name)}
+            onLoad={onLoad}
+            onDelete={() => remove(s.name)}
+          />
+        ))}
+      </div>
+      <div style={S.section}>BUFFERS ON SERVER</div>
+      <div style={S.buffers}>
+        <BufferList buffers={buffers} />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,153 @@
+import { useState, useEffect } from 'react';
+
+// The options in the form, in order. `limits` come from the bridge.
+const FIELDS = [
+  { name: 'numOutputs',  label: 'Output channels', hint: 'numOutputBusChannels' },
+  { name: 'numInputs',   label: 'Input channels',  hint: 'numInputBusChannels' },
+  { name: 'memSize',     label: 'Real-time memory (kB)', hint: 'memSize — for delay lines, reverbs, LocalBuf' },
+  { name: 'blockSize',   label: 'Block size',      hint: 'blockSize — samples per control period', powersOfTwo: true },
+  { name: 'numBuffers',  label: 'Buffers',         hint: 'numBuffers' },
+  { name: 'numWireBufs', label: 'Wire buffers',    hint: 'numWireBufs — raise for "exceeded number of interconnect buffers"' },
+];
+
+function powersOfTwo(min, max) {
+  const list = [];
+  for (let n = 1; n <= max; n *= 2) if (n >= min) list.push(n);
+  return list;
+}
+
+function fieldError({ name, label }, value, limits) {
+  const [min, max] = limits[name];
+  if (!Number.isInteger(value) || value < min || value > max) return `${label}: ${min}–${max}`;
+  return null;
+}
+
+// ── Styles ────────────────────────────────────────────────────────────────────
+const S = {
+  backdrop: {
+    position: 'fixed', inset: 0, zIndex: 50,
+    background: 'rgba(0, 0, 0, 0.55)',
+    display: 'flex', alignItems: 'center', justifyContent: 'center',
+  },
+  dialog: {
+    width: 420, maxWidth: 'calc(100vw - 24px)', maxHeight: 'calc(100vh - 24px)', overflowY: 'auto',
+    background: '#0b0b18',
+    border: '1px solid #2a2a4a',
+    boxShadow: '0 10px 30px rgba(0,0,0,0.6)',
+    padding: '14px 16px',
+    color: '#b0b8d0', fontSize: 12,
+  },
+  title: { color: '#eee', fontSize: 14, marginBottom: 10 },
+  row: { display: 'flex', alignItems: 'center', gap: 8, padding: '4px 0' },
+  label: { flex: 1 },
+  changed: { color: '#e9a645' },
+  input: (bad) => ({
+    width: 110, padding: '3px 6px',
+    background: '#090914', border: `1px solid ${bad ? '#e94560' : '#2a2a4a'}`, color: '#eee',
+    fontFamily: 'inherit', fontSize: 12,
+  }),
+  note: { color: '#888', lineHeight: 1.5, margin: '8px 0 0' },
+  error: { color: '#e94560', margin: '8px 0 0' },
+  buttons: { display: 'flex', justifyContent: 'flex-end', gap: 8, marginTop: 14 },
+  btn: (color, disabled) => ({
+    background: 'transparent',
+    border: `1px solid ${color}`,
+    color,
+    padding: '4px 12px',
+    borderRadius: 3,
+    cursor: disabled ? 'not-allowed' : 'pointer',
+    opacity: disabled ? 0.4 : 1,
+    fontSize: 12,
+    fontFamily: 'inherit',
+  }),
+};
+
+// ── Component ─────────────────────────────────────────────────────────────────
+// Admins' dialog for the session's scsynth options, from the bridge's
+// serverOptions message. Applying saves them and reboots the server; the
+// sample rate is JACK's, shared by every session, and changes when the
+// container restarts.
+export default function ServerSettings({ settings, serverReady, send, onClose }) {
+  const [draft, setDraft] = useState(() => ({ ...settings.options, sampleRate: settings.sampleRate.configured }));
+
+  useEffect(() => {
+    const onKey = (e) => { if (e.key === 'Escape') onClose(); };
+    document.addEventListener('keydown', onKey);
+    return () => document.removeEventListener('keydown', onKey);
+  }, [onClose]);
+
+  const { limits, sampleRates, booted, sampleRate } = settings;
+  const errors = FIELDS.map((f) => fieldError(f, draft[f.name], limits)).filter(Boolean);
+  const reboots = FIELDS.filter((f) => draft[f.name] !== booted[f.name]).map((f) => f.name);
+  const rateChanged = draft.sampleRate !== sampleRate.configured;
+  const dirty = reboots.length > 0 || rateChanged || FIELDS.some((f) => draft[f.name] !== settings.options[f.name]);
+
+  const set = (name, value) => setDraft((d) => ({ ...d, [name]: value }));
+
+  const apply = () => {
+    if (reboots.length && serverReady
+      && !window.confirm('Apply and reboot scsynth for this session? Running synths and buffers are lost; ~variables are kept.')) return;
+    send('setServerOptions', { options: draft }); // the stream choice in it is ignored
+    onClose();
+  };
+
+  return (
+    <div style={S.backdrop} onMouseDown={(e) => { if (e.target === e.currentTarget) onClose(); }}>
+      <div style={S.dialog} role="dialog" aria-label="Server settings">
+        <div style={S.title}>Server settings</div>
+        {FIELDS.map((f) => {
+          const [min, max] = limits[f.name];
+          const value = draft[f.name];
+          return (
+            <label key={f.name} style={S.row} title={f.hint}>
+              <span style={{ ...S.label, ...(value !== booted[f.name] ? S.changed : null) }}>{f.label}</span>
+              {f.powersOfTwo ? (
+                <select style={S.input(false)} value={value} onChange={(e) => set(f.name, Number(e.target.value))}>
+                  {powersOfTwo(min, max).map((n) => <option key={n} value={n}>{n}</option>)}
+                </select>
+              ) : (
+                <input
+                  style={S.input(Boolean(fieldError(f, value, limits)))}
+                  type="number" min={min} max={max} step={1}
+                  value={Number.isNaN(value) ? '' : value}
+                  onChange={(e) => set(f.name, e.target.value === '' ? NaN : Number(e.target.value))}
+                />
+              )}
+            </label>
+          );
+        })}
+        <label style={S.row} title="JACK's sample rate, shared by every session">
+          <span style={{ ...S.label, ...(draft.sampleRate !== sampleRate.running ? S.changed : null) }}>Sample rate (Hz)</span>
+          <select style={S.input(false)} value={draft.sampleRate} onChange={(e) => set('sampleRate', Number(e.target.value))}>
+            {sampleRates.map((r) => <option key={r} value={r}>{r}</option>)}
+          </select>
+        </label>
+
+        {sampleRate.configured !== sampleRate.running && (
+          <p style={S.note}>
+            The sample rate is set to {sampleRate.configured} Hz but JACK runs at {sampleRate.running} Hz
+            until the container restarts.
+          </p>
+        )}
+        {reboots.length > 0 && (
+          <p style={S.note}>
+            {serverReady
+              ? 'Applying reboots the server with the highlighted settings.'
+              : 'The highlighted settings apply when the server next boots.'}
+          </p>
+        )}
+        {rateChanged && <p style={S.note}>A new sample rate applies to every session after the container restarts.</p>}
+        {errors.length > 0 && <p style={S.error}>{errors.join(' · ')}</p>}
+
+        <div style={S.buttons}>
+          <button style={S.btn('#888', false)} onClick={onClose}>Cancel</button>
+          <button
+            style={S.btn('#4ecca3', !dirty || errors.length > 0)}
+            disabled={!dirty || errors.length > 0}
+            onClick={apply}
+          >{reboots.length && serverReady ? 'Apply & reboot' : 'Apply'}</button>
+        </div>
+      </div>
+    </div>
+  );
+}
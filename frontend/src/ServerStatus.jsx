@@ -0,0 +1,55 @@
+// ── Thresholds ────────────────────────────────────────────────────────────────
+// Above these the readout turns red, as a warning before scsynth starts to
+// drop out.
+const CPU_AVG_WARN  = 80;
+const CPU_PEAK_WARN = 90;
+
+// ── Styles ────────────────────────────────────────────────────────────────────
+const S = {
+  box: (alert) => ({
+    display: 'flex', alignItems: 'center', gap: 8,
+    padding: '2px 8px',
+    border: `1px solid ${alert ? '#e94560' : '#2a2a4a'}`,
+    borderRadius: 3,
+    background: alert ? 'rgba(233,69,96,0.12)' : '#0d0d1a',
+    color: alert ? '#e94560' : '#b0b8d0',
+    fontSize: 11.5,
+    fontVariantNumeric: 'tabular-nums',
+    whiteSpace: 'nowrap',
+  }),
+  muted: { color: '#666' },
+};
+
+const pct = (x) => `${x.toFixed(1)}%`;
+
+// ── Component ─────────────────────────────────────────────────────────────────
+// scsynth telemetry from the bridge's serverStatus messages, laid out like
+// SC-IDE's status bar: avg/peak CPU, UGens, synths, groups, SynthDefs.
+export default function ServerStatus({ status }) {
+  if (!status?.running) {
+    return <span style={S.box(false)}><span style={S.muted}>server off</span></span>;
+  }
+  if (!status.responding) {
+    return <span style={S.box(true)} title="scsynth hasn't answered /status for a few seconds">server not responding</span>;
+  }
+  if (status.avgCPU == null) return null;
+
+  const alert = status.avgCPU > CPU_AVG_WARN || status.peakCPU > CPU_PEAK_WARN;
+  const drift = status.actualSampleRate - status.sampleRate;
+  return (
+    <span
+      style={S.box(alert)}
+      title={[
+        `Average CPU ${pct(status.avgCPU)}, peak ${pct(status.peakCPU)}`,
+        `${status.numUGens} UGens, ${status.numSynths} synths, ${status.numGroups} groups, ${status.numSynthDefs} SynthDefs`,
+        `Sample rate ${status.sampleRate} Hz nominal, ${status.actualSampleRate.toFixed(2)} Hz actual`,
+      ].join('\n')}
+    >
+      <span>{pct(status.avgCPU)} {pct(status.peakCPU)}</span>
+      <span>{status.numUGens}u {status.numSynths}s {status.numGroups}g {status.numSynthDefs}d</span>
+      <span style={S.muted}>
+        {(status.sampleRate / 1000).toFixed(1)} kHz {drift >= 0 ? '+' : ''}{drift.toFixed(1)}
+      </span>
+    </span>
+  );
+}
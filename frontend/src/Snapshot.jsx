@@ -0,0 +1,220 @@
+import { useState, useEffect, useMemo } from 'react';
+import { getSnapshot, snapshotUrl } from './snapshots.js';
+import { diffLines } from './line-diff.js';
+
+// Unchanged lines kept around each change in the diff; longer runs fold
+const CONTEXT = 3;
+
+// Diff ops grouped for display: changed and context lines as they are,
+// longer unchanged runs as { type: 'fold', count }
+function withFolds(ops) {
+  const out = [];
+  let i = 0;
+  while (i < ops.length) {
+    if (ops[i].type !== 'same') { out.push(ops[i++]); continue; }
+    let end = i;
+    while (end < ops.length && ops[end].type === 'same') end++;
+    const keepBefore = i === 0 ? 0 : CONTEXT;
+    const keepAfter  = end === ops.length ? 0 : CONTEXT;
+    if (end - i > keepBefore + keepAfter + 1) {
+      out.push(...ops.slice(i, i + keepBefore));
+      out.push({ type: 'fold', count: end - i - keepBefore - keepAfter });
+      out.push(...ops.slice(end - keepAfter, end));
+    } else {
+      out.push(...ops.slice(i, end));
+    }
+    i = end;
+  }
+  return out;
+}
+
+// The family as rows in tree order, each with its depth
+function versionRows(versions) {
+  const children = new Map();
+  for (const v of versions) {
+    if (!children.has(v.parent)) children.set(v.parent, []);
+    children.get(v.parent).push(v);
+  }
+  const rows = [];
+  const walk = (parent, depth) => {
+    for (const v of children.get(parent) ?? []) {
+      rows.push({ ...v, depth });
+      walk(v.id, depth + 1);
+    }
+  };
+  walk(null, 0);
+  return rows;
+}
+
+function describe(s) {
+  const when = new Date(s.created).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+  return `v${s.version} · ${s.author || 'anonymous'} · ${when}`;
+}
+
+// ── Styles ────────────────────────────────────────────────────────────────────
+const S = {
+  backdrop: {
+    position: 'fixed', inset: 0, zIndex: 50,
+    background: 'rgba(0, 0, 0, 0.55)',
+    display: 'flex', alignItems: 'center', justifyContent: 'center',
+  },
+  dialog: {
+    width: 760, maxWidth: 'calc(100vw - 24px)', height: 'calc(100vh - 48px)', maxHeight: 640,
+    display: 'flex', flexDirection: 'column',
+    background: '#0b0b18',
+    border: '1px solid #2a2a4a',
+    boxShadow: '0 10px 30px rgba(0,0,0,0.6)',
+    padding: '14px 16px',
+    color: '#b0b8d0', fontSize: 12,
+  },
+  title: { color: '#eee', fontSize: 14 },
+  meta: { color: '#888', margin: '2px 0 10px' },
+  notice: { color: '#4ecca3', marginBottom: 8 },
+  error: { color: '#e94560' },
+  link: { display: 'flex', gap: 8, marginBottom: 10 },
+  linkInput: {
+    flex: 1, padding: '3px 6px',
+    background: '#090914', border: '1px solid #2a2a4a', color: '#eee',
+    fontFamily: 'inherit', fontSize: 12,
+  },
+  body: { flex: 1, minHeight: 0, display: 'flex', gap: 12 },
+  versions: { width: 190, flexShrink: 0, overflowY: 'auto', borderRight: '1px solid #1a1a30', paddingRight: 8 },
+  heading: { color: '#666', fontSize: 11, textTransform: 'uppercase', letterSpacing: 1, marginBottom: 4 },
+  version: (active, depth) => ({
+    display: 'block', width: '100%', textAlign: 'left',
+    padding: `3px 4px 3px ${4 + depth * 12}px`,
+    background: active ? '#1a1a30' : 'transparent', border: 'none',
+    color: active ? '#eee' : '#b0b8d0',
+    cursor: 'pointer', fontSize: 12, fontFamily: 'inherit',
+  }),
+  versionMeta: { display: 'block', color: '#666', fontSize: 11 },
+  mine: { color: '#e9a645' },
+  diffWrap: { flex: 1, minWidth: 0, display: 'flex', flexDirection: 'column' },
+  diff: {
+    flex: 1, overflow: 'auto', margin: 0,
+    background: '#090914', border: '1px solid #1a1a30',
+    fontFamily: 'inherit', fontSize: 12, lineHeight: '18px',
+  },
+  line: (type) => ({
+    whiteSpace: 'pre', padding: '0 8px',
+    color: type === 'add' ? '#4ecca3' : type === 'del' ? '#e94560' : '#888',
+    background: type === 'add' ? 'rgba(78, 204, 163, 0.08)' : type === 'del' ? 'rgba(233, 69, 96, 0.08)' : 'transparent',
+  }),
+  fold: { padding: '0 8px', color: '#555', fontStyle: 'italic' },
+  buttons: { display: 'flex', justifyContent: 'flex-end', gap: 8, marginTop: 12 },
+  btn: (color, disabled) => ({
+    background: 'transparent',
+    border: `1px solid ${color}`,
+    color,
+    padding: '4px 12px',
+    borderRadius: 3,
+    cursor: disabled ? 'not-allowed' : 'pointer',
+    opacity: disabled ? 0.4 : 1,
+    fontSize: 12,
+    fontFamily: 'inherit',
+  }),
+};
+
+const MARKS = { add: '+', del: '-', same: ' ' };
+
+// ── Component ─────────────────────────────────────────────────────────────────
+// A shared snapshot, opened from its /s/<id> link, after sharing, or from a
+// tab's history. Shows what loading it would change in the current buffer
+// (read-only) before anything is replaced, and the snapshot's family of
+// versions to step through. `current` is the buffer's text and `mine` the
+// snapshot it was loaded from or last shared as, if any.
+export default function Snapshot({ id, notice, current, mine, onReplace, onOpenTab, onClose }) {
+  const [viewing, setViewing] = useState(id);
+  const [data, setData]       = useState(null); // { snapshot, versions }
+  const [error, setError]     = useState(null);
+  const [copied, setCopied]   = useState(false);
+
+  useEffect(() => { setViewing(id); }, [id]);
+
+  useEffect(() => {
+    let live = true;
+    setError(null);
+    getSnapshot(viewing)
+      .then((d) => { if (live) setData(d); })
+      .catch((e) => { if (live) setError(e.message); });
+    return () => { live = false; };
+  }, [viewing]);
+
+  useEffect(() => {
+    const onKey = (e) => { if (e.key === 'Escape') onClose(); };
+    document.addEventListener('keydown', onKey);
+    return () => document.removeEventListener('keydown', onKey);
+  }, [onClose]);
+
+  const snapshot = data?.snapshot.id === viewing ? data.snapshot : null;
+  const ops = useMemo(() => (snapshot ? diffLines(current, snapshot.code) : []), [snapshot, current]);
+  const added   = ops.filter((o) => o.type === 'add').length;
+  const removed = ops.filter((o) => o.type === 'del').length;
+  const same    = snapshot && snapshot.code === current;
+  const rows    = useMemo(() => versionRows(data?.versions ?? []), [data]);
+  const url     = snapshotUrl(viewing);
+
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(url);
+      setCopied(true);
+    } catch {
+      window.prompt('Copy this link:', url);
+    }
+  };
+
+  return (
+    <div style={S.backdrop} onMouseDown={(e) => { if (e.target === e.currentTarget) onClose(); }}>
+      <div style={S.dialog} role="dialog" aria-label="Shared snapshot">
+        <div style={S.title}>{snapshot?.title || (snapshot ? 'untitled' : 'Shared snapshot')}</div>
+        <div style={S.meta}>{snapshot ? describe(snapshot) : error ? '' : 'loading…'}</div>
+        {notice && viewing === id && <div style={S.notice}>{notice}</div>}
+        {error && <div style={S.error}>Cannot open snapshot {viewing}: {error}</div>}
+
+        <div style={S.link}>
+          <input style={S.linkInput} readOnly value={url} onFocus={(e) => e.target.select()} />
+          <button style={S.btn('#888', false)} onClick={copy}>{copied ? 'Copied' : 'Copy link'}</button>
+        </div>
+
+        <div style={S.body}>
+          <div style={S.versions}>
+            <div style={S.heading}>Versions</div>
+            {rows.map((v) => (
+              <button key={v.id} style={S.version(v.id === viewing, v.depth)} onClick={() => { setViewing(v.id); setCopied(false); }}>
+                v{v.version}{v.id === mine && <span style={S.mine}> · this tab</span>}
+                <span style={S.versionMeta}>{v.author || 'anonymous'} · {new Date(v.created).toLocaleDateString()}</span>
+              </button>
+            ))}
+          </div>
+
+          <div style={S.diffWrap}>
+            <div style={S.heading}>
+              {!snapshot ? 'Changes' : same ? 'Your buffer already matches this version' : `Loading it changes your buffer: +${added} −${removed} lines`}
+            </div>
+            <pre style={S.diff}>
+              {withFolds(ops).map((o, i) => (o.type === 'fold'
+                ? <div key={i} style={S.fold}>  ⋯ {o.count} unchanged {o.count === 1 ? 'line' : 'lines'}</div>
+                : <div key={i} style={S.line(o.type)}>{MARKS[o.type]} {o.text}</div>))}
+            </pre>
+          </div>
+        </div>
+
+        <div style={S.buttons}>
+          <button style={S.btn('#888', false)} onClick={onClose}>Close</button>
+          <button
+            style={S.btn('#b0b8d0', !snapshot)}
+            disabled={!snapshot}
+            onClick={() => onOpenTab(snapshot)}
+            title="Open this version in a new editor tab"
+          >Open in new tab</button>
+          <button
+            style={S.btn('#4ecca3', !snapshot || same)}
+            disabled={!snapshot || same}
+            onClick={() => onReplace(snapshot)}
+            title="Replace the current buffer with this version (Ctrl+Z undoes it)"
+          >Replace buffer</button>
+        </div>
+      </div>
+    </div>
+  );
+}
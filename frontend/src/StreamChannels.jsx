@@ -0,0 +1,36 @@
+// ── Styles ────────────────────────────────────────────────────────────────────
+const S = {
+  select: {
+    background: '#0b0b18', border: '1px solid #2a2a4a', color: '#b0b8d0',
+    padding: '3px 4px', fontSize: 12, fontFamily: 'inherit',
+  },
+};
+
+// ── Component ─────────────────────────────────────────────────────────────────
+// What the session's stereo stream carries when its server has more than two
+// outputs: all of them mixed down (odd ones left, even ones right) or one
+// pair. Changing it only rewires JACK, for the Icecast stream and the live
+// monitor alike; everyone in the session hears the same.
+export default function StreamChannels({ settings, canChange, send }) {
+  const outputs = settings?.booted.numOutputs ?? 2;
+  if (outputs <= 2) return null;
+
+  const pairs = [];
+  for (let first = 1; first <= outputs; first += 2) pairs.push(first);
+  const { stream } = settings.options;
+
+  return (
+    <select
+      style={S.select}
+      value={String(stream)}
+      disabled={!canChange}
+      onChange={(e) => send('setStream', { stream: e.target.value === 'mix' ? 'mix' : Number(e.target.value) })}
+      title={`The server has ${outputs} outputs — what the stream plays`}
+    >
+      <option value="mix">Mix 1–{outputs}</option>
+      {pairs.map((first) => (
+        <option key={first} value={first}>Out {first < outputs ? `${first}–${first + 1}` : first}</option>
+      ))}
+    </select>
+  );
+}
@@ -0,0 +1,85 @@
+import { useState } from 'react';
+
+// ── Styles ────────────────────────────────────────────────────────────────────
+const S = {
+  bar: {
+    display: 'flex', alignItems: 'stretch',
+    background: '#0b0b18',
+    borderBottom: '1px solid #2a2a4a',
+    overflowX: 'auto',
+    flexShrink: 0,
+    fontSize: 12,
+  },
+  tab: (active, dropTarget) => ({
+    display: 'flex', alignItems: 'center', gap: 6,
+    padding: '4px 6px 4px 12px',
+    borderRight: '1px solid #2a2a4a',
+    borderLeft: `2px solid ${dropTarget ? '#4ecca3' : 'transparent'}`,
+    borderTop: `2px solid ${active ? '#4ecca3' : 'transparent'}`,
+    background: active ? '#282c34' : 'transparent',
+    color: active ? '#e0e0f0' : '#888',
+    cursor: 'pointer',
+    whiteSpace: 'nowrap',
+    userSelect: 'none',
+  }),
+  dirty: { color: '#e9a645' },
+  close: {
+    background: 'transparent', border: 'none',
+    color: 'inherit', cursor: 'pointer',
+    fontSize: 11, fontFamily: 'inherit', padding: '0 3px',
+    opacity: 0.6,
+  },
+  add: {
+    background: 'transparent', border: 'none',
+    color: '#888', cursor: 'pointer',
+    fontSize: 14, fontFamily: 'inherit', padding: '0 10px',
+  },
+};
+
+// ── Component ─────────────────────────────────────────────────────────────────
+// `tabs` are { id, title, tooltip, dirty, fixed }; fixed tabs can't be
+// dragged or dropped onto. Dragging a tab onto another moves it there.
+export default function TabBar({ tabs, active, onSelect, onClose, onMove, onNew }) {
+  const [dragging, setDragging] = useState(null);
+  const [over, setOver]         = useState(null);
+
+  const endDrag = () => { setDragging(null); setOver(null); };
+
+  return (
+    <div style={S.bar}>
+      {tabs.map((t) => (
+        <div
+          key={t.id}
+          style={S.tab(t.id === active, over === t.id && dragging !== t.id)}
+          title={t.tooltip}
+          draggable={!t.fixed}
+          onClick={() => onSelect(t.id)}
+          // Middle-click closes, as in most editors
+          onAuxClick={(e) => { if (e.button === 1) onClose(t.id); }}
+          onDragStart={(e) => { setDragging(t.id); e.dataTransfer.effectAllowed = 'move'; }}
+          onDragOver={(e) => {
+            if (!dragging || t.fixed) return;
+            e.preventDefault();
+            setOver(t.id);
+          }}
+          onDragLeave={() => setOver((o) => (o === t.id ? null : o))}
+          onDrop={(e) => {
+            e.preventDefault();
+            if (dragging && dragging !== t.id) onMove(dragging, t.id);
+            endDrag();
+          }}
+          onDragEnd={endDrag}
+        >
+          <span>{t.title}</span>
+          {t.dirty && <span style={S.dirty} title="Unsaved changes">●</span>}
+          <button
+            style={S.close}
+            title="Close"
+            onClick={(e) => { e.stopPropagation(); onClose(t.id); }}
+          >✕</button>
+        </div>
+      ))}
+      {onNew && <button style={S.add} title="New tab" onClick={onNew}>+</button>}
+    </div>
+  );
+}
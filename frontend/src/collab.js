@@ -0,0 +1,182 @@
+/**
+ * Shared-document editing for CodeMirror 6.
+ *
+ * Wraps @codemirror/collab for the bridge's doc* protocol (see
+ * sc-backend/bridge/shared-doc.js). The bridge holds the authoritative text;
+ * this side pushes local updates tagged with the last confirmed version and
+ * rebases onto whatever the bridge broadcasts.
+ *
+ * Also draws the other collaborators' cursors and selections, labelled with
+ * their user names.
+ */
+import { collab, getSyncedVersion, receiveUpdates, sendableUpdates } from '@codemirror/collab';
+import { ChangeSet, StateEffect, StateField } from '@codemirror/state';
+import { Decoration, EditorView, ViewPlugin, WidgetType } from '@codemirror/view';
+
+// ── Remote cursors ────────────────────────────────────────────────────────────
+
+// { user: { id, name, color }, ranges: [{ anchor, head }] }
+export const remoteCursor = StateEffect.define();
+// { id, name, color }
+export const remoteLeave  = StateEffect.define();
+
+class CursorWidget extends WidgetType {
+  constructor(name, color) {
+    super();
+    this.name  = name;
+    this.color = color;
+  }
+
+  eq(other) { return other.name === this.name && other.color === this.color; }
+
+  toDOM() {
+    const caret = document.createElement('span');
+    caret.className = 'cm-remote-caret';
+    caret.style.borderLeftColor = this.color;
+    const label = document.createElement('span');
+    label.className = 'cm-remote-label';
+    label.style.backgroundColor = this.color;
+    label.textContent = this.name;
+    caret.appendChild(label);
+    return caret;
+  }
+
+  ignoreEvent() { return true; }
+}
+
+const remoteField = StateField.define({
+  create: () => new Map(), // user id → { user, ranges }
+
+  update(users, tr) {
+    if (tr.docChanged) {
+      const mapped = new Map();
+      for (const [id, u] of users) {
+        mapped.set(id, {
+          user:   u.user,
+          ranges: u.ranges.map((r) => ({
+            anchor: tr.changes.mapPos(r.anchor),
+            head:   tr.changes.mapPos(r.head),
+          })),
+        });
+      }
+      users = mapped;
+    }
+    for (const e of tr.effects) {
+      if (e.is(remoteCursor)) {
+        users = new Map(users);
+        users.set(e.value.user.id, e.value);
+      } else if (e.is(remoteLeave)) {
+        users = new Map(users);
+        users.delete(e.value.id);
+      }
+    }
+    return users;
+  },
+
+  provide: (f) => EditorView.decorations.compute([f], (state) => {
+    const len   = state.doc.length;
+    const clamp = (pos) => Math.max(0, Math.min(pos, len));
+    const decos = [];
+    for (const { user, ranges } of state.field(f).values()) {
+      for (const r of ranges) {
+        const from = clamp(Math.min(r.anchor, r.head));
+        const to   = clamp(Math.max(r.anchor, r.head));
+        if (from < to) {
+          decos.push(Decoration.mark({
+            attributes: { style: `background-color: ${user.color}33` },
+          }).range(from, to));
+        }
+        decos.push(Decoration.widget({
+          widget: new CursorWidget(user.name, user.color),
+          side: 1,
+        }).range(clamp(r.head)));
+      }
+    }
+    return Decoration.set(decos, true);
+  }),
+});
+
+const remoteTheme = EditorView.baseTheme({
+  '.cm-remote-caret': {
+    position: 'relative',
+    borderLeft: '2px solid',
+    marginLeft: '-1px',
+    marginRight: '-1px',
+  },
+  '.cm-remote-label': {
+    position: 'absolute',
+    top: '-1.3em',
+    left: '-2px',
+    padding: '0 3px',
+    borderRadius: '2px',
+    fontSize: '10px',
+    lineHeight: '1.3em',
+    color: '#0d0d1a',
+    whiteSpace: 'nowrap',
+    pointerEvents: 'none',
+    opacity: 0.85,
+  },
+});
+
+// ── Sync ──────────────────────────────────────────────────────────────────────
+
+// Push unconfirmed local updates, one batch in flight at a time. A push is
+// answered by the bridge broadcasting the accepted updates (ours included),
+// which moves the synced version on; a stale push is silently dropped and we
+// retry after rebasing onto the updates we were missing.
+function syncPlugin(send) {
+  return ViewPlugin.fromClass(class {
+    constructor(view) {
+      this.view        = view;
+      this.inflight    = false;
+      this.cursorTimer = null;
+      this.push();
+    }
+
+    update(update) {
+      if (getSyncedVersion(update.state) !== getSyncedVersion(update.startState)) {
+        this.inflight = false;
+      }
+      if (!this.inflight) this.push();
+      if (update.selectionSet || update.docChanged) this.scheduleCursor();
+    }
+
+    push() {
+      const updates = sendableUpdates(this.view.state);
+      if (!updates.length) return;
+      this.inflight = true;
+      send('docPush', {
+        version: getSyncedVersion(this.view.state),
+        updates: updates.map((u) => ({ clientID: u.clientID, changes: u.changes.toJSON() })),
+      });
+    }
+
+    scheduleCursor() {
+      if (this.cursorTimer) return;
+      this.cursorTimer = setTimeout(() => {
+        this.cursorTimer = null;
+        const ranges = this.view.state.selection.ranges.map((r) => ({ anchor: r.anchor, head: r.head }));
+        send('docCursor', { ranges });
+      }, 50);
+    }
+
+    destroy() { clearTimeout(this.cursorTimer); }
+  });
+}
+
+// Extensions for an editor opened on the bridge's document at `version`.
+// `send(type, payload)` writes to the bridge WebSocket.
+export function sharedDocument(version, send) {
+  return [collab({ startVersion: version }), syncPlugin(send), remoteField, remoteTheme];
+}
+
+// Apply a docUpdates message. Returns false if it doesn't follow on from our
+// synced version, in which case the caller should rejoin to resync.
+export function applyRemoteUpdates(view, msg) {
+  if (msg.version !== getSyncedVersion(view.state)) return false;
+  view.dispatch(receiveUpdates(view.state, msg.updates.map((u) => ({
+    clientID: u.clientID,
+    changes:  ChangeSet.fromJSON(u.changes),
+  }))));
+  return true;
+}
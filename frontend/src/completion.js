@@ -0,0 +1,189 @@
+/**
+ * Autocompletion for sclang, driven by the live class library.
+ *
+ * The bridge introspects the interpreter once (SCWeb.dumpClassLibrary) and
+ * serves the result from GET /classlib; it is fetched on first use and
+ * retried on later completions until it's available. Completes:
+ *   - class names                      SinO|        → SinOsc
+ *   - class methods, incl. inherited   SinOsc.|     → ar, kr, …
+ *   - instance methods after `.`       x.pl|        → play, …
+ *   - Event keys for Pbind & co.       \dur|        → dur, degree, …
+ *   - ~environment variables           ~fo|         → ~foo
+ * Symbols and ~names already used in the document are offered too, and the
+ * session's ~names come from the bridge after every eval.
+ */
+import { syntaxTree } from '@codemirror/language';
+import { scLanguage } from './sc-language.js';
+
+// ── Class library ─────────────────────────────────────────────────────────────
+
+let library = null; // Promise of the index below, null until (re)requested
+let loaded  = null; // the index itself once the promise has resolved
+
+export function signature(args) {
+  return '(' + args.map(([name, def]) => (def != null ? `${name}: ${def}` : name)).join(', ') + ')';
+}
+
+// Method names starting with a letter; operators like + or <= aren't useful here
+const isNamed = (m) => /^[a-z]/.test(m.name);
+
+function buildIndex({ classes, eventKeys = [] }) {
+  const classOptions = Object.keys(classes).sort().map((name) => ({
+    label: name, type: 'class', detail: classes[name].superclass ? `: ${classes[name].superclass}` : undefined,
+  }));
+
+  // Instance methods from every class, by name; the first definition seen
+  // supplies the signature and the rest are listed in the info.
+  const byName = new Map();
+  for (const [cls, c] of Object.entries(classes)) {
+    for (const m of c.methods.filter(isNamed)) {
+      const entry = byName.get(m.name);
+      if (entry) entry.classes.push(cls);
+      else byName.set(m.name, { args: m.args, classes: [cls] });
+    }
+  }
+  const methodOptions = [...byName].map(([name, { args, classes: defined }]) => ({
+    label: name,
+    type: 'method',
+    detail: signature(args),
+    info: `${defined.slice(0, 5).join(', ')}${defined.length > 5 ? ` and ${defined.length - 5} more` : ''}`,
+  }));
+
+  // Class methods walk the superclass chain; computed lazily per class
+  const classMethodCache = new Map();
+  const classMethods = (name) => {
+    if (!classes[name]) return [];
+    if (!classMethodCache.has(name)) {
+      const seen = new Map();
+      for (let c = name; c && classes[c]; c = classes[c].superclass) {
+        for (const m of classes[c].classMethods.filter(isNamed)) {
+          if (!seen.has(m.name)) {
+            seen.set(m.name, { label: m.name, type: 'function', detail: signature(m.args), info: c });
+          }
+        }
+      }
+      classMethodCache.set(name, [...seen.values()]);
+    }
+    return classMethodCache.get(name);
+  };
+
+  // Signature info for a class method, inherited ones included
+  const classMethod = (cls, name) => {
+    for (let c = cls; c && classes[c]; c = classes[c].superclass) {
+      const m = classes[c].classMethods.find((x) => x.name === name);
+      if (m) return { ...m, definedIn: c };
+    }
+    return null;
+  };
+
+  // Every class defining an instance method of that name, as { args, classes }
+  const instanceMethod = (name) => byName.get(name) || null;
+
+  return { classes, classOptions, methodOptions, classMethods, classMethod, instanceMethod, eventKeys };
+}
+
+// The class library index (a Promise); shared with the signature/hover help.
+export function loadLibrary() {
+  if (!library) {
+    library = fetch('/classlib')
+      .then((res) => {
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        return res.json();
+      })
+      .then(buildIndex)
+      .then((index) => (loaded = index))
+      .catch((e) => {
+        library = null; // not introspected yet — try again next time
+        throw e;
+      });
+  }
+  return library;
+}
+
+// The index if it has finished loading, else null (and starts loading it).
+export function libraryIndex() {
+  if (!loaded) loadLibrary().catch(() => {});
+  return loaded;
+}
+
+// ── Session environment ───────────────────────────────────────────────────────
+
+let environmentNames = [];
+
+// The ~names defined in the current session (from the bridge's environment message).
+export function setEnvironmentNames(names) {
+  environmentNames = names || [];
+}
+
+// Words following `prefix` anywhere in the document, e.g. every \symbol.
+function wordsAfter(doc, prefix, except) {
+  const found = new Set();
+  const re = new RegExp(`${prefix}([A-Za-z_]\\w*)`, 'g');
+  for (const m of doc.matchAll(re)) if (m[1] !== except) found.add(m[1]);
+  return found;
+}
+
+// ── Completion source ─────────────────────────────────────────────────────────
+
+async function completeSC(context) {
+  const node = syntaxTree(context.state).resolveInner(context.pos, -1);
+  if (node.name === 'comment' || node.name === 'string') return null;
+
+  const doc = context.state.doc.toString();
+
+  // ~environment variables: session's plus any used in the document
+  const env = context.matchBefore(/~\w*/);
+  if (env) {
+    const typed = env.text.slice(1);
+    const names = new Set([...environmentNames, ...wordsAfter(doc, '~', typed)]);
+    return {
+      from: env.from + 1,
+      options: [...names].map((n) => ({ label: n, type: 'variable' })),
+      validFor: /^\w*$/,
+    };
+  }
+
+  // \symbols: Event keys plus symbols used in the document
+  const sym = context.matchBefore(/\\\w*/);
+  if (sym) {
+    const typed = sym.text.slice(1);
+    let keys = [];
+    try { keys = (await loadLibrary()).eventKeys; } catch { /* document symbols only */ }
+    const seen = wordsAfter(doc, '\\\\', typed);
+    const options = [
+      ...keys.map((k) => ({ label: k, type: 'keyword', boost: seen.has(k) ? 1 : 0 })),
+      ...[...seen].filter((s) => !keys.includes(s)).map((s) => ({ label: s, type: 'constant' })),
+    ];
+    return { from: sym.from + 1, options, validFor: /^\w*$/ };
+  }
+
+  let lib;
+  try { lib = await loadLibrary(); } catch { return null; }
+
+  // Class.method
+  const classCall = context.matchBefore(/\b[A-Z]\w*\.\w*/);
+  if (classCall) {
+    const dot = classCall.text.indexOf('.');
+    const options = lib.classMethods(classCall.text.slice(0, dot));
+    if (!options.length) return null;
+    return { from: classCall.from + dot + 1, options, validFor: /^\w*$/ };
+  }
+
+  // receiver.method — but not the fraction of a number like 0.5
+  const call = context.matchBefore(/\.\w*/);
+  if (call) {
+    const before = call.from > 0 ? context.state.sliceDoc(call.from - 1, call.from) : '';
+    if (/\d/.test(before) && /^\.\d*$/.test(call.text)) return null;
+    return { from: call.from + 1, options: lib.methodOptions, validFor: /^\w*$/ };
+  }
+
+  // ClassName
+  const cls = context.matchBefore(/\b[A-Z]\w*/);
+  if (cls) return { from: cls.from, options: lib.classOptions, validFor: /^\w*$/ };
+
+  return null;
+}
+
+// Registers the source through language data, so the editor's built-in
+// autocompletion picks it up.
+export const scCompletion = scLanguage.data.of({ autocomplete: completeSC });
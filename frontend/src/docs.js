@@ -0,0 +1,264 @@
+/**
+ * Signature help and hover documentation for sclang.
+ *
+ *  - While typing inside a call — SinOsc.ar(440, | — a tooltip above the
+ *    cursor lists the method's arguments with their defaults and highlights
+ *    the one being typed (by position, or by name for `freq: …` keywords).
+ *    Argument info comes from the introspected class library (completion.js).
+ *    Escape hides it until the next keystroke.
+ *  - Hovering a class or method name shows the summary from its SCDoc page
+ *    (bridge GET /helpdoc) with a link that opens the page in the help panel.
+ *  - lookUpAt() decides what Ctrl+D opens for the word under the cursor.
+ */
+import { StateEffect, StateField } from '@codemirror/state';
+import { EditorView, hoverTooltip, keymap, showTooltip } from '@codemirror/view';
+import { syntaxTree } from '@codemirror/language';
+import { libraryIndex, signature } from './completion.js';
+
+// How far back to look for the opening paren of the current call
+const MAX_CALL_SCAN = 2000;
+
+// ── Call under the cursor ─────────────────────────────────────────────────────
+
+// { from, receiver, method, argIndex, keyword } for the innermost unclosed
+// call before `pos`, or null. Brackets inside strings and comments are not
+// special-cased; the worst that does is show the wrong signature.
+function callAt(state, pos) {
+  const start = Math.max(0, pos - MAX_CALL_SCAN);
+  const text  = state.sliceDoc(start, pos);
+  let depth = 0, commas = 0, argStart = text.length;
+  for (let i = text.length - 1; i >= 0; i--) {
+    const ch = text[i];
+    if (ch === ')' || ch === ']' || ch === '}') depth++;
+    else if (ch === '[' || ch === '{') {
+      if (depth === 0) return null; // inside an array or function literal
+      depth--;
+    } else if (ch === '(') {
+      if (depth > 0) { depth--; continue; }
+      const before = text.slice(0, i);
+      const current = text.slice(argStart === text.length ? i + 1 : argStart);
+      const keyword = current.match(/^\s*([a-z]\w*):/)?.[1] ?? null;
+      let m;
+      if ((m = before.match(/\b([A-Z]\w*)\.([a-z]\w*)\s*$/))) {
+        return { from: start + i, receiver: m[1], method: m[2], argIndex: commas, keyword };
+      }
+      if ((m = before.match(/\b([A-Z]\w*)\s*$/))) {
+        return { from: start + i, receiver: m[1], method: 'new', argIndex: commas, keyword };
+      }
+      if ((m = before.match(/\.([a-z]\w*)\s*$/))) {
+        return { from: start + i, receiver: null, method: m[1], argIndex: commas, keyword };
+      }
+      return null;
+    } else if (ch === ',' && depth === 0) {
+      if (argStart === text.length) argStart = i + 1;
+      commas++;
+    } else if (ch === ';' && depth === 0) {
+      return null;
+    }
+  }
+  return null;
+}
+
+// Signature info for a call: { label, args, note } or null.
+function lookup(call) {
+  const lib = libraryIndex();
+  if (!lib) return null;
+  if (call.receiver) {
+    const m = lib.classMethod(call.receiver, call.method);
+    return m && { label: `${call.receiver}.${call.method}`, args: m.args };
+  }
+  const m = lib.instanceMethod(call.method);
+  if (!m) return null;
+  const others = m.classes.length - 1;
+  return {
+    label: `${m.classes[0]}:${call.method}`,
+    args:  m.args,
+    note:  others > 0 ? `+${others} other ${others === 1 ? 'class' : 'classes'}` : null,
+  };
+}
+
+// ── Signature tooltip ─────────────────────────────────────────────────────────
+
+const hideSignature = StateEffect.define();
+
+function signatureAt(state) {
+  const sel = state.selection.main;
+  if (!sel.empty) return null;
+  const node = syntaxTree(state).resolveInner(sel.head, -1);
+  if (node.name === 'comment' || node.name === 'string') return null;
+  const call = callAt(state, sel.head);
+  const info = call && lookup(call);
+  if (!info || !info.args.length) return null;
+  let active = info.args.findIndex(([name]) => name === call.keyword);
+  if (active === -1 && !call.keyword) active = call.argIndex;
+  return { pos: call.from, ...info, active };
+}
+
+const signatureField = StateField.define({
+  create: () => null,
+  update(value, tr) {
+    if (tr.effects.some((e) => e.is(hideSignature))) return null;
+    // Appear on typing; once shown, follow the cursor until it leaves the call
+    if (tr.isUserEvent('input') || tr.isUserEvent('delete') || (value && (tr.docChanged || tr.selection))) {
+      return signatureAt(tr.state);
+    }
+    return value;
+  },
+  provide: (f) => showTooltip.compute([f], (state) => {
+    const sig = state.field(f);
+    if (!sig) return null;
+    return {
+      pos: sig.pos,
+      above: true,
+      create: () => {
+        const dom = document.createElement('div');
+        dom.className = 'cm-sc-signature';
+        dom.append(sig.label + '(');
+        sig.args.forEach(([name, def], i) => {
+          if (i > 0) dom.append(', ');
+          const arg = document.createElement('span');
+          if (i === sig.active) arg.className = 'cm-sc-signature-active';
+          arg.textContent = def != null ? `${name}: ${def}` : name;
+          dom.append(arg);
+        });
+        dom.append(')');
+        if (sig.note) {
+          const note = document.createElement('span');
+          note.className = 'cm-sc-doc-muted';
+          note.textContent = `  ${sig.note}`;
+          dom.append(note);
+        }
+        return { dom };
+      },
+    };
+  }),
+});
+
+const signatureKeymap = keymap.of([{
+  key: 'Escape',
+  run: (view) => {
+    if (!view.state.field(signatureField)) return false;
+    view.dispatch({ effects: hideSignature.of(null) });
+    return true;
+  },
+}]);
+
+// ── Hover docs ────────────────────────────────────────────────────────────────
+
+const docCache = new Map(); // query string → Promise of { title, summary, url } | null
+
+function fetchDoc(query) {
+  if (!docCache.has(query)) {
+    docCache.set(query, fetch(`/helpdoc?${query}`)
+      .then((res) => (res.ok ? res.json() : null))
+      .catch(() => { docCache.delete(query); return null; }));
+  }
+  return docCache.get(query);
+}
+
+// What the word at `pos` refers to, as /helpdoc query parameters plus the
+// signature to show, or null.
+function hoverTarget(state, from, to) {
+  const word   = state.sliceDoc(from, to);
+  const before = state.sliceDoc(Math.max(0, from - 200), from);
+  const lib    = libraryIndex();
+
+  const classCall = before.match(/\b([A-Z]\w*)\.$/);
+  if (classCall && /^[a-z]/.test(word)) {
+    const m = lib?.classMethod(classCall[1], word);
+    return {
+      query: new URLSearchParams({ class: m?.definedIn ?? classCall[1], method: word, meta: '1' }),
+      sig:   m ? `${classCall[1]}.${word}${signature(m.args)}` : null,
+    };
+  }
+  if (before.endsWith('.') && /^[a-z]/.test(word)) {
+    const m = lib?.instanceMethod(word);
+    if (!m) return null;
+    return {
+      query:    new URLSearchParams({ class: m.classes.slice(0, 10).join(','), method: word }),
+      sig:      `${word}${signature(m.args)}`,
+      instance: true,
+    };
+  }
+  if (/^[A-Z]/.test(word)) {
+    return { query: new URLSearchParams({ class: word }), sig: null };
+  }
+  return null;
+}
+
+function hoverDocs(openHelp) {
+  return hoverTooltip(async (view, pos, side) => {
+    const node = syntaxTree(view.state).resolveInner(pos, side);
+    if (node.name === 'comment' || node.name === 'string') return null;
+    const range = view.state.wordAt(pos);
+    if (!range) return null;
+    const target = hoverTarget(view.state, range.from, range.to);
+    if (!target) return null;
+    const doc = await fetchDoc(target.query.toString());
+    if (!doc && !target.sig) return null;
+
+    return {
+      pos: range.from,
+      end: range.to,
+      above: true,
+      create: () => {
+        const dom = document.createElement('div');
+        dom.className = 'cm-sc-doc';
+        const title = document.createElement('div');
+        title.className = 'cm-sc-doc-title';
+        title.textContent = doc?.title ?? target.sig;
+        dom.append(title);
+        if (target.sig && doc) {
+          const sig = document.createElement('div');
+          sig.className = 'cm-sc-doc-signature';
+          sig.textContent = target.sig;
+          dom.append(sig);
+        }
+        if (doc?.summary) {
+          const summary = document.createElement('div');
+          summary.textContent = doc.summary;
+          dom.append(summary);
+        }
+        if (doc?.url) {
+          const link = document.createElement('a');
+          link.className = 'cm-sc-doc-link';
+          link.href = doc.url;
+          link.textContent = 'Open help ↗';
+          link.onclick = (e) => { e.preventDefault(); openHelp(doc.url); };
+          dom.append(link);
+        }
+        return { dom };
+      },
+    };
+  }, { hoverTime: 400 });
+}
+
+// What Ctrl+D should show for the word at `pos`: { url } for a documented
+// class or class method, otherwise { search } — e.g. an instance method,
+// which SC-IDE also answers with the list of every class implementing it.
+export async function lookUpAt(state, pos) {
+  const range = state.wordAt(pos) ?? (pos > 0 ? state.wordAt(pos - 1) : null);
+  if (!range) return null;
+  const word   = state.sliceDoc(range.from, range.to);
+  const target = hoverTarget(state, range.from, range.to);
+  if (target && !target.instance) {
+    const doc = await fetchDoc(target.query.toString());
+    if (doc?.url) return { url: doc.url };
+  }
+  return { search: word };
+}
+
+const docsTheme = EditorView.baseTheme({
+  '.cm-sc-signature': { padding: '2px 8px', fontSize: '12px' },
+  '.cm-sc-signature-active': { color: '#4ecca3', fontWeight: 'bold' },
+  '.cm-sc-doc': { padding: '4px 8px', maxWidth: '480px', fontSize: '12px', lineHeight: 1.45 },
+  '.cm-sc-doc-title': { fontWeight: 'bold', color: '#4ecca3', marginBottom: '2px' },
+  '.cm-sc-doc-signature': { fontFamily: 'monospace', color: '#b0b8d0', marginBottom: '4px' },
+  '.cm-sc-doc-muted': { color: '#777' },
+  '.cm-sc-doc-link': { display: 'inline-block', marginTop: '4px', color: '#4ecca3', cursor: 'pointer' },
+});
+
+// `openHelp(url)` shows a /help/… page in the help panel.
+export function scDocs(openHelp) {
+  return [signatureField, signatureKeymap, hoverDocs(openHelp), docsTheme];
+}
@@ -0,0 +1,151 @@
+/**
+ * Inline eval results for CodeMirror 6.
+ *
+ * Every eval sent to the bridge carries an id. `evalSent` records the block
+ * that was flashed for it; the range is mapped through later edits so the
+ * answer still lands on the right code. `evalDone` takes the bridge's
+ * evalResult / evalError message and turns it into decorations:
+ *   - still running → "⏳ still running…" after the block (`evalRunning`, when
+ *                     the bridge reports the eval as slow), until it finishes
+ *   - result        → "→ value" widget after the block (like SC-IDE's -> result)
+ *   - parse error   → squiggle on the reported line/char + message widget
+ *   - runtime error → squiggle over the whole block + message widget
+ *
+ * Marks disappear when the code under them is edited or evaluated again.
+ */
+import { Decoration, EditorView, WidgetType } from '@codemirror/view';
+import { StateEffect, StateField } from '@codemirror/state';
+
+// { id, from, to, codeFrom, code } — code is what was sent, starting at codeFrom
+export const evalSent = StateEffect.define();
+// The evalResult / evalError message from the bridge
+export const evalDone = StateEffect.define();
+// Id of an eval the bridge reports as still running after its slow threshold
+export const evalRunning = StateEffect.define();
+
+class MessageWidget extends WidgetType {
+  constructor(text, error) {
+    super();
+    this.text  = text;
+    this.error = error;
+  }
+
+  eq(other) { return other.text === this.text && other.error === this.error; }
+
+  toDOM() {
+    const span = document.createElement('span');
+    span.className   = this.error ? 'cm-eval-message cm-eval-message-error' : 'cm-eval-message';
+    span.textContent = this.error ? `✖ ${this.text}` : `→ ${this.text}`;
+    span.title       = this.text;
+    return span;
+  }
+
+  ignoreEvent() { return false; }
+}
+
+class RunningWidget extends WidgetType {
+  eq() { return true; }
+
+  toDOM() {
+    const span = document.createElement('span');
+    span.className   = 'cm-eval-message cm-eval-running';
+    span.textContent = '⏳ still running…';
+    span.title       = 'Use Interrupt in the toolbar if it never finishes';
+    return span;
+  }
+}
+
+const errorMark = Decoration.mark({ class: 'cm-eval-error' });
+
+// Document position of a 1-based line / char reported by sclang, relative to
+// the code that was sent. sclang's char points just past the offending token,
+// so step back one and widen to the surrounding word.
+function errorRange(doc, pending, line, char) {
+  const lines = pending.code.split('\n');
+  if (line == null || line < 1 || line > lines.length) return null;
+  let pos = pending.codeFrom;
+  for (let i = 0; i < line - 1; i++) pos += lines[i].length + 1;
+  const docLine = doc.lineAt(Math.min(pos, doc.length));
+  const col  = Math.max(0, Math.min((char || 1) - 1, lines[line - 1].length - 1));
+  const at   = Math.min(pos + col, docLine.to);
+  const text = doc.sliceString(docLine.from, docLine.to);
+  let from = at - docLine.from, to = from;
+  while (from > 0 && /\w/.test(text[from - 1])) from--;
+  while (to < text.length && /\w/.test(text[to])) to++;
+  if (to === from) to = Math.min(from + 1, text.length);
+  if (to === from) return null;
+  return { from: docLine.from + from, to: docLine.from + to, lineEnd: docLine.to };
+}
+
+function marksFor(doc, pending, msg) {
+  if (msg.type === 'evalResult') {
+    return [Decoration.widget({ widget: new MessageWidget(msg.value, false), side: 1 }).range(pending.to)];
+  }
+  const range = errorRange(doc, pending, msg.line, msg.char);
+  const widget = Decoration.widget({ widget: new MessageWidget(msg.message, true), side: 1 });
+  if (range) return [errorMark.range(range.from, range.to), widget.range(range.lineEnd)];
+  if (pending.to <= pending.from) return [widget.range(pending.to)];
+  return [errorMark.range(pending.from, pending.to), widget.range(pending.to)];
+}
+
+export const evalResultsField = StateField.define({
+  create: () => ({ pending: [], deco: Decoration.none }),
+
+  update({ pending, deco }, tr) {
+    if (tr.docChanged) {
+      deco = deco.update({
+        filter: (from, to) => !tr.changes.touchesRange(from, to),
+      }).map(tr.changes);
+      pending = pending.map((p) => ({
+        ...p,
+        from:     tr.changes.mapPos(p.from),
+        to:       tr.changes.mapPos(p.to),
+        codeFrom: tr.changes.mapPos(p.codeFrom),
+      }));
+    }
+
+    for (const e of tr.effects) {
+      if (e.is(evalSent)) {
+        const { from, to } = e.value;
+        deco = deco.update({ filterFrom: from, filterTo: to, filter: () => false });
+        pending = [...pending, e.value];
+      } else if (e.is(evalRunning)) {
+        const p = pending.find((x) => x.id === e.value);
+        if (!p || p.running) continue;
+        pending = pending.map((x) => (x === p ? { ...x, running: true } : x));
+        const widget = Decoration.widget({ widget: new RunningWidget(), side: 1, runningId: p.id });
+        deco = deco.update({ add: [widget.range(p.to)], sort: true });
+      } else if (e.is(evalDone)) {
+        const p = pending.find((x) => x.id === e.value.id);
+        if (!p) continue;
+        pending = pending.filter((x) => x !== p);
+        deco = deco.update({
+          filter: (from, to, value) => value.spec.runningId !== p.id,
+          add: marksFor(tr.state.doc, p, e.value),
+          sort: true,
+        });
+      }
+    }
+    return { pending, deco };
+  },
+
+  provide: (f) => EditorView.decorations.from(f, (v) => v.deco),
+});
+
+const evalResultsTheme = EditorView.baseTheme({
+  '.cm-eval-error': {
+    textDecoration: 'underline wavy #e94560',
+    textDecorationSkipInk: 'none',
+  },
+  '.cm-eval-message': {
+    marginLeft: '1.5em',
+    color: '#4ecca3',
+    opacity: 0.75,
+    fontStyle: 'italic',
+  },
+  '.cm-eval-message-error': { color: '#e94560', opacity: 0.9 },
+  '.cm-eval-running': { color: '#e9a645' },
+});
+
+// Single array to spread into CodeMirror's `extensions` prop
+export const evalResults = [evalResultsField, evalResultsTheme];
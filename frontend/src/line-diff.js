@@ -0,0 +1,57 @@
+/**
+ * Line diff for the snapshot preview: what loading a snapshot would change
+ * in the current buffer.
+ *
+ * diffLines(from, to) returns [{ type: 'same' | 'del' | 'add', text }] in
+ * order, from a longest common subsequence of the lines between the common
+ * head and tail. Past MAX_CELLS the middle is shown as removed and re-added
+ * rather than spend seconds and memory on the table.
+ */
+
+const MAX_CELLS = 4_000_000;
+
+export function diffLines(from, to) {
+  const a = from.split('\n');
+  const b = to.split('\n');
+
+  let head = 0;
+  while (head < a.length && head < b.length && a[head] === b[head]) head++;
+  let tail = 0;
+  while (tail < a.length - head && tail < b.length - head
+    && a[a.length - 1 - tail] === b[b.length - 1 - tail]) tail++;
+
+  const same = (text) => ({ type: 'same', text });
+  const ops = a.slice(0, head).map(same);
+  const midA = a.slice(head, a.length - tail);
+  const midB = b.slice(head, b.length - tail);
+  const n = midA.length;
+  const m = midB.length;
+
+  if ((n + 1) * (m + 1) > MAX_CELLS) {
+    for (const text of midA) ops.push({ type: 'del', text });
+    for (const text of midB) ops.push({ type: 'add', text });
+  } else {
+    // lcs[i * (m + 1) + j]: LCS length of midA[i..] and midB[j..]
+    const w = m + 1;
+    const lcs = new Uint32Array((n + 1) * w);
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lcs[i * w + j] = midA[i] === midB[j]
+          ? lcs[(i + 1) * w + j + 1] + 1
+          : Math.max(lcs[(i + 1) * w + j], lcs[i * w + j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+      if (midA[i] === midB[j]) { ops.push(same(midA[i])); i++; j++; }
+      else if (lcs[(i + 1) * w + j] >= lcs[i * w + j + 1]) ops.push({ type: 'del', text: midA[i++] });
+      else ops.push({ type: 'add', text: midB[j++] });
+    }
+    while (i < n) ops.push({ type: 'del', text: midA[i++] });
+    while (j < m) ops.push({ type: 'add', text: midB[j++] });
+  }
+
+  for (const text of a.slice(a.length - tail)) ops.push(same(text));
+  return ops;
+}
@@ -1,9 +1,12 @@
 import React from 'react';
 import ReactDOM from 'react-dom/client';
 import App from './App.jsx';
+import AuthGate from './Login.jsx';
 
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
-    <App />
+    <AuthGate>
+      {(user, logout, recheck) => <App user={user} onLogout={logout} onAuthLost={recheck} />}
+    </AuthGate>
   </React.StrictMode>
 );
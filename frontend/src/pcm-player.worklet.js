@@ -0,0 +1,106 @@
+// AudioWorklet side of the live monitor (LiveAudio.jsx): a jitter buffer for
+// the bridge's Int16 PCM frames.
+//
+// Playback waits until `targetMs` of audio is buffered, then holds the fill
+// level around that target by resampling slightly faster or slower — which
+// also absorbs the drift between the server's clock and the sound card's.
+// On an underrun it goes quiet and buffers back up to the target; if it
+// falls far behind (e.g. a backgrounded tab) it skips ahead instead of
+// speeding through the backlog.
+
+// How hard the fill error steers the playback rate, and the most it may
+// deviate from 1 (0.5 % is about 9 cents — not noticeable on a monitor).
+const RATE_GAIN = 0.02;
+const MAX_RATE_CORRECTION = 0.005;
+// Fill levels are averaged because packets arrive in bursts
+const FILL_SMOOTHING = 0.995;
+const SKIP_FACTOR = 4;
+const STATS_INTERVAL = 0.25; // seconds
+
+class PcmPlayer extends AudioWorkletProcessor {
+  constructor({ processorOptions }) {
+    super();
+    const { channels, sourceRate, targetMs, capacityMs = 2000 } = processorOptions;
+    this.channels = channels;
+    this.baseRate = sourceRate / sampleRate; // source frames per output frame
+    this.target   = Math.round((targetMs / 1000) * sourceRate);
+    this.capacity = Math.round((capacityMs / 1000) * sourceRate);
+    this.ring     = Array.from({ length: channels }, () => new Float32Array(this.capacity));
+    this.written  = 0;     // source frames written, ever
+    this.read     = 0;     // fractional source frame position
+    this.avgFill  = 0;
+    this.rate     = 1;
+    this.buffering = true;
+    this.underruns = 0;
+    this.lastStats = 0;
+    this.port.onmessage = (e) => {
+      if (e.data.targetMs != null) this.target = Math.round((e.data.targetMs / 1000) * sourceRate);
+      else this.push(new Int16Array(e.data));
+    };
+  }
+
+  push(samples) {
+    const frames = samples.length / this.channels;
+    for (let i = 0; i < frames; i++) {
+      const at = (this.written + i) % this.capacity;
+      for (let c = 0; c < this.channels; c++) this.ring[c][at] = samples[i * this.channels + c] / 32768;
+    }
+    this.written += frames;
+    const fill = this.written - this.read;
+    if (fill > this.capacity || fill > this.target * SKIP_FACTOR) this.skipToTarget();
+  }
+
+  skipToTarget() {
+    this.read    = this.written - this.target;
+    this.avgFill = this.target;
+  }
+
+  process(_inputs, outputs) {
+    const out = outputs[0];
+    const n   = out[0].length;
+    let fill  = this.written - this.read;
+
+    if (this.buffering && fill >= this.target) {
+      this.buffering = false;
+      this.avgFill   = fill;
+    }
+    if (!this.buffering) {
+      this.avgFill = this.avgFill * FILL_SMOOTHING + fill * (1 - FILL_SMOOTHING);
+      const error  = (this.avgFill - this.target) / this.target;
+      this.rate    = 1 + Math.max(-MAX_RATE_CORRECTION, Math.min(MAX_RATE_CORRECTION, error * RATE_GAIN));
+      const step   = this.baseRate * this.rate;
+
+      for (let i = 0; i < n; i++) {
+        if (this.written - this.read < 2) {
+          // Ran dry: silence for the rest of this block, then re-buffer
+          for (const ch of out) ch.fill(0, i);
+          this.buffering = true;
+          this.underruns++;
+          break;
+        }
+        const whole = Math.floor(this.read);
+        const frac  = this.read - whole;
+        const a = whole % this.capacity, b = (whole + 1) % this.capacity;
+        for (let c = 0; c < out.length; c++) {
+          const ring = this.ring[Math.min(c, this.channels - 1)];
+          out[c][i] = ring[a] + (ring[b] - ring[a]) * frac;
+        }
+        this.read += step;
+      }
+      fill = this.written - this.read;
+    }
+
+    if (currentTime - this.lastStats >= STATS_INTERVAL) {
+      this.lastStats = currentTime;
+      this.port.postMessage({
+        bufferedMs: (fill / (this.baseRate * sampleRate)) * 1000,
+        rate:       this.rate,
+        underruns:  this.underruns,
+        buffering:  this.buffering,
+      });
+    }
+    return true;
+  }
+}
+
+registerProcessor('pcm-player', PcmPlayer);
@@ -0,0 +1,28 @@
+/**
+ * Client for the bridge's /recordings API (sc-backend/bridge/recordings.js).
+ * Recordings themselves are started and stopped over the WebSocket; this
+ * lists, serves and deletes the files. Calls reject with the bridge's error
+ * message on failure.
+ */
+
+export function recordingUrl(name, { download = false } = {}) {
+  return `/recordings/${encodeURIComponent(name)}${download ? '?download=1' : ''}`;
+}
+
+async function request(url, options = {}) {
+  const res = await fetch(url, options);
+  if (!res.ok) {
+    let message = `HTTP ${res.status}`;
+    try { message = (await res.json()).error || message; } catch { /* not JSON */ }
+    throw new Error(message);
+  }
+  return res;
+}
+
+export async function listRecordings() {
+  return (await (await request('/recordings/')).json()).recordings;
+}
+
+export async function deleteRecording(name) {
+  await request(recordingUrl(name), { method: 'DELETE' });
+}
@@ -0,0 +1,41 @@
+/**
+ * Client for the bridge's /samples API (sc-backend/bridge/samples.js).
+ * Loading a sample into a buffer goes over the WebSocket (`loadSample`);
+ * this lists, uploads, serves and deletes the files. Calls reject with the
+ * bridge's error message on failure; a name clash rejects with
+ * `err.status === 409`.
+ */
+
+export function sampleUrl(name) {
+  return `/samples/${encodeURIComponent(name)}`;
+}
+
+async function request(url, options = {}) {
+  const res = await fetch(url, options);
+  if (!res.ok) {
+    let message = `HTTP ${res.status}`;
+    try { message = (await res.json()).error || message; } catch { /* not JSON */ }
+    const err = new Error(message);
+    err.status = res.status;
+    throw err;
+  }
+  return res;
+}
+
+export async function listSamples() {
+  return (await (await request('/samples/')).json()).samples;
+}
+
+// `file` is a File from a drop or an <input type=file>. Resolves with the
+// analysed sample.
+export async function uploadSample(file, { replace = false } = {}) {
+  const res = await request(`${sampleUrl(file.name)}${replace ? '?replace=1' : ''}`, {
+    method: 'PUT',
+    body: file,
+  });
+  return res.json();
+}
+
+export async function deleteSample(name) {
+  await request(sampleUrl(name), { method: 'DELETE' });
+}
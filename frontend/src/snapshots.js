@@ -0,0 +1,42 @@
+/**
+ * Client for the bridge's /snapshots API (sc-backend/bridge/snapshots.js).
+ * A snapshot is shared as a /s/<id> link to this page; it never changes,
+ * and sharing again from it saves a child version. Calls reject with the
+ * bridge's error message on failure.
+ */
+
+const LINK = /^\/s\/([A-Za-z0-9]+)\/?$/;
+
+export function snapshotUrl(id) {
+  return `${window.location.origin}/s/${id}`;
+}
+
+// The snapshot id in the page's own URL, or null
+export function snapshotFromLocation() {
+  return window.location.pathname.match(LINK)?.[1] ?? null;
+}
+
+async function request(url, options = {}) {
+  const res = await fetch(url, options);
+  if (!res.ok) {
+    let message = `HTTP ${res.status}`;
+    try { message = (await res.json()).error || message; } catch { /* not JSON */ }
+    throw new Error(message);
+  }
+  return res;
+}
+
+// { snapshot, versions }: the snapshot with its code, and its family
+export async function getSnapshot(id) {
+  return (await request(`/snapshots/${encodeURIComponent(id)}`)).json();
+}
+
+// Save `code` as a new snapshot (a child of `parent` if given); its metadata
+export async function createSnapshot({ code, parent = null, title = '' }) {
+  const res = await request('/snapshots/', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ code, parent, title }),
+  });
+  return res.json();
+}
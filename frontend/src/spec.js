@@ -0,0 +1,49 @@
+/**
+ * ControlSpec mapping for the proxy mixer and web controls, matching the
+ * warps sclang reports (ControlSpec.warp.asSpecifier): 'lin', 'exp', 'amp',
+ * or a number for a curve. Anything else is treated as linear. `t` is the
+ * 0…1 position of a fader or knob.
+ */
+
+export function mapValue(t, min, max, warp) {
+  if (warp === 'exp' && min * max > 0) return min * (max / min) ** t;
+  if (warp === 'amp') return min + (max - min) * t * t;
+  if (typeof warp === 'number' && Math.abs(warp) > 0.001) {
+    return min + (max - min) * (1 - Math.exp(warp * t)) / (1 - Math.exp(warp));
+  }
+  return min + (max - min) * t;
+}
+
+export function unmapValue(v, min, max, warp) {
+  if (max === min) return 0;
+  let t;
+  if (warp === 'exp' && min * max > 0) t = Math.log(v / min) / Math.log(max / min);
+  else if (warp === 'amp') t = Math.sqrt(Math.max(0, (v - min) / (max - min)));
+  else if (typeof warp === 'number' && Math.abs(warp) > 0.001) {
+    t = Math.log(1 - (v - min) / (max - min) * (1 - Math.exp(warp))) / warp;
+  } else t = (v - min) / (max - min);
+  return Number.isFinite(t) ? Math.min(1, Math.max(0, t)) : 0;
+}
+
+export function quantize(v, step) {
+  return step > 0 ? Math.round(v / step) * step : v;
+}
+
+export function formatValue(v) {
+  const a = Math.abs(v);
+  return String(a >= 100 ? Math.round(v) : a >= 1 ? Math.round(v * 100) / 100 : Math.round(v * 1e4) / 1e4);
+}
+
+// Calls the latest `fn` at most every `ms` while values keep coming, always
+// ending with the last one — for sending fader moves over the WebSocket.
+export function throttle(ms) {
+  let at = 0, timer = null;
+  const run = (fn) => {
+    clearTimeout(timer);
+    const wait = at + ms - Date.now();
+    if (wait <= 0) { at = Date.now(); fn(); }
+    else timer = setTimeout(() => { at = Date.now(); fn(); }, wait);
+  };
+  run.cancel = () => clearTimeout(timer);
+  return run;
+}
@@ -0,0 +1,79 @@
+/**
+ * Editor tabs and their browser-side autosave.
+ *
+ * A tab is { id, path, text, savedText, snapshot, state }:
+ *   - path       workspace file it belongs to, null for an untitled buffer
+ *   - text       current contents, kept in sync by the editor's onChange
+ *   - savedText  contents as of the last open/save; differs from text when
+ *                the tab has unsaved changes (null once the file is gone)
+ *   - snapshot   id of the shared snapshot it was loaded from or last shared
+ *                as, so sharing again saves a child version; null if none
+ *   - state      serialized EditorState (doc, selection, undo history) to
+ *                restore from, only set on tabs loaded from storage
+ *
+ * Every tab has its own CodeMirror view, so undo history and cursor are per
+ * tab for free; saveTabs() snapshots those views into localStorage so a
+ * reload or browser crash brings them all back.
+ */
+import { historyField } from '@codemirror/commands';
+
+const STORAGE_KEY = 'sc-web-tabs';
+
+// Extra state fields serialized with each tab, for EditorState.fromJSON
+export const stateFields = { history: historyField };
+
+let counter = 0;
+
+export function newTab(props = {}) {
+  return {
+    id: `tab-${Date.now().toString(36)}-${counter++}`,
+    path: null,
+    text: '',
+    savedText: '',
+    snapshot: null,
+    state: null,
+    ...props,
+  };
+}
+
+export function tabTitle(tab) {
+  return tab.path ? tab.path.split('/').pop() : 'untitled';
+}
+
+export function isDirty(tab) {
+  return tab.text !== tab.savedText;
+}
+
+// { tabs, active } from a previous visit, or null.
+export function loadTabs() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (!Array.isArray(saved?.tabs) || saved.tabs.length === 0) return null;
+    const tabs = saved.tabs
+      .filter((t) => t && typeof t.id === 'string' && typeof t.text === 'string')
+      .map((t) => ({ ...newTab(), ...t }));
+    if (tabs.length === 0) return null;
+    const active = tabs.some((t) => t.id === saved.active) ? saved.active : tabs[0].id;
+    return { tabs, active };
+  } catch {
+    return null;
+  }
+}
+
+// Snapshot the tabs — with each open view's selection and undo history —
+// into localStorage. If that doesn't fit, retry with the text only.
+export function saveTabs(tabs, active, views) {
+  const snapshot = (withState) => JSON.stringify({
+    active,
+    tabs: tabs.map((t) => {
+      const view = views.get(t.id);
+      const state = withState ? (view ? view.state.toJSON(stateFields) : t.state) : null;
+      return { id: t.id, path: t.path, text: t.text, savedText: t.savedText, snapshot: t.snapshot, state };
+    }),
+  });
+  try {
+    localStorage.setItem(STORAGE_KEY, snapshot(true));
+  } catch {
+    try { localStorage.setItem(STORAGE_KEY, snapshot(false)); } catch { /* storage full or disabled */ }
+  }
+}
@@ -0,0 +1,53 @@
+/**
+ * Client for the bridge's /workspace REST API (sc-backend/bridge/workspace.js).
+ * Paths are workspace-relative, e.g. "synths/pad.scd". Every call rejects with
+ * the bridge's error message on failure.
+ */
+
+const url = (p) => '/workspace/' + p.split('/').map(encodeURIComponent).join('/');
+
+async function request(p, options = {}) {
+  const res = await fetch(url(p), options);
+  if (!res.ok) {
+    let message = `HTTP ${res.status}`;
+    try { message = (await res.json()).error || message; } catch { /* not JSON */ }
+    throw new Error(message);
+  }
+  return res;
+}
+
+export async function listFiles() {
+  return (await (await request('')).json()).files;
+}
+
+export async function readFile(p) {
+  return (await request(p)).text();
+}
+
+export async function writeFile(p, text) {
+  await request(p, { method: 'PUT', headers: { 'Content-Type': 'text/plain' }, body: text });
+}
+
+export async function renameFile(p, to) {
+  await request(p, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ to }),
+  });
+}
+
+export async function deleteFile(p) {
+  await request(p, { method: 'DELETE' });
+}
+
+// Normalise a user-typed file name: trim slashes, add the .scd extension.
+export function toScdPath(name) {
+  const p = name.trim().replace(/^\/+|\/+$/g, '');
+  if (!p) return null;
+  return p.endsWith('.scd') ? p : `${p}.scd`;
+}
+
+// All file paths in a listFiles() tree.
+export function filePaths(files) {
+  return files.flatMap((e) => (e.type === 'dir' ? filePaths(e.children) : [e.path]));
+}
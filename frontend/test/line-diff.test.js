@@ -0,0 +1,34 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { diffLines } from '../src/line-diff.js';
+
+// The diff as "+text" / "-text" / " text" lines
+const show = (from, to) => diffLines(from, to).map(({ type, text }) => ({ add: '+', del: '-', same: ' ' })[type] + text);
+
+test('identical texts are all unchanged', () => {
+  assert.deepStrictEqual(show('a\nb', 'a\nb'), [' a', ' b']);
+});
+
+test('changed lines show as removed then added between the common head and tail', () => {
+  assert.deepStrictEqual(show('a\nb\nc\nd', 'a\nx\nc\nd'), [' a', '-b', '+x', ' c', ' d']);
+});
+
+test('insertions and deletions keep the longest common subsequence', () => {
+  assert.deepStrictEqual(show('a\nb\nc', 'b\nc\nd'), ['-a', ' b', ' c', '+d']);
+  assert.deepStrictEqual(show('x\na\ny\nb', 'a\nb'), ['-x', ' a', '-y', ' b']);
+});
+
+test('an empty text diffs as one empty line', () => {
+  assert.deepStrictEqual(show('', 'a'), ['-', '+a']);
+});
+
+test('past the size limit the middle is removed and re-added wholesale', () => {
+  // Every line of `from` is still in `to`, but 2500 × 5000 lines is too many
+  // to look for them
+  const from = Array.from({ length: 2500 }, (_, i) => `a${i}`);
+  const to   = from.flatMap((line, i) => [`x${i}`, line]);
+  const ops = diffLines(from.join('\n'), to.join('\n'));
+  assert.deepStrictEqual(ops.filter((o) => o.type === 'same').map((o) => o.text), ['a2499']);
+  assert.strictEqual(ops.filter((o) => o.type === 'del').length, 2499);
+  assert.strictEqual(ops.filter((o) => o.type === 'add').length, 4999);
+});
@@ -8,8 +8,16 @@ export default defineConfig({
   server: {
     proxy: {
       '/ws':     { target: 'ws://localhost:4000', ws: true, changeOrigin: true },
+      '/auth':   { target: 'http://localhost:4000', changeOrigin: true },
+      '/workspace': { target: 'http://localhost:4000', changeOrigin: true },
+      '/classlib':  { target: 'http://localhost:4000', changeOrigin: true },
+      '/helpdoc':   { target: 'http://localhost:4000', changeOrigin: true },
+      '/helpsearch': { target: 'http://localhost:4000', changeOrigin: true },
+      '/recordings': { target: 'http://localhost:4000', changeOrigin: true },
+      '/samples': { target: 'http://localhost:4000', changeOrigin: true },
+      '/snapshots': { target: 'http://localhost:4000', changeOrigin: true },
       '/stream': { target: 'http://localhost:8000', changeOrigin: true,
-                   rewrite: (path) => '/stream.mp3' },
+                   rewrite: (path) => path.replace(/^\/stream/, '') },
     },
   },
 });
@@ -0,0 +1,260 @@
+'use strict';
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { HttpError } = require('./util');
+
+// ── Configuration ────────────────────────────────────────────────────────────
+// Two ways to let people in, usable together:
+//   - SC_USERS_FILE: JSON list of { name, role, password } where password is
+//     a hash produced by `node auth.js hash <password>`
+//   - SC_AUTH_TOKENS: shared per-role tokens, "admin:s3cret,listener:public"
+// With neither configured the bridge stays open and everyone is an admin.
+const USERS_FILE   = process.env.SC_USERS_FILE || '/home/scuser/data/users.json';
+const LOGINS_FILE  = process.env.SC_LOGINS_FILE || '/home/scuser/data/logins.json';
+const TOKEN_SPEC   = process.env.SC_AUTH_TOKENS || '';
+const COOKIE_NAME  = 'scweb_session';
+const SESSION_TTL_MS = 7 * 24 * 3600 * 1000;
+
+// What each role may do. Listeners only get the post window and audio.
+const ROLES = {
+  listener:  new Set(['join']),
+  performer: new Set(['join', 'newSession', 'eval', 'stop', 'edit', 'record']),
+  admin:     new Set(['join', 'newSession', 'eval', 'stop', 'edit', 'record', 'restart']),
+};
+
+// ── Password hashing ─────────────────────────────────────────────────────────
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(password, salt, 32);
+  return `scrypt:${salt.toString('hex')}:${hash.toString('hex')}`;
+}
+
+function checkPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored).split(':');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual   = crypto.scryptSync(password, Buffer.from(salt, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a));
+  const y = Buffer.from(String(b));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+// ── Credentials ──────────────────────────────────────────────────────────────
+
+// The users file's accounts, re-read whenever the file changes, so accounts
+// can be added or edited — and the file created — without restarting.
+let users = { stamp: null, list: [] };
+
+function loadUsers() {
+  let stamp = null;
+  try {
+    const st = fs.statSync(USERS_FILE);
+    stamp = `${st.mtimeMs}:${st.size}`;
+  } catch (e) {
+    if (e.code !== 'ENOENT') console.error(`[auth] Cannot read ${USERS_FILE}: ${e.message}`);
+  }
+  if (stamp === users.stamp) return users.list;
+  let list = [];
+  if (stamp) {
+    try {
+      const data = JSON.parse(fs.readFileSync(USERS_FILE, 'utf8'));
+      list = (Array.isArray(data) ? data : data.users || [])
+        .filter((u) => u.name && u.password && ROLES[u.role]);
+    } catch (e) {
+      console.error(`[auth] Cannot read ${USERS_FILE}: ${e.message}`);
+    }
+  }
+  users = { stamp, list };
+  return list;
+}
+
+function parseTokens(spec) {
+  return spec.split(',').map((s) => s.trim()).filter(Boolean).map((entry) => {
+    const i = entry.indexOf(':');
+    return { role: entry.slice(0, i), token: entry.slice(i + 1) };
+  }).filter((t) => ROLES[t.role] && t.token);
+}
+
+const tokens = parseTokens(TOKEN_SPEC);
+
+// Whether logging in is required, decided per request: creating the users
+// file closes a running bridge, emptying it opens it again.
+let wasEnabled = null;
+
+function authEnabled() {
+  const enabled = tokens.length > 0 || loadUsers().length > 0;
+  if (enabled !== wasEnabled) {
+    if (enabled) console.log('[auth] Login required');
+    else console.warn('[auth] No users file or SC_AUTH_TOKENS configured — bridge is open, everyone is admin');
+    wasEnabled = enabled;
+  }
+  return enabled;
+}
+
+authEnabled();
+
+const OPEN_USER = { name: null, role: 'admin' }; // anonymous; the client picks a display name
+
+// Returns { name, role } or null.
+function authenticate({ username, password, token, name }) {
+  if (token) {
+    const match = tokens.find((t) => safeEqual(t.token, token));
+    return match ? { name: String(name || match.role).slice(0, 40), role: match.role } : null;
+  }
+  const user = loadUsers().find((u) => u.name === username);
+  if (!user || !password || !checkPassword(password, user.password)) return null;
+  return { name: user.name, role: user.role };
+}
+
+// ── Login sessions ───────────────────────────────────────────────────────────
+
+// Logins by a hash of their cookie value → { name, role, expires, open }.
+// `open` marks a login made while the bridge was open, which stops counting
+// once login is required. They're kept in LOGINS_FILE so that restarting the
+// bridge doesn't log everyone out while their cookies still look valid; the
+// file holds only hashes, so reading it doesn't give anyone a cookie.
+const logins = loadLogins();
+
+function loginKey(id) {
+  return crypto.createHash('sha256').update(String(id)).digest('hex');
+}
+
+function loadLogins() {
+  try {
+    const now = Date.now();
+    const saved = JSON.parse(fs.readFileSync(LOGINS_FILE, 'utf8'));
+    return new Map(Object.entries(saved).filter(([, l]) => l && l.expires > now && ROLES[l.role]));
+  } catch (e) {
+    if (e.code !== 'ENOENT') console.error(`[auth] Cannot read ${LOGINS_FILE}: ${e.message}`);
+    return new Map();
+  }
+}
+
+function saveLogins() {
+  const now = Date.now();
+  for (const [key, login] of logins) if (login.expires < now) logins.delete(key);
+  const tmp = `${LOGINS_FILE}.tmp`;
+  try {
+    fs.mkdirSync(path.dirname(LOGINS_FILE), { recursive: true });
+    fs.writeFileSync(tmp, JSON.stringify(Object.fromEntries(logins)), { mode: 0o600 });
+    fs.renameSync(tmp, LOGINS_FILE);
+  } catch (e) {
+    console.error(`[auth] Cannot write ${LOGINS_FILE}: ${e.message}`);
+  }
+}
+
+// Cookies that don't decode are skipped: the header comes from anyone, and
+// this runs for every request.
+function parseCookies(header = '') {
+  const out = {};
+  for (const part of header.split(';')) {
+    const i = part.indexOf('=');
+    if (i <= 0) continue;
+    try {
+      out[part.slice(0, i).trim()] = decodeURIComponent(part.slice(i + 1).trim());
+    } catch (_) { /* malformed %-escape */ }
+  }
+  return out;
+}
+
+// The logged-in user for an HTTP request or WebSocket upgrade, or null.
+function userFromRequest(req) {
+  if (!authEnabled()) return OPEN_USER;
+  const id = parseCookies(req.headers.cookie)[COOKIE_NAME];
+  const login = id && logins.get(loginKey(id));
+  if (!login || login.open) return null;
+  if (login.expires < Date.now()) { logins.delete(loginKey(id)); saveLogins(); return null; }
+  return { name: login.name, role: login.role };
+}
+
+function can(user, action) {
+  return !!user && ROLES[user.role]?.has(action);
+}
+
+// ── HTTP routes: /auth/login, /auth/logout, /auth/me ─────────────────────────
+
+function sendJSON(res, status, obj, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(obj));
+}
+
+// The request body as UTF-8 text, decoded once so characters split across
+// chunks survive. More than `limit` bytes rejects with a 413.
+function readBody(req, limit = 64 * 1024) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > limit) {
+        reject(new HttpError(413, 'Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+async function handleAuth(req, res) {
+  const route = req.url.split('?')[0];
+
+  if (route === '/auth/me') {
+    const user = userFromRequest(req);
+    if (!user) { sendJSON(res, 401, { authRequired: true, user: null }); return; }
+    sendJSON(res, 200, { authRequired: authEnabled(), user });
+    return;
+  }
+
+  if (route === '/auth/login' && req.method === 'POST') {
+    let creds;
+    try { creds = JSON.parse(await readBody(req)); } catch (_) {
+      sendJSON(res, 400, { error: 'Bad request' }); return;
+    }
+    const enabled = authEnabled();
+    const user = enabled ? authenticate(creds || {}) : OPEN_USER;
+    if (!user) { sendJSON(res, 401, { error: 'Invalid credentials' }); return; }
+    const id = crypto.randomBytes(24).toString('hex');
+    logins.set(loginKey(id), { ...user, expires: Date.now() + SESSION_TTL_MS, open: !enabled });
+    saveLogins();
+    console.log(`[auth] ${user.name} logged in as ${user.role}`);
+    sendJSON(res, 200, { authRequired: enabled, user }, {
+      'Set-Cookie': `${COOKIE_NAME}=${id}; HttpOnly; SameSite=Lax; Path=/; Max-Age=${SESSION_TTL_MS / 1000}`,
+    });
+    return;
+  }
+
+  if (route === '/auth/logout' && req.method === 'POST') {
+    const id = parseCookies(req.headers.cookie)[COOKIE_NAME];
+    if (id && logins.delete(loginKey(id))) saveLogins();
+    sendJSON(res, 200, { ok: true }, {
+      'Set-Cookie': `${COOKIE_NAME}=; HttpOnly; SameSite=Lax; Path=/; Max-Age=0`,
+    });
+    return;
+  }
+
+  sendJSON(res, 404, { error: 'Not found' });
+}
+
+module.exports = {
+  userFromRequest, can, handleAuth, sendJSON, readBody, hashPassword,
+  parseCookies, checkPassword, // exported for the tests
+};
+
+// `node auth.js hash <password>` prints a hash for the users file.
+if (require.main === module) {
+  const [cmd, password] = process.argv.slice(2);
+  if (cmd !== 'hash' || !password) {
+    console.error('usage: node auth.js hash <password>');
+    process.exit(1);
+  }
+  console.log(hashPassword(password));
+}
@@ -0,0 +1,46 @@
+'use strict';
+const fs = require('fs');
+const { sendJSON } = require('./auth');
+
+// ── Class library cache ──────────────────────────────────────────────────────
+// Every session runs the same class library, so it is introspected once per
+// bridge process: the first session to finish compiling asks its sclang to
+// write the JSON (SCWeb.dumpClassLibrary in sc/classes/SCWeb.sc) and the
+// frontend fetches it from GET /classlib for autocompletion.
+const CLASSLIB_FILE = process.env.SC_CLASSLIB_CACHE || '/tmp/scweb-classlib.json';
+
+let state = 'missing'; // 'missing' | 'dumping' | 'ready'
+
+// True if the caller should run the dump; only one session gets to.
+function claimDump() {
+  if (state !== 'missing') return false;
+  state = 'dumping';
+  return true;
+}
+
+// Called when the dump finished, failed, or its sclang died under it.
+function dumpFinished(ok) {
+  state = ok ? 'ready' : 'missing';
+}
+
+// After a recompile the classes may have changed; the next session to
+// finish compiling dumps them again.
+function invalidate() {
+  if (state === 'ready') state = 'missing';
+}
+
+function handleClassLib(req, res) {
+  if (state !== 'ready') {
+    sendJSON(res, 503, { error: 'Class library not introspected yet' });
+    return;
+  }
+  fs.stat(CLASSLIB_FILE, (err, st) => {
+    if (err) { state = 'missing'; sendJSON(res, 503, { error: 'Class library cache missing' }); return; }
+    const etag = `"${st.size}-${st.mtimeMs}"`;
+    if (req.headers['if-none-match'] === etag) { res.writeHead(304); res.end(); return; }
+    res.writeHead(200, { 'Content-Type': 'application/json', 'Cache-Control': 'no-cache', ETag: etag });
+    fs.createReadStream(CLASSLIB_FILE).pipe(res);
+  });
+}
+
+module.exports = { CLASSLIB_FILE, claimDump, dumpFinished, invalidate, handleClassLib };
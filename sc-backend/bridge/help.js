@@ -0,0 +1,200 @@
+'use strict';
+const fs = require('fs/promises');
+const path = require('path');
+const { sendJSON } = require('./auth');
+
+// Rendered SCDoc HTML, built into the image by the Dockerfile
+const HELP_DIR = '/usr/local/share/SuperCollider/Help';
+
+// ── Doc summaries ────────────────────────────────────────────────────────────
+//   GET /helpdoc?class=SinOsc                      → class summary
+//   GET /helpdoc?class=SinOsc&method=ar&meta=1     → class method (*ar)
+//   GET /helpdoc?class=Synth,Pattern&method=play   → instance method (-play),
+//                                                    from the first candidate
+//                                                    class that documents it
+// Answers { title, summary, url } where url opens the page (at the method's
+// anchor) in the help browser. Pages are parsed once and cached.
+
+const MAX_SUMMARY = 400;
+const MAX_CANDIDATES = 10;
+
+const cache = new Map(); // class name → { summary, methods: Map(anchor → text) } | null
+
+function htmlToText(html) {
+  return html
+    .replace(/<[^>]+>/g, '')
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'").replace(/&nbsp;/g, ' ').replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function truncate(text) {
+  return text.length > MAX_SUMMARY ? text.slice(0, MAX_SUMMARY - 1) + '…' : text;
+}
+
+// Method sections start at an anchor named *name (class method) or -name
+// (instance method) and run until the next one. Argument tables and
+// sub-headings are dropped so what's left is the prose description.
+function parseClassDoc(html) {
+  const summary = html.match(/<div id=['"]summary['"]>([\s\S]*?)<\/div>/);
+  const methods = new Map();
+  const anchors = [...html.matchAll(/<a\b[^>]*\bname=['"]([*-][^'"]+)['"]/g)];
+  anchors.forEach((a, i) => {
+    const end  = i + 1 < anchors.length ? anchors[i + 1].index : html.length;
+    const body = html.slice(a.index, end)
+      .replace(/^[\s\S]*?<\/h3>/, '')                      // the signature heading itself
+      .replace(/<table[\s\S]*?<\/table>/g, '')
+      .replace(/<h4>[\s\S]*?<\/h4>/g, '')
+      .replace(/<(h2|h3)[\s\S]*$/, '');                    // whatever section follows
+    if (!methods.has(a[1])) methods.set(a[1], truncate(htmlToText(body)));
+  });
+  return { summary: summary ? truncate(htmlToText(summary[1])) : '', methods };
+}
+
+async function classDoc(name) {
+  if (!/^[A-Z]\w*$/.test(name)) return null;
+  if (!cache.has(name)) {
+    let doc = null;
+    try {
+      doc = parseClassDoc(await fs.readFile(path.join(HELP_DIR, 'Classes', `${name}.html`), 'utf8'));
+    } catch (_) { /* undocumented class */ }
+    cache.set(name, doc);
+  }
+  return cache.get(name);
+}
+
+async function handleHelpDoc(req, res) {
+  const q = new URL(req.url, 'http://localhost').searchParams;
+  const candidates = (q.get('class') || '').split(',').filter(Boolean).slice(0, MAX_CANDIDATES);
+  const method = q.get('method');
+  const anchor = method && `${q.get('meta') ? '*' : '-'}${method}`;
+
+  for (const cls of candidates) {
+    const doc = await classDoc(cls);
+    if (!doc) continue;
+    const url = `/help/Classes/${cls}.html`;
+    if (!method) {
+      sendJSON(res, 200, { title: cls, summary: doc.summary, url });
+      return;
+    }
+    if (doc.methods.has(anchor)) {
+      sendJSON(res, 200, {
+        title:   `${cls}${anchor[0] === '*' ? '.' : ':'}${method}`,
+        summary: doc.methods.get(anchor) || doc.summary,
+        url:     `${url}#${encodeURIComponent(anchor)}`,
+      });
+      return;
+    }
+  }
+  sendJSON(res, 404, { error: 'No documentation found' });
+}
+
+// ── Search index ─────────────────────────────────────────────────────────────
+//   GET /helpsearch?q=sine osc              → { results: [{ title, kind, summary, url }] }
+// Built on the first query from every page under HELP_DIR: title, category
+// directory (Classes, Guides, Tutorials, …), summary, documented method names
+// and the start of the body text. Every query word has to match somewhere;
+// exact titles rank first, then method names, then partial titles, prose last.
+
+const MAX_BODY_TEXT = 8 * 1024;
+const MAX_RESULTS = 30;
+
+let index = null; // Promise of [{ path, title, kind, summary, methods, text }]
+
+async function listHtml(dir) {
+  const out = [];
+  for (const e of await fs.readdir(dir, { withFileTypes: true })) {
+    const full = path.join(dir, e.name);
+    if (e.isDirectory()) out.push(...(await listHtml(full)));
+    else if (e.name.endsWith('.html')) out.push(full);
+  }
+  return out;
+}
+
+function indexPage(file, html) {
+  const rel     = path.relative(HELP_DIR, file).split(path.sep).join('/');
+  const title   = html.match(/<title>([^<|]*)/)?.[1].trim() || path.basename(file, '.html');
+  const summary = html.match(/<div id=['"]summary['"]>([\s\S]*?)<\/div>/);
+  const methods = [...new Set([...html.matchAll(/<a\b[^>]*\bname=['"]([*-][^'"]+)['"]/g)].map((m) => m[1]))];
+  const body    = html
+    .replace(/<(script|style)[\s\S]*?<\/\1>/g, '')
+    .replace(/<div id=['"]toc['"][\s\S]*?<\/div>/, '');
+  return {
+    path:    rel,
+    title,
+    kind:    rel.includes('/') ? rel.split('/')[0] : 'Help',
+    summary: summary ? truncate(htmlToText(summary[1])) : '',
+    methods,
+    text:    htmlToText(body).slice(0, MAX_BODY_TEXT).toLowerCase(),
+  };
+}
+
+function buildIndex() {
+  if (!index) {
+    const started = Date.now();
+    index = listHtml(HELP_DIR)
+      .then(async (files) => {
+        const pages = [];
+        for (const file of files) {
+          try { pages.push(indexPage(file, await fs.readFile(file, 'utf8'))); } catch (_) { /* unreadable page */ }
+        }
+        console.log(`[help] Indexed ${pages.length} pages in ${Date.now() - started} ms`);
+        return pages;
+      })
+      .catch((e) => {
+        index = null; // e.g. help not rendered yet — retry on the next query
+        throw e;
+      });
+  }
+  return index;
+}
+
+function scorePage(page, words) {
+  const title = page.title.toLowerCase();
+  const summary = page.summary.toLowerCase();
+  let score = 0, method = null;
+  for (const w of words) {
+    let s = 0;
+    if (title === w) s = 100;
+    else if (title.startsWith(w)) s = 50;
+    else if (title.includes(w)) s = 30;
+    const m = page.methods.find((a) => a.slice(1).toLowerCase() === w);
+    if (m && s < 60) { s = 60; method = method || m; }
+    if (!s && summary.includes(w)) s = 10;
+    if (!s && page.text.includes(w)) s = 2;
+    if (!s) return null;
+    score += s;
+  }
+  if (page.kind === 'Classes') score += 1; // classes first among equals, as in SC-IDE
+  return { score, method };
+}
+
+function search(pages, q) {
+  const words = q.toLowerCase().split(/\s+/).filter(Boolean);
+  if (!words.length) return [];
+  const hits = [];
+  for (const page of pages) {
+    const hit = scorePage(page, words);
+    if (hit) hits.push({ page, ...hit });
+  }
+  hits.sort((a, b) => b.score - a.score || a.page.title.localeCompare(b.page.title));
+  return hits.slice(0, MAX_RESULTS).map(({ page, method }) => ({
+    title:   method ? `${page.title}${method[0] === '*' ? '.' : ':'}${method.slice(1)}` : page.title,
+    kind:    page.kind,
+    summary: page.summary,
+    url:     `/help/${page.path}${method ? '#' + encodeURIComponent(method) : ''}`,
+  }));
+}
+
+async function handleHelpSearch(req, res) {
+  const q = new URL(req.url, 'http://localhost').searchParams.get('q') || '';
+  let pages;
+  try { pages = await buildIndex(); } catch (e) {
+    sendJSON(res, 503, { error: `Help index unavailable: ${e.message}` });
+    return;
+  }
+  sendJSON(res, 200, { results: search(pages, q.slice(0, 200)) });
+}
+
+module.exports = { HELP_DIR, handleHelpDoc, handleHelpSearch };
@@ -3,12 +3,23 @@ const http = require('http');
 const { WebSocketServer } = require('ws');
 const fs = require('fs');
 const path = require('path');
-const os = require('os');
+const { Session } = require('./session');
+const { sendTo, resolveInside } = require('./util');
+const { bridgePost, parseResume } = require('./post');
+const { userFromRequest, can, handleAuth } = require('./auth');
+const { WORKSPACE_DIR, handleWorkspace } = require('./workspace');
+const { handleClassLib } = require('./classlib');
+const { RECORDINGS_DIR, handleRecordings } = require('./recordings');
+const { SAMPLES_DIR, handleSamples } = require('./samples');
+const { SNAPSHOTS_DIR, handleSnapshots } = require('./snapshots');
+const { HELP_DIR, handleHelpDoc, handleHelpSearch } = require('./help');
 
 const PORT = 4000;
-const STARTUP_SCD = '/home/scuser/sc/startup.scd';
-const EVAL_DIR = os.tmpdir();
-const HELP_DIR = '/usr/local/share/SuperCollider/Help';
+
+// Session pool limits. Sessions with no clients are shut down after the idle
+// timeout; when every slot is taken, the longest-idle one is reclaimed.
+const MAX_SESSIONS    = Number(process.env.SC_MAX_SESSIONS) || 4;
+const IDLE_TIMEOUT_MS = (Number(process.env.SC_SESSION_IDLE_TIMEOUT) || 600) * 1000;
 
 // ── MIME types for help file serving ─────────────────────────────────────────
 const MIME = {
@@ -22,12 +33,71 @@ const MIME = {
   '.json': 'application/json',
 };
 
-// ── HTTP server (serves /help; WebSocket is attached to same server) ──────────
+fs.mkdirSync(WORKSPACE_DIR, { recursive: true });
+fs.mkdirSync(RECORDINGS_DIR, { recursive: true });
+fs.mkdirSync(SAMPLES_DIR, { recursive: true });
+fs.mkdirSync(SNAPSHOTS_DIR, { recursive: true });
+
+// ── HTTP server (/auth, /workspace, /classlib, /recordings, /samples, /snapshots, /help*; WebSocket attached) ─
 const server = http.createServer((req, res) => {
+  if (req.url.startsWith('/auth/')) {
+    handleAuth(req, res).catch((e) => {
+      console.error('[auth] Request failed:', e.message);
+      if (!res.headersSent) { res.writeHead(500); res.end('Internal error'); }
+    });
+    return;
+  }
+
+  const user = userFromRequest(req);
+
+  if (req.url.startsWith('/workspace/') || req.url === '/workspace') {
+    if (!user) { res.writeHead(401); res.end('Unauthorized'); return; }
+    handleWorkspace(req, res, user);
+    return;
+  }
+
+  if (req.url.split('?')[0] === '/classlib') {
+    if (!user) { res.writeHead(401); res.end('Unauthorized'); return; }
+    handleClassLib(req, res);
+    return;
+  }
+
+  if (req.url.startsWith('/recordings/')) {
+    if (!user) { res.writeHead(401); res.end('Unauthorized'); return; }
+    handleRecordings(req, res, user);
+    return;
+  }
+
+  if (req.url.startsWith('/samples/')) {
+    if (!user) { res.writeHead(401); res.end('Unauthorized'); return; }
+    handleSamples(req, res, user);
+    return;
+  }
+
+  if (req.url.startsWith('/snapshots/')) {
+    if (!user) { res.writeHead(401); res.end('Unauthorized'); return; }
+    handleSnapshots(req, res, user);
+    return;
+  }
+
+  const route = req.url.split('?')[0];
+  if (route === '/helpdoc' || route === '/helpsearch') {
+    if (!user) { res.writeHead(401); res.end('Unauthorized'); return; }
+    (route === '/helpdoc' ? handleHelpDoc : handleHelpSearch)(req, res).catch((e) => {
+      console.error('[help] Request failed:', e.message);
+      if (!res.headersSent) { res.writeHead(500); res.end('Internal error'); }
+    });
+    return;
+  }
+
   if (!req.url.startsWith('/help')) {
     res.writeHead(404); res.end('Not found'); return;
   }
 
+  if (!user) {
+    res.writeHead(401); res.end('Unauthorized'); return;
+  }
+
   let rel = req.url.slice('/help'.length) || '/';
   if (rel === '/') {
     // Try the standard SCDoc entry points in order
@@ -38,8 +108,8 @@ const server = http.createServer((req, res) => {
   }
 
   // Prevent directory traversal
-  const filePath = path.resolve(HELP_DIR, rel.replace(/^\/+/, ''));
-  if (!filePath.startsWith(HELP_DIR + path.sep) && filePath !== HELP_DIR) {
+  const filePath = resolveInside(HELP_DIR, rel.split('?')[0]);
+  if (!filePath) {
     res.writeHead(403); res.end('Forbidden'); return;
   }
 
@@ -53,8 +123,16 @@ const server = http.createServer((req, res) => {
 
 // ── Helpers ──────────────────────────────────────────────────────────────────
 
-const wss = new WebSocketServer({ server });
+// Refuse the upgrade (401) unless the request carries a valid login cookie.
+// Nothing a browser sends legitimately comes near maxPayload; the largest
+// is evaluating a whole 1 MB workspace file.
+const wss = new WebSocketServer({
+  server,
+  maxPayload: 4 * 1024 * 1024,
+  verifyClient: ({ req }) => !!userFromRequest(req),
+});
 const clients = new Set();
+let connectionCounter = 0;
 
 function broadcast(obj) {
   const msg = JSON.stringify(obj);
@@ -63,118 +141,309 @@ function broadcast(obj) {
   }
 }
 
-// Strip sclang REPL prompt, internal bridge commands, and normalize line endings.
-function sanitize(str) {
-  return str
-    .replace(/^sc3>\s*/gm, '')                          // sclang REPL prompt
-    .replace(/^load\("\/tmp\/sc_eval_[^"]*"\);\n?/gm, '') // hide internal load() calls
-    .replace(/^load\("\/[^"]*startup\.scd"\);\n?/gm, '')  // hide startup load
-    .replace(/^CmdPeriod\.run;\n?/gm, '')               // hide stop command echo
-    .replace(/\r\n/g, '\n')
-    .replace(/\r/g, '\n');
+// ── Session pool ─────────────────────────────────────────────────────────────
+// Slots are numbered 1..MAX_SESSIONS; a session's id is its slot, which also
+// fixes its scsynth port, JACK client names and stream mount.
+
+const sessions = new Map();        // slot → Session
+const clientSessions = new Map();  // browser client key → Session, for reconnects
+
+function sessionsMessage() {
+  return {
+    type: 'sessions',
+    max: MAX_SESSIONS,
+    sessions: [...sessions.values()].map((s) => s.describe()),
+  };
+}
+
+function broadcastSessions() {
+  broadcast(sessionsMessage());
+}
+
+function stopSession(session, reason) {
+  console.log(`[bridge] Stopping session ${session.id} (${reason})`);
+  if (sessions.get(session.id) === session) sessions.delete(session.id);
+  for (const [key, s] of clientSessions) if (s === session) clientSessions.delete(key);
+  const done = session.stop();
+  broadcastSessions();
+  return done;
 }
 
-let evalCounter = 0;
+// Start a session in a free slot, reclaiming the longest-idle session if the
+// pool is full. Returns null when every session has clients attached.
+function createSession() {
+  for (let slot = 1; slot <= MAX_SESSIONS; slot++) {
+    if (sessions.has(slot)) continue;
+    const session = new Session(slot, { onChange: broadcastSessions });
+    sessions.set(slot, session);
+    session.start();
+    return session;
+  }
+
+  const idle = [...sessions.values()]
+    .filter((s) => s.clients.size === 0)
+    .sort((a, b) => a.lastActive - b.lastActive)[0];
+  if (!idle) return null;
 
-// Write code to a temp .scd file and trigger it via sclang's stdin load().
-function evalCode(code) {
-  const file = path.join(EVAL_DIR, `sc_eval_${Date.now()}_${evalCounter++}.scd`);
-  fs.writeFileSync(file, `(\n${code.trimEnd()}\n)\n`);
-  const cmd = `load(${JSON.stringify(file)});\n`;
-  console.log(`[bridge] eval → ${cmd.trim()}`);
-  sclangProc.stdin.write(cmd);
-  setTimeout(() => { try { fs.unlinkSync(file); } catch (_) {} }, 15000);
+  const session = new Session(idle.id, { onChange: broadcastSessions });
+  stopSession(idle, 'reclaimed').then(() => { if (!session.stopping) session.start(); });
+  sessions.set(session.id, session);
+  return session;
 }
 
-// ── sclang process ───────────────────────────────────────────────────────────
-
-const { spawn } = require('child_process');
-let sclangProc = null;
-let sclangAlive = false;
-let startupSent = false;
-
-function startSclang() {
-  console.log('[bridge] Spawning sclang...');
-  startupSent = false;
-
-  // Run sclang with NO script argument so it stays in REPL mode and reads
-  // stdin. We send the startup code via stdin after the class library compiles.
-  // stdbuf -oL: force line-buffered stdout so eval results flush immediately.
-  // Without it, piped stdout uses full 4-8 KB buffering → results sit in
-  // sclang's C-library buffer for up to 30 seconds before appearing.
-  sclangProc = spawn('stdbuf', ['-oL', 'sclang'], {
-    cwd: '/home/scuser',
-    stdio: ['pipe', 'pipe', 'pipe'],
-    env: {
-      ...process.env,
-      PULSE_RUNTIME_PATH: process.env.PULSE_RUNTIME_PATH || '/tmp/pulse-runtime',
-    },
-  });
+function attach(ws, session) {
+  if (ws.session === session) return;
+  if (ws.session) detach(ws);
+  ws.session = session;
+  clearTimeout(session.idleTimer);
+  session.addClient(ws, ws.resume);
+  ws.resume = null; // only good for the session it reconnected to
+  clientSessions.set(ws.clientKey, session);
+  sendTo(ws, { type: 'session', ...session.describe() });
+  console.log(`[bridge] Client ${ws.clientKey} → session ${session.id} (${session.clients.size} attached)`);
+  broadcastSessions();
+}
 
-  function handleOutput(stream, data) {
-    const raw = data.toString();
+function detach(ws) {
+  const session = ws.session;
+  if (!session) return;
+  ws.session = null;
+  session.removeClient(ws);
+  if (session.clients.size === 0 && !session.stopping) {
+    clearTimeout(session.idleTimer);
+    session.idleTimer = setTimeout(() => stopSession(session, 'idle'), IDLE_TIMEOUT_MS);
+  }
+  broadcastSessions();
+}
 
-    // After "compile done", send the startup .scd via load() so the server
-    // boots. sclang reads stdin in REPL mode only when no script arg is given.
-    if (!startupSent && raw.includes('compile done')) {
-      startupSent = true;
-      console.log('[bridge] Class library compiled — sending startup.scd');
-      sclangProc.stdin.write(`load(${JSON.stringify(STARTUP_SCD)});\n`);
-    }
+// Reattach a returning browser to its previous session; otherwise give it a
+// fresh one, or share the least crowded session if the pool is exhausted.
+// Listeners never start sessions: they join the busiest one, if any.
+function assignSession(ws) {
+  const previous = clientSessions.get(ws.clientKey);
+  if (previous && !previous.stopping) { attach(ws, previous); return; }
 
-    // Once the server confirms it's up, mark sclang as alive.
-    if (!sclangAlive && raw.includes('=== SuperCollider server booted ===')) {
-      sclangAlive = true;
-      console.log('[bridge] Server booted — accepting evals');
-      broadcast({ type: 'status', connected: true });
-    }
+  if (!can(ws.user, 'newSession')) {
+    const busiest = [...sessions.values()].sort((a, b) => b.clients.size - a.clients.size)[0];
+    if (busiest) attach(ws, busiest);
+    else sendTo(ws, bridgePost('[bridge] No session running yet — pick one once a performer starts it'));
+    return;
+  }
 
-    const text = sanitize(raw);
-    if (text) {
-      process.stdout.write(text);
-      broadcast({ type: 'post', text });
+  const fresh = createSession();
+  if (fresh) { attach(ws, fresh); return; }
+
+  const shared = [...sessions.values()].sort((a, b) => a.clients.size - b.clients.size)[0];
+  sendTo(ws, bridgePost(`[bridge] No free sessions — joining session ${shared.id} (shared)`));
+  attach(ws, shared);
+}
+
+function joinSession(ws, target) {
+  if (target === 'new') {
+    if (!allowed(ws, 'newSession', 'start sessions')) return;
+    const fresh = createSession();
+    if (!fresh) {
+      sendTo(ws, bridgePost(`[bridge] All ${MAX_SESSIONS} sessions are in use`));
+      return;
     }
+    attach(ws, fresh);
+    return;
   }
+  const session = sessions.get(Number(target));
+  if (!session || session.stopping) {
+    sendTo(ws, bridgePost(`[bridge] No such session: ${target}`));
+    return;
+  }
+  attach(ws, session);
+}
 
-  sclangProc.stdout.on('data', (d) => handleOutput('stdout', d));
-  sclangProc.stderr.on('data', (d) => handleOutput('stderr', d));
+// ── Permissions ──────────────────────────────────────────────────────────────
 
-  sclangProc.on('exit', (exitCode, signal) => {
-    sclangAlive = false;
-    const msg = `\n[sclang exited: code=${exitCode} signal=${signal}] restarting in 3 s…\n`;
-    console.warn(msg);
-    broadcast({ type: 'post', text: msg });
-    broadcast({ type: 'status', connected: false });
-    sclangProc = null;
-    setTimeout(startSclang, 3000);
-  });
+// Which permission each client message needs (see ROLES in auth.js).
+const MESSAGE_PERMISSIONS = {
+  join:     'join',
+  monitor:  'join',
+  liveAudio: 'join',
+  nodeTree: 'join',
+  nodeAction: 'eval',
+  buffers:  'join',
+  loadSample: 'eval',
+  proxies:  'join',
+  proxyAction: 'eval',
+  controlSet: 'eval',
+  midiDevices: 'eval',
+  midi:     'eval',
+  osc:      'join',
+  oscSend:  'eval',
+  eval:     'eval',
+  stop:     'stop',
+  interrupt: 'stop',
+  setStream: 'eval',
+  docPush:  'edit',
+  docFlash: 'edit',
+  restart:  'restart',
+  setServerOptions: 'restart',
+  rebootServer: 'restart',
+  recompile: 'restart',
+  record:   'record',
+  stopRecording: 'record',
+};
+
+// Returns true if the client may perform `action`; otherwise tells it why not.
+function allowed(ws, action, what = action) {
+  if (can(ws.user, action)) return true;
+  sendTo(ws, bridgePost(`[bridge] ${ws.user.role}s may not ${what}`));
+  return false;
 }
 
 // ── WebSocket server ─────────────────────────────────────────────────────────
 
 wss.on('connection', (ws, req) => {
   clients.add(ws);
+  ws.id = ++connectionCounter;
   const ip = req.socket.remoteAddress;
-  console.log(`[bridge] Client connected from ${ip} (${clients.size} total)`);
+  const url = new URL(req.url, 'http://localhost');
+  ws.clientKey = url.searchParams.get('client') || `anon-${ip}-${Date.now()}`;
+  ws.resume = parseResume(url.searchParams.get('resume')); // last post entry seen before a reconnect
+  ws.session = null;
+  ws.user = userFromRequest(req);
+  console.log(`[bridge] Client connected from ${ip} as ${ws.user.name || 'guest'}/${ws.user.role} (${clients.size} total)`);
 
-  ws.send(JSON.stringify({ type: 'status', connected: sclangAlive }));
+  sendTo(ws, { type: 'user', ...ws.user });
+  sendTo(ws, sessionsMessage());
+  assignSession(ws);
 
   ws.on('message', (raw) => {
     try {
       const msg = JSON.parse(raw.toString());
+      const session = ws.session;
+
+      const permission = MESSAGE_PERMISSIONS[msg.type];
+      if (permission && !allowed(ws, permission, msg.type)) {
+        if (msg.type === 'eval' && msg.id != null) {
+          sendTo(ws, { type: 'evalError', id: msg.id, kind: 'rejected', message: 'not allowed', line: null, char: null });
+        }
+        return;
+      }
+
+      if (msg.type === 'join') {
+        joinSession(ws, msg.session);
+        return;
+      }
+
+      // Shared-document traffic (docJoin, docPush, docCursor, …)
+      if (session?.doc.handle(ws, msg)) return;
 
       if (msg.type === 'eval') {
-        if (!sclangAlive) {
-          ws.send(JSON.stringify({ type: 'post', text: '[bridge] sclang not ready\n' }));
+        if (!session) {
+          sendTo(ws, bridgePost('[bridge] Not in a session'));
+          if (msg.id != null) {
+            sendTo(ws, { type: 'evalError', id: msg.id, kind: 'rejected', message: 'not in a session', line: null, char: null });
+          }
           return;
         }
-        evalCode(msg.code);
+        // Code from a workspace file runs "as" that file, for loadRelative etc.
+        const file = typeof msg.path === 'string' ? resolveInside(WORKSPACE_DIR, msg.path) : null;
+        session.submitEval(msg.code, ws, msg.id, file);
+      }
+
+      // Meters/scope panel opened or closed
+      if (msg.type === 'monitor') {
+        session?.setMonitorSubscription(ws, Boolean(msg.on));
+      }
+
+      // Low-latency PCM monitor switched on or off
+      if (msg.type === 'liveAudio') {
+        session?.liveAudio.subscribe(ws, Boolean(msg.on));
+      }
+
+      // Node tree panel opened/closed, and its free/pause/resume/set actions
+      if (msg.type === 'nodeTree') {
+        session?.setNodeTreeSubscription(ws, Boolean(msg.on));
+      }
+
+      if (msg.type === 'nodeAction') {
+        session?.nodeAction(ws, msg);
+      }
+
+      // Samples panel opened/closed (buffer list), and "load into buffer"
+      if (msg.type === 'buffers') {
+        session?.setBufferSubscription(ws, Boolean(msg.on));
+      }
+
+      if (msg.type === 'loadSample') {
+        session?.loadSample(ws, msg);
+      }
+
+      // Proxy mixer opened/closed, and its play/stop/fader/control changes
+      if (msg.type === 'proxies') {
+        session?.setProxySubscription(ws, Boolean(msg.on));
+      }
+
+      if (msg.type === 'proxyAction') {
+        session?.proxyAction(ws, msg);
+      }
+
+      // A WebControl moved in the browser
+      if (msg.type === 'controlSet') {
+        session?.setControl(ws, msg);
+      }
+
+      // Web MIDI: the devices this browser forwards, and their messages
+      if (msg.type === 'midiDevices') {
+        session?.setMidiDevices(ws, msg);
+      }
+
+      if (msg.type === 'midi') {
+        session?.midiIn(ws, msg);
+      }
+
+      // OSC panel opened/closed, and messages typed into it
+      if (msg.type === 'osc') {
+        session?.oscGateway.subscribe(ws, Boolean(msg.on));
+      }
+
+      if (msg.type === 'oscSend') {
+        session?.sendOsc(ws, msg);
+      }
+
+      if (msg.type === 'record') {
+        session?.startRecording(ws, msg);
+      }
+
+      if (msg.type === 'stopRecording') {
+        session?.stopRecording();
       }
 
       if (msg.type === 'stop') {
-        if (sclangAlive) {
-          sclangProc.stdin.write('CmdPeriod.run;\n');
-        }
+        session?.stopSound();
+      }
+
+      // The toolbar's Interrupt, for a hung interpreter
+      if (msg.type === 'interrupt') {
+        session?.interrupt(ws);
+      }
+
+      // Admin lifecycle actions
+      if (msg.type === 'restart') {
+        console.log(`[bridge] ${ws.user.name || 'guest'} restarted session ${session?.id}`);
+        session?.restartSclang(`restarted by ${ws.user.name || 'an admin'}`);
+      }
+
+      if (msg.type === 'rebootServer' && session && !session.rebootServer()) {
+        sendTo(ws, bridgePost('[bridge] The server can only be rebooted once sclang is ready'));
+      }
+
+      if (msg.type === 'recompile' && session && !session.recompile()) {
+        sendTo(ws, bridgePost('[bridge] sclang is still compiling'));
+      }
+
+      // Server settings: options reboot the server, the stream choice rewires JACK
+      if (msg.type === 'setServerOptions' && msg.options && typeof msg.options === 'object') {
+        session?.setServerOptions(ws, msg.options);
+      }
+      if (msg.type === 'setStream') {
+        session?.setStream(ws, msg.stream);
       }
     } catch (e) {
       console.error('[bridge] Bad message:', e.message);
@@ -183,11 +452,12 @@ wss.on('connection', (ws, req) => {
 
   ws.on('close', () => {
     clients.delete(ws);
+    detach(ws);
     console.log(`[bridge] Client disconnected (${clients.size} total)`);
   });
 });
 
-startSclang();
 server.listen(PORT, () => {
   console.log(`[bridge] Listening on ws://0.0.0.0:${PORT} (HTTP /help also served)`);
+  console.log(`[bridge] Up to ${MAX_SESSIONS} sessions, idle timeout ${IDLE_TIMEOUT_MS / 1000} s`);
 });
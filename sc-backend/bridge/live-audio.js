@@ -0,0 +1,136 @@
+'use strict';
+const { spawn } = require('child_process');
+const { sendTo, jackConnect, jackDisconnect } = require('./util');
+
+// ── Low-latency monitor ──────────────────────────────────────────────────────
+// A second ffmpeg JACK client per session that turns scsynth's output into
+// raw 16-bit PCM on stdout. The bridge forwards it to listening browsers as
+// binary WebSocket frames, which the frontend plays through an AudioWorklet
+// jitter buffer — a fraction of a second behind the server instead of the
+// several seconds the MP3/Icecast path adds. The Icecast stream keeps
+// running as the broadcast and fallback path.
+//
+// ffmpeg only runs while someone listens: it starts with the first listener
+// and stops with the last.
+//
+// Messages in:  liveAudio {on}
+// Messages out: liveAudio {sampleRate, channels} before the first frame,
+//               liveAudio {off, error} if it stops under them;
+//               binary frames of interleaved little-endian Int16 samples
+
+const SAMPLE_RATE = 44100;
+// A client further behind than this has its frames dropped rather than
+// queued; the player's jitter buffer rides out the gap.
+const MAX_BUFFERED_BYTES = 256 * 1024;
+const RESTART_DELAY_MS = 3000;
+// ffmpeg needs a moment to register its JACK client before it can be wired up
+const CONNECT_DELAY_MS = 1000;
+
+class LiveAudio {
+  // `source` is the scsynth JACK client name, `name` the one to register.
+  // `routes()` gives the [source output, input] port pairs to wire up.
+  constructor({ source, name, channels, routes, log }) {
+    this.source    = source;
+    this.name      = name;
+    this.channels  = channels;
+    this.routes    = routes;
+    this.log       = `${log} [live]`;
+    this.listeners = new Set();
+    this.proc      = null;
+    this.tail      = Buffer.alloc(0); // partial frame left over from the last chunk
+    this.closed    = false;
+  }
+
+  get format() {
+    return { type: 'liveAudio', sampleRate: SAMPLE_RATE, channels: this.channels };
+  }
+
+  subscribe(ws, on) {
+    if (on && !this.closed) {
+      this.listeners.add(ws);
+      sendTo(ws, this.format);
+      if (!this.proc) this.start();
+    } else {
+      this.unsubscribe(ws);
+    }
+  }
+
+  unsubscribe(ws) {
+    if (!this.listeners.delete(ws)) return;
+    if (!this.listeners.size) this.stopProcess();
+  }
+
+  start() {
+    console.log(`${this.log} Starting PCM capture for ${this.listeners.size} listener(s)`);
+    this.tail = Buffer.alloc(0);
+    const proc = spawn('ffmpeg', [
+      '-nostdin', '-loglevel', 'warning',
+      '-fflags', 'nobuffer', '-flags', 'low_delay',
+      '-f', 'jack', '-i', this.name,
+      '-ac', String(this.channels), '-ar', String(SAMPLE_RATE),
+      '-f', 's16le', '-flush_packets', '1',
+      'pipe:1',
+    ], { stdio: ['ignore', 'pipe', 'pipe'] });
+    this.proc = proc;
+
+    proc.stdout.on('data', (chunk) => this.forward(chunk));
+    proc.stderr.on('data', (d) => console.warn(`${this.log} ${d.toString().trim()}`));
+    proc.on('exit', (code, signal) => {
+      if (this.proc !== proc) return; // stopped on purpose
+      this.proc = null;
+      if (this.closed || !this.listeners.size) return;
+      console.warn(`${this.log} ffmpeg exited: code=${code} signal=${signal} — restarting in ${RESTART_DELAY_MS / 1000} s`);
+      setTimeout(() => { if (!this.proc && !this.closed && this.listeners.size) this.start(); }, RESTART_DELAY_MS);
+    });
+    setTimeout(() => { if (this.proc === proc) this.connectPorts(); }, CONNECT_DELAY_MS);
+  }
+
+  // Also called by the session whenever scsynth (re)boots and its ports are new.
+  connectPorts() {
+    if (!this.proc) return;
+    for (const [out, input] of this.routes()) {
+      jackConnect(`${this.source}:out_${out}`, `${this.name}:input_${input}`, this.log);
+    }
+  }
+
+  // Undo `routes` before the session wires up different ones.
+  disconnectPorts(routes) {
+    if (!this.proc) return;
+    for (const [out, input] of routes) {
+      jackDisconnect(`${this.source}:out_${out}`, `${this.name}:input_${input}`, this.log);
+    }
+  }
+
+  // Whole frames only, so every WebSocket message starts on a frame boundary.
+  forward(chunk) {
+    const data  = this.tail.length ? Buffer.concat([this.tail, chunk]) : chunk;
+    const frame = 2 * this.channels;
+    const whole = data.length - (data.length % frame);
+    this.tail = data.subarray(whole);
+    if (!whole) return;
+    const frames = data.subarray(0, whole);
+    for (const ws of this.listeners) {
+      if (ws.readyState === 1 /* OPEN */ && ws.bufferedAmount < MAX_BUFFERED_BYTES) {
+        ws.send(frames, { binary: true });
+      }
+    }
+  }
+
+  stopProcess() {
+    const proc = this.proc;
+    if (!proc) return;
+    this.proc = null;
+    console.log(`${this.log} Stopping PCM capture`);
+    proc.kill('SIGTERM');
+  }
+
+  // For good, when the session closes.
+  close() {
+    this.closed = true;
+    for (const ws of this.listeners) sendTo(ws, { type: 'liveAudio', off: true, error: 'session closed' });
+    this.listeners.clear();
+    this.stopProcess();
+  }
+}
+
+module.exports = { LiveAudio };
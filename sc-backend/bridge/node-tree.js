@@ -0,0 +1,45 @@
+'use strict';
+
+// ── scsynth node tree ────────────────────────────────────────────────────────
+// Parsing for /g_queryTree.reply with controls included (`/g_queryTree 0 1`):
+//
+//   flag, rootID, numChildren, then depth-first for every node below:
+//     nodeID, numChildren   (-1 for a synth, followed by)
+//       defName, numControls, (controlName or index, value) × numControls
+//
+// Control values are floats, or strings like "c3"/"a10" when mapped to a bus.
+// Returns { id, group: true, children } for the root. scsynth doesn't report
+// whether a node is paused, so `paused` is the set of node ids the bridge
+// has paused itself.
+
+function parseQueryTree(args, paused = new Set()) {
+  let i = 0;
+  const next = () => args[i++];
+  const withControls = next() === 1;
+
+  function node(id, numChildren) {
+    if (numChildren >= 0) {
+      const children = [];
+      for (let c = 0; c < numChildren; c++) children.push(node(next(), next()));
+      return { id, group: true, paused: paused.has(id), children };
+    }
+    const def = String(next());
+    const controls = [];
+    if (withControls) {
+      const n = next();
+      for (let c = 0; c < n; c++) controls.push([String(next()), next()]);
+    }
+    return { id, def, paused: paused.has(id), controls };
+  }
+
+  return node(next(), next());
+}
+
+// Every node id in a parsed tree.
+function nodeIds(tree, out = new Set()) {
+  out.add(tree.id);
+  for (const child of tree.children || []) nodeIds(child, out);
+  return out;
+}
+
+module.exports = { parseQueryTree, nodeIds };
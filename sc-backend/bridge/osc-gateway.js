@@ -0,0 +1,177 @@
+'use strict';
+const dgram = require('dgram');
+const osc = require('./osc');
+
+// ── OSC gateway ──────────────────────────────────────────────────────────────
+// One UDP port per session (OSC_PORT_BASE + session id) that routes OSC
+// between the outside world and the session's sclang:
+//
+//   - packets from anywhere else (TouchOSC, another machine) are passed on
+//     to sclang's langPort unchanged, bundles and time tags included, so
+//     OSCdef / OSCFunc responders see them;
+//   - packets sclang sends to this port (SCWeb.oscOut) go to the configured
+//     UDP targets and to the browsers watching the OSC panel.
+//
+// Everything reaches sclang from this port, so a responder that replies to
+// the address it got a message from is replying through the gateway too.
+//
+// UDP senders don't log in, so by default the port only listens on
+// 127.0.0.1. Listing senders in SC_OSC_ALLOW opens it on every interface
+// (publish the ports in docker-compose too) and drops packets from anyone
+// not on the list.
+//
+// Messages in:  osc {on}, oscSend {address, args}
+// Messages out: osc {dir: 'in' | 'out', from, address, args} for each message
+
+const OSC_PORT_BASE = Number(process.env.SC_OSC_PORT_BASE) || 57300;
+
+// "host:port,host:port" — where everything sclang sends to SCWeb.oscOut goes
+const OSC_TARGETS = (process.env.SC_OSC_TARGETS || '')
+  .split(',')
+  .map((t) => t.trim().match(/^(.+):(\d+)$/))
+  .filter(Boolean)
+  .map(([, host, port]) => ({ host, port: Number(port) }));
+
+// "192.168.1.20,10.0.0.0/24" — addresses and IPv4 CIDR ranges that may send
+// OSC in from outside the container; empty keeps the gateway local-only
+const OSC_ALLOW = (process.env.SC_OSC_ALLOW || '')
+  .split(',')
+  .map((a) => a.trim())
+  .filter(Boolean)
+  .map(parseRange)
+  .filter(Boolean);
+
+// A browser further behind than this misses messages rather than queueing
+// them, so a fast fader can't flood a slow connection.
+const MAX_BUFFERED_BYTES = 64 * 1024;
+
+// Browser-sent messages: the argument types accepted, and a sanity limit
+const SEND_TYPES = new Set(['i', 'f', 's']);
+const MAX_SEND_ARGS = 64;
+
+function ipv4(address) {
+  const parts = address.replace(/^::ffff:/, '').split('.');
+  if (parts.length !== 4 || !parts.every((p) => /^\d{1,3}$/.test(p) && Number(p) < 256)) return null;
+  return parts.reduce((n, p) => n * 256 + Number(p), 0);
+}
+
+// "a.b.c.d" or "a.b.c.d/n" → { base, size }; null (with a warning) if malformed
+function parseRange(spec) {
+  const [address, bits = '32'] = spec.split('/');
+  const ip = ipv4(address);
+  const n = Number(bits);
+  if (ip === null || !Number.isInteger(n) || n < 0 || n > 32) {
+    console.warn(`[osc] Ignoring "${spec}" in SC_OSC_ALLOW`);
+    return null;
+  }
+  const size = 2 ** (32 - n);
+  return { base: ip - (ip % size), size };
+}
+
+function allowed(address) {
+  const ip = ipv4(address);
+  if (ip === null) return false;
+  if (ip >>> 24 === 127) return true;
+  return OSC_ALLOW.some(({ base, size }) => ip >= base && ip < base + size);
+}
+
+// A bundle's messages, however deeply nested, in order.
+function messagesOf(packet) {
+  return packet.elements ? packet.elements.flatMap(messagesOf) : [packet];
+}
+
+// Decoded arguments as JSON: blobs as byte arrays, time tags as numbers.
+function jsonArg(arg) {
+  if (Buffer.isBuffer(arg)) return [...arg];
+  if (typeof arg === 'bigint') return Number(arg);
+  return arg;
+}
+
+function validArg(arg) {
+  if (arg && typeof arg === 'object') {
+    return SEND_TYPES.has(arg.type) && (arg.type === 's' ? typeof arg.value === 'string' : Number.isFinite(arg.value));
+  }
+  return typeof arg === 'string' || typeof arg === 'boolean' || arg === null || Number.isFinite(arg);
+}
+
+class OscGateway {
+  // `langPort()` returns sclang's current UDP port, or null while it's down.
+  constructor({ id, langPort, log }) {
+    this.port        = OSC_PORT_BASE + id;
+    this.langPort    = langPort;
+    this.log         = `${log} [osc]`;
+    this.subscribers = new Set();
+    this.socket      = null;
+  }
+
+  open() {
+    const sock = dgram.createSocket('udp4');
+    sock.on('message', (buf, rinfo) => this.receive(buf, rinfo));
+    sock.on('error', (e) => console.warn(`${this.log} Socket error: ${e.message}`));
+    const host = OSC_ALLOW.length ? '0.0.0.0' : '127.0.0.1';
+    sock.bind(this.port, host, () => {
+      const targets = OSC_TARGETS.map((t) => `${t.host}:${t.port}`).join(', ');
+      console.log(`${this.log} Listening on UDP ${host}:${this.port}${targets ? `, sending to ${targets}` : ''}`);
+    });
+    this.socket = sock;
+  }
+
+  close() {
+    this.subscribers.clear();
+    if (!this.socket) return;
+    try { this.socket.close(); } catch (_) {}
+    this.socket = null;
+  }
+
+  subscribe(ws, on) {
+    if (on) this.subscribers.add(ws);
+    else this.subscribers.delete(ws);
+  }
+
+  unsubscribe(ws) {
+    this.subscribers.delete(ws);
+  }
+
+  receive(buf, { address, port }) {
+    if (!allowed(address)) return;
+    let packet;
+    try { packet = osc.decode(buf); } catch (_) { return; }
+    const fromLang = address === '127.0.0.1' && port === this.langPort();
+    if (fromLang) {
+      for (const t of OSC_TARGETS) this.socket?.send(buf, t.port, t.host, () => {});
+      this.show('out', 'sclang', packet);
+    } else {
+      this.toLang(buf);
+      this.show('in', `${address}:${port}`, packet);
+    }
+  }
+
+  // { address, args } from a browser; returns false if it's malformed.
+  // `from` is who sent it, for the other browsers' logs.
+  sendFromBrowser({ address, args = [] }, from) {
+    if (typeof address !== 'string' || !address.startsWith('/') || /[\s\0]/.test(address)) return false;
+    if (!Array.isArray(args) || args.length > MAX_SEND_ARGS || !args.every(validArg)) return false;
+    let buf;
+    try { buf = osc.encodeMessage(address, args); } catch (_) { return false; }
+    this.toLang(buf);
+    this.show('in', from, { address, args: args.map((a) => (a && typeof a === 'object' ? a.value : a)) });
+    return true;
+  }
+
+  toLang(buf) {
+    const langPort = this.langPort();
+    if (langPort) this.socket?.send(buf, langPort, '127.0.0.1', () => {});
+  }
+
+  show(dir, from, packet) {
+    if (!this.subscribers.size) return;
+    for (const { address, args } of messagesOf(packet)) {
+      const msg = JSON.stringify({ type: 'osc', dir, from, address, args: args.map(jsonArg) });
+      for (const ws of this.subscribers) {
+        if (ws.readyState === 1 /* OPEN */ && ws.bufferedAmount < MAX_BUFFERED_BYTES) ws.send(msg);
+      }
+    }
+  }
+}
+
+module.exports = { OscGateway, OSC_PORT_BASE };
@@ -0,0 +1,112 @@
+'use strict';
+
+// ── Minimal OSC 1.0 codec ────────────────────────────────────────────────────
+// Just what the bridge needs to talk to scsynth and sclang directly: messages
+// with i/f/d/s/b/h/T/F/N arguments, and bundles on the decoding side.
+
+function pad4(n) {
+  return (n + 3) & ~3;
+}
+
+function encodeString(str) {
+  const bytes = Buffer.from(str, 'utf8');
+  const out = Buffer.alloc(pad4(bytes.length + 1));
+  bytes.copy(out);
+  return out;
+}
+
+function encodeBlob(buf) {
+  const out = Buffer.alloc(4 + pad4(buf.length));
+  out.writeInt32BE(buf.length, 0);
+  buf.copy(out, 4);
+  return out;
+}
+
+// Arguments are plain values (integers → i, other numbers → f, strings → s,
+// Buffers → b, booleans → T/F, null → N) or explicit { type, value } pairs.
+function encodeArg(arg) {
+  if (arg && typeof arg === 'object' && !Buffer.isBuffer(arg) && 'type' in arg) {
+    const { type, value } = arg;
+    const b = Buffer.alloc(8);
+    switch (type) {
+      case 'i': b.writeInt32BE(value, 0); return ['i', b.subarray(0, 4)];
+      case 'f': b.writeFloatBE(value, 0); return ['f', b.subarray(0, 4)];
+      case 'd': b.writeDoubleBE(value, 0); return ['d', b];
+      case 'h': b.writeBigInt64BE(BigInt(value), 0); return ['h', b];
+      case 's': return ['s', encodeString(String(value))];
+      case 'b': return ['b', encodeBlob(Buffer.from(value))];
+      default: throw new Error(`Unsupported OSC type tag '${type}'`);
+    }
+  }
+  if (typeof arg === 'number') return encodeArg({ type: Number.isInteger(arg) ? 'i' : 'f', value: arg });
+  if (typeof arg === 'string') return encodeArg({ type: 's', value: arg });
+  if (Buffer.isBuffer(arg))    return encodeArg({ type: 'b', value: arg });
+  if (arg === true)  return ['T', Buffer.alloc(0)];
+  if (arg === false) return ['F', Buffer.alloc(0)];
+  if (arg == null)   return ['N', Buffer.alloc(0)];
+  throw new Error(`Cannot encode ${typeof arg} as an OSC argument`);
+}
+
+function encodeMessage(address, args = []) {
+  const encoded = args.map(encodeArg);
+  return Buffer.concat([
+    encodeString(address),
+    encodeString(',' + encoded.map(([tag]) => tag).join('')),
+    ...encoded.map(([, data]) => data),
+  ]);
+}
+
+// ── Decoding ─────────────────────────────────────────────────────────────────
+
+function readString(buf, offset) {
+  const end = buf.indexOf(0, offset);
+  if (end === -1) throw new Error('Unterminated OSC string');
+  return [buf.toString('utf8', offset, end), pad4(end + 1)];
+}
+
+// A message → { address, args }, a bundle → { timeTag, elements: [...] }.
+// Throws on malformed input.
+function decode(buf) {
+  if (buf.toString('ascii', 0, 8) === '#bundle\0') {
+    const timeTag = buf.readBigUInt64BE(8);
+    const elements = [];
+    let offset = 16;
+    while (offset < buf.length) {
+      const size = buf.readInt32BE(offset);
+      elements.push(decode(buf.subarray(offset + 4, offset + 4 + size)));
+      offset += 4 + size;
+    }
+    return { timeTag, elements };
+  }
+
+  let [address, offset] = readString(buf, 0);
+  if (!address.startsWith('/')) throw new Error('Not an OSC packet');
+  if (offset >= buf.length) return { address, args: [] };
+  let tags;
+  [tags, offset] = readString(buf, offset);
+  const args = [];
+  for (const tag of tags.slice(1)) {
+    switch (tag) {
+      case 'i': args.push(buf.readInt32BE(offset)); offset += 4; break;
+      case 'f': args.push(buf.readFloatBE(offset)); offset += 4; break;
+      case 'd': args.push(buf.readDoubleBE(offset)); offset += 8; break;
+      case 'h': args.push(Number(buf.readBigInt64BE(offset))); offset += 8; break;
+      case 't': args.push(buf.readBigUInt64BE(offset)); offset += 8; break;
+      case 's': case 'S': { let s; [s, offset] = readString(buf, offset); args.push(s); break; }
+      case 'b': {
+        const size = buf.readInt32BE(offset);
+        args.push(buf.subarray(offset + 4, offset + 4 + size));
+        offset += 4 + pad4(size);
+        break;
+      }
+      case 'T': args.push(true); break;
+      case 'F': args.push(false); break;
+      case 'N': args.push(null); break;
+      case 'I': args.push(Infinity); break;
+      default: throw new Error(`Unsupported OSC type tag '${tag}'`);
+    }
+  }
+  return { address, args };
+}
+
+module.exports = { encodeMessage, decode };
@@ -0,0 +1,160 @@
+'use strict';
+const crypto = require('crypto');
+
+// ── Post window entries ──────────────────────────────────────────────────────
+// sclang's output is plain text; browsers get it as entries, one per line,
+// each with a kind:
+//
+//   post     anything sclang printed
+//   result   the REPL's "-> value" after each eval
+//   warning  "WARNING: …", with the indented lines that follow as its trace
+//   error    "ERROR: …" and scsynth's "FAILURE IN SERVER …"; a runtime
+//            error's receiver, args and call stack, or a parse error's
+//            position, become its trace
+//   bridge   the bridge's own messages (bridgeEntries)
+//
+// Entries are { time, kind, text, trace? } and go out as post {entries};
+// the session's own also carry `seq` and post {history} (see PostHistory).
+// An error or warning stays open while its dump is still arriving, and a
+// line without its newline yet is held back, both for at most FLUSH_MS.
+//
+// Each session keeps its last POST_HISTORY entries, numbered, so a browser
+// that connects late sees how it got here, and one that reconnects picks up
+// after the last entry it saw (see PostHistory).
+
+const FLUSH_MS = 50;
+const POST_HISTORY = Number(process.env.SC_POST_HISTORY) || 2000;
+
+const ERROR_START   = /^(ERROR\b|FAILURE IN SERVER|\*\*\* ERROR|exception in )/;
+const WARNING_START = /^WARNING\b/;
+const RESULT_START  = /^-> /;
+
+// Lines that belong to the error above them: its dump sections, indented
+// call-stack frames and code excerpts, the "^^" summary after the stack and
+// the parse-error trailer.
+const ERROR_CONTINUES = /^(\s|$|RECEIVER:|ARGS:|PATH:|(PROTECTED )?CALL STACK:|\^\^|-{3,}$|ERROR: Command line parse failed)/;
+const WARNING_CONTINUES = /^(\s|$)/;
+
+function kindOf(line) {
+  if (ERROR_START.test(line)) return 'error';
+  if (WARNING_START.test(line)) return 'warning';
+  if (RESULT_START.test(line)) return 'result';
+  return 'post';
+}
+
+// The bridge's own text as entries, one per line.
+function bridgeEntries(text) {
+  const time = Date.now();
+  return text.split('\n').filter((l) => l.trim()).map((l) => ({ time, kind: 'bridge', text: l }));
+}
+
+// A post message for one client, outside the session's history.
+function bridgePost(text) {
+  return { type: 'post', entries: bridgeEntries(text) };
+}
+
+class PostParser {
+  // `onEntries(entries)` gets each batch of finished entries, in order.
+  constructor(onEntries) {
+    this.onEntries = onEntries;
+    this.partial   = '';   // output after the last newline
+    this.open      = null; // error or warning still collecting its trace
+    this.timer     = null;
+  }
+
+  // Sanitized sclang output, in whatever chunks it arrives.
+  push(text) {
+    const lines = (this.partial + text).split('\n');
+    this.partial = lines.pop();
+    const out = [];
+    for (const line of lines) this.line(line, out);
+    this.emit(out);
+
+    clearTimeout(this.timer);
+    this.timer = (this.open || this.partial) ? setTimeout(() => this.flush(), FLUSH_MS) : null;
+  }
+
+  // Finish whatever is held back — on a quiet moment, and when sclang exits.
+  flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    const out = [];
+    if (this.partial) this.line(this.partial, out);
+    this.partial = '';
+    this.close(out);
+    this.emit(out);
+  }
+
+  line(line, out) {
+    if (this.open) {
+      const continues = this.open.kind === 'error' ? ERROR_CONTINUES : WARNING_CONTINUES;
+      if (continues.test(line)) { this.open.trace.push(line); return; }
+      this.close(out);
+    }
+    if (!line.trim()) return;
+    const entry = { time: Date.now(), kind: kindOf(line), text: line };
+    if (entry.kind === 'error' || entry.kind === 'warning') {
+      entry.trace = [];
+      this.open = entry;
+    } else {
+      out.push(entry);
+    }
+  }
+
+  close(out) {
+    const entry = this.open;
+    if (!entry) return;
+    this.open = null;
+    while (entry.trace.length && !entry.trace[entry.trace.length - 1].trim()) entry.trace.pop();
+    if (entry.trace.length) entry.trace = entry.trace.join('\n');
+    else delete entry.trace;
+    out.push(entry);
+  }
+
+  emit(out) {
+    if (out.length) this.onEntries(out);
+  }
+}
+
+// ── History ──────────────────────────────────────────────────────────────────
+// Entries get a `seq`, counting up from 1, and `id` names this history, so a
+// browser's "last saw seq N" is only trusted by the history that numbered it
+// (a session slot that was stopped and started again gets a new one).
+
+class PostHistory {
+  constructor(limit = POST_HISTORY) {
+    this.id      = crypto.randomBytes(6).toString('hex');
+    this.limit   = limit;
+    this.entries = [];
+    this.seq     = 0;
+  }
+
+  add(entries) {
+    for (const e of entries) {
+      e.seq = ++this.seq;
+      this.entries.push(e);
+    }
+    if (this.entries.length > this.limit) this.entries.splice(0, this.entries.length - this.limit);
+  }
+
+  // postHistory {history, seq, entries, resumed, dropped} for a client that last
+  // saw `resume` ({ history, seq }), or nothing. Resuming sends only the
+  // entries after that one; otherwise everything kept is sent and the client
+  // starts over. `dropped` counts entries it never saw that are no longer
+  // kept.
+  replay(resume) {
+    const resumed = resume?.history === this.id && resume.seq <= this.seq;
+    const after   = resumed ? resume.seq : 0;
+    const entries = this.entries.filter((e) => e.seq > after);
+    const first   = entries.length ? entries[0].seq : this.seq + 1;
+    return { type: 'postHistory', history: this.id, seq: this.seq, entries, resumed, dropped: first - after - 1 };
+  }
+}
+
+// "history:seq" from a reconnecting browser's URL, or null.
+function parseResume(param) {
+  const m = /^([0-9a-f]+):(\d+)$/.exec(param || '');
+  return m ? { history: m[1], seq: Number(m[2]) } : null;
+}
+
+module.exports = { PostParser, PostHistory, bridgeEntries, bridgePost, parseResume };
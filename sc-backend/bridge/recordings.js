@@ -0,0 +1,84 @@
+'use strict';
+const fs = require('fs');
+const path = require('path');
+const { HttpError, sendFile } = require('./util');
+const { can, sendJSON } = require('./auth');
+
+// Where s.record writes, in the sc-data volume next to the workspace.
+const RECORDINGS_DIR = process.env.SC_RECORDINGS_DIR || '/home/scuser/data/recordings';
+
+// The choices offered in the browser, mapped to sclang's recHeaderFormat /
+// recSampleFormat names.
+const FORMATS = { wav: 'wav', aiff: 'aiff', flac: 'flac' };
+const SAMPLE_FORMATS = { 16: 'int16', 24: 'int24', 32: 'float' };
+
+const MIME = {
+  '.wav':  'audio/wav',
+  '.aiff': 'audio/aiff',
+  '.flac': 'audio/flac',
+};
+
+// ── REST API ─────────────────────────────────────────────────────────────────
+//   GET    /recordings/                  → { recordings: [{ name, size, mtime }] }, newest first
+//   GET    /recordings/<name>            → the file, with Range support so the
+//                                           preview player can seek
+//   GET    /recordings/<name>?download=1 → the same as an attachment
+//   DELETE /recordings/<name>            → delete (needs the `record` permission)
+// Recordings are started and stopped over the WebSocket (Session.startRecording).
+
+// Recording names are flat — no directories — and always one of our formats.
+function resolve(name) {
+  let decoded;
+  try { decoded = decodeURIComponent(name); } catch (_) { throw new HttpError(400, 'Bad name'); }
+  if (!decoded || decoded.includes('/') || decoded.startsWith('.') || !MIME[path.extname(decoded)]) {
+    throw new HttpError(404, 'Not found');
+  }
+  return path.join(RECORDINGS_DIR, decoded);
+}
+
+async function list() {
+  const out = [];
+  for (const e of await fs.promises.readdir(RECORDINGS_DIR, { withFileTypes: true })) {
+    if (!e.isFile() || !MIME[path.extname(e.name)]) continue;
+    const st = await fs.promises.stat(path.join(RECORDINGS_DIR, e.name));
+    out.push({ name: e.name, size: st.size, mtime: st.mtimeMs });
+  }
+  return out.sort((a, b) => b.mtime - a.mtime);
+}
+
+async function route(req, res, user) {
+  const url = new URL(req.url, 'http://localhost');
+  const name = url.pathname.slice('/recordings/'.length);
+
+  if (req.method === 'GET' && !name) {
+    sendJSON(res, 200, { recordings: await list() });
+    return;
+  }
+
+  if (req.method === 'GET' || req.method === 'HEAD') {
+    const file = resolve(name);
+    await sendFile(req, res, file, { type: MIME[path.extname(file)], download: url.searchParams.has('download') });
+    return;
+  }
+
+  if (req.method === 'DELETE') {
+    if (!can(user, 'record')) throw new HttpError(403, `${user.role}s may not delete recordings`);
+    const file = resolve(name);
+    await fs.promises.unlink(file).catch(() => { throw new HttpError(404, 'Not found'); });
+    sendJSON(res, 200, { ok: true });
+    return;
+  }
+
+  throw new HttpError(405, 'Method not allowed');
+}
+
+async function handleRecordings(req, res, user) {
+  try {
+    await route(req, res, user);
+  } catch (e) {
+    if (!(e instanceof HttpError)) console.error('[recordings]', e.message);
+    if (!res.headersSent) sendJSON(res, e.status || 500, { error: e.status ? e.message : 'Internal error' });
+  }
+}
+
+module.exports = { RECORDINGS_DIR, FORMATS, SAMPLE_FORMATS, handleRecordings };
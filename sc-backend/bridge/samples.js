@@ -0,0 +1,245 @@
+'use strict';
+const { spawn, execFile } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { HttpError, sendFile } = require('./util');
+const { can, sendJSON } = require('./auth');
+
+// Uploaded sound files, in the sc-data volume so they survive rebuilds.
+// sclang reads them from here with Buffer.read.
+const SAMPLES_DIR = process.env.SC_SAMPLES_DIR || '/home/scuser/data/samples';
+const MAX_SAMPLE_SIZE = (Number(process.env.SC_SAMPLE_MAX_MB) || 200) * 1024 * 1024;
+
+// What libsndfile (and so Buffer.read) can open
+const MIME = {
+  '.wav':  'audio/wav',
+  '.aif':  'audio/aiff',
+  '.aiff': 'audio/aiff',
+  '.flac': 'audio/flac',
+  '.ogg':  'audio/ogg',
+};
+
+// Waveform thumbnails are this many peak values, 0…1
+const THUMBNAIL_POINTS = 200;
+
+// Analysis results live next to the files, keyed by size and mtime so a
+// replaced file is analysed again.
+const META_DIR = path.join(SAMPLES_DIR, '.meta');
+
+// ── REST API ─────────────────────────────────────────────────────────────────
+//   GET    /samples/              → { samples: [{ name, size, mtime, duration,
+//                                    sampleRate, channels, peaks }] }
+//   GET    /samples/<name>        → the file (Range supported, for previews)
+//   PUT    /samples/<name>        → upload the request body; ?replace=1 to
+//                                   overwrite an existing sample
+//   DELETE /samples/<name>        → delete
+// Listing and playing need a login; uploads and deletes need `edit`.
+// Loading a sample into a buffer goes over the WebSocket (Session.loadSample).
+
+// Sample names are flat, with a sound file extension.
+function resolve(name) {
+  let decoded;
+  try { decoded = decodeURIComponent(name); } catch (_) { throw new HttpError(400, 'Bad name'); }
+  if (!decoded || /[/\\]/.test(decoded) || decoded.startsWith('.')) throw new HttpError(400, 'Bad name');
+  if (!MIME[path.extname(decoded).toLowerCase()]) {
+    throw new HttpError(400, `Only ${Object.keys(MIME).join(', ')} files are supported`);
+  }
+  return path.join(SAMPLES_DIR, decoded);
+}
+
+// ── Analysis ─────────────────────────────────────────────────────────────────
+// ffprobe for the format, then ffmpeg decodes to mono float once to take
+// THUMBNAIL_POINTS evenly spaced peaks.
+
+function probe(file) {
+  return new Promise((resolve, reject) => {
+    execFile('ffprobe', [
+      '-v', 'error', '-select_streams', 'a:0',
+      '-show_entries', 'stream=sample_rate,channels:format=duration',
+      '-of', 'json', file,
+    ], (err, stdout) => {
+      if (err) { reject(new Error('not a readable sound file')); return; }
+      try {
+        const info = JSON.parse(stdout);
+        const stream = info.streams?.[0];
+        if (!stream) throw new Error('no audio stream');
+        resolve({
+          duration:   Number(info.format?.duration) || 0,
+          sampleRate: Number(stream.sample_rate) || 0,
+          channels:   Number(stream.channels) || 0,
+        });
+      } catch (e) {
+        reject(e);
+      }
+    });
+  });
+}
+
+function peaks(file, { duration, sampleRate }) {
+  return new Promise((resolve, reject) => {
+    const total = Math.max(1, Math.round(duration * sampleRate));
+    const perPoint = Math.max(1, Math.ceil(total / THUMBNAIL_POINTS));
+    const out = new Array(THUMBNAIL_POINTS).fill(0);
+    let index = 0, tail = Buffer.alloc(0);
+    const proc = spawn('ffmpeg', ['-v', 'error', '-i', file, '-ac', '1', '-f', 'f32le', 'pipe:1'],
+      { stdio: ['ignore', 'pipe', 'ignore'] });
+    proc.stdout.on('data', (chunk) => {
+      const data = tail.length ? Buffer.concat([tail, chunk]) : chunk;
+      const whole = data.length - (data.length % 4);
+      for (let i = 0; i < whole; i += 4, index++) {
+        const point = Math.min(THUMBNAIL_POINTS - 1, Math.floor(index / perPoint));
+        const v = Math.abs(data.readFloatLE(i));
+        if (v > out[point]) out[point] = v;
+      }
+      tail = data.subarray(whole);
+    });
+    proc.on('error', reject);
+    proc.on('exit', (code) => {
+      if (code !== 0) { reject(new Error('could not decode')); return; }
+      resolve(out.map((v) => Math.round(Math.min(1, v) * 1000) / 1000));
+    });
+  });
+}
+
+const metaFile = (name) => path.join(META_DIR, `${name}.json`);
+
+// One analysis at a time — a folder of new files shouldn't start a dozen
+// ffmpegs at once.
+let queue = Promise.resolve();
+
+function describe(name) {
+  const run = async () => {
+    const file = path.join(SAMPLES_DIR, name);
+    const st = await fs.promises.stat(file);
+    try {
+      const meta = JSON.parse(await fs.promises.readFile(metaFile(name), 'utf8'));
+      if (meta.size === st.size && meta.mtime === st.mtimeMs) return { name, ...meta };
+    } catch (_) { /* not analysed yet */ }
+    let meta = { size: st.size, mtime: st.mtimeMs };
+    try {
+      const info = await probe(file);
+      meta = { ...meta, ...info, peaks: await peaks(file, info) };
+    } catch (e) {
+      meta.error = e.message;
+    }
+    await fs.promises.mkdir(META_DIR, { recursive: true });
+    await fs.promises.writeFile(metaFile(name), JSON.stringify(meta));
+    return { name, ...meta };
+  };
+  const result = queue.then(run, run);
+  queue = result.catch(() => {});
+  return result;
+}
+
+async function list() {
+  const names = (await fs.promises.readdir(SAMPLES_DIR, { withFileTypes: true }))
+    .filter((e) => e.isFile() && !e.name.startsWith('.') && MIME[path.extname(e.name).toLowerCase()])
+    .map((e) => e.name)
+    .sort((a, b) => a.localeCompare(b));
+  const out = [];
+  for (const name of names) {
+    try { out.push(await describe(name)); } catch (_) { /* deleted meanwhile */ }
+  }
+  return out;
+}
+
+// ── Upload ───────────────────────────────────────────────────────────────────
+// Streamed to a temporary file and renamed into place once complete, so a
+// half-uploaded sample is never listed or loaded.
+
+function receive(req, dest) {
+  return new Promise((resolve, reject) => {
+    const tmp = path.join(SAMPLES_DIR, `.upload-${crypto.randomBytes(6).toString('hex')}`);
+    const out = fs.createWriteStream(tmp);
+    let size = 0, failed = false;
+    const fail = (err) => {
+      if (failed) return;
+      failed = true;
+      req.unpipe(out);
+      out.destroy();
+      fs.promises.unlink(tmp).catch(() => {});
+      reject(err);
+    };
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_SAMPLE_SIZE) fail(new HttpError(413, `Samples are limited to ${MAX_SAMPLE_SIZE / (1024 * 1024)} MB`));
+    });
+    req.on('aborted', () => fail(new HttpError(400, 'Upload aborted')));
+    out.on('error', fail);
+    out.on('finish', async () => {
+      if (failed) return;
+      try {
+        await fs.promises.rename(tmp, dest);
+        resolve();
+      } catch (e) {
+        fail(e);
+      }
+    });
+    req.pipe(out);
+  });
+}
+
+async function route(req, res, user) {
+  const url = new URL(req.url, 'http://localhost');
+  const name = url.pathname.slice('/samples/'.length);
+
+  if (req.method === 'GET' && !name) {
+    sendJSON(res, 200, { samples: await list() });
+    return;
+  }
+
+  if (req.method === 'GET' || req.method === 'HEAD') {
+    const file = resolve(name);
+    await sendFile(req, res, file, { type: MIME[path.extname(file).toLowerCase()] });
+    return;
+  }
+
+  if (!can(user, 'edit')) throw new HttpError(403, `${user.role}s may not change samples`);
+
+  if (req.method === 'PUT') {
+    const file = resolve(name);
+    const exists = await fs.promises.access(file).then(() => true, () => false);
+    if (exists && !url.searchParams.has('replace')) throw new HttpError(409, 'A sample with that name exists');
+    await receive(req, file);
+    const sample = await describe(path.basename(file));
+    if (sample.error) {
+      await fs.promises.unlink(file).catch(() => {});
+      await fs.promises.unlink(metaFile(path.basename(file))).catch(() => {});
+      throw new HttpError(400, `${path.basename(file)}: ${sample.error}`);
+    }
+    sendJSON(res, 200, sample);
+    return;
+  }
+
+  if (req.method === 'DELETE') {
+    const file = resolve(name);
+    await fs.promises.unlink(file).catch(() => { throw new HttpError(404, 'Not found'); });
+    await fs.promises.unlink(metaFile(path.basename(file))).catch(() => {});
+    sendJSON(res, 200, { ok: true });
+    return;
+  }
+
+  throw new HttpError(405, 'Method not allowed');
+}
+
+async function handleSamples(req, res, user) {
+  try {
+    await route(req, res, user);
+  } catch (e) {
+    if (!(e instanceof HttpError)) console.error('[samples]', e.message);
+    if (!res.headersSent) sendJSON(res, e.status || 500, { error: e.status ? e.message : 'Internal error' });
+  }
+}
+
+// The absolute path of an existing sample, or null.
+function samplePath(name) {
+  try {
+    const file = resolve(encodeURIComponent(name));
+    return fs.existsSync(file) ? file : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+module.exports = { SAMPLES_DIR, handleSamples, samplePath };
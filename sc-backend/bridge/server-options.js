@@ -0,0 +1,120 @@
+'use strict';
+const fs = require('fs');
+const path = require('path');
+
+// ── Server options ───────────────────────────────────────────────────────────
+// The scsynth options each session slot boots with, set from the browser's
+// server settings and kept in SERVER_OPTIONS_FILE so they survive container
+// restarts:
+//
+//   { "sampleRate": 48000,
+//     "sessions": { "1": { "numOutputs": 8, …, "stream": "mix" }, … } }
+//
+// Every server shares the one JACK graph, so the sample rate is global and
+// is JACK's: start.sh reads it from this file when it starts jackd and
+// passes the running rate on in SC_JACK_SAMPLE_RATE. A new rate takes
+// effect when the container restarts.
+//
+// `stream` picks what the session's stereo stream (Icecast and the live
+// monitor) carries when the server has more than two outputs: "mix" sums
+// the odd outputs left and the even ones right, a number N the pair N, N+1.
+
+const SERVER_OPTIONS_FILE = process.env.SC_SERVER_OPTIONS_FILE || '/home/scuser/data/server-options.json';
+const RUNNING_SAMPLE_RATE = Number(process.env.SC_JACK_SAMPLE_RATE) || 44100;
+const SAMPLE_RATES = [44100, 48000, 88200, 96000];
+
+// name: [min, max, default]; all whole numbers
+const LIMITS = {
+  numOutputs:  [1, 32, 2],
+  numInputs:   [0, 32, 0],
+  memSize:     [1024, 1048576, 8192], // kB of real-time memory
+  blockSize:   [1, 1024, 64],         // a power of two
+  numBuffers:  [64, 16384, 1024],
+  numWireBufs: [64, 4096, 64],
+};
+
+const DEFAULTS = Object.fromEntries(Object.entries(LIMITS).map(([name, [, , def]]) => [name, def]));
+
+let saved = load();
+
+function load() {
+  try {
+    const data = JSON.parse(fs.readFileSync(SERVER_OPTIONS_FILE, 'utf8'));
+    return { sampleRate: data.sampleRate, sessions: data.sessions || {} };
+  } catch (e) {
+    if (e.code !== 'ENOENT') console.error(`[options] Cannot read ${SERVER_OPTIONS_FILE}: ${e.message}`);
+    return { sampleRate: RUNNING_SAMPLE_RATE, sessions: {} };
+  }
+}
+
+function persist() {
+  const tmp = `${SERVER_OPTIONS_FILE}.tmp`;
+  try {
+    fs.mkdirSync(path.dirname(SERVER_OPTIONS_FILE), { recursive: true });
+    fs.writeFileSync(tmp, JSON.stringify(saved, null, 2));
+    fs.renameSync(tmp, SERVER_OPTIONS_FILE);
+  } catch (e) {
+    console.error(`[options] Cannot write ${SERVER_OPTIONS_FILE}: ${e.message}`);
+  }
+}
+
+// The error in a set of options from the browser, or null. Only the fields
+// present are checked.
+function invalid(options) {
+  for (const [name, value] of Object.entries(options)) {
+    if (name === 'sampleRate') {
+      if (!SAMPLE_RATES.includes(value)) return `sample rate must be one of ${SAMPLE_RATES.join(', ')}`;
+      continue;
+    }
+    if (name === 'stream') {
+      if (value !== 'mix' && !(Number.isInteger(value) && value >= 1 && value <= LIMITS.numOutputs[1])) return 'bad stream channels';
+      continue;
+    }
+    if (!Object.hasOwn(LIMITS, name)) return `unknown option ${name}`;
+    const [min, max] = LIMITS[name];
+    if (!Number.isInteger(value) || value < min || value > max) return `${name} must be a whole number from ${min} to ${max}`;
+    if (name === 'blockSize' && (value & (value - 1))) return 'blockSize must be a power of two';
+  }
+  return null;
+}
+
+// Session `id`'s options, defaults filled in
+function optionsFor(id) {
+  const own = saved.sessions[id] || {};
+  const options = { ...DEFAULTS, stream: 'mix' };
+  for (const name of Object.keys(options)) {
+    if (own[name] !== undefined && !invalid({ [name]: own[name] })) options[name] = own[name];
+  }
+  return options;
+}
+
+// Validated `changes` for session `id`, saved; returns the error, or null.
+function saveOptions(id, changes) {
+  const error = invalid(changes);
+  if (error) return error;
+  const { sampleRate, ...own } = changes;
+  if (sampleRate !== undefined) saved.sampleRate = sampleRate;
+  saved.sessions[id] = { ...optionsFor(id), ...own };
+  persist();
+  return null;
+}
+
+// { configured, running }: a configured rate that differs waits for a restart
+function sampleRate() {
+  const configured = SAMPLE_RATES.includes(saved.sampleRate) ? saved.sampleRate : RUNNING_SAMPLE_RATE;
+  return { configured, running: RUNNING_SAMPLE_RATE };
+}
+
+// An Event literal setting the options in sclang (SCWeb.setServerOptions).
+// The values have been validated as integers, so they're safe to splice in.
+function sclangOptions(options) {
+  return `(numOutputBusChannels: ${options.numOutputs}, numInputBusChannels: ${options.numInputs}, `
+    + `memSize: ${options.memSize}, blockSize: ${options.blockSize}, numBuffers: ${options.numBuffers}, `
+    + `numWireBufs: ${options.numWireBufs}, sampleRate: ${RUNNING_SAMPLE_RATE})`;
+}
+
+module.exports = {
+  SERVER_OPTIONS_FILE, SAMPLE_RATES, LIMITS,
+  optionsFor, saveOptions, sampleRate, sclangOptions,
+  invalid, // exported for the tests
+};
@@ -0,0 +1,1594 @@
+'use strict';
+const { spawn } = require('child_process');
+const crypto = require('crypto');
+const dgram = require('dgram');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { sendTo, jackConnect, jackDisconnect } = require('./util');
+const { SharedDoc } = require('./shared-doc');
+const { LiveAudio } = require('./live-audio');
+const { OscGateway } = require('./osc-gateway');
+const { PostParser, PostHistory, bridgeEntries, bridgePost } = require('./post');
+const { RECORDINGS_DIR, FORMATS, SAMPLE_FORMATS } = require('./recordings');
+const { parseQueryTree, nodeIds } = require('./node-tree');
+const { samplePath } = require('./samples');
+const { WORKSPACE_DIR } = require('./workspace');
+const classLib = require('./classlib');
+const serverOptions = require('./server-options');
+const osc = require('./osc');
+
+const STARTUP_SCD = '/home/scuser/sc/startup.scd';
+const EVAL_DIR = os.tmpdir();
+
+// Each session slot N gets its own scsynth UDP port, JACK client names and
+// Icecast mount. Server ports start well above sclang's langPort range
+// (57120 + n) so the two never collide.
+const SERVER_PORT_BASE = 58100;
+
+// The Icecast stream and the live monitor are stereo whatever the server's
+// output count (see streamRoutes)
+const STREAM_CHANNELS = 2;
+
+// scsynth is polled with /status this often; no reply for STATUS_TIMEOUT_MS
+// marks it as not responding.
+const STATUS_INTERVAL_MS = 1000;
+const STATUS_TIMEOUT_MS  = 3000;
+
+// Output monitor: levels are read every MONITOR_INTERVAL_MS, the scope buffer
+// every SCOPE_EVERY-th time. scsynth answers /b_getn in a single UDP packet,
+// so the buffer is fetched B_GETN_CHUNK samples at a time.
+const MONITOR_INTERVAL_MS = 50;
+const SCOPE_EVERY  = 2;
+const B_GETN_CHUNK = 1600;
+
+// The node tree panel's refresh rate
+const NODE_TREE_INTERVAL_MS = 500;
+
+// The buffer list is refreshed this often. All of the server's buffers
+// (its numBuffers option) are queried, BUFFER_QUERY_CHUNK at a time so each
+// /b_info reply stays a modest UDP packet.
+const BUFFERS_INTERVAL_MS = 1000;
+const BUFFER_QUERY_CHUNK = 128;
+
+// Web MIDI: the bytes of one message, and which status bytes are forwarded
+// to sclang (channel voice messages, song position/select, real-time) —
+// not sysex or MTC.
+const MIDI_MAX_BYTES = 3;
+const MIDI_FORWARDED = (status) => (status >= 0x80 && status < 0xF0) || status === 0xF2 || status === 0xF3 || status >= 0xF8;
+
+// sclang's lifecycle: spawning → compiling → booting → ready, or crashed /
+// restarting on the way back up, and stopped once the session closes. Evals
+// sent while it is on its way up wait in a queue — at most MAX_QUEUED_EVALS,
+// for up to EVAL_QUEUE_TIMEOUT_MS — and run once it's ready. A crashed
+// sclang is respawned after RESPAWN_DELAY_MS.
+const STARTING_STATES = new Set(['spawning', 'compiling', 'booting', 'crashed', 'restarting']);
+const STATE_TEXT = {
+  spawning:   'starting',
+  compiling:  'compiling the class library',
+  booting:    'booting the server',
+  crashed:    'restarting after a crash',
+  restarting: 'restarting',
+  stopped:    'stopped',
+};
+const MAX_QUEUED_EVALS = 20;
+const EVAL_QUEUE_TIMEOUT_MS = 60000;
+const RESPAWN_DELAY_MS = 3000;
+
+// Hung interpreters. An eval still running after EVAL_SLOW_MS — or an
+// interpreter that hasn't answered a ping for that long, say because a
+// scheduled function is looping — is reported to the session as busy.
+// Interrupt runs CmdPeriod and pings; if sclang doesn't answer within
+// INTERRUPT_GRACE_MS it is killed and restarted.
+const EVAL_SLOW_MS = (Number(process.env.SC_EVAL_SLOW_SECONDS) || 5) * 1000;
+const PING_INTERVAL_MS = 1000;
+const INTERRUPT_GRACE_MS = 2000;
+// How much of the culprit's code goes into reports
+const CODE_EXCERPT_LENGTH = 80;
+
+// Root node and sclang's default group: "free" on these frees their
+// children instead, and the root can't be paused.
+const ROOT_NODE = 0;
+const DEFAULT_GROUP = 1;
+
+// ── Helpers ──────────────────────────────────────────────────────────────────
+
+// Strip sclang REPL prompt, internal bridge commands, and normalize line endings.
+function sanitize(str) {
+  return str
+    .replace(/^sc3>\s*/gm, '')                          // sclang REPL prompt
+    .replace(/^SCWeb\.eval\(\d+, .*\);\n?/gm, '')         // hide internal eval calls
+    .replace(/^load\("\/[^"]*startup\.scd"\);\n?/gm, '')  // hide startup load
+    .replace(/^SCWeb\.dumpClassLibrary\(.*\);\n?/gm, '')   // hide class library dump
+    .replace(/^SCWeb\.(record\(.*\)|stopRecording);\n?/gm, '') // hide record commands
+    .replace(/^SCWeb\.loadSample\(.*\);\n?/gm, '')       // hide sample loads
+    .replace(/^SCWeb\.(watchProxies|proxyAction)\(.*\);\n?/gm, '') // hide proxy mixer commands
+    .replace(/^WebControl\.browserSet\(.*\);\n?/gm, '')  // hide browser control changes
+    .replace(/^SCWeb\.midiEndpoints\(.*\);\n?/gm, '')     // hide MIDI device updates
+    .replace(/^(SCWeb\.rebootServer|thisProcess\.recompile);\n?/gm, '') // hide admin lifecycle commands
+    .replace(/^SCWeb\.setServerOptions\(.*\);\n?/gm, '')  // hide server options
+    .replace(/^CmdPeriod\.run;\n?/gm, '')               // hide stop command echo
+    .replace(/^Server\.quitAll;\n?/gm, '')              // hide shutdown command echo
+    .replace(/\r\n/g, '\n')
+    .replace(/\r/g, '\n');
+}
+
+// Parse errors are only posted as text, e.g.
+//   ERROR: syntax error, unexpected NAME, expecting $end
+//     in file '/tmp/sc_eval_….scd'
+//     line 3 char 5:
+// Pull the message and position out, shifting the line past the ( wrapper.
+function parseErrorDetails(post) {
+  const msg = post.match(/^ERROR: (.*)$/m);
+  const pos = post.match(/line (\d+) char (\d+)/);
+  return {
+    message: msg ? msg[1] : 'Parse error',
+    line:    pos ? Number(pos[1]) - 1 : null,
+    char:    pos ? Number(pos[2]) : null,
+  };
+}
+
+// Terminate a child process, escalating to SIGKILL if it ignores SIGTERM.
+// Resolves once it has exited.
+function killProc(proc, graceMs = 3000) {
+  return new Promise((resolve) => {
+    if (!proc || proc.exitCode !== null || proc.signalCode !== null) { resolve(); return; }
+    const timer = setTimeout(() => proc.kill('SIGKILL'), graceMs);
+    proc.once('exit', () => { clearTimeout(timer); resolve(); });
+    proc.kill('SIGTERM');
+  });
+}
+
+// Forward a child's output to our stdout, one prefixed line at a time.
+function pipeLines(stream, prefix) {
+  let tail = '';
+  stream.on('data', (d) => {
+    const lines = (tail + d.toString()).split(/\r?\n|\r/);
+    tail = lines.pop();
+    for (const line of lines) if (line) console.log(`${prefix} ${line}`);
+  });
+}
+
+// Send one JSON message to each open socket in `clients`.
+function sendToAll(clients, obj) {
+  const msg = JSON.stringify(obj);
+  for (const ws of clients) {
+    if (ws.readyState === 1 /* OPEN */) ws.send(msg);
+  }
+}
+
+// The first line of some code, shortened, for "stuck in …" reports.
+function codeExcerpt(code) {
+  const line = code.trim().split('\n')[0];
+  return line.length > CODE_EXCERPT_LENGTH || code.trim().includes('\n')
+    ? `${line.slice(0, CODE_EXCERPT_LENGTH)}…`
+    : line;
+}
+
+// A MIDI endpoint uid for a browser device: stable across reconnects so
+// MIDIFunc srcID filters keep working, and a positive 31-bit int like the
+// ones the MIDI driver hands out.
+function midiUid(owner, direction, name) {
+  return crypto.createHash('sha1').update(`${owner}\0${direction}\0${name}`).digest().readUInt32BE(0) & 0x7fffffff;
+}
+
+// Meter and scope values go out as JSON; four decimals is plenty for drawing
+// and keeps the messages small.
+function round4(x) {
+  return Math.round(x * 1e4) / 1e4;
+}
+
+// ── Session ──────────────────────────────────────────────────────────────────
+// One sclang + scsynth pair, the ffmpeg encoder streaming its output, and the
+// browsers attached to it. Post output and status only go to this session's
+// clients, so performers don't see or clobber each other's state.
+
+// Each eval gets a session-local numeric id. SCWeb.eval (sc/classes/SCWeb.sc)
+// reports evalBegin / evalResult / evalError for that id as REPLY_MARK lines
+// on stdout; those are routed back to the client that sent the code, under
+// the client's own id.
+const REPLY_MARK = '@@scweb ';
+
+class Session {
+  constructor(id, { onChange } = {}) {
+    this.id       = id;
+    this.clients  = new Set();
+    this.onChange = onChange || (() => {});
+
+    this.sclangProc  = null;
+    this.state       = 'spawning'; // see STARTING_STATES
+    this.stateDetail = null;       // why, for crashed / restarting
+    this.startupSent = false;
+    this.scsynthPid  = null;
+    this.langPort    = null; // sclang's UDP port, for OSC into the interpreter
+    this.ffmpegProc  = null;
+    this.stopping    = false;
+
+    this.evalCounter  = 0;
+    this.pendingEvals = new Map(); // session eval id → { id, ws, clientId, by, code, file, post, startedAt }
+    this.evalQueue    = [];        // { code, ws, clientId, sourcePath, timer } waiting for ready
+    this.activeEval   = null;      // the eval whose output is currently streaming
+    this.pingTimer    = null;
+    this.pingSeq      = 0;
+    this.lastPongAt   = 0;
+    this.lastPongSeq  = 0;
+    this.busy         = null;      // last busy message sent, as JSON
+    this.interrupting = false;
+    this.replyTail    = '';
+
+    this.envNames        = []; // ~names defined in this session, for completion
+    this.envBuffers      = []; // [name, bufnum, path] for each ~name holding a Buffer
+    this.dumpingClassLib = false;
+
+    this.statusSocket = null;
+    this.statusTimer  = null;
+    this.lastStatusAt = 0;
+    this.serverStatus = { running: false };
+
+    this.monitor        = null;      // { buffer, bus, channels, frames } from SCWeb.startMonitor
+    this.monitorClients = new Set(); // clients with the meters panel open
+    this.monitorTimer   = null;
+    this.monitorTick    = 0;
+    this.levels         = null;      // last /c_setn: peak…, rms…, write position
+    this.scope          = null;      // { data, received, sentAt } while a /b_getn is in flight
+
+    this.nodeTreeClients = new Set(); // clients with the node tree panel open
+    this.nodeTreeTimer   = null;
+    this.nodeTree        = null;      // last tree sent, as JSON
+    this.pausedNodes     = new Set(); // node ids paused from the panel
+
+    this.bufferClients = new Set(); // clients with the samples panel open
+    this.bufferTimer   = null;
+    this.bufferInfo    = new Map(); // bufnum → [frames, channels, sampleRate] from /b_info
+    this.buffers       = null;      // last buffer list sent, as JSON
+
+    this.proxyClients = new Set(); // clients with the proxy mixer open
+    this.proxies      = null;      // last proxy list from SCWeb.replyProxies, as JSON
+
+    this.controls = new Map(); // WebControl key → { key, kind, label, value, states, specs }
+
+    this.midiDevices = new Map(); // ws → { inputs: Map id → endpoint, outputs: Map id → endpoint }
+
+    this.recording        = null; // { name, startedAt, format, bits, channels, by }
+    this.pendingRecording = null; // requested, waiting for sclang to confirm
+
+    this.idleTimer  = null;
+    this.lastActive = Date.now();
+
+    // Saved server options, and those the running server booted with
+    this.options     = serverOptions.optionsFor(id);
+    this.bootOptions = this.options;
+
+    this.doc = new SharedDoc();
+    this.liveAudio = new LiveAudio({
+      source:   this.jackName,
+      name:     `live-${id}`,
+      channels: STREAM_CHANNELS,
+      routes:   () => this.streamRoutes(),
+      log:      this.log,
+    });
+    this.oscGateway = new OscGateway({ id, langPort: () => this.langPort, log: this.log });
+    this.postHistory = new PostHistory();
+    this.postParser  = new PostParser((entries) => this.post(entries));
+  }
+
+  get log()        { return `[session ${this.id}]`; }
+  get serverPort() { return SERVER_PORT_BASE + this.id; }
+  get jackName()   { return `SuperCollider-${this.id}`; }
+  get ffmpegName() { return `ffmpeg-${this.id}`; }
+  get mount()      { return `session-${this.id}.mp3`; }
+  get ready()      { return this.state === 'ready'; }
+
+  describe() {
+    return {
+      id:      this.id,
+      clients: this.clients.size,
+      ready:   this.ready,
+      state:   this.state,
+      stream:  `/stream/${this.mount}`,
+      oscPort: this.oscGateway.port,
+    };
+  }
+
+  // ── Clients ────────────────────────────────────────────────────────────────
+
+  // `resume` is the { history, seq } of the last post entry a reconnecting
+  // browser saw, if any: it gets only what it missed, and its evals still
+  // in flight report back to the new connection.
+  addClient(ws, resume = null) {
+    this.clients.add(ws);
+    this.lastActive = Date.now();
+    const replay = this.postHistory.replay(resume);
+    if (replay.resumed) this.adoptEvals(ws);
+    sendTo(ws, replay);
+    sendTo(ws, this.statusMessage());
+    sendTo(ws, { type: 'environment', names: this.envNames });
+    sendTo(ws, { type: 'serverStatus', ...this.serverStatus });
+    sendTo(ws, this.recordingMessage());
+    sendTo(ws, this.serverOptionsMessage());
+    sendTo(ws, this.controlsMessage());
+    if (this.busy) sendTo(ws, this.busyMessage(ws));
+  }
+
+  removeClient(ws) {
+    this.clients.delete(ws);
+    this.monitorClients.delete(ws);
+    this.nodeTreeClients.delete(ws);
+    this.bufferClients.delete(ws);
+    if (this.proxyClients.delete(ws)) this.updateProxyWatch();
+    if (this.midiDevices.delete(ws)) this.updateMidiEndpoints();
+    this.liveAudio.unsubscribe(ws);
+    this.oscGateway.unsubscribe(ws);
+    this.dropQueuedEvals(ws);
+    this.updateMonitorPolling();
+    this.updateNodeTreePolling();
+    this.updateBufferPolling();
+    this.doc.leave(ws);
+    this.lastActive = Date.now();
+  }
+
+  broadcast(obj) {
+    sendToAll(this.clients, obj);
+  }
+
+  // Post entries for everyone, kept in the session's history
+  post(entries) {
+    if (!entries.length) return;
+    this.postHistory.add(entries);
+    this.broadcast({ type: 'post', history: this.postHistory.id, entries });
+  }
+
+  // Evals sent over an earlier connection from the same browser
+  adoptEvals(ws) {
+    for (const e of this.pendingEvals.values()) {
+      if (e.ws.clientKey === ws.clientKey && e.ws.readyState !== 1 /* OPEN */) e.ws = ws;
+    }
+  }
+
+  // ── Lifecycle ──────────────────────────────────────────────────────────────
+
+  // `connected` is what older clients look at; `queueing` tells the UI that
+  // an eval sent now will wait rather than fail.
+  statusMessage() {
+    return {
+      type:      'status',
+      connected: this.ready,
+      state:     this.state,
+      detail:    this.stateDetail,
+      queueing:  STARTING_STATES.has(this.state) && !this.stopping,
+    };
+  }
+
+  setState(state, detail = null) {
+    if (this.state === state && this.stateDetail === detail) return;
+    this.state = state;
+    this.stateDetail = detail;
+    console.log(`${this.log} sclang ${state}${detail ? ` (${detail})` : ''}`);
+    this.broadcast(this.statusMessage());
+    this.onChange();
+    this.updateWatchdog();
+    if (state === 'ready') this.runQueuedEvals();
+  }
+
+  start() {
+    this.oscGateway.open();
+    this.startFfmpeg();
+    this.startSclang();
+  }
+
+  // Shut everything down for good. Resolves once sclang, scsynth and ffmpeg
+  // have exited, so the slot can be reused without port or JACK name clashes.
+  async stop() {
+    this.stopping = true;
+    this.setState('stopped');
+    clearTimeout(this.idleTimer);
+    this.abortPendingEvals('session closed');
+    this.rejectQueuedEvals('session closed');
+    this.liveAudio.close();
+    this.oscGateway.close();
+    if (this.sclangProc) {
+      try { this.sclangProc.stdin.write('Server.quitAll;\n'); } catch (_) {}
+    }
+    await Promise.all([killProc(this.sclangProc), killProc(this.ffmpegProc)]);
+    this.killServer();
+  }
+
+  // scsynth is spawned by sclang but outlives it, so kill it by pid.
+  killServer() {
+    this.monitor = null;
+    this.stopStatusPolling();
+    if (!this.scsynthPid) return;
+    try { process.kill(this.scsynthPid, 'SIGTERM'); } catch (_) {}
+    this.scsynthPid = null;
+  }
+
+  // ── Server status ──────────────────────────────────────────────────────────
+  // The bridge asks scsynth for /status itself rather than going through
+  // sclang, so a busy or hung interpreter doesn't hide the server's state
+  // and a dead server shows up even while sclang is fine.
+
+  startStatusPolling() {
+    this.stopStatusPolling();
+    const sock = dgram.createSocket('udp4');
+    sock.on('message', (buf) => {
+      let msg;
+      try { msg = osc.decode(buf); } catch (_) { return; }
+      if (msg.address === '/status.reply') this.handleStatusReply(msg.args);
+      else if (msg.address === '/c_setn') this.handleLevels(msg.args);
+      else if (msg.address === '/b_setn') this.handleScopeChunk(msg.args);
+      else if (msg.address === '/g_queryTree.reply') this.handleNodeTree(msg.args);
+      else if (msg.address === '/b_info') this.handleBufferInfo(msg.args);
+    });
+    sock.on('error', (e) => console.warn(`${this.log} Status socket error: ${e.message}`));
+    sock.bind(0, '127.0.0.1');
+    this.statusSocket = sock;
+    this.lastStatusAt = Date.now();
+    this.statusTimer  = setInterval(() => this.pollStatus(), STATUS_INTERVAL_MS);
+    this.updateMonitorPolling();
+    this.updateNodeTreePolling();
+    this.updateBufferPolling();
+  }
+
+  stopStatusPolling() {
+    clearInterval(this.statusTimer);
+    this.statusTimer = null;
+    if (this.statusSocket) {
+      try { this.statusSocket.close(); } catch (_) {}
+      this.statusSocket = null;
+    }
+    this.updateMonitorPolling();
+    this.updateNodeTreePolling();
+    this.updateBufferPolling();
+    if (this.serverStatus.running) {
+      this.serverStatus = { running: false };
+      this.broadcast({ type: 'serverStatus', ...this.serverStatus });
+    }
+  }
+
+  // Fire-and-forget OSC to this session's scsynth; replies arrive on the
+  // status socket.
+  sendToServer(address, args) {
+    this.statusSocket?.send(osc.encodeMessage(address, args), this.serverPort, '127.0.0.1', () => {});
+  }
+
+  pollStatus() {
+    this.sendToServer('/status');
+    if (this.serverStatus.responding !== false && Date.now() - this.lastStatusAt > STATUS_TIMEOUT_MS) {
+      console.warn(`${this.log} scsynth stopped answering /status`);
+      this.serverStatus = { ...this.serverStatus, running: true, responding: false };
+      this.broadcast({ type: 'serverStatus', ...this.serverStatus });
+    }
+  }
+
+  // /status.reply: 1, #UGens, #synths, #groups, #SynthDefs, avg CPU %,
+  // peak CPU %, nominal sample rate, actual sample rate
+  handleStatusReply([, numUGens, numSynths, numGroups, numSynthDefs, avgCPU, peakCPU, sampleRate, actualSampleRate]) {
+    this.lastStatusAt = Date.now();
+    this.serverStatus = {
+      running: true, responding: true,
+      avgCPU, peakCPU, numUGens, numSynths, numGroups, numSynthDefs, sampleRate, actualSampleRate,
+    };
+    this.broadcast({ type: 'serverStatus', ...this.serverStatus });
+  }
+
+  // ── Output monitor ─────────────────────────────────────────────────────────
+  // SCWeb.startMonitor runs a synth that keeps output levels on control buses
+  // and the last few frames of output in a buffer. While at least one client
+  // has the meters panel open, the bridge reads both from scsynth over the
+  // status socket and forwards them as `meters` and `scope` messages — the
+  // live server output, not the seconds-late Icecast stream.
+
+  setMonitorSubscription(ws, on) {
+    if (on) this.monitorClients.add(ws);
+    else this.monitorClients.delete(ws);
+    this.updateMonitorPolling();
+  }
+
+  updateMonitorPolling() {
+    const wanted = Boolean(this.monitor && this.statusSocket && this.monitorClients.size);
+    if (wanted && !this.monitorTimer) {
+      this.monitorTick  = 0;
+      this.monitorTimer = setInterval(() => this.pollMonitor(), MONITOR_INTERVAL_MS);
+    } else if (!wanted && this.monitorTimer) {
+      clearInterval(this.monitorTimer);
+      this.monitorTimer = null;
+      this.scope = null;
+    }
+  }
+
+  pollMonitor() {
+    const { bus, buffer, channels, frames } = this.monitor;
+    this.sendToServer('/c_getn', [bus, channels * 2 + 1]);
+    if (this.monitorTick++ % SCOPE_EVERY !== 0) return;
+    // Skip a scope frame rather than pile requests up behind a slow server,
+    // unless the one in flight has clearly lost a packet
+    const now = Date.now();
+    if (this.scope && now - this.scope.sentAt < MONITOR_INTERVAL_MS * SCOPE_EVERY * 4) return;
+    const total = frames * channels;
+    this.scope = { data: new Float32Array(total), received: 0, sentAt: now };
+    for (let start = 0; start < total; start += B_GETN_CHUNK) {
+      this.sendToServer('/b_getn', [buffer, start, Math.min(B_GETN_CHUNK, total - start)]);
+    }
+  }
+
+  // /c_setn: first bus, count, peak × channels, RMS × channels, write position
+  handleLevels([index, , ...values]) {
+    if (!this.monitor || index !== this.monitor.bus) return;
+    const n = this.monitor.channels;
+    this.levels = values;
+    sendToAll(this.monitorClients, {
+      type: 'meters',
+      peak: values.slice(0, n).map(round4),
+      rms:  values.slice(n, 2 * n).map(round4),
+    });
+  }
+
+  // /b_setn: buffer, first sample, count, samples… (interleaved channels)
+  handleScopeChunk([bufnum, start, count, ...values]) {
+    const scope = this.scope;
+    if (!scope || !this.monitor || bufnum !== this.monitor.buffer) return;
+    scope.data.set(values.slice(0, count), start);
+    scope.received += count;
+    if (scope.received < scope.data.length) return;
+    this.scope = null;
+
+    // De-interleave, oldest frame first: the synth's write position is where
+    // the ring buffer wraps.
+    const { channels, frames } = this.monitor;
+    const wrap = Math.floor(this.levels?.[2 * channels] ?? 0) % frames;
+    const out = Array.from({ length: channels }, () => new Array(frames));
+    for (let i = 0; i < frames; i++) {
+      const frame = (wrap + i) % frames;
+      for (let c = 0; c < channels; c++) out[c][i] = round4(scope.data[frame * channels + c]);
+    }
+    sendToAll(this.monitorClients, { type: 'scope', sampleRate: this.serverStatus.sampleRate || null, channels: out });
+  }
+
+  // ── Node tree ──────────────────────────────────────────────────────────────
+  // While a client has the node tree panel open, scsynth is asked for its
+  // whole tree (with control values) every NODE_TREE_INTERVAL_MS; a
+  // `nodeTree` message goes out only when something changed. Node actions go
+  // straight to scsynth as well, so they work even while sclang is busy.
+
+  setNodeTreeSubscription(ws, on) {
+    if (on) {
+      this.nodeTreeClients.add(ws);
+      if (this.nodeTree) ws.send(this.nodeTree);
+    } else {
+      this.nodeTreeClients.delete(ws);
+    }
+    this.updateNodeTreePolling();
+  }
+
+  updateNodeTreePolling() {
+    const wanted = Boolean(this.statusSocket && this.nodeTreeClients.size);
+    if (wanted && !this.nodeTreeTimer) {
+      this.pollNodeTree();
+      this.nodeTreeTimer = setInterval(() => this.pollNodeTree(), NODE_TREE_INTERVAL_MS);
+    } else if (!wanted && this.nodeTreeTimer) {
+      clearInterval(this.nodeTreeTimer);
+      this.nodeTreeTimer = null;
+    }
+    if (!this.statusSocket && this.nodeTree) {
+      this.nodeTree = null;
+      this.pausedNodes.clear();
+      sendToAll(this.nodeTreeClients, { type: 'nodeTree', root: null });
+    }
+  }
+
+  pollNodeTree() {
+    this.sendToServer('/g_queryTree', [ROOT_NODE, 1]);
+  }
+
+  handleNodeTree(args) {
+    let root;
+    try { root = parseQueryTree(args, this.pausedNodes); } catch (e) {
+      console.warn(`${this.log} Bad /g_queryTree.reply: ${e.message}`);
+      return;
+    }
+    // Forget pauses of nodes that have gone away
+    const alive = nodeIds(root);
+    for (const id of this.pausedNodes) if (!alive.has(id)) this.pausedNodes.delete(id);
+
+    const msg = JSON.stringify({ type: 'nodeTree', root });
+    if (msg === this.nodeTree) return;
+    this.nodeTree = msg;
+    for (const ws of this.nodeTreeClients) {
+      if (ws.readyState === 1 /* OPEN */) ws.send(msg); // already serialized, unlike sendToAll
+    }
+  }
+
+  // { action: 'free' | 'pause' | 'resume' | 'set', id, control?, value? }
+  nodeAction(ws, { action, id, control, value }) {
+    const fail = (why) => sendTo(ws, bridgePost(`[bridge] Node ${id}: ${why}`));
+    if (!Number.isInteger(id) || id < 0) { fail('bad node id'); return; }
+    if (!this.statusSocket) { fail('server not running'); return; }
+
+    if (action === 'free') {
+      if (id === ROOT_NODE || id === DEFAULT_GROUP) this.sendToServer('/g_freeAll', [id]);
+      else this.sendToServer('/n_free', [id]);
+    } else if (action === 'pause' || action === 'resume') {
+      if (id === ROOT_NODE) { fail("the root node can't be paused"); return; }
+      this.sendToServer('/n_run', [id, action === 'resume' ? 1 : 0]);
+      if (action === 'pause') this.pausedNodes.add(id);
+      else this.pausedNodes.delete(id);
+    } else if (action === 'set') {
+      const num = Number(value);
+      if (typeof control !== 'string' || !/^\w+$/.test(control)) { fail('bad control name'); return; }
+      if (value === '' || !Number.isFinite(num)) { fail(`${control} needs a number`); return; }
+      // Unnamed controls are reported (and set) by index
+      const key = /^\d+$/.test(control) ? Number(control) : control;
+      this.sendToServer('/n_set', [id, key, { type: 'f', value: num }]);
+    } else {
+      fail(`unknown action ${action}`);
+      return;
+    }
+    this.pollNodeTree(); // show the result right away
+  }
+
+  // ── Buffers ────────────────────────────────────────────────────────────────
+  // While a client has the samples panel open, every buffer number is
+  // /b_query'd once a second; unallocated ones come back with 0 frames.
+  // Names come from sclang: the ~names that hold a Buffer, reported with
+  // the environment after every eval.
+
+  setBufferSubscription(ws, on) {
+    if (on) {
+      this.bufferClients.add(ws);
+      if (this.buffers) ws.send(this.buffers);
+    } else {
+      this.bufferClients.delete(ws);
+    }
+    this.updateBufferPolling();
+  }
+
+  updateBufferPolling() {
+    const wanted = Boolean(this.statusSocket && this.bufferClients.size);
+    if (wanted && !this.bufferTimer) {
+      this.pollBuffers();
+      this.bufferTimer = setInterval(() => this.pollBuffers(), BUFFERS_INTERVAL_MS);
+    } else if (!wanted && this.bufferTimer) {
+      clearInterval(this.bufferTimer);
+      this.bufferTimer = null;
+    }
+    if (!this.statusSocket && this.buffers) {
+      this.bufferInfo.clear();
+      this.buffers = null;
+      sendToAll(this.bufferClients, { type: 'buffers', buffers: null });
+    }
+  }
+
+  // Replies to the previous round arrive in between, so each round sends
+  // the list as it stood after the last one.
+  pollBuffers() {
+    this.sendBuffers();
+    const numBuffers = this.bootOptions.numBuffers;
+    for (let start = 0; start < numBuffers; start += BUFFER_QUERY_CHUNK) {
+      const nums = [];
+      for (let b = start; b < Math.min(start + BUFFER_QUERY_CHUNK, numBuffers); b++) nums.push(b);
+      this.sendToServer('/b_query', nums);
+    }
+  }
+
+  // /b_info: (bufnum, frames, channels, sample rate) × buffers queried
+  handleBufferInfo(args) {
+    for (let i = 0; i + 3 < args.length; i += 4) {
+      const [bufnum, frames, channels, sampleRate] = args.slice(i, i + 4);
+      if (frames > 0) this.bufferInfo.set(bufnum, [frames, channels, sampleRate]);
+      else this.bufferInfo.delete(bufnum);
+    }
+  }
+
+  sendBuffers() {
+    const names = new Map();
+    for (const [name, bufnum, file] of this.envBuffers) {
+      if (!names.has(bufnum)) names.set(bufnum, { names: [], path: file || null });
+      names.get(bufnum).names.push(name);
+    }
+    const buffers = [...this.bufferInfo]
+      .sort(([a], [b]) => a - b)
+      .map(([bufnum, [frames, channels, sampleRate]]) => {
+        const bound = names.get(bufnum);
+        return {
+          bufnum, frames, channels, sampleRate,
+          names: bound?.names || [],
+          file:  bound?.path ? path.basename(bound.path) : null,
+          ...(bufnum === this.monitor?.buffer ? { internal: true } : {}),
+        };
+      });
+    const msg = JSON.stringify({ type: 'buffers', buffers });
+    if (msg === this.buffers) return;
+    this.buffers = msg;
+    for (const ws of this.bufferClients) {
+      if (ws.readyState === 1 /* OPEN */) ws.send(msg);
+    }
+  }
+
+  // Read a sample from the samples directory into a Buffer bound to
+  // ~variable (SCWeb.loadSample). The result is posted by sclang.
+  loadSample(ws, { name, variable }) {
+    const fail = (why) => sendTo(ws, bridgePost(`[bridge] Can't load ${name}: ${why}`));
+    if (typeof variable !== 'string' || !/^[a-z]\w*$/.test(variable)) {
+      fail('the variable name must start with a lowercase letter'); return;
+    }
+    const file = typeof name === 'string' ? samplePath(name) : null;
+    if (!file) { fail('no such sample'); return; }
+    if (!this.ready) { fail('server not running'); return; }
+    this.sclangProc.stdin.write(`SCWeb.loadSample(${JSON.stringify(file)}, \\${variable});\n`);
+    this.lastActive = Date.now();
+  }
+
+  // ── JITLib proxies ─────────────────────────────────────────────────────────
+  // Ndef and ProxySpace state only exists in the interpreter, so unlike the
+  // node tree this goes through sclang: while anyone has the mixer open,
+  // SCWeb.watchProxies keeps a SkipJack there that replies `proxies`
+  // whenever something changed.
+
+  setProxySubscription(ws, on) {
+    const before = this.proxyClients.size;
+    if (on) {
+      this.proxyClients.add(ws);
+      if (this.proxies) ws.send(this.proxies);
+    } else {
+      this.proxyClients.delete(ws);
+    }
+    if (Boolean(before) !== Boolean(this.proxyClients.size)) this.updateProxyWatch();
+  }
+
+  // Called when the first client subscribes, the last one leaves, and after
+  // every boot (a new sclang has no watcher yet).
+  updateProxyWatch() {
+    if (!this.ready) return;
+    this.sclangProc.stdin.write(`SCWeb.watchProxies(${this.proxyClients.size > 0});\n`);
+    if (!this.proxyClients.size) this.proxies = null;
+  }
+
+  handleProxies(proxies) {
+    this.proxies = JSON.stringify({ type: 'proxies', proxies });
+    for (const ws of this.proxyClients) {
+      if (ws.readyState === 1 /* OPEN */) ws.send(this.proxies);
+    }
+  }
+
+  // { space: 'ndef' | 'proxyspace', name, action: 'play' | 'stop' | 'vol' |
+  //   'fadeTime' | 'set', value?, control? }
+  proxyAction(ws, { space, name, action, value, control }) {
+    const fail = (why) => sendTo(ws, bridgePost(`[bridge] Proxy ${name}: ${why}`));
+    if (space !== 'ndef' && space !== 'proxyspace') { fail('unknown proxy space'); return; }
+    if (typeof name !== 'string' || !name || /[\x00-\x1f]/.test(name)) { fail('bad name'); return; }
+    if (!this.ready) { fail('sclang not ready'); return; }
+
+    const num = Number(value);
+    let args;
+    if (action === 'play' || action === 'stop') {
+      args = '';
+    } else if (action === 'vol' || action === 'fadeTime') {
+      if (value === '' || !Number.isFinite(num) || num < 0) { fail(`${action} needs a number ≥ 0`); return; }
+      args = `, ${num}`;
+    } else if (action === 'set') {
+      if (typeof control !== 'string' || !/^\w+$/.test(control)) { fail('bad control name'); return; }
+      if (value === '' || !Number.isFinite(num)) { fail(`${control} needs a number`); return; }
+      args = `, \\${control}, ${num}`;
+    } else {
+      fail(`unknown action ${action}`);
+      return;
+    }
+    // JSON string escapes are valid sclang string escapes
+    this.sclangProc.stdin.write(`SCWeb.proxyAction(\\${space}, ${JSON.stringify(name)}.asSymbol, \\${action}${args});\n`);
+    this.lastActive = Date.now();
+  }
+
+  // ── Web controls ───────────────────────────────────────────────────────────
+  // Sliders, knobs, buttons, XY pads and number boxes declared from sclang
+  // with WebControl (sc/classes/WebControl.sc). The bridge keeps the current
+  // declarations and values so late joiners see them too. Every client in
+  // the session gets them; changes made in one browser are shown in the
+  // others and passed to sclang, which runs the control's action.
+
+  controlsMessage() {
+    return { type: 'controls', controls: [...this.controls.values()] };
+  }
+
+  handleControlsReply(reply) {
+    if (reply.op === 'clear') {
+      this.controls.clear();
+    } else if (reply.op === 'add' && reply.control) {
+      this.controls.set(String(reply.control.key), reply.control);
+    } else if (reply.op === 'remove') {
+      this.controls.delete(String(reply.key));
+    } else if (reply.op === 'value') {
+      const control = this.controls.get(String(reply.key));
+      if (control) {
+        control.value = reply.value;
+        this.broadcast({ type: 'controlValue', key: control.key, value: reply.value });
+      }
+      return;
+    }
+    this.broadcast(this.controlsMessage());
+  }
+
+  // { key, value } — a number, or [x, y] for an XY pad
+  setControl(ws, { key, value }) {
+    const control = this.controls.get(String(key));
+    if (!control) return; // removed meanwhile
+    if (!this.ready) {
+      sendTo(ws, bridgePost('[bridge] sclang not ready'));
+      return;
+    }
+    const dims = control.specs.length;
+    const values = dims === 1 ? [value] : value;
+    if (!Array.isArray(values) || values.length !== dims || !values.every(Number.isFinite)) return;
+
+    control.value = dims === 1 ? values[0] : values;
+    for (const other of this.clients) {
+      if (other !== ws) sendTo(other, { type: 'controlValue', key: control.key, value: control.value });
+    }
+    const arg = dims === 1 ? String(values[0]) : `[${values.join(', ')}]`;
+    this.sclangProc.stdin.write(`WebControl.browserSet(${JSON.stringify(control.key)}.asSymbol, ${arg});\n`);
+    this.lastActive = Date.now();
+  }
+
+  // ── Web MIDI ───────────────────────────────────────────────────────────────
+  // Browsers announce the MIDI devices their user picked; every device
+  // becomes a MIDIEndpoint in SCWeb.midiSources / midiDestinations. Input is
+  // sent to sclang's langPort as OSC rather than typed into the REPL, so a
+  // MIDI clock doesn't mean 24 compiles per beat. MIDIOut messages for a
+  // browser destination come back as `midiOut` replies.
+
+  // { inputs: [{ id, name }], outputs: [{ id, name }] } — the complete
+  // selection for this browser
+  setMidiDevices(ws, { inputs, outputs }) {
+    const owner = ws.user?.name || ws.clientKey;
+    const endpoints = (list, direction) => new Map((Array.isArray(list) ? list : [])
+      .filter((d) => d && typeof d.id === 'string' && typeof d.name === 'string')
+      .map((d) => [d.id, {
+        uid:    midiUid(owner, direction, d.name),
+        device: ws.user?.name || 'browser',
+        name:   d.name.replace(/[\x00-\x1f]/g, ''),
+      }]));
+    const devices = { inputs: endpoints(inputs, 'in'), outputs: endpoints(outputs, 'out') };
+    if (devices.inputs.size || devices.outputs.size) this.midiDevices.set(ws, devices);
+    else this.midiDevices.delete(ws);
+    this.updateMidiEndpoints();
+  }
+
+  updateMidiEndpoints() {
+    if (!this.ready) return;
+    const list = (kind) => [...this.midiDevices.values()]
+      .flatMap((d) => [...d[kind].values()])
+      .map((e) => `[${e.uid}, ${JSON.stringify(e.device)}, ${JSON.stringify(e.name)}]`)
+      .join(', ');
+    this.sclangProc.stdin.write(`SCWeb.midiEndpoints([${list('inputs')}], [${list('outputs')}]);\n`);
+  }
+
+  // { device, data: [status, data1, data2] } from one of this browser's inputs
+  midiIn(ws, { device, data }) {
+    const endpoint = this.midiDevices.get(ws)?.inputs.get(device);
+    if (!endpoint || !this.langPort || !Array.isArray(data)) return;
+    const bytes = data.slice(0, MIDI_MAX_BYTES);
+    if (!bytes.every((b) => Number.isInteger(b) && b >= 0 && b < 256) || !MIDI_FORWARDED(bytes[0])) return;
+    this.sendToLang('/scweb/midi', [endpoint.uid, ...bytes]);
+    this.lastActive = Date.now();
+  }
+
+  // A MIDIOut reply: pass it to the browser that owns the destination.
+  handleMidiOut({ uid, data, latency }) {
+    for (const [ws, devices] of this.midiDevices) {
+      for (const [id, endpoint] of devices.outputs) {
+        if (endpoint.uid === uid) sendTo(ws, { type: 'midiOut', device: id, data, latency });
+      }
+    }
+  }
+
+  // OSC into this session's interpreter. It goes out through the status
+  // socket, which exists whenever sclang has booted its server.
+  sendToLang(address, args) {
+    this.statusSocket?.send(osc.encodeMessage(address, args), this.langPort, '127.0.0.1', () => {});
+  }
+
+  // ── OSC gateway ────────────────────────────────────────────────────────────
+  // See osc-gateway.js. Browsers watch the traffic with `osc {on}` and send
+  // into sclang with `oscSend`.
+
+  sendOsc(ws, msg) {
+    if (!this.langPort) {
+      sendTo(ws, bridgePost('[bridge] sclang not ready'));
+      return;
+    }
+    if (!this.oscGateway.sendFromBrowser(msg, ws.user?.name || 'browser')) {
+      sendTo(ws, bridgePost('[bridge] Malformed OSC message'));
+      return;
+    }
+    this.lastActive = Date.now();
+  }
+
+  // ── Server options ─────────────────────────────────────────────────────────
+  // Channel counts, memory, block size and buffers for this session's
+  // scsynth, saved per session slot (see server-options.js). sclang gets
+  // them before startup.scd boots the server, and again before a reboot
+  // that applies new ones.
+  //
+  // Messages in:  setServerOptions {options}, setStream {stream}
+  // Messages out: serverOptions {options, booted, sampleRate, limits, sampleRates}
+
+  serverOptionsMessage() {
+    return {
+      type:        'serverOptions',
+      options:     this.options,
+      booted:      this.bootOptions,
+      sampleRate:  serverOptions.sampleRate(),
+      limits:      serverOptions.LIMITS,
+      sampleRates: serverOptions.SAMPLE_RATES,
+    };
+  }
+
+  sendServerOptions() {
+    this.bootOptions = this.options;
+    this.sclangProc.stdin.write(`SCWeb.setServerOptions(${serverOptions.sclangOptions(this.options)});\n`);
+  }
+
+  // Save new options and reboot the server with them. The sample rate is
+  // only saved: JACK picks it up when the container restarts.
+  setServerOptions(ws, { stream, ...changes }) {
+    const who = ws.user?.name || 'someone';
+    const error = serverOptions.saveOptions(this.id, changes);
+    if (error) {
+      sendTo(ws, bridgePost(`[bridge] Server options not saved: ${error}`));
+      return;
+    }
+    this.options = serverOptions.optionsFor(this.id);
+    const rate = serverOptions.sampleRate();
+    if (changes.sampleRate !== undefined && rate.configured !== rate.running) {
+      this.post(bridgeEntries(`[bridge] ${who} set the sample rate to ${rate.configured} Hz — it takes effect when the container restarts`));
+    }
+
+    const changed = Object.keys(serverOptions.LIMITS).filter((k) => this.options[k] !== this.bootOptions[k]);
+    if (changed.length && this.ready) {
+      this.post(bridgeEntries(`[bridge] ${who} changed ${changed.join(', ')} — rebooting scsynth`));
+      this.sendServerOptions();
+      this.rebootServer(); // the old server's JACK ports, and their wiring, go with it
+      this.broadcast(this.recordingMessage());
+    } else if (changed.length) {
+      this.post(bridgeEntries(`[bridge] ${who} changed ${changed.join(', ')} — the server uses them from its next boot`));
+    }
+    this.broadcast(this.serverOptionsMessage());
+  }
+
+  // What the stereo stream carries: 'mix' or the first output of a pair.
+  // Only the JACK wiring changes; the server keeps running.
+  setStream(ws, stream) {
+    const error = serverOptions.saveOptions(this.id, { stream });
+    if (error) {
+      sendTo(ws, bridgePost(`[bridge] Stream channels: ${error}`));
+      return;
+    }
+    const oldRoutes = this.streamRoutes();
+    this.options = serverOptions.optionsFor(this.id);
+    if (this.ready) {
+      this.disconnectRoutes(oldRoutes);
+      this.connectPorts();
+    }
+    this.broadcast(this.serverOptionsMessage());
+  }
+
+  disconnectRoutes(routes) {
+    for (const [out, input] of routes) {
+      jackDisconnect(`${this.jackName}:out_${out}`, `${this.ffmpegName}:input_${input}`, this.log);
+    }
+    this.liveAudio.disconnectPorts(routes);
+  }
+
+  // ── ffmpeg: JACK client → Icecast MP3 stream ───────────────────────────────
+
+  startFfmpeg() {
+    const env = process.env;
+    const url = `icecast://source:${env.ICECAST_PASSWORD || 'hackme'}@${env.ICECAST_HOST || 'icecast'}:${env.ICECAST_PORT || 8000}/${this.mount}`;
+    this.ffmpegProc = spawn('ffmpeg', [
+      '-nostdin',
+      '-f', 'jack', '-i', this.ffmpegName,
+      '-ac', String(STREAM_CHANNELS),
+      '-acodec', 'libmp3lame', '-b:a', '128k',
+      '-reservoir', '0',
+      '-flush_packets', '1',
+      '-content_type', 'audio/mpeg',
+      '-f', 'mp3',
+      url,
+    ], { stdio: ['ignore', 'pipe', 'pipe'] });
+    pipeLines(this.ffmpegProc.stdout, `[ffmpeg ${this.id}]`);
+    pipeLines(this.ffmpegProc.stderr, `[ffmpeg ${this.id}]`);
+
+    this.ffmpegProc.on('exit', (code, signal) => {
+      this.ffmpegProc = null;
+      if (this.stopping) return;
+      console.warn(`${this.log} ffmpeg exited: code=${code} signal=${signal} — restarting in 3 s`);
+      setTimeout(() => {
+        if (this.stopping) return;
+        this.startFfmpeg();
+        if (this.ready) setTimeout(() => this.connectPorts(), 1000);
+      }, 3000);
+    });
+  }
+
+  // Wire scsynth's outputs to this session's ffmpeg input ports, and to the
+  // live monitor's if it is running.
+  connectPorts() {
+    for (const [out, input] of this.streamRoutes()) {
+      jackConnect(`${this.jackName}:out_${out}`, `${this.ffmpegName}:input_${input}`, this.log);
+    }
+    this.liveAudio.connectPorts();
+  }
+
+  // [server output, stream input] pairs, 1-based, for the session's stream
+  // choice: everything summed (JACK adds up what's connected to one input),
+  // or one pair of outputs — or one output on both sides, for a mono server
+  // or the odd last output.
+  streamRoutes() {
+    const n = this.bootOptions.numOutputs;
+    const { stream } = this.options;
+    if (stream === 'mix' && n > 1) {
+      return Array.from({ length: n }, (_, i) => [i + 1, i % 2 ? 2 : 1]);
+    }
+    const first = stream === 'mix' ? 1 : Math.min(stream, n);
+    return first < n ? [[first, 1], [first + 1, 2]] : [[first, 1], [first, 2]];
+  }
+
+  // ── sclang process ─────────────────────────────────────────────────────────
+
+  startSclang() {
+    this.setState('spawning');
+    this.startupSent = false;
+    this.replyTail = '';
+
+    // Run sclang with NO script argument so it stays in REPL mode and reads
+    // stdin. We send the startup code via stdin after the class library compiles.
+    // stdbuf -oL: force line-buffered stdout so eval results flush immediately.
+    // Without it, piped stdout uses full 4-8 KB buffering → results sit in
+    // sclang's C-library buffer for up to 30 seconds before appearing.
+    // startup.scd reads the SCWEB_* variables to pick this session's server
+    // port and JACK client name. The workspace is the working directory so
+    // relative paths in user code resolve against it.
+    const proc = spawn('stdbuf', ['-oL', 'sclang'], {
+      cwd: WORKSPACE_DIR,
+      stdio: ['pipe', 'pipe', 'pipe'],
+      env: {
+        ...process.env,
+        PULSE_RUNTIME_PATH: process.env.PULSE_RUNTIME_PATH || '/tmp/pulse-runtime',
+        SCWEB_SESSION:      String(this.id),
+        SCWEB_SERVER_PORT:  String(this.serverPort),
+        SCWEB_JACK_NAME:    this.jackName,
+        SCWEB_OSC_PORT:     String(this.oscGateway.port),
+      },
+    });
+    this.sclangProc = proc;
+
+    proc.stdout.on('data', (d) => this.handleOutput('stdout', d));
+    proc.stderr.on('data', (d) => this.handleOutput('stderr', d));
+
+    proc.on('exit', (exitCode, signal) => {
+      this.sclangProc = null;
+      this.postParser.flush();
+      this.resetInterpreter(`sclang exited (code=${exitCode} signal=${signal})`);
+      this.killServer();
+      if (this.stopping) { this.setState('stopped'); return; }
+
+      // Asked for: straight back up. Otherwise it crashed; give whatever
+      // killed it a moment.
+      if (this.state === 'restarting') {
+        this.startSclang();
+        return;
+      }
+      const msg = `\n[sclang exited: code=${exitCode} signal=${signal}] restarting in ${RESPAWN_DELAY_MS / 1000} s…\n`;
+      console.warn(`${this.log}${msg}`);
+      this.post(bridgeEntries(msg));
+      this.setState('crashed', signal ? `killed by ${signal}` : `exit code ${exitCode}`);
+      setTimeout(() => { if (!this.stopping) this.startSclang(); }, RESPAWN_DELAY_MS);
+    });
+  }
+
+  // Forget what the interpreter told us: it has exited, or is about to
+  // recompile and start from scratch.
+  resetInterpreter(reason) {
+    this.langPort   = null;
+    this.envNames   = [];
+    this.envBuffers = [];
+    this.abortPendingEvals(reason);
+    this.endRecording();
+    if (this.controls.size) {
+      this.controls.clear();
+      this.broadcast(this.controlsMessage());
+    }
+    if (this.proxies) {
+      this.proxies = null;
+      sendToAll(this.proxyClients, { type: 'proxies', proxies: null });
+    }
+    if (this.dumpingClassLib) {
+      this.dumpingClassLib = false;
+      classLib.dumpFinished(false);
+    }
+  }
+
+  // Hard restart: kill sclang (and with it this session's scsynth),
+  // escalating to SIGKILL if it doesn't go; the exit handler respawns it.
+  restartSclang(reason = 'restart requested') {
+    if (!this.sclangProc) return;
+    this.post(bridgeEntries(`[bridge] Restarting sclang (${reason})…`));
+    this.setState('restarting', reason);
+    killProc(this.sclangProc);
+  }
+
+  // Quit and boot scsynth again, keeping the interpreter and its state.
+  // SCWeb.rebootServer replies `booted` as at startup, or `bootFailed`.
+  rebootServer() {
+    if (!this.ready) return false;
+    this.post(bridgeEntries('[bridge] Rebooting scsynth…'));
+    this.endRecording();
+    this.stopStatusPolling();
+    this.monitor = null;
+    this.setState('booting', 'server reboot');
+    this.sclangProc.stdin.write('SCWeb.rebootServer;\n');
+    return true;
+  }
+
+  // Recompile the class library in the running interpreter — for changed
+  // classes in Extensions — then boot a fresh server, as on startup. Every
+  // ~variable goes with it.
+  recompile() {
+    if (!this.sclangProc || !this.startupSent) return false;
+    this.post(bridgeEntries('[bridge] Recompiling the class library…'));
+    this.resetInterpreter('class library recompiled');
+    this.killServer();
+    this.startupSent = false;
+    classLib.invalidate();
+    this.setState('compiling', 'recompile');
+    this.sclangProc.stdin.write('thisProcess.recompile;\n');
+    return true;
+  }
+
+  handleOutput(stream, data) {
+    const raw = data.toString();
+    if (this.state === 'spawning') this.setState('compiling');
+
+    // After "compile done", send the startup .scd via load() so the server
+    // boots. sclang reads stdin in REPL mode only when no script arg is given.
+    if (!this.startupSent && raw.includes('compile done')) {
+      this.startupSent = true;
+      console.log(`${this.log} Class library compiled — sending startup.scd`);
+      this.setState('booting');
+      this.sendServerOptions();
+      this.sclangProc.stdin.write(`load(${JSON.stringify(STARTUP_SCD)});\n`);
+      // The server boots asynchronously, so the dump runs while it comes up
+      if (classLib.claimDump()) {
+        this.dumpingClassLib = true;
+        this.sclangProc.stdin.write(`SCWeb.dumpClassLibrary(${JSON.stringify(classLib.CLASSLIB_FILE)});\n`);
+      }
+    }
+
+    let post = '';
+    // Replies are only ever posted to stdout; stderr passes straight through.
+    const parts = stream === 'stdout' ? this.splitReplies(raw) : [{ text: raw }];
+    for (const part of parts) {
+      if (part.reply) { this.handleReply(part.reply); continue; }
+      if (this.activeEval) this.activeEval.post += part.text;
+      post += part.text;
+    }
+
+    const text = sanitize(post);
+    if (text) {
+      process.stdout.write(text);
+      this.postParser.push(text);
+    }
+  }
+
+  // Split raw sclang output into post text and bridge replies, in order.
+  // A trailing partial line that may still turn into a reply is held back
+  // until the rest of it arrives.
+  splitReplies(raw) {
+    const lines = (this.replyTail + raw).split('\n');
+    this.replyTail = '';
+    let last = lines.pop();
+    if (last && (last.includes(REPLY_MARK) || REPLY_MARK.startsWith(last.replace(/^sc3>\s*/, '')))) {
+      this.replyTail = last;
+      last = '';
+    }
+
+    const parts = [];
+    for (const line of lines) {
+      const i = line.indexOf(REPLY_MARK);
+      if (i === -1) { parts.push({ text: line + '\n' }); continue; }
+      if (i > 0) parts.push({ text: line.slice(0, i) });
+      try {
+        parts.push({ reply: JSON.parse(line.slice(i + REPLY_MARK.length)) });
+      } catch (e) {
+        console.error(`${this.log} Bad reply from sclang:`, e.message);
+      }
+    }
+    if (last) parts.push({ text: last });
+    return parts;
+  }
+
+  handleReply(reply) {
+    if (reply.type === 'booted') {
+      // Once the server confirms it's up, mark the session as ready.
+      this.scsynthPid  = reply.pid || null;
+      this.langPort    = reply.langPort || null;
+      console.log(`${this.log} Server booted (pid ${this.scsynthPid}) — accepting evals`);
+      this.setState('ready');
+      this.connectPorts();
+      this.startStatusPolling();
+      if (this.proxyClients.size) this.updateProxyWatch();
+      if (this.midiDevices.size) this.updateMidiEndpoints();
+      return;
+    }
+
+    // The server didn't come up (or back): start over with a fresh sclang,
+    // which also kills whatever is left of the old scsynth.
+    if (reply.type === 'bootFailed') {
+      this.restartSclang('scsynth failed to boot');
+      return;
+    }
+
+    if (reply.type === 'classLibrary') {
+      this.dumpingClassLib = false;
+      classLib.dumpFinished(!reply.error);
+      if (reply.error) console.error(`${this.log} Class library dump failed: ${reply.error}`);
+      else console.log(`${this.log} Class library written to ${reply.path}`);
+      return;
+    }
+
+    if (reply.type === 'monitor') {
+      this.monitor = { buffer: reply.buffer, bus: reply.bus, channels: reply.channels, frames: reply.frames };
+      this.scope   = null;
+      this.updateMonitorPolling();
+      return;
+    }
+
+    if (reply.type === 'recording') {
+      this.handleRecordingReply(reply);
+      return;
+    }
+
+    if (reply.type === 'environment') {
+      this.envNames   = reply.names || [];
+      this.envBuffers = reply.buffers || [];
+      this.broadcast({ type: 'environment', names: this.envNames });
+      return;
+    }
+
+    if (reply.type === 'pong') {
+      this.handlePong(reply.seq);
+      return;
+    }
+
+    if (reply.type === 'midiOut') {
+      this.handleMidiOut(reply);
+      return;
+    }
+
+    if (reply.type === 'controls') {
+      this.handleControlsReply(reply);
+      return;
+    }
+
+    if (reply.type === 'proxies') {
+      this.handleProxies(reply.proxies || []);
+      return;
+    }
+
+    if (reply.type === 'sample') {
+      if (reply.error) this.post(bridgeEntries(`[bridge] Can't load ~${reply.key}: ${reply.error}`));
+      else if (this.bufferClients.size) this.pollBuffers();
+      return;
+    }
+
+    const pending = this.pendingEvals.get(reply.id);
+
+    if (reply.type === 'evalBegin') {
+      this.activeEval = pending || null;
+      if (pending) pending.startedAt = Date.now();
+      return;
+    }
+    if (!pending) return;
+    this.settleEval(pending);
+    if (pending.clientId == null) return;
+
+    if (reply.type === 'evalResult') {
+      sendTo(pending.ws, { type: 'evalResult', id: pending.clientId, value: reply.value });
+    } else if (reply.type === 'evalError') {
+      const details = reply.kind === 'parse'
+        ? parseErrorDetails(pending.post)
+        : { message: reply.message, line: null, char: null };
+      sendTo(pending.ws, { type: 'evalError', id: pending.clientId, kind: reply.kind, ...details });
+    }
+  }
+
+  // ── Evals ──────────────────────────────────────────────────────────────────
+
+  // Run code now if sclang is ready and answering, queue it while sclang is
+  // on its way up, hung or being interrupted, or reject it saying why.
+  submitEval(code, ws, clientId, sourcePath = null) {
+    const hung = this.hungState();
+    if (this.ready && !hung && !this.interrupting) {
+      this.evalCode(code, ws, clientId, sourcePath);
+      return;
+    }
+    let what = STATE_TEXT[this.state];
+    if (this.ready) {
+      what = this.interrupting ? 'being interrupted'
+        : hung.by ? `stuck in an eval by ${hung.by}`
+        : 'not answering';
+    } else if (!STARTING_STATES.has(this.state) || this.stopping) {
+      this.rejectEval(ws, clientId, `sclang is ${what}`);
+      return;
+    }
+    if (this.evalQueue.length >= MAX_QUEUED_EVALS) {
+      this.rejectEval(ws, clientId, `sclang is ${what} and ${MAX_QUEUED_EVALS} evals are already waiting`);
+      return;
+    }
+    const entry = { code, ws, clientId, sourcePath };
+    entry.timer = setTimeout(() => {
+      this.evalQueue = this.evalQueue.filter((e) => e !== entry);
+      this.rejectEval(ws, clientId, `sclang wasn't ready within ${EVAL_QUEUE_TIMEOUT_MS / 1000} s`);
+    }, EVAL_QUEUE_TIMEOUT_MS);
+    this.evalQueue.push(entry);
+    sendTo(ws, bridgePost(`[bridge] sclang is ${what} — the eval will run once it's ready`));
+  }
+
+  rejectEval(ws, clientId, message) {
+    sendTo(ws, bridgePost(`[bridge] Eval rejected: ${message}`));
+    if (clientId != null) {
+      sendTo(ws, { type: 'evalError', id: clientId, kind: 'rejected', message, line: null, char: null });
+    }
+  }
+
+  runQueuedEvals() {
+    const queue = this.evalQueue;
+    this.evalQueue = [];
+    for (const { code, ws, clientId, sourcePath, timer } of queue) {
+      clearTimeout(timer);
+      this.evalCode(code, ws, clientId, sourcePath);
+    }
+  }
+
+  rejectQueuedEvals(message) {
+    const queue = this.evalQueue;
+    this.evalQueue = [];
+    for (const { ws, clientId, timer } of queue) {
+      clearTimeout(timer);
+      this.rejectEval(ws, clientId, message);
+    }
+  }
+
+  // A client that leaves takes its waiting evals with it.
+  dropQueuedEvals(ws) {
+    this.evalQueue = this.evalQueue.filter((e) => {
+      if (e.ws === ws) clearTimeout(e.timer);
+      return e.ws !== ws;
+    });
+  }
+
+  // ── Hung evals ─────────────────────────────────────────────────────────────
+  // sclang runs one thing at a time: while an eval loops, nothing else —
+  // evals, OSC, scheduled functions — gets a turn. The bridge times each
+  // eval from its evalBegin and pings the interpreter over OSC
+  // (SCWeb.installWatchdog answers with a `pong` reply) to notice when it
+  // stops answering, and tells the session it's busy, with the culprit.
+
+  updateWatchdog() {
+    const wanted = this.ready;
+    if (wanted && !this.pingTimer) {
+      this.lastPongAt = Date.now();
+      this.pingTimer = setInterval(() => this.watchdogTick(), PING_INTERVAL_MS);
+    } else if (!wanted && this.pingTimer) {
+      clearInterval(this.pingTimer);
+      this.pingTimer = null;
+    }
+    this.updateBusy();
+  }
+
+  watchdogTick() {
+    this.ping();
+    this.updateBusy();
+  }
+
+  ping() {
+    this.sendToLang('/scweb/ping', [++this.pingSeq]);
+    return this.pingSeq;
+  }
+
+  handlePong(seq) {
+    this.lastPongAt  = Date.now();
+    this.lastPongSeq = Math.max(this.lastPongSeq, seq);
+    this.updateBusy();
+  }
+
+  // The eval sclang is stuck in, if any; `quiet` when it also stopped
+  // answering pings without one (a scheduled function or routine).
+  hungState() {
+    if (!this.ready) return null;
+    const now = Date.now();
+    const e = this.activeEval;
+    if (e) {
+      if (e.startedAt && now - e.startedAt > EVAL_SLOW_MS) {
+        return { since: e.startedAt, by: e.by, code: codeExcerpt(e.code), eval: e };
+      }
+      return null;
+    }
+    // Allow a ping interval for the answer to the latest ping to arrive
+    if (now - this.lastPongAt > EVAL_SLOW_MS + PING_INTERVAL_MS) {
+      return { since: this.lastPongAt, by: null, code: null, eval: null };
+    }
+    return null;
+  }
+
+  // busy {busy, since, elapsed, by, code, interrupting, id} — `elapsed` is
+  // the ms since `since` by the bridge's clock, which the browser counts on
+  // from rather than trust its own clock to agree. `id` is the client's own
+  // eval id, so only its author's editor marks the block as still running.
+  busyMessage(ws) {
+    const hung = this.hungState();
+    if (!hung) return { type: 'busy', busy: false };
+    const { eval: e, ...rest } = hung;
+    return {
+      type: 'busy', busy: true, ...rest,
+      elapsed: Date.now() - hung.since,
+      interrupting: this.interrupting,
+      id: e && e.ws === ws ? e.clientId : null,
+    };
+  }
+
+  // Evals held while sclang was busy run once it answers again.
+  updateBusy() {
+    const hung = this.hungState();
+    const key = hung ? JSON.stringify([hung.since, hung.by, this.interrupting]) : null;
+    if (key !== this.busy) {
+      this.busy = key;
+      if (hung) console.warn(`${this.log} sclang busy since ${new Date(hung.since).toISOString()}${hung.by ? ` in an eval by ${hung.by}` : ''}`);
+      for (const ws of this.clients) sendTo(ws, this.busyMessage(ws));
+    }
+    if (!hung && this.ready && !this.interrupting && this.evalQueue.length) this.runQueuedEvals();
+  }
+
+  // CmdPeriod first — which is all it takes when sclang is only swamped by
+  // routines — then kill and restart it if it doesn't answer a ping.
+  interrupt(ws) {
+    if (!this.ready || this.interrupting) return;
+    const who = ws.user?.name || 'someone';
+    const culprit = this.activeEval;
+    this.interrupting = true;
+    this.post(bridgeEntries(`[bridge] ${who} interrupted sclang`));
+    this.sendToLang('/scweb/interrupt', []);
+    const seq = this.ping();
+    this.updateBusy();
+
+    setTimeout(() => {
+      this.interrupting = false;
+      if (!this.ready) return; // restarted meanwhile
+      if (this.lastPongSeq >= seq) {
+        this.post(bridgeEntries('[bridge] sclang answered after CmdPeriod — nothing was killed'));
+        this.updateBusy();
+        return;
+      }
+      // Still stuck in the same eval, or not answering at all
+      const where = culprit
+        ? `an eval by ${culprit.by}: ${codeExcerpt(culprit.code)}`
+        : 'a scheduled function or routine (no eval was running)';
+      const msg = `[bridge] sclang didn't respond — it was stuck in ${where}. Killing and restarting it.\n`;
+      console.warn(`${this.log} ${msg.trim()}`);
+      this.post(bridgeEntries(msg));
+      this.rejectQueuedEvals('sclang hung and was restarted');
+      if (culprit) {
+        this.settleEval(culprit);
+        if (culprit.clientId != null) {
+          sendTo(culprit.ws, {
+            type: 'evalError', id: culprit.clientId, kind: 'aborted',
+            message: 'hung — sclang was killed and restarted', line: null, char: null,
+          });
+        }
+      }
+      this.restartSclang(culprit ? `hung in an eval by ${culprit.by}` : 'hung outside an eval');
+    }, INTERRUPT_GRACE_MS);
+  }
+
+  // Write code to a temp .scd file and trigger it via SCWeb.eval on stdin.
+  // The code is wrapped in ( ) so line 1 of the file is not user code.
+  // `sourcePath` (absolute) is what thisProcess.nowExecutingPath reports
+  // while it runs, if the code came from a workspace file. The file stays
+  // until the eval settles: sclang may not reach it for a while if an
+  // earlier eval is slow, and it replies evalBegin before compiling it.
+  evalCode(code, ws, clientId, sourcePath = null) {
+    const id = this.evalCounter++;
+    const file = path.join(EVAL_DIR, `sc_eval_${Date.now()}_${this.id}_${id}.scd`);
+    fs.writeFileSync(file, `(\n${code.trimEnd()}\n)\n`);
+    this.pendingEvals.set(id, { id, ws, clientId, by: ws.user?.name || 'guest', code, file, post: '', startedAt: null });
+    const cmd = `SCWeb.eval(${id}, ${JSON.stringify(file)}, ${sourcePath ? JSON.stringify(sourcePath) : 'nil'});\n`;
+    console.log(`${this.log} eval → ${cmd.trim()}`);
+    this.sclangProc.stdin.write(cmd);
+    this.lastActive = Date.now();
+  }
+
+  // An eval is done with — answered, or given up on: forget it and remove
+  // its file.
+  settleEval(pending) {
+    this.pendingEvals.delete(pending.id);
+    fs.unlink(pending.file, () => {});
+    if (this.activeEval === pending) {
+      this.activeEval = null;
+      this.updateBusy();
+    }
+  }
+
+  stopSound() {
+    if (this.ready) this.sclangProc.stdin.write('CmdPeriod.run;\n');
+  }
+
+  // ── Recording ──────────────────────────────────────────────────────────────
+  // s.record into RECORDINGS_DIR via SCWeb.record; files are listed and served
+  // by recordings.js. One recording per session at a time; everyone in the
+  // session sees that it's running.
+
+  startRecording(ws, { format, bits, channels }) {
+    const fail = (why) => sendTo(ws, bridgePost(`[bridge] Can't record: ${why}`));
+    channels = Number(channels);
+    if (!FORMATS[format] || !SAMPLE_FORMATS[bits] || !(channels >= 1 && channels <= this.bootOptions.numOutputs)) {
+      fail('unsupported format'); return;
+    }
+    if (format === 'flac' && SAMPLE_FORMATS[bits] === 'float') { fail('FLAC has no float sample format'); return; }
+    if (!this.ready) { fail('server not running'); return; }
+    if (this.recording || this.pendingRecording) { fail('already recording'); return; }
+
+    const stamp = new Date().toISOString().slice(0, 19).replace('T', '_').replace(/:/g, '-');
+    const name  = `session-${this.id}_${stamp}.${format}`;
+    fs.mkdirSync(RECORDINGS_DIR, { recursive: true });
+    this.pendingRecording = { ws, name, format, bits: Number(bits), channels, by: ws.user?.name || null };
+    const file = path.join(RECORDINGS_DIR, name);
+    this.sclangProc.stdin.write(
+      `SCWeb.record(${JSON.stringify(file)}, "${FORMATS[format]}", "${SAMPLE_FORMATS[bits]}", ${channels});\n`);
+  }
+
+  recordingMessage(extra = {}) {
+    return { type: 'recording', recording: this.recording, maxChannels: this.bootOptions.numOutputs, ...extra };
+  }
+
+  stopRecording() {
+    if (this.ready && this.recording) this.sclangProc.stdin.write('SCWeb.stopRecording;\n');
+  }
+
+  handleRecordingReply(reply) {
+    const pending = this.pendingRecording;
+    this.pendingRecording = null;
+    if (reply.state === 'started' && pending) {
+      const { ws, ...info } = pending;
+      this.recording = { ...info, startedAt: Date.now() };
+      console.log(`${this.log} Recording to ${info.name}`);
+      this.broadcast(this.recordingMessage());
+    } else if (reply.state === 'failed') {
+      if (pending) sendTo(pending.ws, bridgePost(`[bridge] Can't record: ${reply.error}`));
+    } else if (reply.state === 'stopped') {
+      this.endRecording();
+    }
+  }
+
+  // The file is complete (or sclang died, and with it the recording).
+  endRecording() {
+    this.pendingRecording = null;
+    if (!this.recording) return;
+    const { name } = this.recording;
+    console.log(`${this.log} Recording ${name} finished`);
+    this.recording = null;
+    this.broadcast(this.recordingMessage({ saved: name }));
+  }
+
+  // Fail every outstanding eval, e.g. when sclang dies underneath them.
+  abortPendingEvals(message) {
+    for (const pending of this.pendingEvals.values()) {
+      fs.unlink(pending.file, () => {});
+      if (pending.clientId == null) continue;
+      sendTo(pending.ws, { type: 'evalError', id: pending.clientId, kind: 'aborted', message, line: null, char: null });
+    }
+    this.pendingEvals.clear();
+    this.activeEval = null;
+    this.updateBusy();
+  }
+}
+
+module.exports = { Session };
@@ -0,0 +1,144 @@
+'use strict';
+const { ChangeSet, Text } = require('@codemirror/state');
+const { sendTo } = require('./util');
+const { bridgePost } = require('./post');
+
+// Label colours handed out to collaborators in join order.
+const COLORS = ['#f6c177', '#9ccfd8', '#c4a7e7', '#eb6f92', '#a3be8c', '#ebbcba', '#88c0d0', '#d08770'];
+
+// The bridge keeps only the current text and its version, not the updates,
+// so these bound what one member can make it hold: the document's length
+// (the same 1 MB as a workspace file), and how many updates and how much
+// JSON one push may carry.
+const MAX_DOC_LENGTH   = 1024 * 1024;
+const MAX_PUSH_UPDATES = 200;
+const MAX_PUSH_BYTES   = 256 * 1024;
+
+// ── Shared document ──────────────────────────────────────────────────────────
+// The authoritative copy of a session's shared buffer, speaking the
+// @codemirror/collab protocol: clients push their unconfirmed updates tagged
+// with the version they are based on; the bridge accepts them only if that
+// version is current, then broadcasts them to every member (the sender takes
+// its own updates back as confirmation). A rejected client rebases when the
+// updates it was missing arrive and pushes again.
+//
+// Messages in:  docJoin {name, seed}  docLeave  docPush {version, updates}
+//               docCursor {ranges}    docFlash {from, to}
+// Messages out: doc {version, text, you}  docUpdates {version, updates}
+//               docCursor {user, ranges}  docLeave {user}  docFlash {user, from, to}
+
+class SharedDoc {
+  constructor() {
+    this.text    = Text.empty;
+    this.version = 0;
+    this.members = new Map(); // ws → { id, name, color, ranges }
+    this.colorIndex = 0;
+  }
+
+  broadcast(obj, except = null) {
+    for (const ws of this.members.keys()) {
+      if (ws !== except) sendTo(ws, obj);
+    }
+  }
+
+  // Add a client. The first member of an empty, untouched document seeds it
+  // with their current buffer; everyone after that gets the current text.
+  join(ws, name, seed) {
+    if (this.version === 0 && this.text.length === 0 && typeof seed === 'string' && seed
+      && seed.length <= MAX_DOC_LENGTH) {
+      this.text = Text.of(seed.split('\n'));
+    }
+    const user = {
+      id:     ws.id,
+      name:   String(name || `user ${ws.id}`).slice(0, 40),
+      color:  this.members.get(ws)?.color || COLORS[this.colorIndex++ % COLORS.length],
+      ranges: [],
+    };
+    this.members.set(ws, user);
+    sendTo(ws, { type: 'doc', version: this.version, text: this.text.toString(), you: this.publicUser(user) });
+    for (const other of this.members.values()) {
+      if (other !== user && other.ranges.length) {
+        sendTo(ws, { type: 'docCursor', user: this.publicUser(other), ranges: other.ranges });
+      }
+    }
+  }
+
+  leave(ws) {
+    const user = this.members.get(ws);
+    if (!user) return;
+    this.members.delete(ws);
+    this.broadcast({ type: 'docLeave', user: this.publicUser(user) });
+  }
+
+  publicUser({ id, name, color }) {
+    return { id, name, color };
+  }
+
+  // Drop a member's push and resync them with the current text, telling
+  // them why; their unconfirmed edits are lost.
+  refuse(ws, reason) {
+    console.warn(`[doc] Rejecting push from client ${ws.id}: ${reason}`);
+    sendTo(ws, bridgePost(`[bridge] Shared document: ${reason} — your last edit was undone`));
+    this.join(ws, this.members.get(ws).name);
+  }
+
+  push(ws, version, updates) {
+    if (!this.members.has(ws) || !Array.isArray(updates)) return;
+    if (version !== this.version) return; // stale — the client rebases and retries
+    if (updates.length > MAX_PUSH_UPDATES || JSON.stringify(updates).length > MAX_PUSH_BYTES) {
+      this.refuse(ws, 'edit too large');
+      return;
+    }
+
+    const accepted = [];
+    let text = this.text;
+    try {
+      for (const u of updates) {
+        const changes = ChangeSet.fromJSON(u.changes);
+        text = changes.apply(text);
+        accepted.push({ clientID: String(u.clientID), changes: changes.toJSON() });
+      }
+    } catch (e) {
+      // Changes that don't fit our document mean the client is out of sync.
+      console.warn(`[doc] Rejecting bad update from client ${ws.id}: ${e.message}`);
+      this.join(ws, this.members.get(ws).name);
+      return;
+    }
+    if (text.length > MAX_DOC_LENGTH) {
+      this.refuse(ws, `document would exceed ${MAX_DOC_LENGTH / 1024 / 1024} MB`);
+      return;
+    }
+
+    const start = this.version;
+    this.text = text;
+    this.version += accepted.length;
+    this.broadcast({ type: 'docUpdates', version: start, updates: accepted });
+  }
+
+  cursor(ws, ranges) {
+    const user = this.members.get(ws);
+    if (!user || !Array.isArray(ranges)) return;
+    user.ranges = ranges.slice(0, 20).map((r) => ({ anchor: Number(r.anchor) || 0, head: Number(r.head) || 0 }));
+    this.broadcast({ type: 'docCursor', user: this.publicUser(user), ranges: user.ranges }, ws);
+  }
+
+  flash(ws, from, to) {
+    const user = this.members.get(ws);
+    if (!user) return;
+    this.broadcast({ type: 'docFlash', user: this.publicUser(user), from: Number(from), to: Number(to) }, ws);
+  }
+
+  // Route a doc* WebSocket message; returns false if it isn't one.
+  handle(ws, msg) {
+    switch (msg.type) {
+      case 'docJoin':   this.join(ws, msg.name, msg.seed); return true;
+      case 'docLeave':  this.leave(ws); return true;
+      case 'docPush':   this.push(ws, msg.version, msg.updates); return true;
+      case 'docCursor': this.cursor(ws, msg.ranges); return true;
+      case 'docFlash':  this.flash(ws, msg.from, msg.to); return true;
+      default:          return false;
+    }
+  }
+}
+
+module.exports = { SharedDoc };
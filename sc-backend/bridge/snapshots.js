@@ -0,0 +1,143 @@
+'use strict';
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { HttpError } = require('./util');
+const { can, sendJSON, readBody } = require('./auth');
+
+// Shared code snapshots, in the sc-data volume. Each is one JSON file named
+// after its id and never changes once written:
+//
+//   { "id": "k3Fq9xTb", "parent": "Ab12Cd34" | null, "root": "Ab12Cd34",
+//     "version": 2, "title": "pad.scd", "author": "bob", "created": 1760…,
+//     "code": "…" }
+//
+// Sharing again from a snapshot's link makes a child of it, so every
+// snapshot belongs to a family — a tree under the `root` that started it —
+// and `version` numbers the family in the order it was saved.
+const SNAPSHOTS_DIR = process.env.SC_SNAPSHOTS_DIR || '/home/scuser/data/snapshots';
+const MAX_CODE_SIZE = 1024 * 1024;
+const MAX_TITLE     = 100;
+
+const ID_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz23456789';
+const ID_LENGTH = 8;
+const ID_PATTERN = new RegExp(`^[${ID_CHARS}]{${ID_LENGTH}}$`);
+
+// ── REST API ─────────────────────────────────────────────────────────────────
+//   GET  /snapshots/<id> → { snapshot, versions: [meta, …] }: the snapshot
+//                          with its code, and its whole family without code,
+//                          oldest first
+//   POST /snapshots/     → save; body { code, parent?, title? } → meta
+// Reading needs a login; saving needs the `edit` permission. There is no
+// update or delete — a link, once shared, always shows the same code.
+
+// Metadata (everything but the code) of every snapshot, by id, read from
+// the directory on first use.
+let index = null;
+
+function meta({ id, parent, root, version, title, author, created }) {
+  return { id, parent, root, version, title, author, created };
+}
+
+function file(id) {
+  return path.join(SNAPSHOTS_DIR, `${id}.json`);
+}
+
+async function loadIndex() {
+  if (!index) {
+    index = (async () => {
+      const map = new Map();
+      for (const name of await fs.readdir(SNAPSHOTS_DIR)) {
+        const id = path.basename(name, '.json');
+        if (!name.endsWith('.json') || !ID_PATTERN.test(id)) continue;
+        try {
+          map.set(id, meta(JSON.parse(await fs.readFile(file(id), 'utf8'))));
+        } catch (e) {
+          console.error(`[snapshots] Skipping ${name}: ${e.message}`);
+        }
+      }
+      return map;
+    })();
+    index.catch(() => { index = null; }); // retry on the next request
+  }
+  return index;
+}
+
+function newId() {
+  const bytes = crypto.randomBytes(ID_LENGTH);
+  return Array.from(bytes, (b) => ID_CHARS[b % ID_CHARS.length]).join('');
+}
+
+async function save(user, body) {
+  let fields;
+  try { fields = JSON.parse(body); } catch (_) { throw new HttpError(400, 'Bad request'); }
+  const { code, parent = null, title: named } = fields || {};
+  if (typeof code !== 'string') throw new HttpError(400, 'Missing "code"');
+  if (code.length > MAX_CODE_SIZE) throw new HttpError(413, 'Snapshot too large');
+  const title = typeof named === 'string' ? named.trim().slice(0, MAX_TITLE) : '';
+
+  const all = await loadIndex();
+  const from = parent === null ? null : all.get(parent);
+  if (parent !== null && !from) throw new HttpError(400, 'Parent snapshot not found');
+
+  // The version is counted and the id claimed in the index before the first
+  // await, so two saves into one family can't get the same number.
+  for (;;) {
+    const id = newId();
+    if (all.has(id)) continue;
+    const root = from ? from.root : id;
+    let version = 1;
+    for (const m of all.values()) if (m.root === root) version++;
+    const snapshot = {
+      id, parent, root, version,
+      title: title || from?.title || '',
+      author: user.name || null,
+      created: Date.now(),
+      code,
+    };
+    all.set(id, meta(snapshot));
+    try {
+      await fs.writeFile(file(id), JSON.stringify(snapshot), { flag: 'wx' });
+    } catch (e) {
+      all.delete(id);
+      if (e.code === 'EEXIST') continue;
+      throw e;
+    }
+    return meta(snapshot);
+  }
+}
+
+async function route(req, res, user) {
+  const rel = req.url.split('?')[0].slice('/snapshots/'.length);
+
+  if (req.method === 'GET') {
+    if (!ID_PATTERN.test(rel)) throw new HttpError(404, 'Not found');
+    const all = await loadIndex();
+    if (!all.has(rel)) throw new HttpError(404, 'Not found');
+    const snapshot = JSON.parse(await fs.readFile(file(rel), 'utf8'));
+    const versions = [...all.values()]
+      .filter((m) => m.root === snapshot.root)
+      .sort((a, b) => a.version - b.version);
+    sendJSON(res, 200, { snapshot, versions });
+    return;
+  }
+
+  if (req.method === 'POST' && rel === '') {
+    if (!can(user, 'edit')) throw new HttpError(403, `${user.role}s may not share snapshots`);
+    sendJSON(res, 201, await save(user, await readBody(req, MAX_CODE_SIZE * 4))); // UTF-8, JSON-escaped
+    return;
+  }
+
+  throw new HttpError(405, 'Method not allowed');
+}
+
+async function handleSnapshots(req, res, user) {
+  try {
+    await route(req, res, user);
+  } catch (e) {
+    if (!(e instanceof HttpError)) console.error('[snapshots]', e.message);
+    if (!res.headersSent) sendJSON(res, e.status || 500, { error: e.status ? e.message : 'Internal error' });
+  }
+}
+
+module.exports = { SNAPSHOTS_DIR, handleSnapshots };
@@ -0,0 +1,64 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+
+const dir = require('fs').mkdtempSync(path.join(os.tmpdir(), 'scweb-auth-'));
+process.env.SC_USERS_FILE  = path.join(dir, 'users.json');
+process.env.SC_LOGINS_FILE = path.join(dir, 'logins.json');
+process.env.SC_AUTH_TOKENS = 'performer:letmein';
+
+const {
+  parseCookies, checkPassword, hashPassword, readBody, userFromRequest, handleAuth,
+} = require('../auth');
+
+test('parseCookies skips values that do not decode', () => {
+  assert.deepStrictEqual(parseCookies('foo=%E0%A4%A; scweb_session=abc%20def'), { scweb_session: 'abc def' });
+  assert.deepStrictEqual(parseCookies(''), {});
+  assert.deepStrictEqual(parseCookies('=x; noequals; a=1'), { a: '1' });
+});
+
+test('checkPassword accepts the hashed password only', () => {
+  const stored = hashPassword('secret');
+  assert.ok(checkPassword('secret', stored));
+  assert.ok(!checkPassword('Secret', stored));
+  assert.ok(!checkPassword('secret', 'plain:text'));
+  assert.ok(!checkPassword('secret', undefined));
+});
+
+test('readBody decodes multibyte characters split across chunks', async () => {
+  const bytes = Buffer.from('SinOsc.ar(440) // ♫ звук');
+  const at = bytes.indexOf(Buffer.from('♫')) + 1; // inside the character
+  const body = await readBody(Readable.from([bytes.subarray(0, at), bytes.subarray(at)]));
+  assert.strictEqual(body, 'SinOsc.ar(440) // ♫ звук');
+});
+
+test('readBody rejects bodies over the limit in bytes with a 413', async () => {
+  await assert.rejects(readBody(Readable.from([Buffer.from('ü'.repeat(6))]), 10), { status: 413 });
+  assert.strictEqual(await readBody(Readable.from([Buffer.from('ü'.repeat(5))]), 10), 'ü'.repeat(5));
+});
+
+test('a malformed cookie is treated as no login, not a crash', async () => {
+  const server = http.createServer((req, res) => {
+    if (req.url.startsWith('/auth/')) { handleAuth(req, res); return; }
+    res.end(JSON.stringify(userFromRequest(req)));
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const get = (url, cookie) => new Promise((resolve, reject) => {
+    const req = http.get({ host: '127.0.0.1', port: server.address().port, path: url, headers: { cookie } }, (res) => {
+      let data = '';
+      res.on('data', (c) => { data += c; });
+      res.on('end', () => resolve({ status: res.statusCode, data }));
+    });
+    req.on('error', reject);
+  });
+  try {
+    assert.deepStrictEqual(await get('/x', 'foo=%E0%A4%A'), { status: 200, data: 'null' });
+    assert.strictEqual((await get('/auth/me', 'scweb_session=%E0%A4%A')).status, 401);
+  } finally {
+    server.close();
+  }
+});
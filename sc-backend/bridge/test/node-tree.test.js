@@ -0,0 +1,34 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { parseQueryTree, nodeIds } = require('../node-tree');
+
+// Root group 0 holding the default group 1, which holds synth 1000 and an
+// empty group 1001
+const REPLY = [
+  1, 0, 1,
+  1, 2,
+  1000, -1, 'default', 2, 'freq', 440, 'amp', 'c3',
+  1001, 0,
+];
+
+test('parseQueryTree builds the tree depth-first with controls', () => {
+  assert.deepStrictEqual(parseQueryTree(REPLY, new Set([1000])), {
+    id: 0, group: true, paused: false, children: [{
+      id: 1, group: true, paused: false, children: [
+        { id: 1000, def: 'default', paused: true, controls: [['freq', 440], ['amp', 'c3']] },
+        { id: 1001, group: true, paused: false, children: [] },
+      ],
+    }],
+  });
+});
+
+test('parseQueryTree reads synths without controls when not asked for them', () => {
+  const tree = parseQueryTree([0, 0, 1, 1000, -1, 'default']);
+  assert.deepStrictEqual(tree.children, [{ id: 1000, def: 'default', paused: false, controls: [] }]);
+});
+
+test('nodeIds lists every node in the tree', () => {
+  assert.deepStrictEqual([...nodeIds(parseQueryTree(REPLY))].sort((a, b) => a - b), [0, 1, 1000, 1001]);
+});
@@ -0,0 +1,45 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { encodeMessage, decode } = require('../osc');
+
+test('a message decodes to what was encoded', () => {
+  const blob = Buffer.from([1, 2, 3]);
+  const buf = encodeMessage('/s_new', ['default', 1000, 0.5, blob, true, false, null, { type: 'd', value: 0.1 }]);
+  assert.strictEqual(buf.length % 4, 0);
+  assert.deepStrictEqual(decode(buf), {
+    address: '/s_new',
+    args: ['default', 1000, 0.5, blob, true, false, null, 0.1],
+  });
+});
+
+test('strings are NUL-terminated and padded to four bytes', () => {
+  const buf = encodeMessage('/abc', []);
+  assert.deepStrictEqual([...buf], [...Buffer.from('/abc\0\0\0\0,\0\0\0')]);
+  assert.deepStrictEqual(decode(encodeMessage('/ü', ['naïve'])), { address: '/ü', args: ['naïve'] });
+});
+
+test('a message without a type tag string has no arguments', () => {
+  assert.deepStrictEqual(decode(Buffer.from('/status\0')), { address: '/status', args: [] });
+});
+
+test('bundles decode into their elements', () => {
+  const first = encodeMessage('/a', [1]);
+  const second = encodeMessage('/b', ['x']);
+  const size = (b) => { const s = Buffer.alloc(4); s.writeInt32BE(b.length); return s; };
+  const timeTag = Buffer.alloc(8);
+  timeTag.writeBigUInt64BE(1n);
+  const bundle = Buffer.concat([Buffer.from('#bundle\0'), timeTag, size(first), first, size(second), second]);
+  assert.deepStrictEqual(decode(bundle), {
+    timeTag: 1n,
+    elements: [{ address: '/a', args: [1] }, { address: '/b', args: ['x'] }],
+  });
+});
+
+test('malformed input throws', () => {
+  assert.throws(() => decode(Buffer.from('status\0\0')), /Not an OSC packet/);
+  assert.throws(() => decode(Buffer.from('/x')), /Unterminated OSC string/);
+  assert.throws(() => decode(Buffer.from('/x\0\0,q\0\0')), /Unsupported OSC type tag 'q'/);
+  assert.throws(() => encodeMessage('/x', [{}]), /Cannot encode object/);
+});
@@ -0,0 +1,103 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { PostParser, PostHistory, parseResume } = require('../post');
+
+// The entries a parser emits for `chunks`, without their times
+function parse(chunks) {
+  const entries = [];
+  const parser = new PostParser((batch) => entries.push(...batch));
+  for (const chunk of chunks) parser.push(chunk);
+  parser.flush();
+  return entries.map(({ time, ...rest }) => rest);
+}
+
+test('PostParser sorts lines into kinds', () => {
+  assert.deepStrictEqual(parse(['hello\n-> 3\n\nWARNING: careful\nFAILURE IN SERVER /n_free Node 5 not found\n']), [
+    { kind: 'post', text: 'hello' },
+    { kind: 'result', text: '-> 3' },
+    { kind: 'warning', text: 'WARNING: careful' },
+    { kind: 'error', text: 'FAILURE IN SERVER /n_free Node 5 not found' },
+  ]);
+});
+
+test('PostParser keeps an error dump with the error', () => {
+  const dump = [
+    'ERROR: Message \'foo\' not understood.',
+    'RECEIVER:',
+    '   nil',
+    'CALL STACK:',
+    '\tDoesNotUnderstandError:reportError',
+    '',
+    '^^ The preceding error dump is for ERROR: Message \'foo\' not understood.',
+    'RECEIVER: nil',
+    '',
+    '-> nil',
+    '',
+  ].join('\n');
+  assert.deepStrictEqual(parse([dump]), [
+    {
+      kind: 'error',
+      text: 'ERROR: Message \'foo\' not understood.',
+      trace: 'RECEIVER:\n   nil\nCALL STACK:\n\tDoesNotUnderstandError:reportError\n\n'
+        + '^^ The preceding error dump is for ERROR: Message \'foo\' not understood.\nRECEIVER: nil',
+    },
+    { kind: 'result', text: '-> nil' },
+  ]);
+});
+
+test('PostParser joins lines split across chunks', () => {
+  assert.deepStrictEqual(parse(['hel', 'lo\nwor', 'ld']), [
+    { kind: 'post', text: 'hello' },
+    { kind: 'post', text: 'world' },
+  ]);
+});
+
+// A history holding entries "1" … "n"
+function history(n, limit) {
+  const h = new PostHistory(limit);
+  for (let i = 1; i <= n; i++) h.add([{ time: 0, kind: 'post', text: String(i) }]);
+  return h;
+}
+
+const texts = (replay) => replay.entries.map((e) => e.text);
+
+test('PostHistory.replay sends everything kept to a new client', () => {
+  const replay = history(3).replay(null);
+  assert.deepStrictEqual(texts(replay), ['1', '2', '3']);
+  assert.strictEqual(replay.seq, 3);
+  assert.strictEqual(replay.resumed, false);
+  assert.strictEqual(replay.dropped, 0);
+});
+
+test('PostHistory.replay resumes after the last entry seen', () => {
+  const h = history(5);
+  const replay = h.replay({ history: h.id, seq: 3 });
+  assert.deepStrictEqual(texts(replay), ['4', '5']);
+  assert.strictEqual(replay.resumed, true);
+  assert.strictEqual(replay.dropped, 0);
+  assert.deepStrictEqual(texts(h.replay({ history: h.id, seq: 5 })), []);
+});
+
+test('PostHistory.replay counts entries no longer kept', () => {
+  const h = history(10, 4);
+  const replay = h.replay({ history: h.id, seq: 2 });
+  assert.deepStrictEqual(texts(replay), ['7', '8', '9', '10']);
+  assert.strictEqual(replay.dropped, 4);
+});
+
+test('PostHistory.replay starts over for another history or a seq it never reached', () => {
+  const h = history(3);
+  for (const resume of [{ history: 'other', seq: 1 }, { history: h.id, seq: 9 }]) {
+    const replay = h.replay(resume);
+    assert.strictEqual(replay.resumed, false);
+    assert.deepStrictEqual(texts(replay), ['1', '2', '3']);
+  }
+});
+
+test('parseResume reads "history:seq"', () => {
+  assert.deepStrictEqual(parseResume('a1b2:17'), { history: 'a1b2', seq: 17 });
+  assert.strictEqual(parseResume('a1b2'), null);
+  assert.strictEqual(parseResume(undefined), null);
+});
@@ -0,0 +1,38 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+
+const dir = require('fs').mkdtempSync(path.join(os.tmpdir(), 'scweb-options-'));
+process.env.SC_SERVER_OPTIONS_FILE = path.join(dir, 'server-options.json');
+
+const { invalid, optionsFor, saveOptions } = require('../server-options');
+
+test('invalid accepts options within their limits', () => {
+  assert.strictEqual(invalid({}), null);
+  assert.strictEqual(invalid({ numOutputs: 8, blockSize: 128, sampleRate: 48000, stream: 3 }), null);
+  assert.strictEqual(invalid({ stream: 'mix' }), null);
+});
+
+test('invalid names what is wrong', () => {
+  assert.strictEqual(invalid({ numOutputs: 0 }), 'numOutputs must be a whole number from 1 to 32');
+  assert.strictEqual(invalid({ memSize: 8192.5 }), 'memSize must be a whole number from 1024 to 1048576');
+  assert.strictEqual(invalid({ blockSize: 96 }), 'blockSize must be a power of two');
+  assert.match(invalid({ sampleRate: 22050 }), /^sample rate must be one of/);
+  assert.strictEqual(invalid({ stream: 0 }), 'bad stream channels');
+});
+
+test('invalid treats inherited property names as unknown', () => {
+  assert.strictEqual(invalid({ constructor: 1 }), 'unknown option constructor');
+  assert.strictEqual(invalid({ toString: 1 }), 'unknown option toString');
+  assert.strictEqual(invalid(JSON.parse('{"__proto__": 1}')), 'unknown option __proto__');
+});
+
+test('saveOptions keeps valid changes and refuses the rest', () => {
+  assert.strictEqual(saveOptions(1, { numOutputs: 4 }), null);
+  assert.strictEqual(optionsFor(1).numOutputs, 4);
+  assert.strictEqual(saveOptions(1, { numOutputs: 6, bogus: 1 }), 'unknown option bogus');
+  assert.strictEqual(optionsFor(1).numOutputs, 4);
+  assert.strictEqual(optionsFor(2).numOutputs, 2);
+});
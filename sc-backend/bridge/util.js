@@ -0,0 +1,75 @@
+'use strict';
+const { execFile } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+// Thrown by HTTP route handlers; the status and message go back to the client.
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Send one JSON message to a client if its socket is still open.
+function sendTo(ws, obj) {
+  if (ws.readyState === 1 /* OPEN */) ws.send(JSON.stringify(obj));
+}
+
+// Resolve a URL-relative path under `root`, or null if it would escape it
+// (directory traversal) or is malformed.
+function resolveInside(root, rel) {
+  let decoded;
+  try { decoded = decodeURIComponent(rel); } catch (_) { return null; }
+  const filePath = path.resolve(root, decoded.replace(/^\/+/, ''));
+  if (!filePath.startsWith(root + path.sep) && filePath !== root) return null;
+  return filePath;
+}
+
+// Parse a single "bytes=a-b" range; null for a missing or unsupported header.
+function parseRange(header, size) {
+  const m = /^bytes=(\d*)-(\d*)$/.exec(header || '');
+  if (!m || (!m[1] && !m[2])) return null;
+  let start, end;
+  if (!m[1]) { start = Math.max(0, size - Number(m[2])); end = size - 1; }
+  else { start = Number(m[1]); end = m[2] ? Math.min(Number(m[2]), size - 1) : size - 1; }
+  if (start > end || start >= size) throw new HttpError(416, 'Range not satisfiable');
+  return { start, end };
+}
+
+// Stream a file for GET/HEAD with Range support, so <audio> players can
+// seek. `download` adds a Content-Disposition so browsers save it instead.
+async function sendFile(req, res, file, { type = 'application/octet-stream', download = false } = {}) {
+  const st = await fs.promises.stat(file).catch(() => null);
+  if (!st?.isFile()) throw new HttpError(404, 'Not found');
+  const range = parseRange(req.headers.range, st.size);
+  const headers = { 'Content-Type': type, 'Accept-Ranges': 'bytes' };
+  if (download) headers['Content-Disposition'] = `attachment; filename="${path.basename(file)}"`;
+  if (range) {
+    headers['Content-Range']  = `bytes ${range.start}-${range.end}/${st.size}`;
+    headers['Content-Length'] = range.end - range.start + 1;
+    res.writeHead(206, headers);
+  } else {
+    headers['Content-Length'] = st.size;
+    res.writeHead(200, headers);
+  }
+  if (req.method === 'HEAD') { res.end(); return; }
+  fs.createReadStream(file, range || {}).pipe(res);
+}
+
+// Connect two JACK ports, logging the outcome under `log`.
+function jackConnect(src, dst, log) {
+  execFile('jack_connect', [src, dst], (err) => {
+    if (err) console.warn(`${log} jack_connect ${src} → ${dst} failed: ${err.message.trim()}`);
+    else console.log(`${log} Connected ${src} → ${dst}`);
+  });
+}
+
+// Disconnect two JACK ports; failing because they weren't connected is fine.
+function jackDisconnect(src, dst, log) {
+  execFile('jack_disconnect', [src, dst], (err) => {
+    if (!err) console.log(`${log} Disconnected ${src} → ${dst}`);
+  });
+}
+
+module.exports = { HttpError, sendTo, resolveInside, sendFile, jackConnect, jackDisconnect };
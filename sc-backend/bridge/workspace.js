@@ -0,0 +1,134 @@
+'use strict';
+const fs = require('fs/promises');
+const path = require('path');
+const { resolveInside, HttpError } = require('./util');
+const { can, sendJSON, readBody } = require('./auth');
+
+// Persistent project directory (in the sc-data volume). sclang runs with this
+// as its working directory, so `load("relative.scd")` resolves against it.
+const WORKSPACE_DIR = process.env.SC_WORKSPACE_DIR || '/home/scuser/data/workspace';
+const MAX_FILE_SIZE = 1024 * 1024;
+
+// ── REST API ─────────────────────────────────────────────────────────────────
+//   GET    /workspace/             → file tree (directories and .scd files)
+//   GET    /workspace/<path>       → file contents (text/plain)
+//   PUT    /workspace/<path>       → write contents, creating parent dirs
+//   PATCH  /workspace/<path>       → rename; body { "to": "<new path>" }
+//   DELETE /workspace/<path>       → delete a file or an empty directory
+// Reading needs a login; changes need the `edit` permission.
+
+// Map a /workspace/… URL path to a file in WORKSPACE_DIR, refusing traversal
+// and, for files, anything that isn't .scd.
+function resolve(rel, { file = true } = {}) {
+  const p = resolveInside(WORKSPACE_DIR, rel);
+  if (!p) throw new HttpError(403, 'Forbidden');
+  if (file && path.extname(p) !== '.scd') throw new HttpError(400, 'Only .scd files are allowed');
+  return p;
+}
+
+function relative(p) {
+  return path.relative(WORKSPACE_DIR, p).split(path.sep).join('/');
+}
+
+async function listTree(dir) {
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+  const out = [];
+  for (const e of entries) {
+    if (e.name.startsWith('.')) continue;
+    const full = path.join(dir, e.name);
+    if (e.isDirectory()) {
+      out.push({ type: 'dir', name: e.name, path: relative(full), children: await listTree(full) });
+    } else if (e.isFile() && path.extname(e.name) === '.scd') {
+      const st = await fs.stat(full);
+      out.push({ type: 'file', name: e.name, path: relative(full), size: st.size, mtime: st.mtimeMs });
+    }
+  }
+  // Directories first, then files, each alphabetically
+  return out.sort((a, b) => (a.type === b.type ? a.name.localeCompare(b.name) : a.type === 'dir' ? -1 : 1));
+}
+
+async function exists(p) {
+  try { await fs.access(p); return true; } catch (_) { return false; }
+}
+
+async function route(req, res, user) {
+  const rel = req.url.split('?')[0].slice('/workspace'.length) || '/';
+
+  if (req.method === 'GET' && (rel === '/' || rel.endsWith('/'))) {
+    const dir = resolve(rel, { file: false });
+    sendJSON(res, 200, { files: await listTree(dir) });
+    return;
+  }
+
+  if (req.method === 'GET') {
+    const p = resolve(rel);
+    let data;
+    try { data = await fs.readFile(p, 'utf8'); } catch (_) { throw new HttpError(404, 'Not found'); }
+    res.writeHead(200, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end(data);
+    return;
+  }
+
+  if (!can(user, 'edit')) throw new HttpError(403, `${user.role}s may not change the workspace`);
+
+  if (req.method === 'PUT') {
+    const p = resolve(rel);
+    const body = await readBody(req, MAX_FILE_SIZE);
+    await fs.mkdir(path.dirname(p), { recursive: true });
+    await fs.writeFile(p, body);
+    sendJSON(res, 200, { path: relative(p) });
+    return;
+  }
+
+  if (req.method === 'PATCH') {
+    const from = resolve(rel, { file: false });
+    let to;
+    const body = await readBody(req);
+    try { to = JSON.parse(body).to; } catch (_) { throw new HttpError(400, 'Bad request'); }
+    if (typeof to !== 'string' || !to) throw new HttpError(400, 'Missing "to"');
+    // Only .scd files and directories below the root can be renamed
+    const st = await fs.stat(from).catch(() => null);
+    if (!st) throw new HttpError(404, 'Not found');
+    const isDir = st.isDirectory();
+    if (isDir ? from === WORKSPACE_DIR : !st.isFile() || path.extname(from) !== '.scd') {
+      throw new HttpError(400, 'Only .scd files and directories can be renamed');
+    }
+    const dest = resolve(to, { file: !isDir });
+    if (isDir && (dest + path.sep).startsWith(from + path.sep)) {
+      throw new HttpError(400, 'Cannot move a directory into itself');
+    }
+    if (await exists(dest)) throw new HttpError(409, 'Target already exists');
+    await fs.mkdir(path.dirname(dest), { recursive: true });
+    await fs.rename(from, dest);
+    sendJSON(res, 200, { path: relative(dest) });
+    return;
+  }
+
+  if (req.method === 'DELETE') {
+    const p = resolve(rel, { file: false });
+    if (p === WORKSPACE_DIR) throw new HttpError(403, 'Forbidden');
+    const st = await fs.stat(p).catch(() => null);
+    if (!st) throw new HttpError(404, 'Not found');
+    if (st.isDirectory()) {
+      await fs.rmdir(p).catch(() => { throw new HttpError(409, 'Directory is not empty'); });
+    } else {
+      resolve(rel); // files must be .scd
+      await fs.unlink(p);
+    }
+    sendJSON(res, 200, { ok: true });
+    return;
+  }
+
+  throw new HttpError(405, 'Method not allowed');
+}
+
+async function handleWorkspace(req, res, user) {
+  try {
+    await route(req, res, user);
+  } catch (e) {
+    if (!(e instanceof HttpError)) console.error('[workspace]', e.message);
+    if (!res.headersSent) sendJSON(res, e.status || 500, { error: e.status ? e.message : 'Internal error' });
+  }
+}
+
+module.exports = { WORKSPACE_DIR, handleWorkspace };
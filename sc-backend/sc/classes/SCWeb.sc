@@ -0,0 +1,512 @@
+// Interpreter-side half of the SC Web bridge.
+//
+// Copied into the user Extensions directory by the Dockerfile, so it is part
+// of the compiled class library and survives anything user code does to
+// currentEnvironment. The Node bridge drives it over sclang's stdin and reads
+// replies from stdout: every line starting with `replyMark` is a JSON object
+// meant for the bridge and is stripped from the post window.
+
+SCWeb {
+	classvar <replyMark = "@@scweb ";
+	classvar <monitorFrames = 1024;
+	classvar monitorBuffer, monitorBus;
+	classvar proxyWatcher, lastProxies;
+	classvar <midiSources, <midiDestinations;
+	classvar recordingStop;
+
+	// Post one machine-readable line for the bridge.
+	*reply { |event|
+		(replyMark ++ this.toJSON(event)).postln;
+	}
+
+	// Compile and run an eval file written by the bridge, reporting the
+	// outcome under `id`. Parse errors are posted by the compiler as usual;
+	// the bridge picks their line/char position out of that text.
+	// `sourcePath` is the workspace file the code came from, if any; it is
+	// what nowExecutingPath reports, so loadRelative works as in SC-IDE.
+	*eval { |id, path, sourcePath|
+		var func, result, savedPath;
+		this.reply((type: \evalBegin, id: id));
+		func = thisProcess.interpreter.compileFile(path);
+		if(func.isNil) {
+			this.reply((type: \evalError, id: id, kind: \parse));
+			^nil
+		};
+		savedPath = thisProcess.nowExecutingPath;
+		thisProcess.nowExecutingPath = sourcePath ? path;
+		try {
+			result = func.value;
+			this.reply((type: \evalResult, id: id, value: this.describe(result)));
+		} { |error|
+			error.reportError;
+			this.reply((type: \evalError, id: id, kind: \runtime, message: error.errorString));
+			result = nil;
+		};
+		thisProcess.nowExecutingPath = savedPath;
+		this.replyEnvironment;
+		^result
+	}
+
+	// The ~names currently defined, for editor completion, and which of them
+	// hold Buffers, so the buffer list can show names next to bufnums.
+	*replyEnvironment {
+		var env = currentEnvironment, buffers = [];
+		if(env.isKindOf(Dictionary)) {
+			env.keysValuesDo { |key, value|
+				if(value.isKindOf(Buffer) and: { value.bufnum.notNil }) {
+					buffers = buffers.add([key, value.bufnum, value.path]);
+				}
+			};
+			this.reply((
+				type: \environment,
+				names: env.keys.asArray.collect(_.asString).sort,
+				buffers: buffers
+			));
+		}
+	}
+
+	// ── Class library introspection ──────────────────────────────────────────
+	// Write every class with its class and instance methods (argument names
+	// and default values) plus the known Event keys to `path` as JSON, for
+	// editor completion. Written one class at a time so the whole library
+	// never sits in a single String.
+
+	*dumpClassLibrary { |path|
+		var file = File(path, "w"), first = true;
+		if(file.isOpen.not) {
+			this.reply((type: \classLibrary, error: "cannot write " ++ path));
+			^nil
+		};
+		file.write("{\"classes\":{\n");
+		Class.allClasses.do { |class|
+			if(class.isMetaClass.not) {
+				if(first.not) { file.write(",\n") };
+				first = false;
+				file.write(this.quote(class.name.asString) ++ ":" ++ this.toJSON((
+					superclass: class.superclass !? { |c| c.name },
+					classMethods: this.describeMethods(class.class),
+					methods: this.describeMethods(class)
+				)));
+			}
+		};
+		file.write("\n},\n\"eventKeys\":");
+		file.write(this.toJSON(Event.partialEvents.values.collect { |e| e.keys.asArray }
+			.flatten.asSet.asArray.collect(_.asString).sort));
+		file.write("}\n");
+		file.close;
+		this.reply((type: \classLibrary, path: path));
+	}
+
+	// [(name:, args: [[argName, defaultCompileString or nil], …]), …]
+	*describeMethods { |class|
+		^(class.methods ? []).collect { |method|
+			var defaults = method.prototypeFrame ? [];
+			(
+				name: method.name,
+				args: (method.argNames ? []).drop(1).collect { |name, i|
+					[name, defaults[i + 1] !? { |v| v.asCompileString }]
+				}
+			)
+		}
+	}
+
+	// Short printable form of an eval result, as shown after `->`.
+	*describe { |obj, maxSize = 200|
+		var str = obj.asString;
+		if(str.size > maxSize) { str = str.keep(maxSize) ++ "..." };
+		^str
+	}
+
+	// ── Server lifecycle ─────────────────────────────────────────────────────
+	// The bridge counts the session as ready once `booted` arrives; on
+	// `bootFailed` it starts over with a fresh sclang.
+
+	// Called from startup.scd
+	*bootServer { |server|
+		server.waitForBoot({
+			"=== SuperCollider server booted ===".postln;
+			this.reply((type: \booted, pid: server.pid, langPort: NetAddr.langPort));
+		}, onFailure: {
+			this.reply((type: \bootFailed));
+		});
+	}
+
+	// The admin's "Reboot server": quit (or give up waiting for it to quit)
+	// and boot again. ServerTree actions such as the output monitor come back
+	// with the new server.
+	*rebootServer {
+		var server = Server.default;
+		var boot = { this.bootServer(server) };
+		if(server.serverRunning) { server.quit(boot, boot) } { boot.value };
+	}
+
+	// ── Server options ───────────────────────────────────────────────────────
+	// The session's saved server settings, sent by the bridge as an Event of
+	// ServerOptions setters — (numOutputBusChannels: 8, memSize: 65536, …) —
+	// before startup.scd boots the server, and before a reboot that applies
+	// new ones.
+
+	*setServerOptions { |options|
+		var server = Server.default;
+		options.keysValuesDo { |key, value| server.options.perform(key.asSetter, value) };
+	}
+
+	// ── Watchdog ─────────────────────────────────────────────────────────────
+	// The bridge pings over OSC to tell a busy interpreter from a stuck one:
+	// OSC is only handled between evals and scheduled functions, so no pong
+	// means something is looping. /scweb/interrupt is the soft half of the
+	// toolbar's Interrupt — it helps when the interpreter is only swamped,
+	// say by routines; a true loop needs the bridge to kill sclang.
+
+	// Called once from startup.scd
+	*installWatchdog {
+		OSCFunc({ |msg, time, addr|
+			if(addr.ip == "127.0.0.1") { this.reply((type: \pong, seq: msg[1])) }
+		}, '/scweb/ping').permanent_(true);
+		OSCFunc({ |msg, time, addr|
+			if(addr.ip == "127.0.0.1") { CmdPeriod.run }
+		}, '/scweb/interrupt').permanent_(true);
+	}
+
+	// ── Output monitor ───────────────────────────────────────────────────────
+	// A synth at the tail of the root node reads the hardware output buses,
+	// writes per-channel peak and RMS levels plus its write position to
+	// control buses, and keeps the last `monitorFrames` samples in a ring
+	// buffer. The bridge polls both straight from scsynth (/c_getn, /b_getn)
+	// for the browser's meters, scope and spectrum, so they show what the
+	// server is playing now rather than what the Icecast stream plays later.
+
+	// Called once from startup.scd. ServerTree brings the synth back after
+	// every boot and every Cmd-period.
+	*installMonitor { |server|
+		ServerTree.add({ this.startMonitor(server) }, server);
+		ServerQuit.add({ monitorBuffer = monitorBus = nil }, server);
+	}
+
+	*startMonitor { |server|
+		var channels = server.options.numOutputBusChannels;
+		var def, synth;
+		if(monitorBuffer.isNil or: { monitorBuffer.numChannels != channels }) {
+			monitorBuffer !? { monitorBuffer.free; monitorBus.free };
+			monitorBuffer = Buffer.alloc(server, monitorFrames, channels);
+			monitorBus = Bus.control(server, channels * 2 + 1);
+		};
+		def = SynthDef(\scwebMonitor, { |scopeBuf, levelBus|
+			var sig = In.ar(0, channels);
+			var phase = Phasor.ar(0, 1, 0, BufFrames.kr(scopeBuf));
+			BufWr.ar(sig, scopeBuf, phase);
+			Out.kr(levelBus,
+				A2K.kr(PeakFollower.ar(sig, 0.9995))
+				++ A2K.kr(RunningSum.rms(sig, 1024))
+				++ [A2K.kr(phase)]
+			);
+		});
+		// Start the synth as the def's completion message, so it can't race
+		// the asynchronous /d_recv.
+		synth = Synth.basicNew(\scwebMonitor, server);
+		def.send(server, synth.newMsg(RootNode(server),
+			[scopeBuf: monitorBuffer.bufnum, levelBus: monitorBus.index], \addToTail));
+		this.reply((
+			type: \monitor,
+			buffer: monitorBuffer.bufnum,
+			bus: monitorBus.index,
+			channels: channels,
+			frames: monitorFrames
+		));
+	}
+
+	// ── Recording ────────────────────────────────────────────────────────────
+	// s.record with the format the browser picked. Cmd-period frees the
+	// recorder's synth, so it also finishes the file properly and tells the
+	// bridge, which would otherwise go on showing a recording in progress.
+	// The hook is removed again when the recording stops, so stale ones don't
+	// pile up and fire for recordings that have long finished.
+
+	*record { |path, headerFormat = "wav", sampleFormat = "int24", numChannels = 2|
+		var server = Server.default;
+		if(server.serverRunning.not) {
+			this.reply((type: \recording, state: \failed, error: "server not running"));
+			^nil
+		};
+		if(server.isRecording) {
+			this.reply((type: \recording, state: \failed, error: "already recording"));
+			^nil
+		};
+		server.recHeaderFormat = headerFormat;
+		server.recSampleFormat = sampleFormat;
+		server.recChannels = numChannels;
+		server.record(path, numChannels: numChannels);
+		CmdPeriod.remove(recordingStop);
+		recordingStop = {
+			CmdPeriod.remove(recordingStop);
+			recordingStop = nil;
+			if(server.isRecording) { server.stopRecording };
+			this.reply((type: \recording, state: \stopped));
+		};
+		CmdPeriod.add(recordingStop);
+		this.reply((type: \recording, state: \started, path: path));
+	}
+
+	*stopRecording {
+		var server = Server.default;
+		CmdPeriod.remove(recordingStop);
+		recordingStop = nil;
+		if(server.isRecording) {
+			server.stopRecording;
+			this.reply((type: \recording, state: \stopped));
+		}
+	}
+
+	// ── Samples ──────────────────────────────────────────────────────────────
+	// Read an uploaded sample into a new Buffer and bind it to ~key, freeing
+	// whatever Buffer ~key held before — the same as evaluating
+	// `~kick.free; ~kick = Buffer.read(s, path)`, but from the samples panel.
+
+	*loadSample { |path, key|
+		var server = Server.default, env = currentEnvironment;
+		if(server.serverRunning.not) {
+			this.reply((type: \sample, key: key, error: "server not running"));
+			^nil
+		};
+		if(env[key].isKindOf(Buffer)) { env[key].free };
+		env[key] = Buffer.read(server, path, action: { |buf|
+			"~% = %\n".postf(key, buf);
+			this.reply((type: \sample, key: key, bufnum: buf.bufnum,
+				frames: buf.numFrames, channels: buf.numChannels));
+			this.replyEnvironment;
+		});
+		this.replyEnvironment;
+	}
+
+	// ── JITLib proxies ───────────────────────────────────────────────────────
+	// While a browser has the proxy mixer open, a SkipJack (which survives
+	// Cmd-period) looks at the Ndefs on the default server and, when
+	// currentEnvironment is a ProxySpace, its ~proxies, and replies whenever
+	// anything changed. The mixer's play/stop, fader and control changes come
+	// back through proxyAction.
+
+	*watchProxies { |on = true|
+		proxyWatcher !? { proxyWatcher.stop; proxyWatcher = nil };
+		lastProxies = nil;
+		if(on) {
+			proxyWatcher = SkipJack({ this.replyProxies }, 0.5, name: \scwebProxies);
+		}
+	}
+
+	// The reply is assembled by hand so the comparison with the last one
+	// can reuse the encoded string.
+	*replyProxies {
+		var json = this.toJSON(this.describeProxies);
+		if(json != lastProxies) {
+			lastProxies = json;
+			(replyMark ++ "{\"type\":\"proxies\",\"proxies\":" ++ json ++ "}").postln;
+		}
+	}
+
+	// [[\ndef or \proxyspace, ProxySpace], …]
+	*proxySpaces {
+		var spaces = [];
+		Ndef.all[Server.default.name] !? { |space| spaces = spaces.add([\ndef, space]) };
+		if(currentEnvironment.isKindOf(ProxySpace)) {
+			spaces = spaces.add([\proxyspace, currentEnvironment])
+		};
+		^spaces
+	}
+
+	*describeProxies {
+		var out = [];
+		this.proxySpaces.do { |pair|
+			var kind = pair[0], space = pair[1];
+			space.envir.keys.asArray.sort.do { |key|
+				var proxy = space.envir[key];
+				out = out.add((
+					space: kind,
+					name: key,
+					playing: proxy.isMonitoring,
+					vol: proxy.vol,
+					fadeTime: proxy.fadeTime,
+					rate: proxy.rate,
+					numChannels: proxy.numChannels,
+					source: proxy.source !? { |src| this.describe(src.asCompileString, 2000) },
+					controls: proxy.controlNames.collect { |cn| this.describeControl(proxy, cn) }
+				))
+			}
+		};
+		^out
+	}
+
+	// [name, value, min, max, warp, step] for a number, or [name, "Ndef('lfo')"]
+	// for a control mapped to another proxy or bus. The range comes from the
+	// proxy's own spec (addSpec), then the global one for that name, then a
+	// guess from the current value.
+	*describeControl { |proxy, controlName|
+		var key = controlName.name;
+		var value = proxy.get(key) ? controlName.defaultValue;
+		var spec;
+		if(value.isArray) { value = value.first };
+		if(value.isNumber.not) { ^[key, value.asString] };
+		spec = if(proxy.respondsTo(\getSpec)) { proxy.getSpec(key) };
+		spec = spec ?? { key.asSpec } ?? { ControlSpec(min(0, value), max(1, value.abs * 2)) };
+		^[key, value, spec.minval, spec.maxval, spec.warp.asSpecifier, spec.step]
+	}
+
+	// `action` is \play, \stop, \vol (arg1 = level), \fadeTime (arg1 =
+	// seconds) or \set (arg1 = control name, arg2 = value).
+	*proxyAction { |space, key, action, arg1, arg2|
+		var proxy = this.proxySpaces.detect { |pair| pair[0] == space } !? { |pair| pair[1].envir[key] };
+		if(proxy.isNil) {
+			"SCWeb: no proxy %\n".postf(key);
+			^nil
+		};
+		switch(action,
+			\play, { proxy.play },
+			\stop, { proxy.stop },
+			\vol, { proxy.vol = arg1 },
+			\fadeTime, { proxy.fadeTime = arg1 },
+			\set, { proxy.set(arg1, arg2) }
+		);
+		this.replyProxies;
+	}
+
+	// ── Web MIDI ─────────────────────────────────────────────────────────────
+	// MIDI devices are plugged into the performers' laptops, not the server.
+	// Browsers forward their input as OSC messages to sclang's langPort
+	// (`/scweb/midi uid status data1 data2`), which are fed through MIDIIn's
+	// dispatch methods — the same entry points the MIDI driver uses — so
+	// MIDIdef, MIDIFunc and MIDIIn.noteOn etc. work unchanged. The browser
+	// devices are listed in midiSources / midiDestinations as MIDIEndpoints,
+	// with uids that stay the same from one connection to the next, so srcID
+	// filters keep working. MIDIOut messages to a browser destination are
+	// handed to the bridge (see the MIDIOut extension below).
+
+	// Called once from startup.scd
+	*installMidi {
+		midiSources = [];
+		midiDestinations = [];
+		OSCFunc({ |msg, time, addr|
+			if(addr.ip == "127.0.0.1") { this.midiIn(*msg.drop(1)) }
+		}, '/scweb/midi').permanent_(true);
+	}
+
+	// [[uid, device, name], …] for each; sent by the bridge whenever a
+	// browser picks other devices.
+	*midiEndpoints { |sources, destinations|
+		var endpoints = { |list| list.collect { |e| MIDIEndpoint(e[1], e[2], e[0]) } };
+		midiSources = endpoints.(sources);
+		midiDestinations = endpoints.(destinations);
+		"Browser MIDI — sources: %; destinations: %\n".postf(
+			this.describeEndpoints(midiSources), this.describeEndpoints(midiDestinations));
+	}
+
+	*describeEndpoints { |list|
+		^if(list.isEmpty) { "none" } {
+			list.collect { |e| "% / % (uid %)".format(e.device, e.name, e.uid) }.join(", ")
+		}
+	}
+
+	*midiIn { |uid, status, a = 0, b = 0|
+		var chan = status & 16r0F;
+		switch(status & 16rF0,
+			16r80, { MIDIIn.doNoteOffAction(uid, chan, a, b) },
+			16r90, { MIDIIn.doNoteOnAction(uid, chan, a, b) },
+			16rA0, { MIDIIn.doPolyTouchAction(uid, chan, a, b) },
+			16rB0, { MIDIIn.doControlAction(uid, chan, a, b) },
+			16rC0, { MIDIIn.doProgramAction(uid, chan, a) },
+			16rD0, { MIDIIn.doTouchAction(uid, chan, a) },
+			16rE0, { MIDIIn.doBendAction(uid, chan, (b << 7) | a) },
+			// System common and real-time: song position, song select,
+			// clock, start, continue, stop…
+			16rF0, {
+				MIDIIn.doSysrtAction(uid, chan, switch(status,
+					16rF2, { (b << 7) | a },
+					16rF3, { a },
+					{ 0 }
+				))
+			}
+		)
+	}
+
+	// The browser destination a MIDIOut sends to, or nil for a real port.
+	// On Linux MIDIOut(n) has uid 0 and means the n-th destination.
+	*midiDestinationFor { |port, uid|
+		^midiDestinations !? { |list|
+			list.detect { |e| e.uid == uid } ?? { if(uid == 0) { list[port] } }
+		}
+	}
+
+	*midiOut { |endpoint, bytes, latency|
+		this.reply((type: \midiOut, uid: endpoint.uid, data: bytes, latency: latency ? 0));
+	}
+
+	// ── OSC gateway ──────────────────────────────────────────────────────────
+	// The bridge's OSC port for this session. Messages sent here go to the
+	// browsers' OSC panels and to the UDP targets in SC_OSC_TARGETS:
+	//   SCWeb.oscOut.sendMsg('/fader/1', 0.5);
+	*oscOut {
+		^"SCWEB_OSC_PORT".getenv !? { |port| NetAddr("127.0.0.1", port.asInteger) }
+	}
+
+	// ── JSON encoding ────────────────────────────────────────────────────────
+	// Enough for the flat events the bridge expects: nil, booleans, numbers,
+	// strings/symbols, arrays and dictionaries. Anything else is sent as its
+	// asString form.
+
+	*toJSON { |obj|
+		^case
+		{ obj.isNil } { "null" }
+		{ obj === true } { "true" }
+		{ obj === false } { "false" }
+		{ obj.isNumber } {
+			if(obj.isNaN or: { obj.abs == inf }) { "null" } { obj.asString }
+		}
+		{ obj.isString or: { obj.isKindOf(Symbol) } } { this.quote(obj.asString) }
+		{ obj.isKindOf(Dictionary) } {
+			"{" ++ obj.associations.collect { |assoc|
+				this.quote(assoc.key.asString) ++ ":" ++ this.toJSON(assoc.value)
+			}.join(",") ++ "}"
+		}
+		{ obj.isKindOf(SequenceableCollection) } {
+			"[" ++ obj.collect { |item| this.toJSON(item) }.join(",") ++ "]"
+		}
+		{ this.quote(obj.asString) }
+	}
+
+	// A JSON string literal. Control characters other than \n \r \t (an
+	// ANSI colour escape in a post, say) become \u00XX, which JSON requires.
+	// Bytes of multibyte UTF-8 characters have negative ascii values in
+	// sclang and pass through unchanged.
+	*quote { |str|
+		^String.streamContents { |stream|
+			stream << $";
+			str.do { |char|
+				case
+				{ char == $" } { stream << "\\\"" }
+				{ char == $\\ } { stream << "\\\\" }
+				{ char == $\n } { stream << "\\n" }
+				{ char == $\r } { stream << "\\r" }
+				{ char == $\t } { stream << "\\t" }
+				{ char.ascii.inclusivelyBetween(0, 31) } { stream << "\\u00" << char.ascii.asHexString(2) }
+				{ stream << char };
+			};
+			stream << $";
+		}
+	}
+}
+
+// MIDIOut's note, control, bend, clock etc. methods all end up in send. For
+// a browser destination, hand the bytes to the bridge instead of the MIDI
+// driver; anything else goes to the driver as before.
++ MIDIOut {
+	send { arg outport, uid, len, hiStatus, loStatus, a = 0, b = 0, late;
+		var endpoint = SCWeb.midiDestinationFor(outport, uid);
+		if(endpoint.notNil) {
+			SCWeb.midiOut(endpoint, [hiStatus | loStatus, a, b].keep(len), late);
+		} {
+			this.prSendToDriver(outport, uid, len, hiStatus, loStatus, a, b, late);
+		}
+	}
+
+	prSendToDriver { arg outport, uid, len, hiStatus, loStatus, a = 0, b = 0, late;
+		_SendMIDIOut
+	}
+}
@@ -0,0 +1,145 @@
+// Controls drawn in the browser's Controls panel — sclang runs headless here,
+// so code can't open a Qt Window with sliders and knobs. Declare them here
+// instead:
+//
+//   WebControl.slider(\freq, \freq, 440, { |v| x.set(\freq, v) });
+//   WebControl.knob(\amp, \amp, 0.1, { |v| x.set(\amp, v) });
+//   WebControl.button(\run, ["Start", "Stop"], { |v| if(v == 1) { x = Synth(\default) } { x.release } });
+//   WebControl.xy(\pos, [\freq, \pan], [440, 0], { |v| x.set(\freq, v[0], \pan, v[1]) });
+//   WebControl.number(\steps, [1, 16, \lin, 1], 4, { |v| ~steps = v });
+//
+//   WebControl(\freq).value = 880;        // moves the widget in every browser
+//   WebControl(\freq).valueAction = 880;  // …and runs the action
+//   WebControl.remove(\freq); WebControl.clear;
+//
+// Values are in spec units; an XY pad's value is [x, y]. Declaring a key
+// again replaces that control. Every change reaches the bridge as an SCWeb
+// reply; changes made in the browser come back through browserSet, which
+// runs the action.
+
+WebControl {
+	classvar <all;
+	var <key, <kind, <specs, <value, <>action, <label, <states;
+
+	*initClass {
+		all = IdentityDictionary.new;
+	}
+
+	// Called from startup.scd: the bridge forgets the controls of any
+	// previous interpreter when this one starts.
+	*install {
+		all = IdentityDictionary.new;
+		SCWeb.reply((type: \controls, op: \clear));
+	}
+
+	*new { |key|
+		^all[key.asSymbol]
+	}
+
+	*slider { |key, spec, value, action, label|
+		^this.prNew(key, \slider, [this.prSpec(spec)], value, action, label)
+	}
+
+	*knob { |key, spec, value, action, label|
+		^this.prNew(key, \knob, [this.prSpec(spec)], value, action, label)
+	}
+
+	// Unbounded unless given a spec
+	*number { |key, spec, value, action, label|
+		^this.prNew(key, \number, [spec !? { this.prSpec(spec) } ?? { ControlSpec(-inf, inf) }], value ? 0, action, label)
+	}
+
+	// One state per label; the value is the state's index. Clicking moves to
+	// the next state.
+	*button { |key, states, action, value = 0, label|
+		states = (states ? ["Off", "On"]).collect(_.asString);
+		^this.prNew(key, \button, [ControlSpec(0, states.size - 1, \lin, 1)], value, action, label, states)
+	}
+
+	*xy { |key, specs, value, action, label|
+		specs = (specs ? [nil, nil]).collect { |spec| this.prSpec(spec) };
+		^this.prNew(key, \xy, specs, value, action, label)
+	}
+
+	*remove { |key|
+		all[key.asSymbol] !? { |control| control.remove }
+	}
+
+	*clear {
+		all = IdentityDictionary.new;
+		SCWeb.reply((type: \controls, op: \clear));
+	}
+
+	// A change from the browser: set the value quietly (the bridge has
+	// already shown it everywhere) and run the action.
+	*browserSet { |key, value|
+		all[key] !? { |control| control.prBrowserSet(value) }
+	}
+
+	// Anything asSpec understands; unknown names fall back to 0…1.
+	*prSpec { |spec|
+		^spec.asSpec ?? { ControlSpec.new }
+	}
+
+	*prNew { |key, kind, specs, value, action, label, states|
+		^super.new.prInit(key.asSymbol, kind, specs, value, action, label, states)
+	}
+
+	prInit { |argKey, argKind, argSpecs, argValue, argAction, argLabel, argStates|
+		key = argKey;
+		kind = argKind;
+		specs = argSpecs;
+		action = argAction;
+		label = (argLabel ? key).asString;
+		states = argStates;
+		value = this.constrain(argValue ?? { this.default });
+		all[key] = this;
+		SCWeb.reply((type: \controls, op: \add, control: this.describe));
+	}
+
+	default {
+		^if(specs.size == 1) { specs[0].default } { specs.collect(_.default) }
+	}
+
+	constrain { |val|
+		^if(specs.size == 1) {
+			specs[0].constrain(val.asArray.first)
+		} {
+			specs.collect { |spec, i| spec.constrain(val.asArray.wrapAt(i)) }
+		}
+	}
+
+	value_ { |val|
+		value = this.constrain(val);
+		SCWeb.reply((type: \controls, op: \value, key: key, value: value));
+	}
+
+	valueAction_ { |val|
+		this.value = val;
+		action.value(value, this);
+	}
+
+	remove {
+		if(all[key] === this) {
+			all.removeAt(key);
+			SCWeb.reply((type: \controls, op: \remove, key: key));
+		}
+	}
+
+	prBrowserSet { |val|
+		value = this.constrain(val);
+		action.value(value, this);
+	}
+
+	// What the browser needs to draw it; an infinite bound is sent as null.
+	describe {
+		^(
+			key: key,
+			kind: kind,
+			label: label,
+			value: value,
+			states: states,
+			specs: specs.collect { |spec| [spec.minval, spec.maxval, spec.warp.asSpecifier, spec.step, spec.units] }
+		)
+	}
+}
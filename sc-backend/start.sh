@@ -6,7 +6,8 @@ set -euo pipefail
 # jackd ALSA backend with PulseAudio ALSA plugin fails (no mmap support).
 # Solution: jackd dummy backend — no real hardware needed.
 #
-# Chain:
+# Chain (one per session — the bridge spawns sclang/scsynth and ffmpeg for
+# each session and wires their JACK ports together once the server boots):
 #   scsynth → JACK (dummy) ─┐
 #   ffmpeg connects to JACK ─┘ → encode MP3 → Icecast → browser <audio>
 
@@ -49,8 +50,18 @@ pactl set-default-sink   sc-null
 pactl set-default-source sc-null.monitor
 
 # ── JACK with dummy backend ────────────────────────────────────────────────────
-echo "[start.sh] Starting JACK (dummy backend)..."
-jackd --no-realtime -d dummy -r 44100 -p 1024 &
+# Every session's scsynth runs at JACK's sample rate, set in the browser's
+# server settings and saved with them (see bridge/server-options.js).
+OPTIONS_FILE="${SC_SERVER_OPTIONS_FILE:-/home/scuser/data/server-options.json}"
+SAMPLE_RATE=$(node -e 'try { process.stdout.write(String(require(process.argv[1]).sampleRate || "")) } catch (e) {}' "$OPTIONS_FILE" 2>/dev/null || true)
+case "$SAMPLE_RATE" in
+    44100|48000|88200|96000) ;;
+    *) SAMPLE_RATE=44100 ;;
+esac
+export SC_JACK_SAMPLE_RATE="$SAMPLE_RATE"
+
+echo "[start.sh] Starting JACK (dummy backend, $SAMPLE_RATE Hz)..."
+jackd --no-realtime -d dummy -r "$SAMPLE_RATE" -p 1024 &
 JACK_PID=$!
 
 sleep 3
@@ -62,42 +73,6 @@ else
     exit 1
 fi
 
-# ── ffmpeg: JACK client → Icecast MP3 stream ──────────────────────────────────
-# ffmpeg creates JACK input ports (named "ffmpeg:input_1", "ffmpeg:input_2").
-# The port-connector script below wires SuperCollider's output to these ports.
-echo "[start.sh] Starting ffmpeg JACK→Icecast streamer..."
-ffmpeg -nostdin \
-    -f jack -i ffmpeg \
-    -ac 2 \
-    -acodec libmp3lame -b:a 128k \
-    -reservoir 0 \
-    -flush_packets 1 \
-    -content_type audio/mpeg \
-    -f mp3 \
-    "icecast://source:${ICECAST_PASSWORD:-hackme}@${ICECAST_HOST:-icecast}:${ICECAST_PORT:-8000}/${ICECAST_MOUNT:-stream.mp3}" \
-    2>&1 | sed 's/^/[ffmpeg] /' &
-FFMPEG_PID=$!
-sleep 1
-
-# ── Port connector: wire scsynth → ffmpeg when SC registers ───────────────────
-# scsynth registers its JACK ports after s.waitForBoot completes.
-# Poll until ports appear, then connect them.
-(
-    echo "[port-connect] Waiting for SuperCollider JACK ports..."
-    for i in $(seq 1 120); do
-        if jack_lsp 2>/dev/null | grep -q "^SuperCollider:out_1$"; then
-            echo "[port-connect] Connecting SuperCollider → ffmpeg..."
-            jack_connect "SuperCollider:out_1" "ffmpeg:input_1" 2>/dev/null && \
-            jack_connect "SuperCollider:out_2" "ffmpeg:input_2" 2>/dev/null && \
-            echo "[port-connect] Connected! Audio should now flow to Icecast." && \
-            jack_lsp -c 2>/dev/null | grep -A2 "SuperCollider:out" || true
-            break
-        fi
-        sleep 1
-    done
-    echo "[port-connect] done"
-) &
-
-# ── Node bridge (manages sclang as child process) ─────────────────────────────
+# ── Node bridge (manages sclang + ffmpeg per session as child processes) ──────
 echo "[start.sh] Starting Node bridge..."
 exec node /home/scuser/bridge/index.js